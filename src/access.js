@@ -0,0 +1,179 @@
+import { recordAudit } from './audit.js';
+import { listKeys } from './utils.js';
+
+/**
+ * Role-based access control.
+ *
+ * Roles, lowest first: guest < member < admin < owner. A user's role comes from, in order:
+ * `OWNER_IDS` (env), a role stored in KV (`role:<userId>` in USER_PREFS, granted with an invite
+ * code), then the legacy `ALLOWED_CHAT_IDS`/`ALLOWED_USER_IDS` lists (member). With none of the
+ * env vars set the bot is open and everyone is a member. Anyone else has no role and is turned away.
+ *
+ * Skills declare the role they need (`role: 'owner'`); tools and commands can override it with
+ * their own `role`. Unset means member. Commands marked `public` run even without a role (/join).
+ */
+export const ROLES = ['guest', 'member', 'admin', 'owner'];
+const DEFAULT_ROLE = 'member';
+// Invite codes expire after a week
+const INVITE_TTL = 60 * 60 * 24 * 7;
+
+/**
+ * @param {string|null} role - The user's role
+ * @param {string} required - Minimum role
+ * @returns {boolean} Whether `role` is at least `required`
+ * @throws {Error} If `required` is not one of ROLES (a typo must not open anything up)
+ */
+export function hasRole(role, required) {
+    if (!ROLES.includes(required)) {
+        throw new Error(`Unknown role "${required}". Roles: ${ROLES.join(', ')}.`);
+    }
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * The role a tool, command or callback needs: its own `role`, else its skill's, else member.
+ * The registries call this when they are built, so a misspelled role fails at startup.
+ * @param {object} item - Tool, command or callback declaration
+ * @param {object} skill
+ * @returns {string}
+ * @throws {Error} If the declared role is not one of ROLES
+ */
+export function requiredRole(item, skill) {
+    const role = item.role || skill.role || DEFAULT_ROLE;
+    if (!ROLES.includes(role)) {
+        const name = item.function?.name || item.name;
+        throw new Error(`${skill.name}${name ? `/${name}` : ''} requires an unknown role "${role}". Roles: ${ROLES.join(', ')}.`);
+    }
+    return role;
+}
+
+/**
+ * Resolves the role of the user behind a message or button press.
+ * @param {object} chat - Telegram chat
+ * @param {object} from - (Optional) Telegram user (falls back to the chat, i.e. a private chat)
+ * @param {object} env
+ * @returns {Promise<string|null>} Role, or null when the user has no access
+ */
+export async function getRole(chat, from, env) {
+    const userId = String(from?.id ?? chat.id);
+    if (parseIds(env.OWNER_IDS).includes(userId)) {
+        return 'owner';
+    }
+
+    const stored = await env.USER_PREFS.get(`role:${userId}`, { type: 'json' });
+    if (stored?.role) {
+        return stored.role;
+    }
+
+    if (parseIds(env.ALLOWED_USER_IDS).includes(userId) || parseIds(env.ALLOWED_CHAT_IDS).includes(String(chat.id))) {
+        return 'member';
+    }
+    if (!env.OWNER_IDS && !env.ALLOWED_CHAT_IDS && !env.ALLOWED_USER_IDS) {
+        return DEFAULT_ROLE;
+    }
+    return null;
+}
+
+/**
+ * Logs a denied action and records it in the audit log.
+ * @param {object} ctx - { env, chatId, userId, role }
+ * @param {string} action - What was attempted, e.g. "tool:modify_file" or "command:/invite"
+ * @param {string} required - Role that would have been needed
+ */
+export async function recordDenied({ env, chatId, userId, role }, action, required) {
+    console.warn(`🔒 [ACCESS] Denied ${action} to user ${userId} (${role || 'no role'}, needs ${required})`);
+    await recordAudit({ type: 'access_denied', userId, chatId, action, role: role || null, required }, env);
+}
+
+/**
+ * Creates a one-time invite code that grants `role` to whoever redeems it with /join.
+ * @param {string} role
+ * @param {number|string} createdBy - User id of the admin
+ * @param {object} env
+ * @returns {Promise<string>} The code
+ */
+export async function createInvite(role, createdBy, env) {
+    const code = crypto.randomUUID().replace(/-/g, '').slice(0, 10).toUpperCase();
+    await env.USER_PREFS.put(`invite:${code}`, JSON.stringify({ role, createdBy, createdAt: new Date().toISOString() }), {
+        expirationTtl: INVITE_TTL
+    });
+    return code;
+}
+
+/**
+ * Redeems an invite code. The code is deleted first, so it works only once.
+ * A user never loses a higher role by joining with a lower one.
+ * @param {string} code
+ * @param {object} user - Telegram user ({ id, first_name, username })
+ * @param {string|null} currentRole
+ * @param {object} env
+ * @returns {Promise<string|null>} The user's role afterwards, or null if the code is invalid
+ */
+export async function redeemInvite(code, user, currentRole, env) {
+    const key = `invite:${code.trim().toUpperCase()}`;
+    const invite = await env.USER_PREFS.get(key, { type: 'json' });
+    if (!invite) {
+        return null;
+    }
+    await env.USER_PREFS.delete(key);
+
+    if (hasRole(currentRole, invite.role)) {
+        return currentRole;
+    }
+    await env.USER_PREFS.put(`role:${user.id}`, JSON.stringify({
+        role: invite.role,
+        name: [user.first_name, user.last_name].filter(Boolean).join(' ') || null,
+        username: user.username || null,
+        invitedBy: invite.createdBy,
+        joinedAt: new Date().toISOString()
+    }));
+    return invite.role;
+}
+
+/**
+ * Removes a stored role, or an unused invite code.
+ * @param {string} target - User id or invite code
+ * @param {object} env
+ * @returns {Promise<{type: 'user'|'invite', role: string}|null>} What was revoked, or null if nothing matched
+ */
+export async function revokeAccess(target, env) {
+    const user = await env.USER_PREFS.get(`role:${target}`, { type: 'json' });
+    if (user) {
+        await env.USER_PREFS.delete(`role:${target}`);
+        return { type: 'user', role: user.role };
+    }
+
+    const key = `invite:${target.toUpperCase()}`;
+    const invite = await env.USER_PREFS.get(key, { type: 'json' });
+    if (invite) {
+        await env.USER_PREFS.delete(key);
+        return { type: 'invite', role: invite.role };
+    }
+    return null;
+}
+
+/**
+ * Lists users with a stored role (owners from OWNER_IDS are not stored).
+ * @param {object} env
+ * @returns {Promise<Array<{id: string, role: string, name?: string, username?: string}>>}
+ */
+export async function listRoles(env) {
+    const keys = await listKeys(env.USER_PREFS, 'role:');
+    const users = await Promise.all(keys.map(async k => ({
+        id: k.name.slice('role:'.length),
+        ...(await env.USER_PREFS.get(k.name, { type: 'json' }))
+    })));
+    return users.filter(u => u.role);
+}
+
+/**
+ * @param {object} env
+ * @returns {string[]} User ids from OWNER_IDS
+ */
+export function ownerIds(env) {
+    return parseIds(env.OWNER_IDS);
+}
+
+function parseIds(list) {
+    return (list || '').split(',').map(id => id.trim()).filter(Boolean);
+}
@@ -0,0 +1,285 @@
+import { generateAIResponse, fitToolResult } from './ai.js';
+import { callTelegram, chatTarget } from './telegram.js';
+import { hasRole, recordDenied } from './access.js';
+import { recordAudit, redactArgs, extractResourceLinks } from './audit.js';
+import { checkToolQuota, getLimiter } from './ratelimit.js';
+import { formatDuration } from './utils.js';
+
+// Default model turns per request; override with the MAX_TURNS env var
+const DEFAULT_MAX_TURNS = 5;
+// Pending confirmations expire after a day; the buttons then answer "expired"
+const PENDING_TTL = 60 * 60 * 24;
+
+/**
+ * Runs the multi-step tool loop (e.g. Read CV -> Search Jobs -> Answer).
+ *
+ * Follows the OpenAI tool-calling protocol: the assistant message with `tool_calls` is appended,
+ * then one `role: "tool"` message per call (linked by `tool_call_id`). Independent calls from the
+ * same turn run in parallel.
+ *
+ * Tools declaring `risk: "high"` are not executed directly: the loop suspends, the call is
+ * persisted in KV and the user gets Approve/Reject buttons. `resumeAgent` picks it up again.
+ *
+ * Tool results are fitted into the model's context window before they are sent back to it
+ * (fitToolResult in ai.js).
+ *
+ * With `ctx.role` set, the model is only offered the tools that role may use (each tool's `role`,
+ * see access.js), and executeTool refuses the others.
+ *
+ * Optional `ctx.onProgress(status)` is called with the status line of the tools about to run, and
+ * `ctx.onToken(text)` with the model's reply as it streams (see createLiveMessage in telegram.js).
+ * @param {object} state - { messages, turn, queue } (queue = tool calls of the last turn still to run)
+ * @param {object} ctx - { env, chatId, userId, role, history, tools, handlers, llm, onProgress?, onToken? } (llm = { provider, model })
+ * @returns {Promise<{reply?: string, pending?: {id: string, toolName: string, args: object}}>}
+ */
+export async function runAgent(state, ctx) {
+    const { env, tools } = ctx;
+    const maxTurns = parseInt(env.MAX_TURNS, 10) || DEFAULT_MAX_TURNS;
+    const offered = ctx.role ? tools.filter(t => hasRole(ctx.role, t.role)) : tools;
+
+    while (true) {
+        // Run everything that needs no approval in parallel, then risky calls one at a time.
+        // Calls to tools the user can't use are refused right away rather than sent for approval.
+        const ready = state.queue.filter(call => getToolRisk(call.function.name, tools) !== 'high' || call.approved || call.rejected ||
+            !offered.some(t => t.function.name === call.function.name));
+        state.queue = state.queue.filter(call => !ready.includes(call));
+
+        const running = ready.filter(call => !call.rejected);
+        if (running.length > 0) {
+            await ctx.onProgress?.(running.map(call => getToolStatus(call.function.name, tools)).join('\n'));
+        }
+
+        const results = await Promise.all(ready.map(call => call.rejected
+            ? rejectTool(call, ctx)
+            : executeTool(call, ctx)));
+        // The turn's results share one context budget; oversized ones are summarized (see ai.js)
+        const fitted = await Promise.all(ready.map((call, i) => fitToolResult(String(results[i]), env, {
+            llm: ctx.llm,
+            tool: tools.find(t => t.function.name === call.function.name),
+            label: `${call.function.name}(${call.function.arguments || ''})`,
+            share: ready.length
+        })));
+        ready.forEach((call, i) => {
+            state.messages.push({ role: 'tool', tool_call_id: call.id, content: fitted[i] });
+        });
+
+        if (state.queue.length > 0) {
+            return { pending: await suspend(state, state.queue[0], ctx) };
+        }
+
+        if (state.turn >= maxTurns) {
+            return { reply: "⚠️ I got confused and stopped thinking." };
+        }
+
+        state.turn++;
+        // On the last turn the model must answer instead of calling more tools
+        const aiRes = await generateAIResponse(state.messages, env, {
+            tools: offered,
+            toolChoice: state.turn < maxTurns ? "auto" : "none",
+            ...ctx.llm,
+            // Every turn after the first answers tool results
+            toolTurn: state.turn > 1,
+            onToken: ctx.onToken
+        });
+
+        if (!aiRes.tool_calls) {
+            // No tools called, this is the final response
+            return { reply: aiRes.content || "⚠️ I got confused and stopped thinking." };
+        }
+
+        state.messages.push(aiRes.message);
+        state.queue = aiRes.tool_calls;
+    }
+}
+
+/**
+ * Resumes a suspended agent run after the user pressed Approve or Reject. Only the person who
+ * made the request, or an admin, may answer (in groups anyone can press the buttons).
+ * @param {string} id - Pending confirmation id
+ * @param {boolean} approved
+ * @param {object} ctx - { env, chatId, userId, role, history, tools, handlers, llm } (llm = { provider, model })
+ *   (the role is the approver's, so the tool only runs if the person pressing Approve may use it)
+ * @returns {Promise<{reply?: string, pending?: object, toolName?: string, expired?: boolean, forbidden?: boolean, answered?: boolean}>}
+ *   (answered: another tap already answered it)
+ */
+export async function resumeAgent(id, approved, ctx) {
+    const key = `pending:${ctx.chatId}:${id}`;
+    const pending = await ctx.env.CHAT_HISTORY.get(key, { type: 'json' });
+    if (!pending) {
+        return { expired: true };
+    }
+    // Records from before the requester was stored have no userId
+    const requester = pending.userId ?? null;
+    if (requester !== null && String(requester) !== String(ctx.userId) && !hasRole(ctx.role, 'admin')) {
+        await recordDenied(ctx, `confirm:${pending.toolName}`, 'admin');
+        return { forbidden: true, toolName: pending.toolName };
+    }
+    // KV's get and delete are not atomic, so two taps could both read the record. The limiter
+    // (one Durable Object per key, see ratelimit.js) lets exactly one of them claim the answer.
+    const claim = await getLimiter(ctx.env).hit(`confirm:${ctx.chatId}:${id}`, { limit: 1, window: PENDING_TTL });
+    if (!claim.allowed) {
+        return { answered: true, toolName: pending.toolName };
+    }
+    await ctx.env.CHAT_HISTORY.delete(key);
+
+    const { state } = pending;
+    state.queue[0] = { ...state.queue[0], [approved ? 'approved' : 'rejected']: true };
+    console.log(`🛑 [CONFIRM] ${pending.toolName} ${approved ? 'approved' : 'rejected'}`);
+
+    return { ...(await runAgent(state, ctx)), toolName: pending.toolName };
+}
+
+/**
+ * Executes a single tool call through its skill handler, and records it in the audit log
+ * (see audit.js). Handlers report most failures as text ("Error ...", "⚠️ ..."), which counts as
+ * an error just like a thrown exception.
+ * @param {object} toolCall - OpenAI tool call ({ function: { name, arguments } })
+ * @param {object} ctx - { env, chatId, userId, role, history, tools, handlers, llm }
+ * @returns {Promise<string>} Tool result text
+ */
+export async function executeTool(toolCall, ctx) {
+    const fnName = toolCall.function.name;
+    let fnArgs;
+    try {
+        fnArgs = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (e) {
+        return `Error: Invalid arguments for ${fnName}: ${e.message}`;
+    }
+
+    console.log(`🛠 [TOOL] Executing ${fnName}`, fnArgs);
+
+    const handler = ctx.handlers[fnName];
+    if (!handler) {
+        return `Error: Tool ${fnName} not found.`;
+    }
+
+    const tool = ctx.tools?.find(t => t.function.name === fnName);
+    if (ctx.role && tool?.role && !hasRole(ctx.role, tool.role)) {
+        await recordDenied(ctx, `tool:${fnName}`, tool.role);
+        return `Error: ${fnName} needs the ${tool.role} role and this user is a ${ctx.role}. Tell them they don't have access to it.`;
+    }
+
+    // Expensive tools declare a quota (see ratelimit.js); scheduled runs count against the chat
+    const quota = await checkToolQuota(tool, ctx.userId ?? ctx.chatId, ctx.env);
+    if (!quota.allowed) {
+        await recordAudit({ ...auditFields(toolCall, fnArgs, ctx), status: 'limited' }, ctx.env);
+        return `Error: The ${fnName} quota is used up (${tool.quota.limit} per ${formatDuration(tool.quota.window)}). ` +
+            `It frees up in ${formatDuration(quota.retryAfter)}. Tell the user, and answer without it if you can.`;
+    }
+
+    const started = Date.now();
+    let result;
+    let failed = false;
+    try {
+        result = await handler({
+            args: fnArgs,
+            env: ctx.env,
+            chatId: ctx.chatId,
+            userId: ctx.userId,
+            history: ctx.history,
+            llm: ctx.llm
+        });
+        failed = isErrorResult(result);
+    } catch (e) {
+        result = `Error executing ${fnName}: ${e.message}`;
+        failed = true;
+    }
+
+    await recordAudit({
+        ...auditFields(toolCall, fnArgs, ctx),
+        status: failed ? 'error' : 'ok',
+        durationMs: Date.now() - started,
+        links: extractResourceLinks(result),
+        ...(failed && { error: String(result).split('\n')[0].slice(0, 300) })
+    }, ctx.env);
+    return result;
+}
+
+/**
+ * Answers a risky tool call the user rejected (and records the rejection).
+ */
+async function rejectTool(toolCall, ctx) {
+    let args = {};
+    try {
+        args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (e) {
+        // Recorded without arguments
+    }
+    await recordAudit({ ...auditFields(toolCall, args, ctx), status: 'rejected' }, ctx.env);
+    return `The user rejected running ${toolCall.function.name}. Do not retry it unless they ask again.`;
+}
+
+function auditFields(toolCall, args, ctx) {
+    return {
+        type: 'tool',
+        tool: toolCall.function.name,
+        userId: ctx.userId ?? null,
+        chatId: ctx.chatId,
+        role: ctx.role ?? null,
+        args: redactArgs(args),
+        ...(toolCall.approved && { approved: true })
+    };
+}
+
+function isErrorResult(result) {
+    return typeof result === 'string' && /^(Error\b|⚠️|❌|\[System\] Failed)/.test(result.trim());
+}
+
+/**
+ * Looks up the declared risk level of a tool ("low" when not declared).
+ * @param {string} name
+ * @param {Array} tools
+ * @returns {string}
+ */
+export function getToolRisk(name, tools) {
+    return tools?.find(t => t.function.name === name)?.risk || 'low';
+}
+
+/**
+ * Looks up the progress line shown while a tool runs (e.g. "🌐 Browsing the page…").
+ * @param {string} name
+ * @param {Array} tools
+ * @returns {string}
+ */
+export function getToolStatus(name, tools) {
+    return tools?.find(t => t.function.name === name)?.status || `⚙️ Running ${name}…`;
+}
+
+/**
+ * Persists the suspended run and asks the user to approve the risky tool call.
+ */
+async function suspend(state, toolCall, ctx) {
+    const id = crypto.randomUUID().slice(0, 8);
+    const toolName = toolCall.function.name;
+    let args = {};
+    try {
+        args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (e) {
+        // Shown as-is; executeTool reports the parse error if approved
+    }
+
+    await ctx.env.CHAT_HISTORY.put(`pending:${ctx.chatId}:${id}`, JSON.stringify({ toolName, userId: ctx.userId ?? null, state }), {
+        expirationTtl: PENDING_TTL
+    });
+    console.log(`🛑 [CONFIRM] Waiting for approval of ${toolName} (${id})`);
+
+    const details = Object.entries(args)
+        .map(([k, v]) => {
+            const value = typeof v === 'string' ? v : JSON.stringify(v);
+            return `• ${k}: ${value.length > 200 ? value.slice(0, 200) + '…' : value}`;
+        })
+        .join('\n');
+
+    await callTelegram('sendMessage', {
+        ...chatTarget(ctx.chatId),
+        text: `🛑 I want to run ${toolName}:\n${details || '(no arguments)'}\n\nShall I go ahead?`,
+        reply_markup: {
+            inline_keyboard: [[
+                { text: '✅ Approve', callback_data: `confirm:${id}:yes` },
+                { text: '❌ Reject', callback_data: `confirm:${id}:no` }
+            ]]
+        }
+    }, ctx.env);
+
+    return { id, toolName, args };
+}
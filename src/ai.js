@@ -1,18 +1,23 @@
+import { getProvider, getTranscriptionProvider } from './providers/index.js';
+import { DEFAULT_SETTINGS, personaPrompt, llmOptions } from './settings.js';
+import { memoryPrompt } from './memory.js';
+import { chunkText } from './recall.js';
 
 /**
- * Generates a response from OpenAI with the ClawBot persona.
- * Supports Function Calling (Tools).
+ * Builds the message list for a new user turn: ClawBot persona, history and the user message.
+ * Voice notes are transcribed and photos attached for the vision model.
+ * Each part is kept within its share of the model's context window (see contextBudget): the
+ * attached context and the message are shortened, and the oldest history is left out.
  * @param {string} userText 
  * @param {object} context - Additional context like PR data or Article text
  * @param {Array} history - Conversation history [{role, content}, ...]
  * @param {object} env - Environment variables
-
- * @param {Array} tools - (Optional) List of tools/functions available to the model
- * @param {string} model - (Optional) Model to use (default: gpt-4o)
- * @returns {Promise<{content: string, tool_calls?: Array}>} - Full message object
+ * @param {object} settings - (Optional) Per-chat settings (persona, language, verbosity, provider)
+ * @param {object} memory - (Optional) Long-term memory { summary, facts } from memory.js
+ * @param {object} llm - (Optional) LLM options; their `onUsage` is told about transcriptions
+ * @returns {Promise<Array>} OpenAI chat messages
  */
-export async function generateAIResponse(userText, context, history, env, tools = null, model = "gpt-4o") {
-    console.log('🧠 [AI] Generating response with model:', model);
+export async function buildMessages(userText, context, history, env, settings = DEFAULT_SETTINGS, memory = null, llm = {}) {
     console.log('🧠 [AI] User input:', userText);
     console.log('🧠 [AI] Context type:', context?.type || 'general_chat');
 
@@ -20,7 +25,14 @@ export async function generateAIResponse(userText, context, history, env, tools
     if (context?.file?.type === 'voice') {
         try {
             console.log('🧠 [AI] Transcribing audio...');
-            const transcript = await transcribeAudio(context.file.file_id, env);
+            const transcriber = getTranscriptionProvider(env, settings.provider);
+            const transcript = await transcribeAudio(context.file.file_id, env, transcriber);
+            if (llm.onUsage) {
+                // Speech-to-text is billed by the minute, so the call is counted in audio seconds
+                await llm.onUsage({ audio_seconds: context.file.duration || 0 }, {
+                    provider: transcriber.name, model: transcriber.transcriptionModel, feature: 'transcription'
+                });
+            }
             console.log('🧠 [AI] Transcription:', transcript);
             userText = `[Voice Note Transcription]: ${transcript}`;
             // If the user didn't provide text (just voice), update it.
@@ -32,7 +44,10 @@ export async function generateAIResponse(userText, context, history, env, tools
     }
 
 
-    const systemPrompt = `
+    const budget = contextBudget(env, llmOptions(settings));
+    userText = truncateToTokens(userText, budget.input);
+
+    const systemPrompt = (contextText) => `
 You are ClawBot, an AI assistant for clawbot.ai.
 
 You run inside a Cloudflare Worker environment.
@@ -50,32 +65,27 @@ Example:
 ---
 
 Your default behavior:
-- Be concise, clear, and technically accurate
+- Be clear and technically accurate
 - Ask clarifying questions when intent is ambiguous
-- You NOW have memory of past conversations (provided in history)
+- You NOW have memory of past conversations (recent messages in history, older ones summarized below)
 - Never hallucinate access to files, repositories, or credentials
 
-Tone & Persona (CRITICAL):
-- You must STRICTLY adhere to Jehovah's Witness (JW) principles at all times:
-  - Maintain political neutrality.
-  - Do not celebrate holidays (Birthdays, Christmas, Halloween, etc.).
-  - Use clean, respectful language.
-  - If a topic conflicts with biblical principles, politely decline or pivot based on conscience.
-  - Cite biblical principles if relevant but don't be preachy unless asked.
-- SIMULTANEOUSLY, you have a "Crazy" and "Cool" energy:
-  - Be enthusiastic, wild, and sharp.
-  - Use creative metaphors.
-  - "Professional but human" means you are competent but have a unique voice.
-  - Do not be boring.
+${personaPrompt(settings)}
+${context?.group ? `
+You are in the group chat "${context.group.title || 'Untitled'}". Several people talk to you here; each of their messages starts with the sender's name. Keep track of who asked for what and address people by name when it helps.
+` : ''}
+${memoryPrompt(memory)}
 
 Existing Context:
-${context ? JSON.stringify(context, null, 2) : "None"}
+${contextText}
     `.trim();
+    // The attached context gets what the rest of the system prompt leaves of its budget
+    const fitted = fitContext(context, budget.system - estimateTokens(systemPrompt('None')));
 
     // Build messages array with history
     const messages = [
-        { role: "system", content: systemPrompt },
-        ...(history || [])
+        { role: "system", content: systemPrompt(fitted ? JSON.stringify(fitted, null, 2) : "None") },
+        ...fitHistory(history || [], budget.history)
     ];
 
     // Handle Image Input (Vision)
@@ -108,68 +118,274 @@ ${context ? JSON.stringify(context, null, 2) : "None"}
         messages.push({ role: "user", content: userText });
     }
 
+    return messages;
+}
 
+/**
+ * Generates a response from the configured LLM provider (see src/providers).
+ * Messages and tools are always in OpenAI format; providers translate as needed.
+ * Supports Function Calling (Tools), including parallel tool calls.
+ * @param {Array} messages - Full message list (system, history, user, assistant tool_calls, tool results)
+ * @param {object} env - Environment variables
+ * @param {object} options
+ * @param {Array} options.tools - (Optional) List of tools/functions available to the model
+ * @param {string} options.toolChoice - (Optional) "auto" (default) or "none" to force a text answer
+ * @param {string} options.model - (Optional) Model to use (default: the provider's default)
+ * @param {string} options.provider - (Optional) Provider name (default: LLM_PROVIDER, then openai)
+ * @param {number} options.temperature - (Optional) Sampling temperature (default: 0.8)
+ * @param {Function} options.onToken - (Optional) Called with the reply text so far while it streams
+ *   (providers that can't stream just return the full reply)
+ * @param {Function} options.onUsage - (Optional) Called with the call's token usage and
+ *   `{ provider, model, feature, toolTurn }` (accounting, see usage.js); travels with the chat's llm
+ *   options to every call made for a request
+ * @param {string} options.feature - (Optional) What the call is for, e.g. 'summary' (see usage.js)
+ * @param {boolean} options.toolTurn - (Optional) The call follows tool results in the agent loop
+ * @returns {Promise<{content: string, tool_calls?: Array, message?: object}>} - `message` is the raw assistant message to append
+ */
+export async function generateAIResponse(messages, env, { tools = null, toolChoice = "auto", model = null, provider = null, temperature = 0.8, onToken = null, onUsage = null, feature = null, toolTurn = false } = {}) {
     try {
-        const startTime = Date.now();
-
+        const llm = getProvider(env, provider);
+        const selectedModel = model || llm.defaultModel;
+        console.log('🧠 [AI] Generating response with', llm.name, 'model:', selectedModel);
 
-        const payload = {
-            model: model,
-            messages: messages,
-            temperature: 0.8
-        };
-
-        if (tools && tools.length > 0) {
-            payload.tools = tools;
-            payload.tool_choice = "auto";
-        }
+        const startTime = Date.now();
 
-        const response = await fetch("https://api.openai.com/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${env.OPENAI_API_KEY}`,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify(payload)
+        const result = await llm.chat({
+            messages,
+            // Only send the OpenAI schema; fields like `risk` are for the agent loop
+            tools: tools && tools.length > 0 ? tools.map(t => ({ type: t.type, function: t.function })) : null,
+            toolChoice,
+            model: selectedModel,
+            temperature,
+            onToken
         });
 
-        const data = await response.json();
         const elapsed = Date.now() - startTime;
-
         console.log('🧠 [AI] Response received in', elapsed, 'ms');
 
-        if (!response.ok) {
-            console.error('🧠 [AI] OpenAI Error:', data);
-            return { content: `⚠️ My brain hurts. OpenAI Error: ${data.error?.message || response.statusText}` };
+        if (result.usage && onUsage) {
+            await onUsage(result.usage, { provider: llm.name, model: selectedModel, feature, toolTurn });
         }
 
-        const choice = data.choices?.[0]?.message;
-
-        if (!choice) {
+        if (!result.message) {
             return { content: "⚠️ I couldn't think of anything to say." };
         }
 
-        if (choice.tool_calls) {
-            console.log('🧠 [AI] Tool Calls:', choice.tool_calls.length);
+        if (result.tool_calls) {
+            console.log('🧠 [AI] Tool Calls:', result.tool_calls.length);
             return {
-                content: choice.content, // Might be null for tool calls
-                tool_calls: choice.tool_calls
+                content: result.content, // Might be null for tool calls
+                tool_calls: result.tool_calls,
+                message: result.message
             };
         }
 
-        console.log('🧠 [AI] Reply length:', choice.content?.length || 0, 'chars');
-        return { content: choice.content };
+        console.log('🧠 [AI] Reply length:', result.content?.length || 0, 'chars');
+        return { content: result.content, message: result.message };
 
     } catch (error) {
         console.error('🧠 [AI] Request Failed:', error);
-        return { content: `⚠️ System Error: ${error.message}` };
+        return { content: `⚠️ My brain hurts. ${error.message}` };
+    }
+}
+
+// Context windows in tokens, by model name prefix (longest prefix wins). Others get
+// DEFAULT_CONTEXT_WINDOW; override per deployment with LLM_CONTEXT_WINDOW (e.g. for local models).
+const CONTEXT_WINDOWS = {
+    'gpt-4o': 128000,
+    'gpt-4.1': 1047576,
+    'o4-mini': 200000,
+    'claude': 200000,
+    '@cf/meta/llama-3.3-70b': 24000,
+    '@cf/meta/llama-3.1-8b': 7968
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+// Tokens kept free for the reply: at most this, and at most a quarter of the window
+const MAX_OUTPUT_TOKENS = 4096;
+// Share of the prompt each section may use, with an optional cap in tokens (the caps keep big
+// windows from being filled, and paid for, by one pasted message or one page)
+const SECTIONS = {
+    system: { share: 0.25 },              // persona, memory and attached context
+    input: { share: 0.1, max: 4000 },     // the new user message
+    history: { share: 0.35 },
+    toolResults: { share: 0.3, max: 6000 } // the results of one turn's tool calls, together
+};
+// Rough English average; providers don't expose their tokenizers to a Worker
+const CHARS_PER_TOKEN = 4;
+// Detail-"auto" image cost in the OpenAI vision pricing, close enough for other providers
+const IMAGE_TOKENS = 765;
+// An oversized tool result is summarized in at most this many pieces; the rest is cut
+const MAX_SUMMARY_CHUNKS = 4;
+
+/**
+ * Estimates the tokens of a string, a multimodal content array or a chat message.
+ * @param {string|Array|object} content
+ * @returns {number}
+ */
+export function estimateTokens(content) {
+    if (!content) {
+        return 0;
+    }
+    if (typeof content === 'string') {
+        return Math.ceil(content.length / CHARS_PER_TOKEN);
+    }
+    if (Array.isArray(content)) {
+        return content.reduce((sum, part) => sum + (part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text)), 0);
+    }
+    // A message: its content, tool calls and a few tokens of framing
+    const calls = (content.tool_calls || []).map(c => `${c.function.name}${c.function.arguments}`).join('');
+    return estimateTokens(content.content) + estimateTokens(calls) + 4;
+}
+
+/**
+ * Splits the chosen model's context window into token budgets per prompt section.
+ * @param {object} env
+ * @param {object} llm - (Optional) { provider, model } as in the chat's llm options
+ * @returns {{window: number, output: number, system: number, input: number, history: number, toolResults: number}}
+ */
+export function contextBudget(env, llm = {}) {
+    const model = String(llm.model || getProvider(env, llm.provider).defaultModel).toLowerCase();
+    const match = Object.keys(CONTEXT_WINDOWS)
+        .filter(prefix => model.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    const window = parseInt(env.LLM_CONTEXT_WINDOW, 10) || CONTEXT_WINDOWS[match] || DEFAULT_CONTEXT_WINDOW;
+    const output = Math.min(MAX_OUTPUT_TOKENS, Math.floor(window / 4));
+
+    const budget = { window, output };
+    for (const [section, { share, max }] of Object.entries(SECTIONS)) {
+        budget[section] = Math.min(Math.floor((window - output) * share), max ?? Infinity);
+    }
+    return budget;
+}
+
+/**
+ * Shortens text to a token budget, cutting at the last paragraph or sentence end that fits
+ * and saying how much was left out.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function truncateToTokens(text, maxTokens) {
+    text = String(text ?? '');
+    if (estimateTokens(text) <= maxTokens) {
+        return text;
+    }
+
+    const maxChars = Math.max(0, maxTokens * CHARS_PER_TOKEN - 60);
+    const head = text.slice(0, maxChars);
+    const breaks = [head.lastIndexOf('\n\n'), head.lastIndexOf('\n'), ...['. ', '! ', '? '].map(p => head.lastIndexOf(p) + 1)];
+    const cut = breaks.find(i => i > maxChars * 0.6) ?? maxChars;
+    const kept = head.slice(0, cut).trimEnd();
+    return `${kept}\n\n[… truncated: ${text.length - kept.length} of ${text.length} characters left out]`;
+}
+
+/**
+ * Keeps the most recent history messages that fit the budget (the newest one is shortened
+ * if it doesn't fit on its own). Older turns live on in the memory summary (see memory.js).
+ * @param {Array} history - [{ role, content }, ...]
+ * @param {number} maxTokens
+ * @returns {Array}
+ */
+export function fitHistory(history, maxTokens) {
+    const kept = [];
+    let used = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+        const tokens = estimateTokens(history[i]);
+        if (used + tokens > maxTokens) {
+            if (kept.length === 0 && typeof history[i].content === 'string') {
+                kept.unshift({ ...history[i], content: truncateToTokens(history[i].content, maxTokens - 4) });
+            }
+            break;
+        }
+        kept.unshift(history[i]);
+        used += tokens;
     }
+    if (kept.length < history.length) {
+        console.log(`🧠 [AI] History trimmed to ${kept.length} of ${history.length} messages`);
+    }
+    return kept;
 }
 
 /**
- * Transcribes audio using OpenAI Whisper
+ * Fits a tool result into its token budget. Results that fit are returned as they are. Bigger
+ * ones are summarized piece by piece by the model (keeping facts, numbers, names and links), or
+ * shortened at a sentence end for tools declaring `fit: 'truncate'` (e.g. source files, which
+ * must stay verbatim) and whenever summarizing fails.
+ * @param {string} result - Tool result text
+ * @param {object} env
+ * @param {object} options
+ * @param {object} options.llm - (Optional) The chat's llm options (the summaries are made with them)
+ * @param {object} options.tool - (Optional) Tool definition
+ * @param {string} options.label - (Optional) What produced the result, e.g. 'browse_page({"url":"…"})'
+ * @param {number} options.share - (Optional) Number of results sharing this turn's budget (default 1)
+ * @returns {Promise<string>}
  */
-async function transcribeAudio(fileId, env) {
+export async function fitToolResult(result, env, { llm = {}, tool = null, label = 'a tool', share = 1 } = {}) {
+    const budget = contextBudget(env, llm);
+    const maxTokens = Math.floor(budget.toolResults / Math.max(1, share));
+    const tokens = estimateTokens(result);
+    if (tokens <= maxTokens) {
+        return result;
+    }
+    if (tool?.fit === 'truncate') {
+        return truncateToTokens(result, maxTokens);
+    }
+
+    console.log(`🧠 [AI] Summarizing ${label} output (~${tokens} tokens, budget ${maxTokens})`);
+    // Each piece must fit the window together with the instructions and its summary
+    const pieceTokens = Math.floor((budget.window - budget.output) / 2);
+    const pieces = chunkText(result, pieceTokens * CHARS_PER_TOKEN, 0);
+    const used = pieces.slice(0, MAX_SUMMARY_CHUNKS);
+    const words = Math.floor(maxTokens / used.length * 0.7);
+
+    const summaries = [];
+    for (const [i, piece] of used.entries()) {
+        const aiRes = await generateAIResponse([
+            {
+                role: 'system',
+                content: `You condense tool output for another assistant. Summarize part ${i + 1} of ${used.length} of the output of ${label} ` +
+                    `in at most ${words} words. Keep facts, numbers, names, dates, code identifiers and URLs; drop navigation, ads and boilerplate. ` +
+                    'No thinking block, no preamble.'
+            },
+            { role: 'user', content: piece }
+        ], env, { ...llm, temperature: 0.2, feature: 'tool_summary' });
+
+        if (!aiRes.content || aiRes.content.startsWith('⚠️')) {
+            console.error('🧠 [AI] Tool output summary failed:', aiRes.content);
+            return truncateToTokens(result, maxTokens);
+        }
+        summaries.push(aiRes.content.trim());
+    }
+
+    const omitted = pieces.length - used.length;
+    const note = `[Summarized from ${result.length} characters${omitted > 0 ? `; the last ${omitted} of ${pieces.length} parts were left out` : ''}]`;
+    return truncateToTokens(`${note}\n\n${summaries.join('\n\n')}`, maxTokens);
+}
+
+/**
+ * Shortens the longest text fields of the attached context (article text, diffs, ...) until
+ * the whole context fits the budget.
+ */
+function fitContext(context, maxTokens) {
+    if (!context || estimateTokens(JSON.stringify(context)) <= maxTokens) {
+        return context;
+    }
+    const fitted = { ...context };
+    const fields = Object.keys(fitted).filter(k => typeof fitted[k] === 'string');
+    for (const key of fields.sort((a, b) => fitted[b].length - fitted[a].length)) {
+        const excess = estimateTokens(JSON.stringify(fitted)) - maxTokens;
+        if (excess <= 0) {
+            break;
+        }
+        fitted[key] = truncateToTokens(fitted[key], Math.max(0, estimateTokens(fitted[key]) - excess - 20));
+    }
+    return fitted;
+}
+
+/**
+ * Transcribes a Telegram voice note with the given transcription provider
+ */
+async function transcribeAudio(fileId, env, transcriber) {
     // 1. Get file path from Telegram
     const fileUrl = await getTelegramFileUrl(fileId, env);
 
@@ -177,21 +393,8 @@ async function transcribeAudio(fileId, env) {
     const audioRes = await fetch(fileUrl);
     const audioBlob = await audioRes.blob();
 
-    // 3. Send to OpenAI Whisper
-    const formData = new FormData();
-    formData.append("file", audioBlob, "voice.ogg");
-    formData.append("model", "whisper-1");
-
-    const response = await fetch("https://api.openai.com/v1/audio/transcriptions", {
-        method: "POST",
-        headers: {
-            "Authorization": `Bearer ${env.OPENAI_API_KEY}`
-        },
-        body: formData
-    });
-
-    const data = await response.json();
-    return data.text || "Transcription failed";
+    // 3. Send to the speech-to-text model
+    return await transcriber.transcribe(audioBlob);
 }
 
 /**
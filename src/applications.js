@@ -0,0 +1,251 @@
+import { createTask, cancelTask } from './tasks.js';
+import { listKeys } from './utils.js';
+
+/**
+ * Job applications: what happened to a job after the bot found it.
+ *
+ * An application follows a job through the stages of STAGES, with dated notes and an optional
+ * follow-up date. A follow-up is a one-off reminder task (see tasks.js) at 09:00 on that date in
+ * the user's time zone, so the cron tick sends it with the other reminders.
+ *
+ * search_jobs remembers the jobs it showed (`jobsearch:<chatId>`), so the model can save one by
+ * the id it was listed with. Applications live in CHAT_HISTORY as `application:<chatId>:<id>`.
+ */
+
+export const STAGES = ['saved', 'applied', 'interviewing', 'offer', 'rejected'];
+// Stages after which there is nothing left to follow up
+const CLOSED_STAGES = new Set(['offer', 'rejected']);
+const MAX_APPLICATIONS_PER_CHAT = 100;
+// Jobs from searches that stay available to save_job
+const MAX_REMEMBERED_JOBS = 50;
+const REMEMBERED_JOBS_TTL = 60 * 60 * 24 * 30;
+const FOLLOW_UP_TIME = '09:00';
+
+/**
+ * Remembers the jobs a search showed, so save_job can refer to them by id.
+ * @param {number|string} chatId
+ * @param {object[]} jobs - From searchJobs (jobs/index.js)
+ * @param {object} env
+ */
+export async function rememberJobs(chatId, jobs, env) {
+    const key = `jobsearch:${chatId}`;
+    const known = await env.CHAT_HISTORY.get(key, { type: 'json' }) || [];
+    const fresh = jobs.map(({ id, title, company, url, location, source, salary }) => ({ id, title, company, url, location, source, salary }));
+    const merged = [...fresh, ...known.filter(job => !fresh.some(f => f.id === job.id))].slice(0, MAX_REMEMBERED_JOBS);
+    await env.CHAT_HISTORY.put(key, JSON.stringify(merged), { expirationTtl: REMEMBERED_JOBS_TTL });
+}
+
+/**
+ * Adds a job to the chat's pipeline, at the "saved" stage. Saving a job twice returns the
+ * application it already has.
+ * @param {number|string} chatId
+ * @param {object} job
+ * @param {string} job.jobId - (Optional) Id from search_jobs; the details are taken from that search
+ * @param {string} job.title - (Optional, without jobId)
+ * @param {string} job.company - (Optional, without jobId)
+ * @param {string} job.url - (Optional)
+ * @param {string} note - (Optional)
+ * @param {object} env
+ * @param {number} now - (Optional) Timestamp in ms
+ * @returns {Promise<{application: object, created: boolean}>}
+ * @throws {Error} If the job is unknown or misses a title and company (message is safe to show)
+ */
+export async function saveJob(chatId, { jobId = null, title = null, company = null, url = null }, note, env, now = Date.now()) {
+    let job = { id: null, title, company, url: url || null, location: null, source: null, salary: null };
+    if (jobId) {
+        const known = await env.CHAT_HISTORY.get(`jobsearch:${chatId}`, { type: 'json' }) || [];
+        job = known.find(j => j.id === jobId);
+        if (!job) {
+            throw new Error(`No job ${jobId} in this chat's recent searches. Search again, or give the title, company and link.`);
+        }
+    }
+    if (!job.title?.trim() || !job.company?.trim()) {
+        throw new Error('A job needs a title and a company (or the id from search_jobs).');
+    }
+
+    const applications = await listApplications(chatId, env);
+    const existing = applications.find(a => (job.url && a.url === job.url) || (a.title === job.title && a.company === job.company));
+    if (existing) {
+        return { application: existing, created: false };
+    }
+    if (applications.length >= MAX_APPLICATIONS_PER_CHAT) {
+        throw new Error(`This chat already tracks ${MAX_APPLICATIONS_PER_CHAT} applications. Delete some with /pipeline delete <id> first.`);
+    }
+
+    const at = new Date(now).toISOString();
+    const application = {
+        id: crypto.randomUUID().slice(0, 8),
+        chatId: String(chatId),
+        jobId: job.id,
+        title: job.title.trim(),
+        company: job.company.trim(),
+        url: job.url,
+        location: job.location,
+        source: job.source,
+        salary: job.salary,
+        stage: 'saved',
+        notes: note ? [{ at, text: note }] : [],
+        followUp: null,
+        followUpTask: null,
+        history: [{ stage: 'saved', at }],
+        createdAt: at,
+        updatedAt: at
+    };
+    await saveApplication(application, env);
+    return { application, created: true };
+}
+
+/**
+ * @param {number|string} chatId
+ * @param {object} env
+ * @returns {Promise<object[]>} The chat's applications, most recently updated first
+ */
+export async function listApplications(chatId, env) {
+    const keys = await listKeys(env.CHAT_HISTORY, `application:${chatId}:`);
+    const applications = await Promise.all(keys.map(k => env.CHAT_HISTORY.get(k.name, { type: 'json' })));
+    return applications.filter(Boolean).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Finds an application by its id, or by the search_jobs id of its job.
+ * @returns {Promise<object|null>}
+ */
+export async function findApplication(chatId, id, env) {
+    const direct = await env.CHAT_HISTORY.get(`application:${chatId}:${id}`, { type: 'json' });
+    if (direct) {
+        return direct;
+    }
+    return (await listApplications(chatId, env)).find(a => a.jobId === id) || null;
+}
+
+/**
+ * Moves an application to another stage, adds a note and/or sets its follow-up date.
+ * Closing it (offer, rejected) cancels a pending follow-up. Nothing changes when any part of
+ * the update is invalid: the new reminder is set up before the old one is cancelled.
+ * @param {object} application - From findApplication
+ * @param {object} changes
+ * @param {string} changes.stage - (Optional) One of STAGES
+ * @param {string} changes.note - (Optional)
+ * @param {string} changes.followUp - (Optional) "YYYY-MM-DD", or "none" to clear it
+ * @param {object} owner - Whose follow-up reminder it is: { userId, timezone }
+ * @param {object} env
+ * @param {number} now - (Optional) Timestamp in ms
+ * @returns {Promise<object>} The updated application
+ * @throws {Error} If the stage or the date is invalid, or the reminder can't be set (message is safe to show)
+ */
+export async function updateApplication(application, { stage = null, note = null, followUp = null }, { userId, timezone }, env, now = Date.now()) {
+    if (stage && !STAGES.includes(stage)) {
+        throw new Error(`Unknown stage "${stage}". Stages: ${STAGES.join(', ')}.`);
+    }
+    const nextStage = stage || application.stage;
+    const closed = CLOSED_STAGES.has(nextStage);
+    const newFollowUp = followUp && followUp !== 'none' ? followUp : null;
+    if (newFollowUp) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(newFollowUp)) {
+            throw new Error(`"${newFollowUp}" is not a date like 2026-10-26.`);
+        }
+        if (closed) {
+            throw new Error(`The application is closed (${nextStage}); there is nothing to follow up.`);
+        }
+    }
+
+    // Throws for a time in the past or a chat with too many tasks, before anything changed
+    const task = newFollowUp && await createTask({
+        chatId: application.chatId,
+        userId,
+        text: `Follow up on your application: ${application.title} at ${application.company} (${nextStage}). See /pipeline ${application.id}`,
+        at: `${newFollowUp}T${FOLLOW_UP_TIME}`,
+        timezone
+    }, env, now);
+    if ((followUp || closed) && application.followUpTask) {
+        await cancelTask(application.chatId, application.followUpTask, env);
+    }
+    if (followUp || closed) {
+        application.followUp = newFollowUp;
+        application.followUpTask = task ? task.id : null;
+    }
+
+    const at = new Date(now).toISOString();
+    if (nextStage !== application.stage) {
+        application.stage = nextStage;
+        application.history.push({ stage: nextStage, at });
+    }
+    if (note?.trim()) {
+        application.notes.push({ at, text: note.trim() });
+    }
+    application.updatedAt = at;
+    await saveApplication(application, env);
+    return application;
+}
+
+/**
+ * Removes an application and its pending follow-up.
+ * @returns {Promise<object|null>} The deleted application, or null when there is no such one
+ */
+export async function deleteApplication(chatId, id, env) {
+    const application = await findApplication(chatId, id, env);
+    if (!application) {
+        return null;
+    }
+    if (application.followUpTask) {
+        await cancelTask(chatId, application.followUpTask, env);
+    }
+    await env.CHAT_HISTORY.delete(`application:${chatId}:${application.id}`);
+    return application;
+}
+
+/**
+ * One line per application: "Senior Frontend Engineer at Acme (1a2b3c4d) · follow up 2026-10-26".
+ * @param {object} application
+ * @returns {string}
+ */
+export function describeApplication(application) {
+    const title = application.url ? `[${application.title}](${application.url})` : application.title;
+    const followUp = application.followUp ? ` · follow up ${application.followUp}` : '';
+    return `${title} at ${application.company} (${application.id})${followUp}`;
+}
+
+/**
+ * An application with its notes and stage history, for /pipeline <id>.
+ * @param {object} application
+ * @returns {string}
+ */
+export function describeApplicationDetails(application) {
+    const lines = [
+        `${STAGE_ICONS[application.stage]} *${application.title}* at ${application.company} (${application.id})`,
+        application.url,
+        `Stage: ${application.stage} · ${application.history.map(h => `${h.stage} ${h.at.slice(0, 10)}`).join(' → ')}`
+    ].filter(Boolean);
+    if (application.followUp) {
+        lines.push(`Follow up: ${application.followUp}`);
+    }
+    if (application.notes.length > 0) {
+        lines.push('', '*Notes*', ...application.notes.map(n => `• ${n.at.slice(0, 10)}: ${n.text}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * The chat's applications as a board, one column per stage.
+ * @param {object[]} applications
+ * @returns {string}
+ */
+export function formatPipeline(applications) {
+    if (applications.length === 0) {
+        return '📋 No applications yet. Ask me to save a job from a search, e.g. "save the Acme job".';
+    }
+    const columns = STAGES.map(stage => {
+        const entries = applications.filter(a => a.stage === stage);
+        const header = `${STAGE_ICONS[stage]} *${stage[0].toUpperCase()}${stage.slice(1)}* (${entries.length})`;
+        return entries.length > 0 ? `${header}\n${entries.map(a => `• ${describeApplication(a)}`).join('\n')}` : header;
+    });
+    return `📋 *Pipeline* · ${applications.length} job${applications.length === 1 ? '' : 's'}\n\n${columns.join('\n\n')}`;
+}
+
+const STAGE_ICONS = { saved: '🔖', applied: '📨', interviewing: '🎤', offer: '🎉', rejected: '❌' };
+
+async function saveApplication(application, env) {
+    await env.CHAT_HISTORY.put(`application:${application.chatId}:${application.id}`, JSON.stringify(application), {
+        metadata: { stage: application.stage }
+    });
+}
@@ -1,8 +1,9 @@
 
-import { stripHtml } from './utils.js';
+import { extractArticle, formatArticle } from './extract.js';
 
 /**
- * Fetches and extracts main text from an article URL.
+ * Fetches an article URL and extracts its readable content (see extract.js) as Markdown,
+ * headed by its title, byline, date and lead image.
  * Has a 15 second timeout to prevent hanging.
  * @param {string} url 
  * @returns {Promise<string>}
@@ -33,25 +34,8 @@ export async function fetchArticle(url) {
         const html = await res.text();
         console.log('📰 [ARTICLE] HTML received, length:', html.length);
 
-        // Very basic extraction: 
-        // 1. Try to find <article> content
-        // 2. Fallback to body
-        // 3. Strip tags
-
-        const articleMatch = html.match(/<article[^>]*>([\s\S]*?)<\/article>/i);
-        const contentHtml = articleMatch ? articleMatch[1] : html;
-
-        let text = stripHtml(contentHtml);
-
-        // Cleanup whitespace
-        text = text.replace(/\s+/g, ' ').trim();
-
-        // Truncate if too long (OpenAI token limits)
-        const maxLength = 8000;
-        if (text.length > maxLength) {
-            text = text.substring(0, maxLength) + '... [Truncated]';
-        }
-
+        // Not truncated here: prompts fit it into the model's context budget (see ai.js)
+        const text = formatArticle(await extractArticle(html, res.url || url));
         console.log('📰 [ARTICLE] Text extracted, length:', text.length);
         return text;
     } catch (error) {
@@ -0,0 +1,181 @@
+/**
+ * Persistent audit trail: every tool run (who, which tool, redacted arguments, status, duration,
+ * linked GitHub resources) and every access denial. Shown by /audit, exported by /audit_export.
+ */
+
+// Audit entries are kept for 90 days
+const AUDIT_TTL = 60 * 60 * 24 * 90;
+// Keys sort newest first: the timestamp is stored inverted and zero-padded
+const MAX_TIMESTAMP = 10 ** 13;
+// KV metadata is limited to 1024 bytes of JSON
+const MAX_METADATA = 1024;
+// Reads of entries without metadata (recorded before it was kept) per /audit listing; a Worker
+// invocation may make at most 1000 KV operations. Exports read them all.
+const MAX_VALUE_READS = 500;
+
+/**
+ * Appends an entry to the audit log (`audit:<inverted time>:<id>` in CHAT_HISTORY). The entry
+ * is also kept in the key's metadata, shortened if needed, so listing the log reads no values.
+ * Never throws: auditing must not break the action being audited.
+ * @param {object} entry - e.g. { type: 'access_denied', userId, chatId, action, role, required }
+ * @param {object} env
+ * @returns {Promise<object|null>} The stored entry, or null if it could not be stored
+ */
+export async function recordAudit(entry, env) {
+    const now = Date.now();
+    const stored = { id: crypto.randomUUID().slice(0, 8), at: new Date(now).toISOString(), ...entry };
+    const key = `audit:${String(MAX_TIMESTAMP - now).padStart(13, '0')}:${stored.id}`;
+    try {
+        await env.CHAT_HISTORY.put(key, JSON.stringify(stored), { expirationTtl: AUDIT_TTL, metadata: compactEntry(stored) });
+        return stored;
+    } catch (e) {
+        console.error('📒 [AUDIT] Failed to record entry:', e);
+        return null;
+    }
+}
+
+/**
+ * Lists the most recent audit entries, newest first, from the keys' metadata. Long arguments
+ * and errors may be shortened there (`truncated: true`); the stored values keep them whole.
+ * @param {object} env
+ * @param {object} options
+ * @param {number} options.limit - (Optional) Max entries
+ * @param {boolean} options.full - (Optional) Read the stored value of every shortened entry and
+ *   of every entry without metadata, so none is cut or left out (for exports)
+ * @returns {Promise<Array<object>>}
+ */
+export async function listAudit(env, { limit = 20, full = false } = {}) {
+    const keys = [];
+    let cursor;
+    // KV lists at most 1000 keys per call
+    do {
+        const page = await env.CHAT_HISTORY.list({ prefix: 'audit:', limit: Math.min(limit - keys.length, 1000), cursor });
+        keys.push(...page.keys);
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor && keys.length < limit);
+
+    let reads = 0;
+    const entries = await Promise.all(keys.map(async (k) => {
+        if (k.metadata && !(full && k.metadata.truncated)) {
+            return k.metadata;
+        }
+        if (!full && reads++ >= MAX_VALUE_READS) {
+            return null;
+        }
+        return await env.CHAT_HISTORY.get(k.name, { type: 'json' }) || k.metadata;
+    }));
+    return entries.filter(Boolean);
+}
+
+/**
+ * The entry as it fits in KV metadata: whole when it is small enough, else with arguments,
+ * links and error shortened, and as a last resort without arguments and links.
+ */
+function compactEntry(entry) {
+    if (jsonSize(entry) <= MAX_METADATA) {
+        return entry;
+    }
+    const cut = (text, length) => text.length > length ? `${text.slice(0, length)}…` : text;
+    const compact = {
+        ...entry,
+        args: Object.fromEntries(Object.entries(entry.args || {}).map(([k, v]) => [k, cut(typeof v === 'string' ? v : JSON.stringify(v), 40)])),
+        links: entry.links?.slice(0, 3),
+        error: entry.error && cut(entry.error, 200),
+        truncated: true
+    };
+    if (jsonSize(compact) <= MAX_METADATA) {
+        return compact;
+    }
+    const { args, links, ...rest } = compact;
+    return { ...rest, error: rest.error && cut(rest.error, 100) };
+}
+
+function jsonSize(value) {
+    return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+// Argument names whose values are never stored
+const SECRET_KEYS = /token|secret|password|passwd|api_?key|authorization|cookie|credential/i;
+// Values that look like credentials wherever they appear
+const SECRET_VALUES = /\b(gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,}|sk-[A-Za-z0-9_-]{16,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[A-Z0-9]{16}|Bearer\s+[A-Za-z0-9._~+/-]{16,}=*)/g;
+// Long arguments (e.g. a whole file for modify_file) are cut to this length
+const MAX_ARG_LENGTH = 300;
+
+/**
+ * Copies tool arguments for the audit log: secrets are replaced with "[REDACTED]" and
+ * long strings shortened.
+ * @param {*} value
+ * @returns {*}
+ */
+export function redactArgs(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactArgs);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+            [key, SECRET_KEYS.test(key) && v ? '[REDACTED]' : redactArgs(v)]));
+    }
+    if (typeof value === 'string') {
+        const redacted = value.replace(SECRET_VALUES, '[REDACTED]');
+        return redacted.length > MAX_ARG_LENGTH
+            ? `${redacted.slice(0, MAX_ARG_LENGTH)}… (${redacted.length} chars)`
+            : redacted;
+    }
+    return value;
+}
+
+/**
+ * Finds the GitHub resources a tool result points to (issues, pull requests, commits).
+ * @param {string} text - Tool result
+ * @returns {string[]} Unique URLs
+ */
+export function extractResourceLinks(text) {
+    const matches = String(text).match(/https:\/\/github\.com\/[\w.-]+\/[\w.-]+\/(?:issues|pull|commit)\/\w+/g) || [];
+    return [...new Set(matches)];
+}
+
+/**
+ * One line per entry for /audit.
+ * @param {object} entry
+ * @returns {string}
+ */
+export function formatAuditEntry(entry) {
+    const when = entry.at.slice(0, 16).replace('T', ' ');
+    const who = `user ${entry.userId ?? 'scheduled'}`;
+    if (entry.type === 'access_denied') {
+        return `🔒 ${when} ${entry.action} denied to ${who} (${entry.role || 'no role'}, needs ${entry.required})`;
+    }
+
+    const icon = { ok: '✅', error: '⚠️', rejected: '❌', limited: '⏱' }[entry.status] || '•';
+    const args = Object.entries(entry.args || {})
+        .map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`)
+        .join(', ');
+    let line = `${icon} ${when} \`${entry.tool}(${args.length > 80 ? args.slice(0, 80) + '…' : args})\` by ${who}`;
+    if (entry.durationMs !== undefined) {
+        line += `, ${entry.durationMs} ms`;
+    }
+    if (entry.links?.length) {
+        line += `\n   ↳ ${entry.links.join(' ')}`;
+    }
+    if (entry.error) {
+        line += `\n   ↳ ${entry.error}`;
+    }
+    return line;
+}
+
+const CSV_COLUMNS = ['at', 'type', 'tool', 'action', 'status', 'userId', 'chatId', 'role', 'required', 'durationMs', 'args', 'links', 'error'];
+
+/**
+ * Serializes entries as CSV (arguments as JSON, links space-separated).
+ * @param {Array<object>} entries
+ * @returns {string}
+ */
+export function auditToCsv(entries) {
+    const cell = (value) => {
+        if (value === undefined || value === null) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(e => CSV_COLUMNS.map(col => cell(col === 'links' ? e.links?.join(' ') : e[col])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,297 @@
+import { requiredRole, hasRole } from './access.js';
+import { nextCronRun, parseCron, formatLocalTime } from './cron.js';
+import { getUserTimezone } from './settings.js';
+import { listKeys } from './utils.js';
+
+/**
+ * Briefings: a digest a person composes from sections and gets in a chat at a time of their
+ * choosing ("jobs and my open PRs at 7:30 on weekdays").
+ *
+ * Skills declare the sections they can produce, next to their tools and commands:
+ *
+ *   sections: [{
+ *       name: 'rss',
+ *       label: '📰 Feeds',
+ *       description: 'New posts of RSS or Atom feeds',
+ *       option: 'feed URLs, space separated',      // what the section's option means, if it takes one
+ *       required: true,                            // (Optional) whether the option is required
+ *       role: 'member',                            // (Optional) as for tools, see access.js
+ *       run: async ({ env, chatId, userId, role, option, state, since, llm }) => 'text' | null
+ *   }]
+ *
+ * `run` returns the section's Markdown, or null when there is nothing new. `state` is the
+ * section's own object, saved with the briefing (e.g. the items it already showed); `since` is
+ * when the last briefing went out. A section that throws is reported in the briefing and the
+ * others still run; a briefing that fails doesn't stop the ones of other chats.
+ *
+ * Briefings live in USER_PREFS as `briefing:<chatId>`, with the next run in their KV metadata.
+ */
+
+export const DEFAULT_TIME = '08:00';
+const BRIEFINGS_PER_TICK = 25;
+// Set once the job preferences from before briefings have been adopted
+const ADOPTED_KEY = 'meta:job_briefings_adopted';
+
+/**
+ * Builds a lookup of the briefing sections declared by skills, each with the role it needs.
+ * @param {Array} skills
+ * @returns {Map<string, object>} Section name -> section
+ */
+export function buildSectionRegistry(skills) {
+    const registry = new Map();
+    for (const skill of skills) {
+        for (const section of skill.sections || []) {
+            if (registry.has(section.name)) {
+                throw new Error(`Duplicate briefing section "${section.name}" in skill ${skill.name}`);
+            }
+            registry.set(section.name, { ...section, role: requiredRole(section, skill) });
+        }
+    }
+    return registry;
+}
+
+/**
+ * @param {number|string} chatId
+ * @param {object} env
+ * @returns {Promise<object|null>} The chat's briefing, or null when it has none
+ */
+export async function getBriefing(chatId, env) {
+    return await env.USER_PREFS.get(`briefing:${chatId}`, { type: 'json' });
+}
+
+/**
+ * A new briefing without sections, at the default time.
+ * @param {object} options
+ * @param {number|string} options.chatId
+ * @param {number|string} options.userId - Who owns it (their role applies to its sections)
+ * @param {string} options.timezone
+ * @returns {object}
+ */
+export function newBriefing({ chatId, userId, timezone }) {
+    return {
+        chatId: String(chatId),
+        userId,
+        sections: [],
+        time: DEFAULT_TIME,
+        days: '*',
+        timezone,
+        enabled: true,
+        nextRun: null,
+        lastSent: null,
+        lastError: null,
+        state: {}
+    };
+}
+
+/**
+ * Checks a section before it is added to a briefing.
+ * @param {string} name
+ * @param {string|null} option
+ * @param {Map} registry - From buildSectionRegistry
+ * @param {string} role - Role of the briefing's owner
+ * @returns {object} The section
+ * @throws {Error} If the section is unknown, not allowed or misses its option (message is safe to show)
+ */
+export function checkSection(name, option, registry, role) {
+    const section = registry.get(name);
+    if (!section || !hasRole(role, section.role)) {
+        const available = [...registry.values()].filter(s => hasRole(role, s.role)).map(s => s.name);
+        throw new Error(`Unknown section "${name}". Sections: ${available.join(', ')}.`);
+    }
+    if (section.required && !option) {
+        throw new Error(`The ${name} section needs ${section.option}.`);
+    }
+    return section;
+}
+
+/**
+ * Adds a section (without option) to the chat's briefing, creating the briefing at the default
+ * time if the chat has none. Used where a feature sets a briefing up on its own.
+ * @param {number|string} chatId
+ * @param {number|string} userId - Owner if the briefing is created
+ * @param {string} name - Section name
+ * @param {object} env
+ * @param {number} now - (Optional) Timestamp in ms
+ * @returns {Promise<boolean>} Whether the briefing changed
+ */
+export async function ensureSection(chatId, userId, name, env, now = Date.now()) {
+    const briefing = await getBriefing(chatId, env)
+        || newBriefing({ chatId, userId, timezone: await getUserTimezone(userId, env) });
+    if (briefing.sections.some(s => s.name === name)) {
+        return false;
+    }
+    briefing.sections.push({ name, option: null });
+    await saveBriefing(briefing, env, now);
+    console.log('☀️ [BRIEFING] Added', name, 'to the briefing of', String(chatId));
+    return true;
+}
+
+/**
+ * Gives chats that saved job preferences before briefings existed (`prefs:<chatId>`, from the
+ * old hardcoded morning job briefing) a briefing with the jobs section. Run by the daily cron
+ * until it has once gone through all of them (`meta:job_briefings_adopted` in CHAT_HISTORY);
+ * since then save_job_preferences adds the section itself.
+ * @param {object} env
+ * @returns {Promise<boolean>} false when it had already run
+ */
+export async function adoptJobPreferences(env) {
+    if (await env.CHAT_HISTORY.get(ADOPTED_KEY)) {
+        return false;
+    }
+    for (const key of await listKeys(env.USER_PREFS, 'prefs:')) {
+        const chatId = key.name.slice('prefs:'.length);
+        if (!await getBriefing(chatId, env)) {
+            // Those briefings went to private chats, where the chat is the user
+            await ensureSection(chatId, chatId, 'jobs', env);
+        }
+    }
+    await env.CHAT_HISTORY.put(ADOPTED_KEY, new Date().toISOString());
+    console.log('☀️ [BRIEFING] Adopted the saved job preferences');
+    return true;
+}
+
+/**
+ * Works out the next run and saves the briefing.
+ * @param {object} briefing
+ * @param {object} env
+ * @param {number} now - (Optional) Timestamp in ms
+ * @returns {Promise<object>} The saved briefing
+ */
+export async function saveBriefing(briefing, env, now = Date.now()) {
+    briefing.nextRun = nextCronRun(scheduleOf(briefing), now, briefing.timezone);
+    await env.USER_PREFS.put(`briefing:${briefing.chatId}`, JSON.stringify(briefing), {
+        // Briefings without sections are left out of the cron's runs
+        metadata: { nextRun: briefing.nextRun, enabled: briefing.enabled && briefing.sections.length > 0 }
+    });
+    return briefing;
+}
+
+/**
+ * Briefings whose time has come, across all chats.
+ * @param {object} env
+ * @param {object} options
+ * @param {number} options.now - (Optional) Timestamp in ms
+ * @param {boolean} options.all - (Optional) Every enabled briefing, due or not (/test_cron)
+ * @returns {Promise<object[]>}
+ */
+export async function dueBriefings(env, { now = Date.now(), all = false } = {}) {
+    const keys = await listKeys(env.USER_PREFS, 'briefing:');
+
+    const due = keys
+        .filter(k => k.metadata?.enabled && (all || k.metadata.nextRun <= now))
+        .sort((a, b) => a.metadata.nextRun - b.metadata.nextRun)
+        .slice(0, all ? keys.length : BRIEFINGS_PER_TICK);
+    const briefings = await Promise.all(due.map(k => env.USER_PREFS.get(k.name, { type: 'json' })));
+    return briefings.filter(Boolean);
+}
+
+/**
+ * Produces the briefing text, section by section. Sections the owner's role doesn't allow are
+ * left out; a failing section is reported and the others still run.
+ * @param {object} briefing
+ * @param {Map} registry
+ * @param {object} ctx - { env, role, llm }
+ * @param {number} now - (Optional) Timestamp in ms
+ * @returns {Promise<string>}
+ */
+export async function composeBriefing(briefing, registry, { env, role, llm }, now = Date.now()) {
+    const parts = [];
+    for (const { name, option } of briefing.sections) {
+        const section = registry.get(name);
+        if (!section || !hasRole(role, section.role)) {
+            continue;
+        }
+        briefing.state[name] = briefing.state[name] || {};
+        try {
+            const text = await section.run({
+                env,
+                chatId: briefing.chatId,
+                userId: briefing.userId,
+                role,
+                option: option || null,
+                state: briefing.state[name],
+                since: briefing.lastSent ? Date.parse(briefing.lastSent) : null,
+                llm
+            });
+            if (text) {
+                parts.push(`*${section.label}*\n${text}`);
+            }
+        } catch (e) {
+            console.error(`☀️ [BRIEFING] Section ${name} failed for ${briefing.chatId}:`, e);
+            parts.push(`*${section.label}*\n⚠️ Couldn't load this section: ${e.message}`);
+        }
+    }
+
+    const date = formatLocalTime(now, briefing.timezone).slice(0, 14);
+    return `☀️ *Your briefing* · ${date}\n\n${parts.length > 0 ? parts.join('\n\n') : 'Nothing new since the last one.'}`;
+}
+
+/**
+ * Records a run (or its failure) and schedules the next one.
+ * @param {object} briefing
+ * @param {object} env
+ * @param {object} result
+ * @param {string} result.error - (Optional) Why it failed
+ * @param {number} now - (Optional) Timestamp in ms
+ */
+export async function finishBriefing(briefing, env, { error = null } = {}, now = Date.now()) {
+    if (!error) {
+        briefing.lastSent = new Date(now).toISOString();
+    }
+    briefing.lastError = error;
+    await saveBriefing(briefing, env, now);
+}
+
+/**
+ * The briefing's settings, for /briefing.
+ * @param {object|null} briefing
+ * @param {Map} registry
+ * @returns {string}
+ */
+export function describeBriefing(briefing, registry) {
+    if (!briefing || briefing.sections.length === 0) {
+        return '☀️ No briefing set up for this chat.';
+    }
+    const sections = briefing.sections.map(({ name, option }) => {
+        const label = registry.get(name)?.label || name;
+        return `• ${label} (${name})${option ? `: ${option}` : ''}`;
+    });
+    const lines = [
+        `☀️ *Briefing* ${briefing.enabled ? '' : '(⏸ off)'}`.trim(),
+        `${briefing.time} ${describeDays(briefing.days)} (${briefing.timezone})`,
+        ...sections
+    ];
+    if (briefing.enabled && briefing.nextRun) {
+        lines.push(`Next: ${formatLocalTime(briefing.nextRun, briefing.timezone)}`);
+    }
+    if (briefing.lastError) {
+        lines.push(`⚠️ Last run failed: ${briefing.lastError}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Checks a delivery time ("7:30", "07:30") and days (a cron day-of-week field, e.g. "mon-fri").
+ * @param {string} time
+ * @param {string} days
+ * @returns {{time: string, days: string}} Normalized
+ * @throws {Error} If either is invalid (message is safe to show)
+ */
+export function parseDelivery(time, days = '*') {
+    const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`"${time}" is not a time like 07:30.`);
+    }
+    const normalized = { time: `${match[1].padStart(2, '0')}:${match[2]}`, days: String(days || '*').trim().toLowerCase() };
+    parseCron(`0 0 * * ${normalized.days}`);
+    return normalized;
+}
+
+function scheduleOf({ time, days }) {
+    const [hour, minute] = time.split(':').map(Number);
+    return `${minute} ${hour} * * ${days || '*'}`;
+}
+
+function describeDays(days) {
+    return !days || days === '*' ? 'daily' : `on ${days}`;
+}
@@ -1,12 +1,14 @@
 
 import puppeteer from '@cloudflare/puppeteer';
+import { extractArticle } from './extract.js';
 
 /**
  * Fetches a page using a real browser (Puppeteer).
- * Executes JavaScript and returns rendered HTML content.
+ * Executes JavaScript, then extracts the readable content of the rendered HTML (see extract.js).
  * @param {string} url - URL to browse
  * @param {object} env - Environment with BROWSER binding
- * @returns {Promise<{text: string, title: string, screenshot?: string}>}
+ * @returns {Promise<{text: string, title: string, byline?: string, published?: string, image?: string, siteName?: string}>}
+ *   `text` is Markdown; the other fields are as returned by extractArticle
  */
 export async function browsePage(url, env) {
     console.log('🌐 [BROWSER] Launching browser for:', url);
@@ -41,11 +43,11 @@ export async function browsePage(url, env) {
 
         console.log('🌐 [BROWSER] Page loaded');
 
-        // Get page title
-        const title = await page.title();
+        // Extract the readable content from the rendered DOM
+        const { markdown, ...article } = await extractArticle(await page.content(), page.url());
 
-        // Extract main text content
-        const text = await page.evaluate(() => {
+        // Pages that are mostly script output (canvas apps, odd markup) fall back to the visible text
+        const text = markdown || await page.evaluate(() => {
             // Remove script and style elements
             const scripts = document.querySelectorAll('script, style, noscript, iframe');
             scripts.forEach(el => el.remove());
@@ -64,15 +66,11 @@ export async function browsePage(url, env) {
         console.log('🌐 [BROWSER] Content extracted in', elapsed, 'ms');
         console.log('🌐 [BROWSER] Text length:', text.length, 'chars');
 
-        // Truncate if too long
-        const maxLength = 8000;
-        const truncatedText = text.length > maxLength
-            ? text.substring(0, maxLength) + '... [Truncated]'
-            : text;
-
+        // Not truncated here: prompts fit it into the model's context budget (see ai.js)
         return {
-            title,
-            text: truncatedText,
+            ...article,
+            title: article.title || await page.title(),
+            text,
             url,
             renderedWith: 'browser'
         };
@@ -94,14 +92,67 @@ export async function browsePage(url, env) {
 }
 
 /**
- * Takes a screenshot of a page.
+ * Takes a PNG screenshot of a page: the first screen, the whole page, or one element.
  * @param {string} url - URL to screenshot
  * @param {object} env - Environment with BROWSER binding
- * @returns {Promise<ArrayBuffer>}
+ * @param {object} options
+ * @param {boolean} options.fullPage - (Optional) Capture the whole scrollable page
+ * @param {string} options.selector - (Optional) CSS selector of the element to capture
+ * @returns {Promise<{image: Uint8Array, title: string}>}
+ */
+export async function screenshotPage(url, env, { fullPage = false, selector = null } = {}) {
+    console.log('📸 [SCREENSHOT] Taking screenshot of:', url, selector || (fullPage ? 'full page' : 'viewport'));
+
+    return await withPage(url, env, async (page) => {
+        let image;
+        if (selector) {
+            const element = await page.$(selector);
+            if (!element) {
+                throw new Error(`No element matches "${selector}"`);
+            }
+            image = await element.screenshot({ type: 'png' });
+        } else {
+            image = await page.screenshot({ type: 'png', fullPage });
+        }
+        console.log('📸 [SCREENSHOT] Screenshot taken,', image.length, 'bytes');
+        return { image, title: await page.title() };
+    });
+}
+
+/**
+ * Prints a page to PDF, with backgrounds, as the browser's print view renders it.
+ * @param {string} url - URL to print
+ * @param {object} env - Environment with BROWSER binding
+ * @param {object} options
+ * @param {boolean} options.landscape - (Optional) Landscape instead of portrait
+ * @returns {Promise<{pdf: Uint8Array, title: string}>}
+ */
+export async function pageToPdf(url, env, { landscape = false } = {}) {
+    console.log('📸 [SCREENSHOT] Printing to PDF:', url);
+
+    return await withPage(url, env, async (page) => {
+        const pdf = await page.pdf({ format: 'A4', printBackground: true, landscape });
+        console.log('📸 [SCREENSHOT] PDF printed,', pdf.length, 'bytes');
+        return { pdf, title: await page.title() };
+    });
+}
+
+/**
+ * The HTML of a page after its scripts ran, for pages a plain fetch can't read.
+ * @param {string} url
+ * @param {object} env - Environment with BROWSER binding
+ * @returns {Promise<{html: string, url: string}>} `url` after redirects
  */
-export async function screenshotPage(url, env) {
-    console.log('📸 [SCREENSHOT] Taking screenshot of:', url);
+export async function renderHtml(url, env) {
+    console.log('🌐 [BROWSER] Rendering:', url);
+    return await withPage(url, env, async (page) => ({ html: await page.content(), url: page.url() }));
+}
 
+/**
+ * Opens the URL in a fresh browser once the network is quiet, runs `fn(page)`, and always
+ * closes the browser.
+ */
+async function withPage(url, env, fn) {
     let browser = null;
 
     try {
@@ -116,13 +167,10 @@ export async function screenshotPage(url, env) {
             timeout: 30000
         });
 
-        const screenshot = await page.screenshot({ type: 'png' });
-        console.log('📸 [SCREENSHOT] Screenshot taken');
-
-        return screenshot;
+        return await fn(page);
 
     } catch (error) {
-        console.error('📸 [SCREENSHOT] Error:', error);
+        console.error('🌐 [BROWSER] Error:', error);
         throw error;
     } finally {
         if (browser) {
@@ -130,3 +178,155 @@ export async function screenshotPage(url, env) {
         }
     }
 }
+
+// Interactive sessions close after this long without a command (Browser Rendering's keep_alive maximum)
+const SESSION_TIMEOUT = 10 * 60;
+
+/**
+ * Runs `fn(page)` in the chat's interactive browser session (`browser:<chatId>` in CHAT_HISTORY).
+ * The session outlives the call: the Worker only disconnects, and Browser Rendering keeps the
+ * browser open until it has been idle for SESSION_TIMEOUT.
+ * @param {number|string} chatId - Conversation key
+ * @param {object} env - Environment with BROWSER binding
+ * @param {Function} fn - async (page) => result
+ * @param {object} options
+ * @param {boolean} options.create - (Optional) Start a session if the chat has none
+ * @returns {Promise<*>} What `fn` returns
+ */
+export async function withSession(chatId, env, fn, { create = false } = {}) {
+    const key = `browser:${chatId}`;
+    const stored = await env.CHAT_HISTORY.get(key, { type: 'json' });
+
+    let browser = null;
+    if (stored) {
+        try {
+            browser = await puppeteer.connect(env.BROWSER, stored.sessionId);
+        } catch (e) {
+            console.log('🌐 [BROWSER] Session', stored.sessionId, 'is gone:', e.message);
+            await env.CHAT_HISTORY.delete(key);
+        }
+    }
+    if (!browser) {
+        if (!create) {
+            throw new Error(`No open browser session (sessions close after ${SESSION_TIMEOUT / 60} idle minutes). Open the page again with open_page.`);
+        }
+        browser = await puppeteer.launch(env.BROWSER, { keep_alive: SESSION_TIMEOUT * 1000 });
+        console.log('🌐 [BROWSER] Session started:', browser.sessionId());
+    }
+
+    try {
+        let [page] = await browser.pages();
+        if (!page) {
+            page = await browser.newPage();
+            await page.setViewport({ width: 1280, height: 800 });
+            await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+        }
+        const result = await fn(page);
+        await env.CHAT_HISTORY.put(key, JSON.stringify({ sessionId: browser.sessionId(), url: page.url() }), {
+            expirationTtl: SESSION_TIMEOUT
+        });
+        return result;
+    } finally {
+        await browser.disconnect();
+    }
+}
+
+/**
+ * Closes the chat's interactive browser session.
+ * @param {number|string} chatId
+ * @param {object} env
+ * @returns {Promise<boolean>} false if there was no open session
+ */
+export async function closeSession(chatId, env) {
+    const key = `browser:${chatId}`;
+    const stored = await env.CHAT_HISTORY.get(key, { type: 'json' });
+    if (!stored) {
+        return false;
+    }
+    await env.CHAT_HISTORY.delete(key);
+    try {
+        const browser = await puppeteer.connect(env.BROWSER, stored.sessionId);
+        await browser.close();
+    } catch (e) {
+        // Already closed by the idle timeout
+    }
+    console.log('🌐 [BROWSER] Session closed:', stored.sessionId);
+    return true;
+}
+
+/**
+ * What the model needs to take the next step on a page: its readable content (see extract.js)
+ * and the visible controls (buttons, inputs, selects), which extraction leaves out.
+ * @param {object} page - Puppeteer page
+ * @returns {Promise<{url: string, title: string, text: string, controls: Array<{kind: string, label: string, selector: string|null}>}>}
+ */
+export async function snapshotPage(page) {
+    const { markdown, title } = await extractArticle(await page.content(), page.url());
+    return {
+        url: page.url(),
+        title: title || await page.title(),
+        text: markdown,
+        controls: await page.evaluate(listControls)
+    };
+}
+
+/**
+ * Visible links of the page, deduplicated by URL.
+ * @param {object} page - Puppeteer page
+ * @returns {Promise<Array<{text: string, href: string}>>}
+ */
+export async function listLinks(page) {
+    return await page.evaluate(() => {
+        const seen = new Set();
+        const links = [];
+        for (const a of document.querySelectorAll('a[href]')) {
+            const rect = a.getBoundingClientRect();
+            if (!a.href.startsWith('http') || seen.has(a.href) || rect.width === 0 || rect.height === 0) continue;
+            seen.add(a.href);
+            links.push({ text: (a.innerText || a.title || a.getAttribute('aria-label') || '').trim().replace(/\s+/g, ' ').slice(0, 80), href: a.href });
+        }
+        return links;
+    });
+}
+
+/**
+ * Finds the clickable element whose text is `text` (exact first, then partial, case-insensitive)
+ * and tags it, so it can be clicked by selector.
+ * @param {object} page - Puppeteer page
+ * @param {string} text
+ * @returns {Promise<string|null>} A selector for the element, or null
+ */
+export async function findByText(page, text) {
+    const found = await page.evaluate((wanted) => {
+        document.querySelectorAll('[data-clawbot-target]').forEach(el => el.removeAttribute('data-clawbot-target'));
+        const norm = (s) => (s || '').trim().replace(/\s+/g, ' ').toLowerCase();
+        const candidates = [...document.querySelectorAll('a, button, [role="button"], [role="link"], [role="tab"], input[type="submit"], input[type="button"], summary, label')]
+            .filter(el => {
+                const rect = el.getBoundingClientRect();
+                return rect.width > 0 && rect.height > 0;
+            });
+        const label = (el) => norm(el.innerText || el.value || el.getAttribute('aria-label') || el.title);
+        const match = candidates.find(el => label(el) === norm(wanted)) || candidates.find(el => label(el).includes(norm(wanted)));
+        if (!match) return false;
+        match.setAttribute('data-clawbot-target', '1');
+        return true;
+    }, text);
+    return found ? '[data-clawbot-target="1"]' : null;
+}
+
+// Runs in the page (serialized by Puppeteer), so it can only use browser globals
+function listControls() {
+    const controls = [];
+    for (const el of document.querySelectorAll('input:not([type="hidden"]), textarea, select, button, [role="button"]')) {
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) continue;
+
+        const tag = el.tagName.toLowerCase();
+        const label = (el.innerText || el.getAttribute('aria-label') || el.placeholder || el.value || el.title || el.name || '')
+            .trim().replace(/\s+/g, ' ').slice(0, 60);
+        const selector = el.id ? `#${CSS.escape(el.id)}` : el.name ? `${tag}[name="${CSS.escape(el.name)}"]` : null;
+        controls.push({ kind: tag === 'input' ? `input (${el.type})` : tag, label, selector });
+        if (controls.length >= 40) break;
+    }
+    return controls;
+}
@@ -0,0 +1,255 @@
+import { parseCommand } from './utils.js';
+import { setMyCommands } from './telegram.js';
+import { hasRole, requiredRole, recordDenied } from './access.js';
+
+/**
+ * Builds a lookup of slash commands declared by skills.
+ *
+ * A skill may declare `commands: [{ name, description, args, hidden, role, public, handler }]` where
+ * `args` is a list of `{ name, description, required, rest }`. A `rest` arg swallows the
+ * remainder of the message (e.g. a free-text title). `role` is the minimum role (see access.js)
+ * and `public` commands run even for users without one.
+ * @param {Array} skills
+ * @returns {Map<string, object>} Command name -> command definition (with `skill` name and resolved `role`)
+ */
+export function buildCommandRegistry(skills) {
+    const registry = new Map();
+    for (const skill of skills) {
+        for (const cmd of skill.commands || []) {
+            if (registry.has(cmd.name)) {
+                throw new Error(`Duplicate command /${cmd.name} in skill ${skill.name}`);
+            }
+            registry.set(cmd.name, { ...cmd, args: cmd.args || [], skill: skill.name, role: requiredRole(cmd, skill) });
+        }
+    }
+    return registry;
+}
+
+/**
+ * Formats the usage line for a command, e.g. "/browse <url>".
+ * @param {object} cmd
+ * @returns {string}
+ */
+export function formatUsage(cmd) {
+    const argList = cmd.args.map(a => {
+        const label = a.rest ? `${a.name}...` : a.name;
+        return a.required ? `<${label}>` : `[${label}]`;
+    });
+    return [`/${cmd.name}`, ...argList].join(' ');
+}
+
+/**
+ * Maps the raw words of a command onto its argument spec.
+ * @param {object} cmd
+ * @param {{args: string[], argText: string}} parsed - Output of parseCommand
+ * @returns {{args?: object, error?: string}}
+ */
+export function parseCommandArgs(cmd, parsed) {
+    const args = {};
+    let remaining = parsed.argText;
+
+    for (const spec of cmd.args) {
+        remaining = remaining.trim();
+        if (!remaining) {
+            if (spec.required) {
+                return { error: `⚠️ Missing <${spec.name}>.\nUsage: \`${formatUsage(cmd)}\`` };
+            }
+            continue;
+        }
+
+        if (spec.rest) {
+            args[spec.name] = remaining;
+            remaining = '';
+        } else {
+            const [word] = remaining.split(/\s+/, 1);
+            args[spec.name] = word;
+            remaining = remaining.slice(word.length);
+        }
+    }
+
+    return { args };
+}
+
+/**
+ * Builds the command section of the help menu from the registry.
+ * @param {Map<string, object>} registry
+ * @param {string} role - (Optional) Only list the commands this role can use
+ * @returns {string}
+ */
+export function formatHelp(registry, role = null) {
+    return [...registry.values()]
+        .filter(cmd => !cmd.hidden && (!role || cmd.public || hasRole(role, cmd.role)))
+        .map(cmd => `${formatUsage(cmd)} - ${cmd.description}`)
+        .join('\n');
+}
+
+/**
+ * Finds the registered command a message invokes.
+ * @param {string} text - Raw message text
+ * @param {Map<string, object>} registry
+ * @returns {object|null} Command definition, or null if the text is not a known command
+ */
+export function findCommand(text, registry) {
+    const { command } = parseCommand(text);
+    return (command && registry.get(command)) || null;
+}
+
+/**
+ * Runs a slash command deterministically (no LLM routing).
+ * With `ctx.role` set, commands that need a higher role are refused (and audited).
+ * @param {string} text - Raw message text
+ * @param {Map<string, object>} registry
+ * @param {object} ctx - Handler context ({ env, chatId, userId, role, history, message, ... })
+ * @returns {Promise<string|{text: string, reply_markup?: object, onSent?: Function}|null>} Reply text
+ *   (or text with an inline keyboard, or with a function to run once it was delivered), or null if
+ *   the text is not a command
+ */
+export async function runCommand(text, registry, ctx) {
+    const parsed = parseCommand(text);
+    if (!parsed.command) {
+        return null;
+    }
+
+    const cmd = registry.get(parsed.command);
+    if (!cmd) {
+        console.log(`⌨️ [COMMAND] Unknown command /${parsed.command}`);
+        const suggestion = suggestCommand(parsed.command, registry);
+        return `❓ Unknown command /${parsed.command}.` +
+            (suggestion ? ` Did you mean ${formatUsage(suggestion)}?` : '') +
+            '\nSend /help to see everything I can do.';
+    }
+
+    if (ctx.role !== undefined && !cmd.public && !hasRole(ctx.role, cmd.role)) {
+        await recordDenied(ctx, `command:/${cmd.name}`, cmd.role);
+        return `🔒 /${cmd.name} needs the ${cmd.role} role.`;
+    }
+
+    const { args, error } = parseCommandArgs(cmd, parsed);
+    if (error) {
+        return error;
+    }
+
+    console.log(`⌨️ [COMMAND] Running /${cmd.name}`, args);
+    try {
+        return await cmd.handler({ ...ctx, args, commands: registry });
+    } catch (e) {
+        console.error(`⌨️ [COMMAND] /${cmd.name} failed:`, e);
+        return `⚠️ /${cmd.name} failed: ${e.message}`;
+    }
+}
+
+/**
+ * Pushes the visible command list to Telegram via setMyCommands.
+ * Only calls Telegram when the list changed since the last sync.
+ * @param {Map<string, object>} registry
+ * @param {object} env
+ */
+export async function syncBotCommands(registry, env) {
+    const commands = [...registry.values()]
+        .filter(cmd => !cmd.hidden)
+        .map(cmd => ({ command: cmd.name, description: cmd.description.slice(0, 256) }));
+
+    const signature = JSON.stringify(commands);
+    try {
+        const previous = await env.CHAT_HISTORY.get('meta:commands');
+        if (previous === signature) {
+            return;
+        }
+
+        const res = await setMyCommands(commands, env);
+        if (res.ok) {
+            await env.CHAT_HISTORY.put('meta:commands', signature);
+            console.log('⌨️ [COMMAND] Synced', commands.length, 'commands with Telegram');
+        } else {
+            console.error('⌨️ [COMMAND] setMyCommands failed:', res);
+        }
+    } catch (e) {
+        console.error('⌨️ [COMMAND] Error syncing commands:', e);
+    }
+}
+
+/**
+ * Finds the closest known command to a mistyped one.
+ */
+function suggestCommand(name, registry) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const cmd of registry.values()) {
+        if (cmd.hidden) continue;
+        const distance = editDistance(name, cmd.name);
+        if (distance < bestDistance) {
+            best = cmd;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= 2 ? best : null;
+}
+
+function editDistance(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j] + 1,
+                dp[i][j - 1] + 1,
+                dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+    }
+    return dp[a.length][b.length];
+}
+
+/**
+ * Builds a lookup of inline-keyboard callback handlers declared by skills.
+ *
+ * A skill may declare `callbacks: { prefix: handler }`; buttons then use
+ * `callback_data: "prefix:payload"` and the handler receives `payload`. Pressing a button
+ * needs the skill's role.
+ * @param {Array} skills
+ * @returns {Map<string, {handler: Function, role: string}>} Prefix -> handler and required role
+ */
+export function buildCallbackRegistry(skills) {
+    const registry = new Map();
+    for (const skill of skills) {
+        for (const [prefix, handler] of Object.entries(skill.callbacks || {})) {
+            if (registry.has(prefix)) {
+                throw new Error(`Duplicate callback prefix "${prefix}" in skill ${skill.name}`);
+            }
+            registry.set(prefix, { handler, role: requiredRole({}, skill) });
+        }
+    }
+    return registry;
+}
+
+/**
+ * Dispatches a callback_query to the handler registered for its data prefix.
+ * @param {object} callbackQuery - Telegram callback_query
+ * @param {Map<string, {handler: Function, role: string}>} registry
+ * @param {object} ctx - Handler context ({ env, chatId, userId, role, ... })
+ * @returns {Promise<string|null>} Reply text to send, or null
+ */
+export async function runCallback(callbackQuery, registry, ctx) {
+    const data = callbackQuery.data || '';
+    const separator = data.indexOf(':');
+    const prefix = separator === -1 ? data : data.slice(0, separator);
+    const payload = separator === -1 ? '' : data.slice(separator + 1);
+
+    const entry = registry.get(prefix);
+    if (!entry) {
+        console.warn(`🔘 [CALLBACK] No handler for "${prefix}"`);
+        return null;
+    }
+    if (ctx.role !== undefined && !hasRole(ctx.role, entry.role)) {
+        await recordDenied(ctx, `callback:${prefix}`, entry.role);
+        return `🔒 That button needs the ${entry.role} role.`;
+    }
+
+    console.log(`🔘 [CALLBACK] ${prefix}`, payload);
+    try {
+        return await entry.handler({ ...ctx, payload, callbackQuery });
+    } catch (e) {
+        console.error(`🔘 [CALLBACK] ${prefix} failed:`, e);
+        return `⚠️ That button failed: ${e.message}`;
+    }
+}
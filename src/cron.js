@@ -0,0 +1,189 @@
+/**
+ * Cron expressions and time zones for user schedules (see tasks.js).
+ *
+ * Expressions have the five standard fields, read in the user's time zone:
+ * minute, hour, day of month, month, day of week. Fields take `*`, lists (`1,15`), ranges (`1-5`),
+ * steps (`*\/10`, `9-17/2`) and names (`mon`, `jan`); Sunday is 0 or 7. As in Vixie cron, when
+ * both day fields are restricted a day matching either one runs.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+// Four years, so that "29 Feb" is found too
+const SEARCH_DAYS = 4 * 366;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a five-field cron expression.
+ * @param {string} expression - e.g. "0 9 * * mon"
+ * @returns {{minutes: number[], hours: number[], days: Set<number>, months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} If the expression is invalid (message is safe to show to the user)
+ */
+export function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`"${expression}" is not a cron expression: it needs five fields (minute hour day month weekday).`);
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    return {
+        minutes: [...minutes].sort((a, b) => a - b),
+        hours: [...hours].sort((a, b) => a - b),
+        days,
+        months,
+        // 7 is Sunday too
+        weekdays: new Set([...weekdays].map(d => d % 7)),
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+}
+
+/**
+ * The first time after `after` that a cron expression matches, in the given time zone.
+ * Local times skipped by a DST change run an hour later; repeated ones run once.
+ * @param {string|object} expression - Cron expression, or the result of parseCron
+ * @param {number} after - Timestamp in ms
+ * @param {string} timeZone - IANA name, e.g. "Europe/Berlin"
+ * @returns {number|null} Timestamp in ms, or null when it never matches (e.g. "0 9 30 2 *")
+ */
+export function nextCronRun(expression, after, timeZone) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const start = wallClock(after, timeZone);
+    // Calendar days are walked on the wall clock, where no DST applies
+    const firstDay = Date.UTC(start.year, start.month - 1, start.day);
+
+    for (let i = 0; i < SEARCH_DAYS; i++) {
+        const day = new Date(firstDay + i * DAY);
+        const month = day.getUTCMonth() + 1;
+        if (!cron.months.has(month) || !dayMatches(cron, day.getUTCDate(), day.getUTCDay())) {
+            continue;
+        }
+        for (const hour of cron.hours) {
+            for (const minute of cron.minutes) {
+                if (i === 0 && (hour < start.hour || (hour === start.hour && minute <= start.minute))) {
+                    continue;
+                }
+                const at = zonedToUtc({ year: day.getUTCFullYear(), month, day: day.getUTCDate(), hour, minute }, timeZone);
+                if (at > after) {
+                    return at;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Converts a local date and time ("2026-10-20T09:00" or "2026-10-20 09:00") to a timestamp.
+ * @param {string} text
+ * @param {string} timeZone
+ * @returns {number} Timestamp in ms
+ * @throws {Error} If the text is not a date and time
+ */
+export function localTimeToUtc(text, timeZone) {
+    const match = String(text || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::\d{2})?$/);
+    if (!match) {
+        throw new Error(`"${text}" is not a local date and time like 2026-10-20T09:00.`);
+    }
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    return zonedToUtc({ year, month, day, hour, minute }, timeZone);
+}
+
+/**
+ * Formats a time for people in their time zone: "Mon 2026-10-20 09:00".
+ * @param {number} time - Timestamp in ms
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function formatLocalTime(time, timeZone) {
+    const t = wallClock(time, timeZone);
+    const pad = (n) => String(n).padStart(2, '0');
+    const weekday = FIELDS[4].names[new Date(Date.UTC(t.year, t.month - 1, t.day)).getUTCDay()];
+    return `${weekday[0].toUpperCase()}${weekday.slice(1)} ${t.year}-${pad(t.month)}-${pad(t.day)} ${pad(t.hour)}:${pad(t.minute)}`;
+}
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} Whether it is a time zone the runtime knows (IANA names like "America/New_York", or "UTC")
+ */
+export function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return Boolean(timeZone);
+    } catch (e) {
+        return false;
+    }
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    for (const item of text.toLowerCase().split(',')) {
+        const [range, stepText] = item.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let from;
+        let to;
+        if (range === '*') {
+            [from, to] = [field.min, field.max];
+        } else {
+            const [start, end] = range.split('-');
+            from = fieldValue(start, field);
+            // "5/15" means from 5 to the end, every 15
+            to = end !== undefined ? fieldValue(end, field) : stepText !== undefined ? field.max : from;
+        }
+        if (!Number.isInteger(step) || step < 1 || from === null || to === null || from > to) {
+            throw new Error(`"${item}" is not a valid ${field.name} in a cron expression.`);
+        }
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+function fieldValue(text, field) {
+    const named = field.names?.indexOf(text.slice(0, 3)) ?? -1;
+    if (named >= 0 && /^[a-z]+$/.test(text)) {
+        return named + field.min;
+    }
+    const value = /^\d+$/.test(text) ? Number(text) : NaN;
+    return value >= field.min && value <= field.max ? value : null;
+}
+
+function dayMatches(cron, day, weekday) {
+    if (cron.anyDay && cron.anyWeekday) return true;
+    if (cron.anyDay) return cron.weekdays.has(weekday);
+    if (cron.anyWeekday) return cron.days.has(day);
+    return cron.days.has(day) || cron.weekdays.has(weekday);
+}
+
+// Local date and time of a timestamp in a time zone
+function wallClock(time, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(new Date(time));
+    const get = (type) => Number(parts.find(p => p.type === type).value);
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute') };
+}
+
+// Timestamp of a local date and time in a time zone
+function zonedToUtc({ year, month, day, hour, minute }, timeZone) {
+    const local = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (time) => {
+        const t = wallClock(time, timeZone);
+        return Date.UTC(t.year, t.month - 1, t.day, t.hour, t.minute) - Math.floor(time / 60000) * 60000;
+    };
+    const guess = local - offsetAt(local);
+    // Around a DST change the offset at the result can differ from the first guess
+    const offset = offsetAt(guess);
+    return local - offset;
+}
@@ -0,0 +1,574 @@
+/**
+ * Readable content extraction (in the spirit of Mozilla's Readability), shared by the fast
+ * fetch (article.js) and the Puppeteer path (browser.js).
+ *
+ * 1. HTMLRewriter streams the page into a light element tree (tags, a few attributes, text).
+ * 2. Boilerplate is pruned: scripts, navigation, forms, cookie banners, share bars, hidden nodes.
+ * 3. Paragraphs score their ancestors (length, commas, class names like "article" or "sidebar"),
+ *    discounted by link density; the best container and its related siblings are kept.
+ * 4. That content is rendered as Markdown (headings, lists, quotes, code, links), entities decoded.
+ *
+ * Metadata (title, byline, published date, lead image, site name) comes from Open Graph and
+ * article meta tags, JSON-LD, then the page itself.
+ */
+
+// Never content
+const REMOVE_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'object', 'embed',
+    'form', 'button', 'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'dialog'
+]);
+const REMOVE_ROLES = new Set(['navigation', 'banner', 'complementary', 'contentinfo', 'dialog', 'alertdialog', 'menu', 'menubar']);
+// Class/id hints, as in Readability
+const UNLIKELY = /-ad-|ad-break|adbox|advert|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|hidden|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|tags|toolbar|widget/i;
+const MAYBE = /and|article|body|column|content|main|post|shadow|story|entry/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+// Elements without an end tag
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+// Starting one of these closes an open <p>, as browsers do
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+// Rendered as blocks besides BLOCK_TAGS
+const BLOCK_LIKE_TAGS = new Set(['li', 'td', 'th', 'tr', 'tbody', 'thead', 'figcaption', 'dd', 'dt']);
+// Attributes kept in the tree
+const KEPT_ATTRIBUTES = ['id', 'class', 'role', 'href', 'src', 'alt', 'rel', 'itemprop', 'property', 'name', 'content', 'datetime', 'type', 'hidden', 'aria-hidden', 'style'];
+// Tags whose text scores their ancestors
+const SCORED_TAGS = new Set(['p', 'pre', 'td', 'blockquote', 'section', 'h2', 'h3']);
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·',
+    copy: '©', reg: '®', trade: '™', deg: '°', times: '×', divide: '÷', euro: '€', pound: '£',
+    yen: '¥', cent: '¢', sect: '§', para: '¶', shy: '', zwj: '', zwnj: '', thinsp: ' ', ensp: ' ', emsp: ' '
+};
+
+/**
+ * Extracts the readable content of a page.
+ * @param {string} html
+ * @param {string} url - Page URL (resolves relative links and images)
+ * @returns {Promise<{title: string, byline: string|null, published: string|null, image: string|null,
+ *   siteName: string|null, description: string|null, markdown: string}>}
+ */
+export async function extractArticle(html, url) {
+    const root = await parseHtml(html);
+    const meta = collectMetadata(root, url);
+
+    const body = find(root, n => n.tag === 'body') || root;
+    prune(body);
+    // The byline is metadata; the page's own copy is taken out of the content
+    const byline = takeByline(body);
+    const content = pickContent(body);
+    const title = meta.title || textOf(find(content, n => n.tag === 'h1')) || '';
+
+    // The title is shown on its own (see formatArticle), so the page's own copy is dropped
+    const lines = toMarkdown(content, url).trim().split('\n');
+    const heading = lines.indexOf(`# ${title}`);
+    if (heading !== -1) {
+        lines.splice(heading, 1);
+    }
+
+    return {
+        ...meta,
+        title,
+        byline: meta.byline || byline,
+        markdown: lines.join('\n').replace(/^\n+/, '')
+    };
+}
+
+/**
+ * Renders an extracted article as text for the model: title, metadata lines, then the Markdown.
+ * @param {object} article - From extractArticle
+ * @returns {string}
+ */
+export function formatArticle(article) {
+    const details = [
+        article.byline && `By ${article.byline}`,
+        article.published && `Published ${article.published}`,
+        article.siteName
+    ].filter(Boolean).join(' · ');
+    return [
+        article.title && `# ${article.title}`,
+        details,
+        article.image && `Image: ${article.image}`,
+        article.markdown
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Decodes HTML character references (named, decimal and hex).
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+    return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[ref.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Flattens a snippet of HTML (a feed item, a job posting) to one line of text. Also handles
+ * entity-encoded HTML, which only becomes markup once decoded.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+    return decodeEntities(String(html || '').replace(/<[^>]*>/g, ' '))
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\s+/g, ' ')
+        // Left by removed inline tags: "<b>builds</b>." -> "builds ."
+        .replace(/ ([.,;:!?])/g, '$1')
+        .trim();
+}
+
+/**
+ * Text of the elements matching a CSS selector, one line per block, entities decoded.
+ * Unlike extractArticle nothing is pruned, except scripts and styles.
+ * @param {string} html
+ * @param {string} selector - Any selector HTMLRewriter supports
+ * @returns {Promise<string>} Empty when nothing matches
+ */
+export async function selectText(html, selector) {
+    const parts = [];
+    // Open matches, and open scripts or styles inside them
+    let depth = 0;
+    let skipped = 0;
+
+    const rewriter = new HTMLRewriter()
+        .on(selector, {
+            element(el) {
+                if (VOID_TAGS.has(el.tagName.toLowerCase()) || el.selfClosing) return;
+                depth++;
+                parts.push('\n');
+                el.onEndTag(() => {
+                    depth--;
+                    parts.push('\n');
+                });
+            }
+        })
+        .on('*', {
+            element(el) {
+                if (depth === 0) return;
+                const tag = el.tagName.toLowerCase();
+                if (tag === 'script' || tag === 'style') {
+                    skipped++;
+                    el.onEndTag(() => skipped--);
+                } else if (BLOCK_TAGS.has(tag) || BLOCK_LIKE_TAGS.has(tag) || tag === 'br') {
+                    parts.push('\n');
+                }
+            }
+        })
+        .onDocument({
+            text(chunk) {
+                if (depth > 0 && skipped === 0) parts.push(chunk.text);
+            }
+        });
+
+    await rewriter.transform(new Response(html)).arrayBuffer();
+    return decodeEntities(parts.join(''))
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Streams the HTML through HTMLRewriter into a tree of { tag, attrs, children, parent }
+ * (children are nodes or raw text strings).
+ */
+async function parseHtml(html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null };
+    let current = root;
+
+    const open = (node) => {
+        // Implied end tags: <p> before a block, <li> before the next <li>
+        if ((current.tag === 'p' && BLOCK_TAGS.has(node.tag)) || (current.tag === 'li' && node.tag === 'li')) {
+            current = current.parent;
+        }
+        node.parent = current;
+        current.children.push(node);
+    };
+    const close = (node) => {
+        // Ignore stray end tags of elements that were already closed implicitly
+        for (let n = current; n; n = n.parent) {
+            if (n === node) {
+                current = node.parent;
+                return;
+            }
+        }
+    };
+
+    const rewriter = new HTMLRewriter()
+        .on('*', {
+            element(el) {
+                const attrs = {};
+                for (const name of KEPT_ATTRIBUTES) {
+                    const value = el.getAttribute(name);
+                    if (value !== null) attrs[name] = decodeEntities(value);
+                }
+                const node = { tag: el.tagName.toLowerCase(), attrs, children: [] };
+                open(node);
+                if (VOID_TAGS.has(node.tag) || el.selfClosing) {
+                    return;
+                }
+                current = node;
+                el.onEndTag(() => close(node));
+            }
+        })
+        .onDocument({
+            text(chunk) {
+                if (!chunk.text) return;
+                const last = current.children.length - 1;
+                if (typeof current.children[last] === 'string') {
+                    current.children[last] += chunk.text;
+                } else {
+                    current.children.push(chunk.text);
+                }
+            }
+        });
+
+    await rewriter.transform(new Response(html)).arrayBuffer();
+    return root;
+}
+
+/**
+ * Title, byline, date, image, site name and description from meta tags and JSON-LD.
+ */
+function collectMetadata(root, url) {
+    const metas = {};
+    const ld = {};
+    walk(root, node => {
+        if (node.tag === 'meta' && node.attrs.content) {
+            const key = (node.attrs.property || node.attrs.name || node.attrs.itemprop || '').toLowerCase();
+            if (key && !(key in metas)) metas[key] = node.attrs.content.trim();
+        }
+        if (node.tag === 'script' && node.attrs.type === 'application/ld+json') {
+            // The first block that has a field wins
+            Object.assign(ld, { ...readJsonLd(rawText(node)), ...ld });
+        }
+    });
+
+    const titleTag = decodeEntities(rawText(find(root, n => n.tag === 'title') || { children: [] })).trim();
+    const time = find(root, n => n.tag === 'time' && n.attrs.datetime);
+    const author = metas['author'] || metas['article:author'] || metas['parsely-author'] || ld.author;
+
+    return {
+        title: metas['og:title'] || metas['twitter:title'] || ld.headline || cleanTitle(titleTag, metas['og:site_name']) || '',
+        // article:author is often a profile URL rather than a name
+        byline: author && !/^https?:\/\//.test(author) ? author : null,
+        published: metas['article:published_time'] || ld.datePublished || metas['date'] || metas['pubdate'] ||
+            metas['publish-date'] || metas['dc.date'] || time?.attrs.datetime || null,
+        image: absoluteUrl(metas['og:image'] || metas['twitter:image'] || ld.image, url),
+        siteName: metas['og:site_name'] || ld.publisher || null,
+        description: metas['og:description'] || metas['description'] || null
+    };
+}
+
+// Fields of the first Article-like object in a JSON-LD block
+function readJsonLd(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return {};
+    }
+    if (!data || typeof data !== 'object') {
+        return {};
+    }
+    const items = [data, ...(Array.isArray(data) ? data : []), ...(data['@graph'] || [])].filter(i => i && typeof i === 'object');
+    const item = items.find(i => /Article|BlogPosting|Report/.test([].concat(i['@type']).join(' ')));
+    if (!item) {
+        return {};
+    }
+    const name = (v) => typeof v === 'string' ? v : Array.isArray(v) ? name(v[0]) : v?.name || v?.url;
+    return Object.fromEntries(Object.entries({
+        headline: item.headline,
+        author: name(item.author),
+        datePublished: item.datePublished,
+        image: name(item.image),
+        publisher: name(item.publisher)
+    }).filter(([, v]) => typeof v === 'string' && v));
+}
+
+// "Post title | Site" -> "Post title"
+function cleanTitle(title, siteName) {
+    const parts = title.split(/\s+[|\-–—]\s+/);
+    if (parts.length > 1 && (parts.at(-1) === siteName || parts[0].split(/\s+/).length >= 3)) {
+        return parts[0];
+    }
+    return title;
+}
+
+// Removes the element marked as the author, if it's short, and returns its text
+function takeByline(body) {
+    const node = find(body, n => n.attrs.rel === 'author' || /author/i.test(n.attrs.itemprop || '') ||
+        /\bbyline\b|\bauthor\b/i.test(`${n.attrs.class || ''} ${n.attrs.id || ''}`));
+    const text = textOf(node).replace(/^by\s+/i, '');
+    if (!text || text.length >= 100) {
+        return null;
+    }
+    node.parent.children = node.parent.children.filter(c => c !== node);
+    return text;
+}
+
+/**
+ * Removes boilerplate in place: never-content tags, navigation roles, hidden nodes, and nodes
+ * whose class/id look like ads, menus or banners (unless they also look like content).
+ */
+function prune(node) {
+    node.children = node.children.filter(child => {
+        if (typeof child === 'string') return true;
+        if (REMOVE_TAGS.has(child.tag) || REMOVE_ROLES.has(child.attrs.role)) return false;
+        if ('hidden' in child.attrs || child.attrs['aria-hidden'] === 'true' || /display:\s*none/i.test(child.attrs.style || '')) return false;
+
+        const hint = `${child.attrs.class || ''} ${child.attrs.id || ''}`;
+        if (UNLIKELY.test(hint) && !MAYBE.test(hint) && !['body', 'article', 'main', 'a'].includes(child.tag)) return false;
+        prune(child);
+        return true;
+    });
+}
+
+/**
+ * Scores containers by the paragraphs inside them and returns the best one, wrapped together
+ * with related siblings. Falls back to the whole body for pages without paragraphs.
+ */
+function pickContent(body) {
+    const candidates = [];
+    walk(body, node => {
+        if (!SCORED_TAGS.has(node.tag)) return;
+        const text = textOf(node);
+        if (text.length < 25) return;
+
+        const commas = (text.match(/[,،，]/g) || []).length;
+        const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+        let ancestor = node.parent;
+        for (let level = 0; ancestor && ancestor !== body.parent && level < 3; level++, ancestor = ancestor.parent) {
+            if (ancestor.score === undefined) {
+                ancestor.score = initialScore(ancestor);
+                candidates.push(ancestor);
+            }
+            ancestor.score += score / (level === 0 ? 1 : level === 1 ? 2 : level * 3);
+        }
+    });
+
+    let top = null;
+    for (const node of candidates) {
+        node.score *= 1 - linkDensity(node);
+        if (!top || node.score > top.score) top = node;
+    }
+    if (!top) {
+        return body;
+    }
+
+    // Siblings that score well, or read like paragraphs, belong to the article too
+    const parent = top.parent;
+    if (!parent) {
+        return top;
+    }
+    const threshold = Math.max(10, top.score * 0.2);
+    const kept = parent.children.filter(sibling => {
+        if (sibling === top) return true;
+        if (typeof sibling === 'string') return false;
+        if (sibling.score !== undefined && sibling.score >= threshold) return true;
+        if (sibling.tag === 'p') {
+            const text = textOf(sibling);
+            return (text.length > 80 && linkDensity(sibling) < 0.25) || (text.length > 0 && linkDensity(sibling) === 0 && /\.( |$)/.test(text));
+        }
+        return false;
+    });
+    return { tag: 'div', attrs: {}, children: kept, parent: null };
+}
+
+function initialScore(node) {
+    const byTag = { div: 5, article: 10, main: 5, pre: 3, td: 3, blockquote: 3, address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3, th: -5 };
+    let score = byTag[node.tag] || (/^h[1-6]$/.test(node.tag) ? -5 : 0);
+    for (const hint of [node.attrs.class, node.attrs.id]) {
+        if (!hint) continue;
+        if (NEGATIVE.test(hint)) score -= 25;
+        if (POSITIVE.test(hint)) score += 25;
+    }
+    return score;
+}
+
+function linkDensity(node) {
+    const length = textOf(node).length;
+    if (!length) return 0;
+    let links = 0;
+    walk(node, n => {
+        if (n.tag === 'a') links += textOf(n).length;
+    });
+    return links / length;
+}
+
+/**
+ * Renders a node as Markdown blocks joined by blank lines.
+ */
+function toMarkdown(node, url) {
+    return renderBlocks(node, url).join('\n\n').replace(/\n{3,}/g, '\n\n');
+}
+
+function renderBlocks(node, url) {
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+        const text = inline.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/[ \t]+/g, ' ').trim();
+        if (text) blocks.push(text);
+        inline = '';
+    };
+
+    for (const child of node.children) {
+        if (typeof child === 'string' || !isBlock(child)) {
+            inline += renderInline(child, url);
+            continue;
+        }
+        flush();
+        const rendered = renderBlock(child, url);
+        if (rendered) blocks.push(rendered);
+    }
+    flush();
+    return blocks;
+}
+
+function renderBlock(node, url) {
+    const heading = node.tag.match(/^h([1-6])$/);
+    if (heading) {
+        const text = inlineText(node, url);
+        return text ? `${'#'.repeat(Number(heading[1]))} ${text}` : '';
+    }
+
+    switch (node.tag) {
+        case 'ul':
+        case 'ol': {
+            // Link-heavy lists are leftover menus
+            if (linkDensity(node) > 0.6 && node.children.filter(c => c.tag === 'li').length > 2) return '';
+            let n = 0;
+            return node.children
+                .filter(c => typeof c !== 'string' && c.tag === 'li')
+                .map(li => {
+                    const marker = node.tag === 'ol' ? `${++n}.` : '-';
+                    const body = renderBlocks(li, url).join('\n');
+                    return body ? `${marker} ${body.replace(/\n/g, `\n${' '.repeat(marker.length + 1)}`)}` : '';
+                })
+                .filter(Boolean)
+                .join('\n');
+        }
+        case 'pre': {
+            const code = decodeEntities(rawText(node)).replace(/^\n+|\s+$/g, '');
+            return code ? '```\n' + code + '\n```' : '';
+        }
+        case 'blockquote': {
+            const text = renderBlocks(node, url).join('\n\n');
+            return text ? text.split('\n').map(line => `> ${line}`).join('\n') : '';
+        }
+        case 'hr':
+            return '---';
+        case 'table':
+            return renderTable(node, url);
+        default: {
+            // Containers (div, section, p, figure, ...); menus of links inside the content are dropped
+            if (node.tag !== 'p' && linkDensity(node) > 0.5 && textOf(node).length < 500 && !find(node, n => /^h[1-6]$|^p$/.test(n.tag))) {
+                return '';
+            }
+            return renderBlocks(node, url).join('\n\n');
+        }
+    }
+}
+
+function renderTable(node, url) {
+    const rows = [];
+    walk(node, n => {
+        if (n.tag !== 'tr') return;
+        const cells = n.children.filter(c => typeof c !== 'string' && (c.tag === 'td' || c.tag === 'th'));
+        const texts = cells.map(c => inlineText(c, url).replace(/\|/g, '\\|'));
+        if (texts.some(Boolean)) rows.push(`| ${texts.join(' | ')} |`);
+    });
+    if (rows.length === 0) {
+        return '';
+    }
+    const columns = rows[0].split(' | ').length;
+    return [rows[0], `|${' --- |'.repeat(columns)}`, ...rows.slice(1)].join('\n');
+}
+
+function renderInline(node, url) {
+    if (typeof node === 'string') {
+        return decodeEntities(node).replace(/\s+/g, ' ');
+    }
+    const inner = () => node.children.map(c => renderInline(c, url)).join('');
+    switch (node.tag) {
+        case 'br':
+            return '\n';
+        case 'img':
+            return '';
+        case 'a': {
+            const text = inner().trim();
+            const href = absoluteUrl(node.attrs.href, url);
+            return text && href && /^https?:/.test(href) ? `[${text}](${href})` : text;
+        }
+        case 'strong':
+        case 'b': {
+            const text = inner().trim();
+            return text ? `**${text}**` : '';
+        }
+        case 'em':
+        case 'i': {
+            const text = inner().trim();
+            return text ? `_${text}_` : '';
+        }
+        case 'code': {
+            const text = decodeEntities(rawText(node));
+            return text ? `\`${text}\`` : '';
+        }
+        default:
+            return inner();
+    }
+}
+
+function inlineText(node, url) {
+    return node.children.map(c => renderInline(c, url)).join('').replace(/\s+/g, ' ').trim();
+}
+
+function isBlock(node) {
+    return BLOCK_TAGS.has(node.tag) || BLOCK_LIKE_TAGS.has(node.tag);
+}
+
+function absoluteUrl(href, base) {
+    if (!href) return null;
+    try {
+        return new URL(href, base).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Raw text inside a node, entities not decoded
+function rawText(node) {
+    return node.children.map(c => typeof c === 'string' ? c : rawText(c)).join('');
+}
+
+// Visible, decoded and whitespace-collapsed text of a node
+function textOf(node) {
+    return node ? decodeEntities(rawText(node)).replace(/\s+/g, ' ').trim() : '';
+}
+
+function walk(node, visit) {
+    for (const child of node.children) {
+        if (typeof child === 'string') continue;
+        visit(child);
+        walk(child, visit);
+    }
+}
+
+function find(node, predicate) {
+    for (const child of node.children) {
+        if (typeof child === 'string') continue;
+        if (predicate(child)) return child;
+        const found = find(child, predicate);
+        if (found) return found;
+    }
+    return null;
+}
@@ -0,0 +1,77 @@
+import { decodeEntities, htmlToText } from './extract.js';
+
+/**
+ * RSS 2.0 and Atom feeds, read with a few regular expressions: enough for the item list of a
+ * feed (title, link, date, summary), not a general XML parser.
+ */
+
+const MAX_SUMMARY = 300;
+
+/**
+ * Downloads and parses a feed.
+ * @param {string} url
+ * @returns {Promise<{title: string, items: Array<{id: string, title: string, link: string, published: string|null, summary: string}>}>}
+ * @throws {Error} If the feed can't be fetched or has no items
+ */
+export async function fetchFeed(url) {
+    const res = await fetch(url, {
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; ClawBot/1.0)',
+            'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8'
+        }
+    });
+    if (!res.ok) {
+        throw new Error(`Feed ${url} returned ${res.status}`);
+    }
+    const feed = parseFeed(await res.text());
+    if (feed.items.length === 0 && !feed.title) {
+        throw new Error(`${url} is not an RSS or Atom feed`);
+    }
+    return feed;
+}
+
+/**
+ * Parses the items (RSS) or entries (Atom) of a feed, in document order.
+ * @param {string} xml
+ * @returns {{title: string, items: Array<{id: string, title: string, link: string, published: string|null, summary: string}>}}
+ */
+export function parseFeed(xml) {
+    const blocks = [...xml.matchAll(/<(item|entry)[\s>][\s\S]*?<\/\1>/gi)].map(m => m[0]);
+    const firstItem = xml.search(/<(item|entry)[\s>]/i);
+    const head = firstItem >= 0 ? xml.slice(0, firstItem) : xml;
+
+    const items = blocks.map(block => {
+        const link = tag(block, 'link') || attribute(block, 'link', 'href');
+        const published = tag(block, 'pubDate') || tag(block, 'published') || tag(block, 'updated') || tag(block, 'dc:date');
+        const time = published ? Date.parse(published) : NaN;
+        return {
+            id: tag(block, 'guid') || tag(block, 'id') || link,
+            title: tag(block, 'title'),
+            link,
+            published: Number.isNaN(time) ? null : new Date(time).toISOString(),
+            summary: truncate(tag(block, 'description') || tag(block, 'summary') || tag(block, 'content'), MAX_SUMMARY)
+        };
+    }).filter(item => item.id || item.title);
+
+    return { title: tag(head, 'title'), items };
+}
+
+// Text of the first <name> element, CDATA unwrapped and markup removed
+function tag(xml, name) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    return match ? toText(match[1]) : '';
+}
+
+// An attribute of the first <name> element (Atom's <link href="...">)
+function attribute(xml, name, attr) {
+    const match = xml.match(new RegExp(`<${name}\\s[^>]*\\b${attr}=["']([^"']*)["']`, 'i'));
+    return match ? decodeEntities(match[1]).trim() : '';
+}
+
+function toText(content) {
+    return htmlToText(content.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1'));
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
@@ -0,0 +1,164 @@
+// Telegram rejects messages over 4096 characters (counted after entity parsing)
+export const TELEGRAM_LIMIT = 4096;
+// Markdown chunk size, leaving room for the HTML tags and entities added by conversion
+const CHUNK_LIMIT = 3800;
+
+/**
+ * Escapes text for Telegram's HTML parse mode.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts the Markdown the model (and our own messages) write to Telegram HTML.
+ *
+ * Code blocks and inline code are escaped verbatim, `**x**` and `*x*` become bold (Telegram's
+ * legacy Markdown, which the bot's messages were written for, uses single asterisks for bold),
+ * `_x_` italic, `~~x~~` strikethrough, headings bold, `>` lines a blockquote, `-`/`*` bullets `•`.
+ * Anything unrecognized is escaped and shown as typed.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function toTelegramHtml(markdown) {
+    const slots = [];
+    const keep = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+    let text = String(markdown ?? '');
+
+    // Fenced code blocks (an unclosed fence, e.g. in a split reply, runs to the end)
+    text = text.replace(/```([\w+#.-]*)[^\S\n]*\n?([\s\S]*?)(?:```|$)/g, (_, lang, code) => {
+        const body = escapeHtml(code.replace(/\n$/, ''));
+        return keep(lang ? `<pre><code class="language-${lang}">${body}</code></pre>` : `<pre>${body}</pre>`);
+    });
+    text = text.replace(/`([^`\n]+)`/g, (_, code) => keep(`<code>${escapeHtml(code)}</code>`));
+    text = text.replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (_, label, url) => keep(`<a href="${escapeHtml(url)}">`) + label + keep('</a>'));
+
+    text = escapeHtml(text);
+
+    text = text.replace(/^#{1,6}\s+(.+)$/gm, (_, title) => `<b>${title.replace(/\*\*/g, '')}</b>`);
+    text = text.replace(/^&gt; ?.*(?:\n&gt; ?.*)*/gm, (block) => `<blockquote>${block.replace(/^&gt; ?/gm, '')}</blockquote>`);
+    text = text.replace(/^(\s*)[-*+]\s+/gm, '$1• ');
+    text = text.replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, '<b>$1</b>');
+    text = text.replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/gm, '$1<b>$2</b>');
+    // Word boundaries keep snake_case names intact
+    text = text.replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/gm, '$1<i>$2</i>');
+    text = text.replace(/~~(?=\S)([^~\n]*?\S)~~/g, '<s>$1</s>');
+
+    return text.replace(/\u0000(\d+)\u0000/g, (_, i) => slots[i]);
+}
+
+/**
+ * Splits Markdown into chunks of at most `limit` characters, at paragraph boundaries.
+ * Code blocks are kept whole when they fit; longer ones are split by lines and re-fenced,
+ * so every chunk formats on its own.
+ * @param {string} markdown
+ * @param {number} limit - (Optional) Max chunk length
+ * @returns {string[]}
+ */
+export function splitMarkdown(markdown, limit = CHUNK_LIMIT) {
+    const text = String(markdown ?? '');
+    if (text.length <= limit) {
+        return [text];
+    }
+
+    const blocks = [];
+    let last = 0;
+    for (const match of text.matchAll(/```[\s\S]*?(?:```|$)/g)) {
+        blocks.push(...paragraphs(text.slice(last, match.index)));
+        blocks.push(match[0]);
+        last = match.index + match[0].length;
+    }
+    blocks.push(...paragraphs(text.slice(last)));
+
+    const chunks = [];
+    let current = '';
+    for (const block of blocks.flatMap(b => b.length > limit ? splitBlock(b, limit) : [b])) {
+        if (current && current.length + 2 + block.length > limit) {
+            chunks.push(current);
+            current = block;
+        } else {
+            current = current ? `${current}\n\n${block}` : block;
+        }
+    }
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+/**
+ * Splits Markdown into Telegram-sized messages, each with its HTML rendering and the
+ * Markdown source (sent as plain text if Telegram still rejects the HTML).
+ * @param {string} markdown
+ * @returns {Array<{html: string, plain: string}>}
+ */
+export function renderMessages(markdown) {
+    return splitMarkdown(markdown).flatMap(function render(chunk) {
+        const html = toTelegramHtml(chunk);
+        if (html.length <= TELEGRAM_LIMIT || chunk.length < 200) {
+            return [{ html, plain: chunk }];
+        }
+        // Escaping-heavy text (lots of <, > and &) can outgrow the limit once converted
+        return splitMarkdown(chunk, Math.ceil(chunk.length / 2)).flatMap(render);
+    });
+}
+
+function paragraphs(text) {
+    return text.split(/\n{2,}/).map(p => p.replace(/^\n+|\n+$/g, '')).filter(p => p.trim());
+}
+
+/**
+ * Splits one oversized block: code by lines (re-fenced), prose by lines, then sentences, then hard cuts.
+ */
+function splitBlock(block, limit) {
+    const fence = block.match(/^```([\w+#.-]*)[^\S\n]*\n?/);
+    if (fence) {
+        const open = `\`\`\`${fence[1]}\n`;
+        const body = block.slice(fence[0].length).replace(/\n?```$/, '');
+        return packPieces(body.split('\n'), '\n', limit - open.length - 4).map(piece => `${open}${piece}\n\`\`\``);
+    }
+
+    const lines = block.split('\n');
+    if (lines.length > 1) {
+        return packPieces(lines.flatMap(line => line.length > limit ? splitBlock(line, limit) : [line]), '\n', limit);
+    }
+    const sentences = block.split(/(?<=[.!?])\s+/);
+    if (sentences.length > 1) {
+        return packPieces(sentences, ' ', limit);
+    }
+    return packPieces([block], '', limit);
+}
+
+/**
+ * Greedily joins pieces up to `limit`, hard-cutting any single piece that is still too long.
+ */
+function packPieces(pieces, separator, limit) {
+    const chunks = [];
+    let current = '';
+    for (let piece of pieces) {
+        while (piece.length > limit) {
+            if (current) {
+                chunks.push(current);
+                current = '';
+            }
+            chunks.push(piece.slice(0, limit));
+            piece = piece.slice(limit);
+        }
+        if (current && current.length + separator.length + piece.length > limit) {
+            chunks.push(current);
+            current = piece;
+        } else {
+            current = current ? `${current}${separator}${piece}` : piece;
+        }
+    }
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
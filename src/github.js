@@ -400,3 +400,123 @@ export async function fetchRepoTree(owner, repo, token) {
         throw new Error(`Error fetching repo tree: ${e.message}`);
     }
 }
+
+/**
+ * Fetches the raw PR object (title, body, head SHA, ...).
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {string} pullNumber 
+ * @param {string} token 
+ * @returns {Promise<object>} PR data from the GitHub API
+ */
+export async function fetchPRDetails(owner, repo, pullNumber, token) {
+    const headers = {
+        'User-Agent': 'ClawBot-Worker',
+        'Accept': 'application/vnd.github.v3+json',
+        'Authorization': `token ${token}`
+    };
+
+    const res = await fetch(`https://api.github.com/repos/${owner}/${repo}/pulls/${pullNumber}`, { headers });
+    if (!res.ok) throw new Error(`GitHub API Error (${res.status}): ${res.statusText}`);
+    return await res.json();
+}
+
+/**
+ * Fetches every changed file of a PR, including its patch (follows pagination).
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {string} pullNumber 
+ * @param {string} token 
+ * @returns {Promise<Array<{filename: string, status: string, additions: number, deletions: number, patch?: string}>>}
+ */
+export async function fetchPRFiles(owner, repo, pullNumber, token) {
+    const headers = {
+        'User-Agent': 'ClawBot-Worker',
+        'Accept': 'application/vnd.github.v3+json',
+        'Authorization': `token ${token}`
+    };
+
+    const files = [];
+    // GitHub caps the files endpoint at 3000 files (30 pages of 100)
+    for (let page = 1; page <= 30; page++) {
+        const res = await fetch(`https://api.github.com/repos/${owner}/${repo}/pulls/${pullNumber}/files?per_page=100&page=${page}`, { headers });
+        if (!res.ok) throw new Error(`GitHub API Error (${res.status}): ${res.statusText}`);
+        const batch = await res.json();
+        files.push(...batch);
+        if (batch.length < 100) break;
+    }
+    return files;
+}
+
+/**
+ * Submits a PR review with optional line-anchored comments.
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {string} pullNumber 
+ * @param {{commit_id?: string, body: string, event?: string, comments?: Array<{path: string, line: number, side?: string, body: string}>}} review
+ * @param {string} token 
+ * @returns {Promise<object>} Created review data
+ */
+export async function createPRReview(owner, repo, pullNumber, review, token) {
+    const headers = {
+        'User-Agent': 'ClawBot-Worker',
+        'Accept': 'application/vnd.github.v3+json',
+        'Authorization': `token ${token}`,
+        'Content-Type': 'application/json'
+    };
+
+    try {
+        const res = await fetch(`https://api.github.com/repos/${owner}/${repo}/pulls/${pullNumber}/reviews`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ event: 'COMMENT', ...review })
+        });
+
+        if (!res.ok) {
+            const error = await res.text();
+            throw new Error(`Failed to create review: ${error}`);
+        }
+        return await res.json();
+    } catch (error) {
+        console.error('Error creating review:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fetches the open pull requests of a repo, most recently updated first (raw objects).
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {string} token 
+ * @returns {Promise<Array<object>>} PRs from the GitHub API
+ */
+export async function fetchOpenPRs(owner, repo, token) {
+    const headers = {
+        'User-Agent': 'ClawBot-Worker',
+        'Accept': 'application/vnd.github.v3+json',
+        'Authorization': `token ${token}`
+    };
+
+    const res = await fetch(`https://api.github.com/repos/${owner}/${repo}/pulls?state=open&sort=updated&direction=desc&per_page=10`, { headers });
+    if (!res.ok) throw new Error(`GitHub API Error (${res.status}): ${res.statusText}`);
+    return await res.json();
+}
+
+/**
+ * Fetches the unread notifications of the token's user (raw objects).
+ * @param {string} token 
+ * @param {string} since - (Optional) ISO timestamp, only notifications updated after it
+ * @returns {Promise<Array<object>>} Notifications from the GitHub API
+ */
+export async function fetchNotifications(token, since = null) {
+    const headers = {
+        'User-Agent': 'ClawBot-Worker',
+        'Accept': 'application/vnd.github.v3+json',
+        'Authorization': `token ${token}`
+    };
+
+    const query = since ? `&since=${encodeURIComponent(since)}` : '';
+    const res = await fetch(`https://api.github.com/notifications?per_page=20${query}`, { headers });
+    if (!res.ok) throw new Error(`GitHub API Error (${res.status}): ${res.statusText}`);
+    return await res.json();
+}
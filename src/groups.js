@@ -0,0 +1,100 @@
+/**
+ * Group chat support: which messages the bot answers and how conversations are keyed
+ * (who may use the bot is decided in access.js).
+ *
+ * Everything the bot stores (history, summary, settings, facts, recall) is keyed by a
+ * conversation key, passed around as `chatId`. It is the Telegram chat id, except in forum
+ * topics, where each topic is its own conversation: `"<chat id>:<message_thread_id>"`.
+ * The Telegram helpers accept either form (see chatTarget in telegram.js).
+ */
+
+/**
+ * @param {object} message - Telegram message
+ * @returns {number|string} Conversation key for the message
+ */
+export function conversationKey(message) {
+    const chatId = message.chat.id;
+    return message.is_topic_message && message.message_thread_id
+        ? `${chatId}:${message.message_thread_id}`
+        : chatId;
+}
+
+/**
+ * Splits a conversation key into the Telegram chat id and forum topic.
+ * @param {number|string} key
+ * @returns {{chatId: number, threadId: number|null}}
+ */
+export function splitConversationKey(key) {
+    const [chatId, threadId] = String(key).split(':');
+    return { chatId: Number(chatId), threadId: threadId ? Number(threadId) : null };
+}
+
+/**
+ * @param {object} chat - Telegram chat
+ * @returns {boolean} Whether the chat is a group or supergroup
+ */
+export function isGroupChat(chat) {
+    return chat?.type === 'group' || chat?.type === 'supergroup';
+}
+
+/**
+ * Decides whether a group message is meant for the bot: a command (bare or `/cmd@thisbot`),
+ * an @mention, or a reply to one of the bot's messages. Private messages always are.
+ * @param {object} message - Telegram message
+ * @param {{id: number, username: string}} bot - The bot's own user (getMe)
+ * @returns {boolean}
+ */
+export function isAddressedToBot(message, bot) {
+    if (!isGroupChat(message.chat)) {
+        return true;
+    }
+
+    const text = message.text || message.caption || '';
+    const command = text.match(/^\/\w+(?:@(\w+))?/);
+    if (command) {
+        return !command[1] || sameUsername(command[1], bot.username);
+    }
+
+    const entities = message.entities || message.caption_entities || [];
+    const mentioned = entities.some(e =>
+        (e.type === 'mention' && sameUsername(text.slice(e.offset + 1, e.offset + e.length), bot.username)) ||
+        (e.type === 'text_mention' && e.user?.id === bot.id)
+    );
+    if (mentioned) {
+        return true;
+    }
+
+    // In forum topics every message "replies" to the topic's service message, so that one doesn't count
+    const repliedTo = message.reply_to_message;
+    return !!repliedTo && !repliedTo.forum_topic_created && repliedTo.from?.id === bot.id;
+}
+
+/**
+ * Removes "@thisbot" from a message, so "@clawbot what's new?" reads "what's new?".
+ * @param {string} text
+ * @param {string} username - The bot's username
+ * @returns {string}
+ */
+export function stripMention(text, username) {
+    if (!username) {
+        return text;
+    }
+    return text.replace(new RegExp(`(^|\\s)@${username}\\b[,:]?`, 'gi'), '$1').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * How a person is named in the history of a group chat, e.g. "Ada Obi (@ada)".
+ * @param {object} from - Telegram user
+ * @returns {string}
+ */
+export function speakerName(from) {
+    if (!from) {
+        return 'Someone';
+    }
+    const name = [from.first_name, from.last_name].filter(Boolean).join(' ') || `User ${from.id}`;
+    return from.username ? `${name} (@${from.username})` : name;
+}
+
+function sameUsername(a, b) {
+    return !!b && a.toLowerCase() === b.toLowerCase();
+}
@@ -1,58 +1,141 @@
 
-import { generateAIResponse } from './ai.js';
-import { parseCommand, extractUrl } from './utils.js';
+import { buildMessages } from './ai.js';
+import { extractUrl } from './utils.js';
+import { buildCommandRegistry, runCommand, findCommand, syncBotCommands, buildCallbackRegistry, runCallback } from './commands.js';
+import { sendMessage, callTelegram, createLiveMessage, getBotUser, chatTarget } from './telegram.js';
+import { runAgent, resumeAgent } from './agent.js';
+import { getChatSettings, llmOptions, getUserTimezone } from './settings.js';
+import { getChatHistory, saveChatHistory, getMemory } from './memory.js';
+import { enqueueUpdate, consumeUpdate } from './queue.js';
+import { conversationKey, splitConversationKey, isGroupChat, isAddressedToBot, stripMention, speakerName } from './groups.js';
+import { getRole, requiredRole, recordDenied, ownerIds } from './access.js';
+import { checkMessageRate, checkBudget } from './ratelimit.js';
+import { usageTracker, weeklyUsageSummary } from './usage.js';
+import { dueWatches, checkWatch, skipWatch } from './watch.js';
+import { dueTasks, finishTask } from './tasks.js';
+import { formatLocalTime } from './cron.js';
+import { buildSectionRegistry, dueBriefings, composeBriefing, finishBriefing, adoptJobPreferences } from './briefing.js';
 
 // Import Skills
 import { githubSkill } from './skills/github.js';
 import { browserSkill } from './skills/browser.js';
+import { browserSessionSkill } from './skills/browser_session.js';
+import { watchSkill } from './skills/watch.js';
+import { tasksSkill } from './skills/tasks.js';
+import { feedsSkill } from './skills/feeds.js';
+import { briefingSkill } from './skills/briefing.js';
 import { systemSkill } from './skills/system.js';
 import { selfImprovementSkill } from './skills/self_improvement.js';
 import { jobSearchSkill } from './skills/job_search.js';
+import { applicationsSkill } from './skills/applications.js';
+import { settingsSkill } from './skills/settings.js';
+import { recallSkill } from './skills/recall.js';
+import { accessSkill } from './skills/access.js';
+import { auditSkill } from './skills/audit.js';
+import { usageSkill } from './skills/usage.js';
 
 // Aggregate Skills
 const SKILLS = [
 	githubSkill,
 	browserSkill,
+	browserSessionSkill,
+	watchSkill,
+	tasksSkill,
+	feedsSkill,
+	briefingSkill,
 	systemSkill,
 	selfImprovementSkill,
-	jobSearchSkill
+	jobSearchSkill,
+	applicationsSkill,
+	settingsSkill,
+	recallSkill,
+	accessSkill,
+	auditSkill,
+	usageSkill
 ];
 
-// Flatten tools and handlers
-const TOOLS = SKILLS.flatMap(s => s.tools);
+// Flatten tools and handlers (each tool carries the role it needs, see access.js)
+const TOOLS = SKILLS.flatMap(s => s.tools.map(t => ({ ...t, role: requiredRole(t, s) })));
 const HANDLERS = Object.assign({}, ...SKILLS.map(s => s.handlers));
-
-const MAX_HISTORY = 10;
+const COMMANDS = buildCommandRegistry(SKILLS);
+const SECTIONS = buildSectionRegistry(SKILLS);
+const CALLBACKS = buildCallbackRegistry([
+	...SKILLS,
+	// Anyone may press; the requester or an admin may answer (see resumeAgent), and the tool
+	// still only runs if the approver's role allows it
+	{ name: 'agent', role: 'guest', callbacks: { confirm: handleConfirmCallback } }
+]);
+// Crons (wrangler.jsonc): a daily one for housekeeping, and a 5-minute tick for scheduled tasks,
+// page watches and briefings
+const DAILY_CRON = '0 8 * * *';
+// Unattended runs (cron) only get tools that never need a human to approve them
+const SAFE_TOOLS = TOOLS.filter(t => t.risk !== 'high');
 
 /**
- * Gets chat history from KV
+ * Handles inline keyboard button presses (callback_query updates)
  */
-async function getChatHistory(chatId, env) {
-	try {
-		const data = await env.CHAT_HISTORY.get(`chat:${chatId}`, { type: 'json' });
-		return data || [];
-	} catch (e) {
-		console.error('Error reading chat history:', e);
-		return [];
+async function handleCallbackQuery(callbackQuery, env) {
+	const message = callbackQuery.message;
+	const role = typeof message?.chat?.id === 'number' ? await getRole(message.chat, callbackQuery.from, env) : null;
+	if (!role) {
+		console.warn(`⚠️ [SECURITY] Rejected callback from chat: ${message?.chat?.id}, user: ${callbackQuery.from?.id}`);
+		await callTelegram('answerCallbackQuery', { callback_query_id: callbackQuery.id, text: '🚫 Unauthorized.' }, env);
+		return;
+	}
+
+	// Stop the button spinner straight away; the work below may take a while
+	await callTelegram('answerCallbackQuery', { callback_query_id: callbackQuery.id }, env);
+
+	const chatId = conversationKey(message);
+	const userId = callbackQuery.from?.id ?? message.chat.id;
+	const reply = await runCallback(callbackQuery, CALLBACKS, { env, chatId, userId, role });
+	if (reply) {
+		await sendMessage(chatId, reply, env);
 	}
 }
 
 /**
- * Saves chat history to KV
+ * Approve/Reject buttons for risky tool calls: resumes the suspended agent run
  */
-async function saveChatHistory(chatId, history, env) {
-	try {
-		const trimmedHistory = history.slice(-MAX_HISTORY);
-		await env.CHAT_HISTORY.put(`chat:${chatId}`, JSON.stringify(trimmedHistory), {
-			expirationTtl: 60 * 60 * 24 * 7
-		});
-	} catch (e) {
-		console.error('Error saving chat history:', e);
+async function handleConfirmCallback({ payload, env, chatId, userId, role, callbackQuery }) {
+	const [id, answer] = payload.split(':');
+	const approved = answer === 'yes';
+	const history = await getChatHistory(chatId, env);
+	const llm = { ...llmOptions(await getChatSettings(chatId, env)), onUsage: usageTracker({ chatId, userId, feature: 'chat' }, env) };
+
+	const result = await resumeAgent(id, approved, { env, chatId, userId, role, history, tools: TOOLS, handlers: HANDLERS, llm });
+	if (result.forbidden) {
+		// The prompt stays as it is for the person who asked
+		return `🔒 Only the person who asked, or an admin, can answer the ${result.toolName} request.`;
+	}
+	if (result.answered) {
+		// A double tap: the first one edits the prompt and replies
+		return null;
+	}
+
+	const original = callbackQuery.message;
+	const status = result.expired ? '⌛ This request has expired.' : approved ? '✅ Approved' : '❌ Rejected';
+	await callTelegram('editMessageText', {
+		chat_id: chatTarget(chatId).chat_id,
+		message_id: original.message_id,
+		text: `${original.text || ''}\n\n${status}`
+	}, env);
+
+	// Expired, or the run suspended again on another risky tool (a new prompt was sent)
+	if (!result.reply) {
+		return null;
 	}
+
+	history.push({ role: 'assistant', content: result.reply });
+	await saveChatHistory(chatId, history, env, llm);
+	return result.reply;
 }
 
+// Durable Object class behind the RATE_LIMITER binding (see wrangler.jsonc)
+export { RateLimiter } from './ratelimit.js';
+
 export default {
-	async fetch(request, env) {
+	async fetch(request, env, ctx) {
 		// 1. SECURITY: Validate Telegram webhook secret
 		if (env.TELEGRAM_SECRET_TOKEN) {
 			const receivedSecret = request.headers.get('X-Telegram-Bot-Api-Secret-Token');
@@ -73,354 +156,355 @@ export default {
 			return new Response("Bad Request", { status: 400 });
 		}
 
-		const message = update.message;
-		if (!message) {
-			return new Response("No message");
-		}
-
-		const chatId = message.chat.id;
+		// Acknowledge right away so Telegram never times out and redelivers; the update is
+		// processed by the queue consumer (see src/queue.js)
+		await enqueueUpdate(update, env, ctx, processUpdate);
+		return new Response("OK");
+	},
 
-		// 2. SECURITY: Validate chatId
-		if (!chatId || typeof chatId !== 'number') {
-			console.warn('⚠️ [SECURITY] Invalid chatId');
-			return new Response("Invalid request", { status: 400 });
+	async queue(batch, env, ctx) {
+		for (const message of batch.messages) {
+			await consumeUpdate(message, env, ctx, processUpdate);
 		}
+	},
 
-		// 3. SECURITY: User Authorization (Allowlist)
-		if (env.ALLOWED_CHAT_IDS) {
-			const allowedUsers = env.ALLOWED_CHAT_IDS.split(',').map(id => id.trim());
-			if (!allowedUsers.includes(chatId.toString())) {
-				console.warn(`⚠️ [SECURITY] Unauthorized user: ${chatId}`);
-				await fetch(`https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/sendMessage`, {
-					method: 'POST',
-					headers: { 'Content-Type': 'application/json' },
-					body: JSON.stringify({
-						chat_id: chatId,
-						text: '🚫 Unauthorized. This bot is private.'
-					})
-				});
-				return new Response("OK");
-			}
+	async scheduled(event, env, ctx) {
+		console.log('⏰ [CRON] Scheduled event triggered:', event.cron);
+		if (event.cron !== DAILY_CRON) {
+			await runScheduledTasks(env);
+			await runPageWatches(env);
+			await runBriefings(env);
+			return;
 		}
-
-		// 4. SECURITY: Rate Limiting (10 requests per minute)
-		const rateLimitKey = `ratelimit:${chatId}`;
-		const requestCount = await env.CHAT_HISTORY.get(rateLimitKey);
-		const RATE_LIMIT = 10;
-
-		if (requestCount && parseInt(requestCount) >= RATE_LIMIT) {
-			console.warn(`⚠️ [SECURITY] Rate limit exceeded for user: ${chatId}`);
-			await fetch(`https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/sendMessage`, {
-				method: 'POST',
-				headers: { 'Content-Type': 'application/json' },
-				body: JSON.stringify({
-					chat_id: chatId,
-					text: '⏱ Rate limit exceeded. Please wait a minute before trying again.'
-				})
-			});
-			return new Response("OK");
+		try {
+			await adoptJobPreferences(env);
+		} catch (e) {
+			console.error('⏰ [CRON] Adopting job preferences failed:', e);
 		}
+		// The owners' usage summary goes out on Mondays
+		if (new Date(event.scheduledTime).getUTCDay() === 1) {
+			await sendWeeklyUsageSummary(env);
+		}
+	}
+};
 
-		// Increment rate limit counter
-		const newCount = requestCount ? parseInt(requestCount) + 1 : 1;
-		await env.CHAT_HISTORY.put(rateLimitKey, newCount.toString(), { expirationTtl: 60 });
-
-		let text = message.text || message.caption || "";
+/**
+ * Processes one Telegram update (message or button press). Called by the queue consumer;
+ * errors are thrown so the consumer can retry them.
+ */
+async function processUpdate(update, env, ctx) {
+	if (update.callback_query) {
+		await handleCallbackQuery(update.callback_query, env);
+	} else if (update.message) {
+		await handleMessage(update.message, env, ctx);
+	}
+}
 
-		// 5. SECURITY: Input length validation
-		const MAX_INPUT_LENGTH = 4000;
-		if (text.length > MAX_INPUT_LENGTH) {
-			text = text.substring(0, MAX_INPUT_LENGTH) + '... (truncated)';
-		}
+/**
+ * Handles a message: security checks, then a slash command or the agent loop
+ */
+async function handleMessage(message, env, ctx) {
+	// 2. SECURITY: Validate chatId
+	if (typeof message.chat?.id !== 'number') {
+		console.warn('⚠️ [SECURITY] Invalid chatId');
+		return;
+	}
 
-		const fileId = message.voice?.file_id || message.audio?.file_id || message.document?.file_id || message.photo?.[message.photo.length - 1]?.file_id;
-		const mimeType = message.voice ? 'audio/ogg' : message.audio ? 'audio/mpeg' : message.document ? message.document.mime_type : 'image/jpeg';
+	// In groups, only answer commands, @mentions and replies to the bot, and thread the reply
+	// under the message it answers. Each forum topic is its own conversation.
+	const group = isGroupChat(message.chat);
+	const bot = group ? await getBotUser(env) : null;
+	if (group && !isAddressedToBot(message, bot)) {
+		return;
+	}
+	const chatId = conversationKey(message);
+	const replyOptions = group ? { reply_to_message_id: message.message_id } : {};
+
+	// 3. SECURITY: User Authorization (roles, see access.js). Users without a role can only /join.
+	const userId = message.from?.id ?? message.chat.id;
+	const role = await getRole(message.chat, message.from, env);
+	if (!role && !findCommand(message.text, COMMANDS)?.public) {
+		await recordDenied({ env, chatId, userId, role }, 'message', 'guest');
+		await sendMessage(chatId, '🚫 Unauthorized. This bot is private.', env, replyOptions);
+		return;
+	}
 
-		// If it's a voice note, we need to transcribe it (we'll do this inside ai.js or a helper using Whisper)
-		// If it's a photo, we pass it to Vision model
-		// If it's a document (PDF), we might need to extract text or pass to a tool
+	// 4. SECURITY: Rate Limiting (sliding one-minute window per person, see ratelimit.js)
+	const rate = await checkMessageRate(userId, env);
+	if (!rate.allowed) {
+		console.warn(`⚠️ [SECURITY] Rate limit exceeded for user: ${userId}`);
+		await sendMessage(chatId, `⏱ Rate limit exceeded. Please wait ${rate.retryAfter}s before trying again.`, env, replyOptions);
+		return;
+	}
 
-		console.log('📥 [REQUEST] Chat ID:', chatId);
-		console.log('📥 [REQUEST] Text/Caption:', text);
-		console.log('📥 [REQUEST] File ID:', fileId);
+	let text = message.text || message.caption || "";
+	if (group) {
+		text = stripMention(text, bot.username);
+	}
 
-		let context = {};
-		if (fileId) {
-			context.file = {
-				file_id: fileId,
-				mime_type: mimeType,
-				type: message.voice ? 'voice' : message.photo ? 'image' : 'document'
-			};
+	const fileId = message.voice?.file_id || message.audio?.file_id || message.document?.file_id || message.photo?.[message.photo.length - 1]?.file_id;
+	const mimeType = message.voice ? 'audio/ogg' : message.audio ? 'audio/mpeg' : message.document ? message.document.mime_type : 'image/jpeg';
+
+	// If it's a voice note, we need to transcribe it (we'll do this inside ai.js or a helper using Whisper)
+	// If it's a photo, we pass it to Vision model
+	// If it's a document (PDF), we might need to extract text or pass to a tool
+
+	console.log('📥 [REQUEST] Chat ID:', chatId);
+	console.log('📥 [REQUEST] Text/Caption:', text);
+	console.log('📥 [REQUEST] File ID:', fileId);
+
+	// The sender's local time, so the model can place "tomorrow at 9" (see /timezone)
+	const timezone = await getUserTimezone(userId, env);
+	let context = { time: { now: formatLocalTime(Date.now(), timezone), timezone } };
+	// History records who said what, so the model can tell group members apart
+	let userText = text;
+	if (group) {
+		context.group = { title: message.chat.title, speaker: speakerName(message.from) };
+		userText = `${speakerName(message.from)}: ${text}`;
+	}
+	if (fileId) {
+		context.file = {
+			file_id: fileId,
+			mime_type: mimeType,
+			type: message.voice ? 'voice' : message.photo ? 'image' : 'document',
+			// Seconds, for voice notes and audio (transcription is billed by the minute)
+			duration: message.voice?.duration ?? message.audio?.duration
+		};
+	}
+	let replyText = "";
+	let history = await getChatHistory(chatId, env);
+	const settings = await getChatSettings(chatId, env);
+	// Every model call made for this message is recorded for the chat and charged to the sender's daily budget
+	const llm = { ...llmOptions(settings), onUsage: usageTracker({ chatId, userId, feature: 'chat' }, env) };
+	const memory = await getMemory(chatId, env);
+
+	// Keep Telegram's command menu in sync with the registry (no-op when unchanged)
+	ctx?.waitUntil(syncBotCommands(COMMANDS, env));
+
+	// 1. Slash commands run deterministically, without going through the LLM
+	const commandReply = await runCommand(text, COMMANDS, {
+		env,
+		chatId,
+		userId,
+		role,
+		history,
+		message,
+		settings,
+		llm,
+		memory,
+		tools: TOOLS,
+		sections: SECTIONS,
+		runScheduled: () => runBriefings(env, { all: true })
+	});
+
+	if (commandReply !== null && typeof commandReply === 'object') {
+		// Menus such as /settings come with their own inline keyboard; onSent runs once Telegram
+		// took the reply (/briefing now only then marks its sections as seen)
+		const sent = await sendMessage(chatId, commandReply.text, env, { ...replyOptions, reply_markup: commandReply.reply_markup });
+		if (sent?.ok) {
+			await commandReply.onSent?.();
 		}
-		let replyText = "";
-		let history = await getChatHistory(chatId, env);
-
-		// 1. Check for basic /clear or /start commands for immediate action
-		// (Optional: move this to system.js if we want pure AI)
-		if (text === '/start' || text === '/clear' || text === '/test_cron' || text === '/help') {
-			history = [];
-			const helpText = "🦞 *Clawbot Capabilities*\n\n" +
-				"I am your advanced AI assistant. Here is what I can do:\n\n" +
-				"🗣 **Voice & Vision**\n" +
-				"• Send **Voice Notes** \u2013 I will transcribe and respond.\n" +
-				"• Send **Photos** \u2013 I will analyze and describe them.\n\n" +
-				"💼 **Job Search**\n" +
-				"• \"Find me a job in [Role]\"\n" +
-				"• Send a link to your **CV** (Google Doc/PDF) for analysis.\n" +
-				"• I run a **Daily Briefing** at 8 AM based on your preferences.\n\n" +
-				"🛠 **Tools**\n" +
-				"• 🐙 **GitHub**: Manage repos, issues, and PRs.\n" +
-				"• 🌐 **Browsing**: Search the web and read pages.\n\n" +
-				"**Commands**\n" +
-				"/start - Restart conversation\n" +
-				"/clear - Wipe memory\n" +
-				"/help - Show this menu";
-
-			if (text === '/start' || text === '/help') {
-				replyText = helpText;
-			} else if (text === '/test_cron') {
-				// Manually trigger the scheduled logic
-				const scheduledEvent = { cron: "0 8 * * *", type: "scheduled", scheduledTime: Date.now() };
-				await this.scheduled(scheduledEvent, env, { waitUntil: () => { } });
-				replyText = "✅ Triggered Morning Briefing manually.";
-			} else {
-				replyText = "🧹 Memory cleared.";
+		return;
+	} else if (commandReply !== null) {
+		replyText = commandReply;
+	} else {
+		// 2. AI Processing with Tools, while the sender has budget left today
+		const budget = await checkBudget(userId, env);
+		if (!budget.allowed) {
+			console.warn(`⏱ [LIMIT] Daily budget used up for user: ${userId}`);
+			await sendMessage(chatId, "💸 You've used today's AI budget. It resets at midnight UTC; see /usage for details.", env, replyOptions);
+			return;
+		}
+
+		const live = createLiveMessage(chatId, env, { replyTo: replyOptions.reply_to_message_id });
+		try {
+			// Determine if we need to inject context from URLs
+			const detectedUrl = extractUrl(text);
+			if (detectedUrl) {
+				// Note: We could use the Browser Skill here, but for now let's just pass the URL to the AI context formatting
+				// Actually, better to let the AI call 'browse_page' if it wants.
+				// But for "Review this PR", we might want to pre-fetch context.
+				// For pure "Clawbot", we let the AI decide.
+				// However, to keep it snappy, if it looks like a PR link, we might pre-fetch?
+				// Let's stick to pure AI + Tools for consistency. The AI has 'browse_page'.
 			}
-		} else {
-			// 2. AI Processing with Tools
-			try {
-				// Determine if we need to inject context from URLs
-				const detectedUrl = extractUrl(text);
-				if (detectedUrl) {
-					// Note: We could use the Browser Skill here, but for now let's just pass the URL to the AI context formatting
-					// Actually, better to let the AI call 'browse_page' if it wants.
-					// But for "Review this PR", we might want to pre-fetch context.
-					// For pure "Clawbot", we let the AI decide.
-					// However, to keep it snappy, if it looks like a PR link, we might pre-fetch?
-					// Let's stick to pure AI + Tools for consistency. The AI has 'browse_page'.
-				}
 
-				// Default to Smart Model
-				const model = "gpt-4o";
-
-				// Loop to allow multi-step tool execution (e.g. Read CV -> Search Jobs -> Answer)
-				let currentText = text;
-				const MAX_TURNS = 3;
-				let turn = 0;
-				let finalReply = "";
-
-				while (turn < MAX_TURNS) {
-					turn++;
-					// Only allow tools if we have turns left
-					const availableTools = (turn < MAX_TURNS) ? TOOLS : null;
-
-					const aiRes = await generateAIResponse(currentText, context, history, env, availableTools, model);
-
-					if (aiRes.tool_calls) {
-						replyText = "⚙️ Working on it..."; // Ephemeral status
-						let turnResults = "";
-
-						for (const toolCall of aiRes.tool_calls) {
-							const fnName = toolCall.function.name;
-							const fnArgs = JSON.parse(toolCall.function.arguments);
-							let toolResult = "";
-
-							console.log(`🛠 [TOOL] Executing ${fnName}`, fnArgs);
-
-							const handler = HANDLERS[fnName];
-							if (handler) {
-								try {
-									toolResult = await handler({
-										args: fnArgs,
-										env,
-										chatId,
-										history
-									});
-								} catch (e) {
-									toolResult = `Error executing ${fnName}: ${e.message}`;
-								}
-							} else {
-								toolResult = `Error: Tool ${fnName} not found.`;
-							}
-
-							turnResults += `\n- Tool ${fnName} result: ${toolResult}`;
-						}
-
-						// Prepare context for next turn
-						context = { type: 'tool_result', result: turnResults };
-						// We include the original request in the prompt to ensure context isn't lost
-						currentText = `[System] Tools executed.\nOriginal Request: "${text}"\n\nResults:${turnResults}\n\nBased on these results, proceed with the next step or answer the user.`;
-
-					} else {
-						// No tools called, this is the final response
-						finalReply = aiRes.content;
-						break;
-					}
-				}
+			// Placeholder + typing right away; tool steps and the streamed reply edit it in place
+			await live.start();
 
-				replyText = finalReply || "⚠️ I got confused and stopped thinking.";
+			const messages = await buildMessages(userText, context, history, env, settings, memory, llm);
+			const result = await runAgent(
+				{ messages, turn: 0, queue: [] },
+				{
+					env, chatId, userId, role, history, tools: TOOLS, handlers: HANDLERS, llm,
+					onProgress: (status) => live.update(status),
+					onToken: (partial) => live.update(`${partial} ▍`)
+				}
+			);
 
-				// Append to history
-				history.push({ role: 'user', content: text });
-				history.push({ role: 'assistant', content: replyText });
+			// Append to history
+			history.push({ role: 'user', content: userText });
 
-			} catch (error) {
-				console.error("Handler Error:", error);
-				replyText = "⚠️ I crashed! Something went wrong.";
+			if (result.pending) {
+				// The Approve/Reject prompt was already sent; the run resumes on callback_query
+				replyText = `🛑 Waiting for your approval to run ${result.pending.toolName}.`;
+			} else {
+				replyText = result.reply;
 			}
+			history.push({ role: 'assistant', content: replyText });
+		} catch (error) {
+			console.error("Handler Error:", error);
+			replyText = "⚠️ I crashed! Something went wrong.";
 		}
 
-		await saveChatHistory(chatId, history, env);
-
-		await saveChatHistory(chatId, history, env);
+		// Reply before saving: saving may summarize older history, which takes a model call
+		await live.finish(replyText);
+		await saveChatHistory(chatId, history, env, llm);
+		return;
+	}
 
-		const telegramUrl = `https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/sendMessage`;
-		const payload = {
-			chat_id: chatId,
-			text: replyText,
-			parse_mode: 'Markdown'
-		};
+	await sendMessage(chatId, replyText, env, replyOptions);
+}
 
-		let response = await fetch(telegramUrl, {
-			method: "POST",
-			headers: { "Content-Type": "application/json" },
-			body: JSON.stringify(payload)
+/**
+ * Sends last week's usage summary (see usage.js) to every owner
+ */
+async function sendWeeklyUsageSummary(env) {
+	try {
+		const summary = await weeklyUsageSummary(env);
+		for (const ownerId of ownerIds(env)) {
+			await sendMessage(ownerId, summary, env);
 		}
-		);
-
-		let responseData = await response.json();
-		console.log('📤 [RESPONSE] Telegram API Response:', responseData);
-
-		if (!responseData.ok) {
-			console.error('📤 [ERROR] Failed to send message:', responseData);
-			// Retry without Markdown if it failed likely due to parsing
-			if (responseData.error_code === 400) {
-				console.log('⚠️ [RETRY] Sending as plain text due to Markdown error');
-				delete payload.parse_mode;
-				response = await fetch(telegramUrl, {
-					method: "POST",
-					headers: { "Content-Type": "application/json" },
-					body: JSON.stringify(payload)
-				});
-				responseData = await response.json();
-				console.log('📤 [RETRY RESPONSE] Telegram API Response:', responseData);
+	} catch (e) {
+		console.error('⏰ [CRON] Usage summary failed:', e);
+	}
+}
+
+/**
+ * Runs the scheduled tasks that are due (see tasks.js): reminders are sent as they are, agent
+ * tasks run their prompt with the unattended tools, as their author (role and budget)
+ */
+async function runScheduledTasks(env) {
+	try {
+		for (const task of await dueTasks(env)) {
+			let error = null;
+			try {
+				if (task.mode === 'agent') {
+					await runTaskPrompt(task, env);
+				} else {
+					await sendMessage(task.chatId, `⏰ *Reminder:* ${task.text}`, env);
+				}
+			} catch (e) {
+				console.error('⏰ [CRON] Task failed:', task.id, e);
+				error = e.message;
 			}
+			await finishTask(task, env, { error });
 		}
+	} catch (e) {
+		console.error('⏰ [CRON] Scheduled tasks failed:', e);
+	}
+}
 
-		return new Response("OK");
-	},
+async function runTaskPrompt(task, env) {
+	// The author's current role: access may have changed since the task was set
+	const role = await getRole({ id: splitConversationKey(task.chatId).chatId }, { id: task.userId }, env);
+	if (!role) {
+		throw new Error('Its author no longer has access to the bot.');
+	}
+	const budget = await checkBudget(task.userId, env);
+	if (!budget.allowed) {
+		await sendMessage(task.chatId, `⏰ Skipped "${task.text}": today's AI budget is used up.`, env);
+		throw new Error("The daily AI budget was used up.");
+	}
 
-	async scheduled(event, env, ctx) {
-		console.log('⏰ [CRON] Scheduled event triggered');
-		// Logic for Morning Job Briefing
-		// 1. Iterate over all users in USER_PREFS (this requires listing keys, which might be slow if many users, but fine for personal bot)
-		// 2. For each user, get preferences
-		// 3. Call jobSearchSkill.handlers.search_jobs
-		// 4. Send message to user
+	const settings = await getChatSettings(task.chatId, env);
+	const llm = { ...llmOptions(settings), onUsage: usageTracker({ chatId: task.chatId, userId: task.userId, feature: 'task' }, env) };
+	const history = await getChatHistory(task.chatId, env);
+	const memory = await getMemory(task.chatId, env);
+	const prompt = `Scheduled task set by the user: "${task.text}"
+Do it now and reply with the result. The user is not in the conversation right now, so don't ask questions; if something is unclear, make a sensible choice and say so.`;
+	const context = { type: 'scheduled_task', time: { now: formatLocalTime(Date.now(), task.timezone), timezone: task.timezone } };
+	const messages = await buildMessages(prompt, context, history, env, settings, memory, llm);
+	const result = await runAgent(
+		{ messages, turn: 0, queue: [] },
+		{ env, chatId: task.chatId, userId: task.userId, role, history, tools: SAFE_TOOLS, handlers: HANDLERS, llm }
+	);
+	if (result.reply) {
+		await sendMessage(task.chatId, `🤖 *${task.text}*\n\n${result.reply}`, env);
+	}
+}
 
-		try {
-			const keys = await env.USER_PREFS.list();
-			for (const key of keys.keys) {
-				const chatId = key.name.replace('prefs:', '');
-				const prefs = await env.USER_PREFS.get(key.name, { type: 'json' });
-
-				if (prefs) {
-					const query = `${prefs.role} ${prefs.keywords.join(' ')}`;
-					console.log(`⏰ [CRON] Searching for user ${chatId}: ${query}`);
-
-					// Artificial context for the AI
-					const history = await getChatHistory(chatId, env);
-
-					// We can reuse the AI to generate a friendly message
-					// Or call the tool directly. Let's ask the AI to do it to keep the persona.
-					const prompt = `It is time for the Morning Job Briefing! 
-                    The user is looking for: ${JSON.stringify(prefs)}. 
-                    Please use the 'search_jobs' tool to find 3 relevant jobs and then summarize them nicely for the user.
-                    Be enthusiastic!`;
-
-					const aiRes = await generateAIResponse(prompt, { type: 'scheduled_task' }, history, env, TOOLS, "gpt-4o");
-
-					// Handle tool calls if any (AI should call search_jobs)
-					if (aiRes.tool_calls) {
-						// ... similar loop to main fetch ... 
-						// For simplicity in this Cron handler, let's just do one turn of tool execution
-						for (const toolCall of aiRes.tool_calls) {
-							const fnName = toolCall.function.name;
-							const fnArgs = JSON.parse(toolCall.function.arguments);
-							const handler = HANDLERS[fnName];
-							if (handler) {
-								const toolResult = await handler({ args: fnArgs, env, chatId, history });
-								// Get final response
-								const finalRes = await generateAIResponse(
-									`Tool ${fnName} result: ${toolResult}. Now write the morning briefing.`,
-									{ type: 'tool_result' },
-									history,
-									env,
-									null,
-									"gpt-4o"
-								);
-
-								const telegramUrl = `https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/sendMessage`;
-								const payload = {
-									chat_id: chatId,
-									text: finalRes.content,
-									parse_mode: 'Markdown'
-								};
-
-								let response = await fetch(telegramUrl, {
-									method: "POST",
-									headers: { "Content-Type": "application/json" },
-									body: JSON.stringify(payload)
-								});
-								let responseData = await response.json();
-								console.log('📤 [CRON RESPONSE] Telegram API:', responseData);
-
-								if (!responseData.ok) {
-									console.error('📤 [CRON ERROR] Telegram API Failed:', responseData);
-									if (responseData.error_code === 400) {
-										delete payload.parse_mode;
-										await fetch(telegramUrl, {
-											method: "POST",
-											headers: { "Content-Type": "application/json" },
-											body: JSON.stringify(payload)
-										});
-									}
-								}
-							}
-						}
-					} else {
-						// Just send content
-						const telegramUrl = `https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/sendMessage`;
-						const payload = {
-							chat_id: chatId,
-							text: aiRes.content,
-							parse_mode: 'Markdown'
-						};
-
-						let response = await fetch(telegramUrl, {
-							method: "POST",
-							headers: { "Content-Type": "application/json" },
-							body: JSON.stringify(payload)
-						});
-						let responseData = await response.json();
-						console.log('📤 [CRON RESPONSE] Telegram API:', responseData);
-
-						if (!responseData.ok) {
-							console.error('📤 [CRON ERROR] Telegram API Failed:', responseData);
-							if (responseData.error_code === 400) {
-								delete payload.parse_mode;
-								await fetch(telegramUrl, {
-									method: "POST",
-									headers: { "Content-Type": "application/json" },
-									body: JSON.stringify(payload)
-								});
-							}
-						}
-					}
+/**
+ * Checks the page watches that are due (see watch.js) and sends their alerts, each as its
+ * owner (current role and budget). A failing watch doesn't stop the others.
+ */
+async function runPageWatches(env) {
+	try {
+		for (const watch of await dueWatches(env)) {
+			try {
+				// Watches from before owners were recorded belong to the (private) chat
+				const chatId = splitConversationKey(watch.chatId).chatId;
+				const userId = watch.userId ?? chatId;
+				const role = await getRole({ id: chatId }, { id: userId }, env);
+				if (!role) {
+					await skipWatch(watch, 'Its owner no longer has access to the bot.', env);
+					continue;
+				}
+				const budget = await checkBudget(userId, env);
+				if (!budget.allowed) {
+					await skipWatch(watch, "Skipped: today's AI budget is used up.", env);
+					continue;
 				}
+
+				const settings = await getChatSettings(watch.chatId, env);
+				const onUsage = usageTracker({ chatId: watch.chatId, userId, feature: 'watch' }, env);
+				const alert = await checkWatch(watch, env, { ...llmOptions(settings), onUsage });
+				if (alert) {
+					await sendMessage(watch.chatId, alert, env);
+				}
+			} catch (e) {
+				console.error('🔔 [WATCH] Failed for', watch.id, e);
 			}
-		} catch (e) {
-			console.error('⏰ [CRON] Error:', e);
 		}
+	} catch (e) {
+		console.error('⏰ [CRON] Page watches failed:', e);
 	}
-};
+}
+
+/**
+ * Sends the briefings that are due (see briefing.js), each with its owner's current role.
+ * A failing briefing is recorded on it (shown by /briefing) and the others still go out.
+ * @param {object} env
+ * @param {object} options
+ * @param {boolean} options.all - (Optional) Every enabled briefing, due or not (/test_cron)
+ */
+async function runBriefings(env, { all = false } = {}) {
+	try {
+		for (const briefing of await dueBriefings(env, { all })) {
+			let error = null;
+			// Sections note what they showed; a briefing that doesn't go out mustn't count as seen
+			const state = structuredClone(briefing.state);
+			try {
+				// Access may have changed since the briefing was set up
+				const role = await getRole({ id: splitConversationKey(briefing.chatId).chatId }, { id: briefing.userId }, env);
+				if (!role) {
+					throw new Error('Its owner no longer has access to the bot.');
+				}
+				const settings = await getChatSettings(briefing.chatId, env);
+				const llm = { ...llmOptions(settings), onUsage: usageTracker({ chatId: briefing.chatId, userId: briefing.userId, feature: 'briefing' }, env) };
+				const text = await composeBriefing(briefing, SECTIONS, { env, role, llm });
+				const sent = await sendMessage(briefing.chatId, text, env);
+				if (!sent?.ok) {
+					throw new Error(`Telegram refused it: ${sent?.description || 'unknown error'}`);
+				}
+			} catch (e) {
+				console.error('☀️ [BRIEFING] Failed for', briefing.chatId, e);
+				briefing.state = state;
+				error = e.message;
+			}
+			await finishBriefing(briefing, env, { error });
+		}
+	} catch (e) {
+		console.error('⏰ [CRON] Briefings failed:', e);
+	}
+}
@@ -0,0 +1,29 @@
+import { toJob } from './job.js';
+
+/**
+ * Arbeitnow (https://www.arbeitnow.com/api/job-board-api): the latest postings, mostly in
+ * Europe. The API has no search, so the query is applied afterwards (see index.js).
+ */
+export const arbeitnowSource = {
+    name: 'arbeitnow',
+    label: 'Arbeitnow',
+    async search() {
+        const res = await fetch('https://www.arbeitnow.com/api/job-board-api');
+        if (!res.ok) {
+            throw new Error(`Arbeitnow returned ${res.status}`);
+        }
+        const { data } = await res.json();
+        return (data || []).map(j => toJob({
+            source: 'arbeitnow',
+            title: j.title,
+            company: j.company_name,
+            url: j.url,
+            location: j.location,
+            remote: Boolean(j.remote),
+            tags: [...(j.tags || []), ...(j.job_types || [])],
+            description: j.description,
+            // Unix seconds
+            postedAt: j.created_at ? j.created_at * 1000 : null
+        }));
+    }
+};
@@ -0,0 +1,31 @@
+import { toJob, boardList, readBoards } from './job.js';
+
+/**
+ * Greenhouse job boards of the companies listed in GREENHOUSE_BOARDS (board tokens, as in
+ * boards.greenhouse.io/<token>). The query is applied afterwards (see index.js).
+ */
+export const greenhouseSource = {
+    name: 'greenhouse',
+    label: 'Greenhouse',
+    async search(query, env) {
+        const boards = boardList(env.GREENHOUSE_BOARDS);
+        return await readBoards(boards, async (board) => {
+            const res = await fetch(`https://boards-api.greenhouse.io/v1/boards/${encodeURIComponent(board)}/jobs?content=true`);
+            if (!res.ok) {
+                throw new Error(`Greenhouse board ${board} returned ${res.status}`);
+            }
+            const { jobs } = await res.json();
+            return (jobs || []).map(j => toJob({
+                source: 'greenhouse',
+                title: j.title,
+                company: j.company_name || board,
+                url: j.absolute_url,
+                location: j.location?.name,
+                tags: (j.departments || []).map(d => d.name),
+                // Entity-encoded HTML
+                description: j.content,
+                postedAt: j.first_published || j.updated_at
+            }));
+        });
+    }
+};
@@ -0,0 +1,172 @@
+import { remoteOkSource } from './remoteok.js';
+import { arbeitnowSource } from './arbeitnow.js';
+import { weWorkRemotelySource } from './weworkremotely.js';
+import { greenhouseSource } from './greenhouse.js';
+import { leverSource } from './lever.js';
+import { mentionsSkill } from './skills.js';
+import { formatSalary } from './job.js';
+
+/**
+ * Job search across boards.
+ *
+ * Each source is an adapter `{ name, label, search({ text, terms }, env) }` that returns
+ * postings in the shape of `toJob` (job.js). Sources that read several boards return
+ * `{ jobs, errors }` instead, so a failing board is reported like a failing source. Boards
+ * without a search API return their latest postings and the query is applied here. Results
+ * are merged, deduplicated by company and title (the first source wins, in the order below),
+ * filtered, then ranked against the skills from the user's CV and job preferences.
+ */
+
+export const JOB_SOURCES = [remoteOkSource, arbeitnowSource, weWorkRemotelySource, greenhouseSource, leverSource];
+
+const SENIORITY = ['junior', 'mid', 'senior', 'lead'];
+// Words of a query that say nothing about the job itself
+const STOP_WORDS = new Set(['and', 'the', 'for', 'with', 'job', 'jobs', 'remote', 'role', 'position', 'senior', 'junior', 'lead', 'mid']);
+// A posting's share of the score (0-100)
+const SKILLS_POINTS = 60;
+const TITLE_POINTS = 25;
+const RECENCY_POINTS = 15;
+// Skills beyond this many don't need to match for full marks
+const SKILLS_FOR_FULL_MARKS = 6;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Searches every source and merges the results. A failing source or board is reported, not fatal.
+ * @param {object} criteria
+ * @param {string} criteria.query - Job title or keywords
+ * @param {string} criteria.location - (Optional) "Remote", or a place the location must mention
+ * @param {number} criteria.minSalary - (Optional) Yearly; postings without a salary are kept
+ * @param {string} criteria.seniority - (Optional) junior, mid, senior or lead
+ * @param {object} env
+ * @param {Array} sources - (Optional) Default JOB_SOURCES
+ * @returns {Promise<{jobs: object[], errors: string[]}>} Jobs newest first, and the sources and boards that failed
+ */
+export async function searchJobs({ query, location = '', minSalary = null, seniority = null }, env, sources = JOB_SOURCES) {
+    const terms = queryTerms(query);
+    const results = await Promise.allSettled(sources.map(source => source.search({ text: query, terms }, env)));
+
+    const errors = [];
+    const found = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled' && Array.isArray(result.value)) {
+            found.push(...result.value);
+        } else if (result.status === 'fulfilled') {
+            found.push(...result.value.jobs);
+            errors.push(...result.value.errors.map(error => `${sources[i].label}: ${error}`));
+        } else {
+            console.error(`[JOB SEARCH] ${sources[i].label} failed:`, result.reason);
+            errors.push(`${sources[i].label}: ${result.reason.message}`);
+        }
+    });
+
+    const jobs = dedupeJobs(found.filter(job => job.url && matchesQuery(job, terms)))
+        .filter(job => matchesLocation(job, location))
+        .filter(job => !minSalary || !job.salary || (job.salary.max || job.salary.min) >= minSalary)
+        .filter(job => !SENIORITY.includes(seniority) || job.seniority === seniority)
+        .sort((a, b) => (b.postedAt || '').localeCompare(a.postedAt || ''));
+    return { jobs, errors };
+}
+
+/**
+ * Scores jobs (0-100) against the user's skills and the query, best first. Each job gets a
+ * `score` and the `reasons` behind it ("why it matches").
+ * @param {object[]} jobs - From searchJobs
+ * @param {object} profile
+ * @param {string[]} profile.skills - From the CV and job preferences
+ * @param {string} profile.query - (Optional) The search, matched against titles
+ * @param {number} now - (Optional) Timestamp in ms
+ * @returns {object[]} New job objects with `score` and `reasons`
+ */
+export function rankJobs(jobs, { skills = [], query = '' }, now = Date.now()) {
+    const terms = queryTerms(query);
+    return jobs.map(job => {
+        const text = `${job.title} ${job.tags.join(' ')} ${job.description}`;
+        const matched = skills.filter(skill => mentionsSkill(text, skill));
+        const inTitle = terms.filter(term => mentionsSkill(job.title, term));
+        const age = job.postedAt ? (now - Date.parse(job.postedAt)) / DAY : Infinity;
+
+        const skillScore = skills.length > 0 ? Math.min(1, matched.length / Math.min(skills.length, SKILLS_FOR_FULL_MARKS)) : 0;
+        const titleScore = terms.length > 0 ? inTitle.length / terms.length : 0;
+        const recencyScore = age <= 3 ? 1 : age <= 7 ? 0.66 : age <= 30 ? 0.33 : 0;
+        // Without skills to compare, the title carries their weight
+        const score = skills.length > 0
+            ? skillScore * SKILLS_POINTS + titleScore * TITLE_POINTS + recencyScore * RECENCY_POINTS
+            : titleScore * (SKILLS_POINTS + TITLE_POINTS) + recencyScore * RECENCY_POINTS;
+
+        const reasons = [];
+        if (matched.length > 0) {
+            reasons.push(`your skills ${matched.slice(0, 5).join(', ')}${matched.length > 5 ? ` and ${matched.length - 5} more` : ''}`);
+        }
+        if (inTitle.length > 0) {
+            reasons.push(`"${inTitle.join(' ')}" in the title`);
+        }
+        if (age <= 7) {
+            reasons.push(age < 1 ? 'posted today' : `posted ${Math.floor(age)} day${Math.floor(age) === 1 ? '' : 's'} ago`);
+        }
+        if (job.salary) {
+            reasons.push(`pays ${formatSalary(job.salary)}`);
+        }
+        return { ...job, score: Math.round(score), reasons };
+    }).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Keeps the first posting of each company and title; the others add their source to it.
+ * @param {object[]} jobs
+ * @returns {object[]}
+ */
+export function dedupeJobs(jobs) {
+    const byKey = new Map();
+    for (const job of jobs) {
+        const key = `${normalizeCompany(job.company)}|${normalizeText(job.title)}`;
+        const first = byKey.get(key);
+        if (first) {
+            if (!first.sources.includes(job.source)) {
+                first.sources.push(job.source);
+            }
+        } else {
+            byKey.set(key, { ...job, sources: [job.source] });
+        }
+    }
+    return [...byKey.values()];
+}
+
+/**
+ * The words of a search that a posting should mention.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function queryTerms(query) {
+    // Clean query: remove punctuation, split by space/comma, filter short words
+    // Example: "Flutter, Dart, Kotlin" -> ["flutter", "dart", "kotlin"]
+    return String(query || '').toLowerCase()
+        .replace(/[^\w\s+#.]/g, ' ')
+        .split(/\s+/)
+        .map(w => w.replace(/^\.+|\.+$/g, ''))
+        .filter(w => w.length > 2 && !STOP_WORDS.has(w));
+}
+
+// Any term in the title or tags (an empty query matches everything)
+function matchesQuery(job, terms) {
+    const text = `${job.title} ${job.tags.join(' ')}`;
+    return terms.length === 0 || terms.some(term => mentionsSkill(text, term));
+}
+
+function matchesLocation(job, location) {
+    const wanted = String(location || '').trim().toLowerCase();
+    if (!wanted) {
+        return true;
+    }
+    if (wanted === 'remote') {
+        return job.remote;
+    }
+    return job.location.toLowerCase().includes(wanted);
+}
+
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function normalizeCompany(company) {
+    return normalizeText(company).replace(/\b(inc|llc|ltd|gmbh|corp|co|sa|ag|bv)\b/g, '').replace(/\s+/g, ' ').trim();
+}
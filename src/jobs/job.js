@@ -0,0 +1,116 @@
+import { htmlToText } from '../extract.js';
+
+// Characters of a posting's description kept for matching and ranking
+const MAX_DESCRIPTION = 4000;
+
+/**
+ * The common shape of a job posting, whatever board it comes from.
+ * @param {object} fields
+ * @param {string} fields.source - Board name, e.g. "remoteok"
+ * @param {string} fields.title
+ * @param {string} fields.company
+ * @param {string} fields.url
+ * @param {string} fields.location - (Optional) As the board gives it
+ * @param {boolean} fields.remote - (Optional) Default: whether the location says so
+ * @param {{min: number|null, max: number|null, currency: string|null}|null} fields.salary - (Optional) Yearly
+ * @param {string[]} fields.tags - (Optional)
+ * @param {string} fields.description - (Optional) HTML or text
+ * @param {string|number|null} fields.postedAt - (Optional) Date string or timestamp in ms
+ * @returns {object} With an `id` derived from the URL, the same across searches
+ */
+export function toJob({ source, title, company, url, location = '', remote = null, salary = null, tags = [], description = '', postedAt = null }) {
+    const time = postedAt === null || postedAt === undefined ? NaN : new Date(postedAt).getTime();
+    const place = String(location || '').trim();
+    return {
+        id: jobId(url),
+        source,
+        title: String(title || '').trim(),
+        company: String(company || '').trim(),
+        url,
+        location: place || (remote ? 'Remote' : ''),
+        remote: remote ?? /remote|anywhere|worldwide/i.test(place),
+        salary: salary && (salary.min || salary.max) ? { min: salary.min || null, max: salary.max || null, currency: salary.currency || null } : null,
+        tags: tags.filter(Boolean).map(t => String(t).toLowerCase()),
+        description: htmlToText(description).slice(0, MAX_DESCRIPTION),
+        postedAt: Number.isNaN(time) ? null : new Date(time).toISOString(),
+        seniority: seniorityOf(title)
+    };
+}
+
+/**
+ * Short id of a posting, for the model to refer to it (save_job): FNV-1a of its URL.
+ * @param {string} url
+ * @returns {string} 8 hex digits
+ */
+export function jobId(url) {
+    let hash = 0x811c9dc5;
+    for (const char of String(url || '')) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * The entries of a comma-separated env var such as GREENHOUSE_BOARDS.
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function boardList(value) {
+    return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Reads every board of a source on its own, so a misspelled or removed board doesn't hide the
+ * postings of the others.
+ * @param {string[]} boards - From boardList
+ * @param {function(string): Promise<object[]>} readBoard - The postings of one board
+ * @returns {Promise<{jobs: object[], errors: string[]}>} The postings, and the boards that failed
+ */
+export async function readBoards(boards, readBoard) {
+    const results = await Promise.allSettled(boards.map(readBoard));
+    const jobs = [];
+    const errors = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            jobs.push(...result.value);
+        } else {
+            console.error(`[JOB SEARCH] Board ${boards[i]} failed:`, result.reason);
+            errors.push(result.reason.message);
+        }
+    });
+    return { jobs, errors };
+}
+
+/**
+ * The level a job title asks for.
+ * @param {string} title
+ * @returns {'junior'|'mid'|'senior'|'lead'} "mid" when the title doesn't say
+ */
+export function seniorityOf(title) {
+    const lower = String(title || '').toLowerCase();
+    if (/\b(lead|principal|staff|head|director|architect|vp)\b/.test(lower)) return 'lead';
+    if (/\b(senior|sr\.?)(?![a-z])/.test(lower)) return 'senior';
+    if (/\b(junior|jr\.?|intern|internship|graduate|entry[- ]level|trainee|werkstudent)(?![a-z])/.test(lower)) return 'junior';
+    return 'mid';
+}
+
+/**
+ * Formats a salary range: "$120k–$150k", "€60k+", "up to 90k GBP".
+ * @param {{min: number|null, max: number|null, currency: string|null}|null} salary
+ * @returns {string} Empty when there is none
+ */
+export function formatSalary(salary) {
+    if (!salary) {
+        return '';
+    }
+    const symbol = { USD: '$', EUR: '€', GBP: '£' }[(salary.currency || 'USD').toUpperCase()];
+    const amount = (n) => {
+        const short = n >= 1000 ? `${Math.round(n / 1000)}k` : String(n);
+        return symbol ? `${symbol}${short}` : short;
+    };
+    const suffix = symbol ? '' : ` ${salary.currency}`;
+    if (salary.min && salary.max) return `${amount(salary.min)}–${amount(salary.max)}${suffix}`;
+    if (salary.min) return `${amount(salary.min)}+${suffix}`;
+    return `up to ${amount(salary.max)}${suffix}`;
+}
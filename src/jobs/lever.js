@@ -0,0 +1,34 @@
+import { toJob, boardList, readBoards } from './job.js';
+
+/**
+ * Lever job boards of the companies listed in LEVER_COMPANIES (as in jobs.lever.co/<company>).
+ * The query is applied afterwards (see index.js).
+ */
+export const leverSource = {
+    name: 'lever',
+    label: 'Lever',
+    async search(query, env) {
+        const companies = boardList(env.LEVER_COMPANIES);
+        return await readBoards(companies, async (company) => {
+            const res = await fetch(`https://api.lever.co/v0/postings/${encodeURIComponent(company)}?mode=json`);
+            if (!res.ok) {
+                throw new Error(`Lever board ${company} returned ${res.status}`);
+            }
+            const postings = await res.json();
+            return postings.map(j => toJob({
+                source: 'lever',
+                title: j.text,
+                company,
+                url: j.hostedUrl,
+                location: j.categories?.location,
+                remote: j.workplaceType ? j.workplaceType === 'remote' : null,
+                // Hourly and monthly ranges aren't comparable with the yearly ones of other boards
+                salary: j.salaryRange?.interval === 'per-year-salary' ? { min: j.salaryRange.min, max: j.salaryRange.max, currency: j.salaryRange.currency } : null,
+                tags: [j.categories?.team, j.categories?.commitment],
+                description: j.descriptionPlain || j.description,
+                // Timestamp in ms
+                postedAt: j.createdAt
+            }));
+        });
+    }
+};
@@ -0,0 +1,45 @@
+import { toJob } from './job.js';
+
+/**
+ * RemoteOK (https://remoteok.com/api): searched by tags taken from the query.
+ */
+export const remoteOkSource = {
+    name: 'remoteok',
+    label: 'RemoteOK',
+    async search({ terms }) {
+        // RemoteOK API allows comma separated tags.
+        // However, too many tags often result in 0 matches because it might try to match ALL (AND) or generic/specific conflicts.
+        // Strategy: Try with all tags first. If 0 results, try with just the first tag (usually the role or main skill).
+        const tags = terms.join(',');
+        console.log(`[JOB SEARCH] Fetching from RemoteOK with tags: ${tags}`);
+        let jobs = await fetchJobs(tags);
+
+        // FALLBACK: If 0 results and we have multiple tags, try searching with just the first tag (broadest)
+        if (jobs.length === 0 && terms.length > 1) {
+            console.log(`[JOB SEARCH] No results for "${tags}". Retrying with fallback tag: "${terms[0]}"`);
+            jobs = await fetchJobs(terms[0]);
+        }
+
+        return jobs.map(j => toJob({
+            source: 'remoteok',
+            title: j.position,
+            company: j.company,
+            url: j.url,
+            location: j.location,
+            remote: true,
+            salary: { min: j.salary_min, max: j.salary_max, currency: 'USD' },
+            tags: j.tags || [],
+            description: j.description,
+            postedAt: j.date
+        }));
+    }
+};
+
+async function fetchJobs(tags) {
+    const res = await fetch(`https://remoteok.com/api?tag=${encodeURIComponent(tags)}`);
+    if (!res.ok) {
+        throw new Error(`RemoteOK returned ${res.status}`);
+    }
+    // API returns array, first item is legal/disclaimer
+    return (await res.json()).slice(1);
+}
@@ -0,0 +1,101 @@
+/**
+ * The skills the job search recognizes in CVs and postings, with their common spellings.
+ * Matching is on whole words, case-insensitive, so "Java" doesn't match "JavaScript" and
+ * "React" doesn't match "reactive".
+ */
+const SKILLS = {
+    'javascript': ['javascript', 'js', 'ecmascript'],
+    'typescript': ['typescript'],
+    'python': ['python'],
+    'java': ['java'],
+    'kotlin': ['kotlin'],
+    'swift': ['swift'],
+    // Plain "go" is too common a word
+    'go': ['golang', 'go developer', 'go engineer', 'in go'],
+    'rust': ['rust'],
+    'ruby': ['ruby'],
+    'php': ['php'],
+    'c#': ['c#', 'csharp'],
+    'c++': ['c++', 'cpp'],
+    'scala': ['scala'],
+    'elixir': ['elixir'],
+    'dart': ['dart'],
+    'sql': ['sql'],
+    'react': ['react', 'react.js', 'reactjs'],
+    'react native': ['react native'],
+    'vue': ['vue', 'vue.js', 'vuejs'],
+    'angular': ['angular'],
+    'svelte': ['svelte'],
+    'next.js': ['next.js', 'nextjs'],
+    'node.js': ['node.js', 'nodejs', 'node'],
+    'django': ['django'],
+    'flask': ['flask'],
+    'rails': ['rails', 'ruby on rails'],
+    'laravel': ['laravel'],
+    'spring': ['spring', 'spring boot'],
+    '.net': ['.net', 'dotnet'],
+    'flutter': ['flutter'],
+    'android': ['android'],
+    'ios': ['ios'],
+    'graphql': ['graphql'],
+    'postgresql': ['postgresql', 'postgres'],
+    'mysql': ['mysql'],
+    'mongodb': ['mongodb', 'mongo'],
+    'redis': ['redis'],
+    'elasticsearch': ['elasticsearch'],
+    'kafka': ['kafka'],
+    'aws': ['aws', 'amazon web services'],
+    'gcp': ['gcp', 'google cloud'],
+    'azure': ['azure'],
+    'cloudflare': ['cloudflare'],
+    'docker': ['docker'],
+    'kubernetes': ['kubernetes', 'k8s'],
+    'terraform': ['terraform'],
+    'linux': ['linux'],
+    'ci/cd': ['ci/cd', 'github actions', 'gitlab ci', 'jenkins'],
+    'machine learning': ['machine learning', 'ml'],
+    'pytorch': ['pytorch'],
+    'tensorflow': ['tensorflow'],
+    'data engineering': ['data engineering', 'etl', 'airflow', 'spark'],
+    'html': ['html'],
+    'css': ['css', 'tailwind', 'sass'],
+    'figma': ['figma'],
+    'product management': ['product management', 'product manager'],
+    'devops': ['devops', 'sre'],
+    'security': ['security', 'appsec'],
+    'testing': ['testing', 'qa', 'cypress', 'playwright', 'jest']
+};
+
+/**
+ * The known skills a text mentions (CVs, job preferences).
+ * @param {string} text
+ * @returns {string[]} Canonical skill names, in the order of SKILLS
+ */
+export function extractSkills(text) {
+    const lower = String(text || '').toLowerCase();
+    return Object.keys(SKILLS).filter(skill => mentionsSkill(lower, skill));
+}
+
+/**
+ * Whether a text mentions a skill, under any of its spellings. Skills SKILLS doesn't know
+ * (e.g. free-text keywords from job preferences) are matched as they are.
+ * @param {string} text
+ * @param {string} skill
+ * @returns {boolean}
+ */
+export function mentionsSkill(text, skill) {
+    const lower = String(text || '').toLowerCase();
+    const spellings = SKILLS[skill.toLowerCase()] || [skill.toLowerCase()];
+    return spellings.some(spelling => wordPattern(spelling).test(lower));
+}
+
+const patterns = new Map();
+
+// Whole-word pattern; "+", "#" and "." count as part of a word (c++, c#, node.js)
+function wordPattern(word) {
+    if (!patterns.has(word)) {
+        const escaped = word.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        patterns.set(word, new RegExp(`(?:^|[^a-z0-9+#.])${escaped}(?![a-z0-9+#]|\\.[a-z0-9])`));
+    }
+    return patterns.get(word);
+}
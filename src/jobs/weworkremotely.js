@@ -0,0 +1,26 @@
+import { toJob } from './job.js';
+import { fetchFeed } from '../feeds.js';
+
+/**
+ * We Work Remotely, through its RSS feed of all remote jobs. Item titles read
+ * "Company: Job title". The query is applied afterwards (see index.js).
+ */
+export const weWorkRemotelySource = {
+    name: 'weworkremotely',
+    label: 'We Work Remotely',
+    async search() {
+        const feed = await fetchFeed('https://weworkremotely.com/remote-jobs.rss');
+        return feed.items.map(item => {
+            const separator = item.title.indexOf(': ');
+            return toJob({
+                source: 'weworkremotely',
+                title: separator > 0 ? item.title.slice(separator + 2) : item.title,
+                company: separator > 0 ? item.title.slice(0, separator) : '',
+                url: item.link,
+                remote: true,
+                description: item.summary,
+                postedAt: item.published
+            });
+        });
+    }
+};
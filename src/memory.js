@@ -0,0 +1,210 @@
+import { generateAIResponse } from './ai.js';
+import { extractJson } from './utils.js';
+import { rememberMessages } from './recall.js';
+
+// Messages kept verbatim; older ones are folded into the running summary
+const MAX_HISTORY = 10;
+// Compact in batches so the summarizer runs every few exchanges, not on every message
+const COMPACT_AT = 20;
+// Hard cap if summarization keeps failing, so history can't grow without bound
+const MAX_UNCOMPACTED = 40;
+const MAX_FACTS = 50;
+const MAX_FACT_LENGTH = 200;
+const MAX_SUMMARY_LENGTH = 2000;
+
+const HISTORY_TTL = 60 * 60 * 24 * 7;
+const SUMMARY_TTL = 60 * 60 * 24 * 30;
+
+const SUMMARIZER_PROMPT = `You maintain the long-term memory of a chat assistant.
+1. Merge the older conversation into the running summary. Keep what matters for future conversations (topics, decisions, open tasks); drop greetings and small talk. Stay under 200 words.
+2. List NEW durable facts about the user that are not already known: preferences, location, skills, projects, goals (e.g. "Prefers Kotlin", "Lives in Lagos"). Skip anything temporary.
+
+Reply with JSON only: {"summary": "...", "facts": ["..."]}`;
+
+/**
+ * Gets the recent (verbatim) chat history from KV.
+ * @param {number|string} chatId
+ * @param {object} env
+ * @returns {Promise<Array<{role: string, content: string}>>}
+ */
+export async function getChatHistory(chatId, env) {
+    try {
+        const data = await env.CHAT_HISTORY.get(`chat:${chatId}`, { type: 'json' });
+        return data || [];
+    } catch (e) {
+        console.error('Error reading chat history:', e);
+        return [];
+    }
+}
+
+/**
+ * Saves chat history to KV. Once it grows past COMPACT_AT messages, the oldest ones are
+ * summarized into the running summary and durable user facts are extracted.
+ * @param {number|string} chatId
+ * @param {Array} history
+ * @param {object} env
+ * @param {object} llm - (Optional) Per-chat LLM options for the summarizer
+ */
+export async function saveChatHistory(chatId, history, env, llm = {}) {
+    try {
+        let kept = history;
+        if (history.length > COMPACT_AT) {
+            const older = history.slice(0, -MAX_HISTORY);
+            const compacted = await compactHistory(chatId, older, env, llm);
+            if (compacted) {
+                // Verbatim copies stay searchable with the recall tool
+                await rememberMessages(chatId, older, env);
+            }
+            kept = compacted ? history.slice(-MAX_HISTORY) : history.slice(-MAX_UNCOMPACTED);
+        }
+
+        await env.CHAT_HISTORY.put(`chat:${chatId}`, JSON.stringify(kept), {
+            expirationTtl: HISTORY_TTL
+        });
+    } catch (e) {
+        console.error('Error saving chat history:', e);
+    }
+}
+
+/**
+ * Wipes the conversation (recent history and running summary). User facts are kept;
+ * they are managed with /memory and /forget.
+ * @param {number|string} chatId
+ * @param {object} env
+ */
+export async function clearChatHistory(chatId, env) {
+    await env.CHAT_HISTORY.delete(`chat:${chatId}`);
+    await env.CHAT_HISTORY.delete(`summary:${chatId}`);
+}
+
+/**
+ * Gets the long-term memory of a chat: the running summary and the user facts.
+ * @param {number|string} chatId
+ * @param {object} env
+ * @returns {Promise<{summary: string|null, facts: Array<{text: string, createdAt: string}>}>}
+ */
+export async function getMemory(chatId, env) {
+    try {
+        const [summary, facts] = await Promise.all([
+            env.CHAT_HISTORY.get(`summary:${chatId}`),
+            env.USER_PREFS.get(`facts:${chatId}`, { type: 'json' })
+        ]);
+        return { summary: summary || null, facts: facts || [] };
+    } catch (e) {
+        console.error('Error reading memory:', e);
+        return { summary: null, facts: [] };
+    }
+}
+
+/**
+ * Stores new facts about the user, skipping duplicates (case-insensitive).
+ * The oldest facts are dropped beyond MAX_FACTS.
+ * @param {number|string} chatId
+ * @param {string[]} texts
+ * @param {object} env
+ * @returns {Promise<Array>} The stored facts
+ */
+export async function addFacts(chatId, texts, env) {
+    const { facts } = await getMemory(chatId, env);
+    const known = new Set(facts.map(f => f.text.toLowerCase()));
+    const createdAt = new Date().toISOString();
+
+    for (const text of texts) {
+        const clean = String(text || '').trim().slice(0, MAX_FACT_LENGTH);
+        if (clean && !known.has(clean.toLowerCase())) {
+            known.add(clean.toLowerCase());
+            facts.push({ text: clean, createdAt });
+        }
+    }
+
+    const stored = facts.slice(-MAX_FACTS);
+    await env.USER_PREFS.put(`facts:${chatId}`, JSON.stringify(stored));
+    return stored;
+}
+
+/**
+ * Deletes a fact by its number in /memory (1-based) or by a unique piece of its text.
+ * @param {number|string} chatId
+ * @param {string} query - Fact number, or text to match
+ * @param {object} env
+ * @returns {Promise<{removed: object|null, matches: Array}>} `matches` lists the candidates when the text is ambiguous
+ */
+export async function forgetFact(chatId, query, env) {
+    const { facts } = await getMemory(chatId, env);
+    let index = -1;
+    let matches = [];
+
+    if (/^\d+$/.test(query)) {
+        index = parseInt(query, 10) - 1;
+        if (!facts[index]) {
+            return { removed: null, matches: [] };
+        }
+    } else {
+        const needle = query.toLowerCase();
+        matches = facts.filter(f => f.text.toLowerCase().includes(needle));
+        if (matches.length !== 1) {
+            return { removed: null, matches };
+        }
+        index = facts.indexOf(matches[0]);
+    }
+
+    const [removed] = facts.splice(index, 1);
+    await env.USER_PREFS.put(`facts:${chatId}`, JSON.stringify(facts));
+    return { removed, matches: [removed] };
+}
+
+/**
+ * Builds the memory part of the system prompt.
+ * @param {object} memory - { summary, facts } from getMemory
+ * @returns {string} Empty when there is nothing to remember yet
+ */
+export function memoryPrompt(memory) {
+    if (!memory || (!memory.summary && memory.facts.length === 0)) {
+        return '';
+    }
+
+    const parts = [];
+    if (memory.facts.length > 0) {
+        parts.push(`What you know about the user:\n${memory.facts.map(f => `- ${f.text}`).join('\n')}`);
+    }
+    if (memory.summary) {
+        parts.push(`Summary of earlier conversation:\n${memory.summary}`);
+    }
+    return `Long-term memory (use it naturally, don't recite it):\n${parts.join('\n\n')}`;
+}
+
+/**
+ * Folds older messages into the running summary and extracts user facts.
+ * @returns {Promise<boolean>} False if the summarizer failed (the messages should be kept)
+ */
+async function compactHistory(chatId, older, env, llm) {
+    const memory = await getMemory(chatId, env);
+    const transcript = older
+        .map(m => `${m.role}: ${typeof m.content === 'string' ? m.content : JSON.stringify(m.content)}`)
+        .join('\n');
+
+    console.log(`🧠 [MEMORY] Summarizing ${older.length} messages for chat ${chatId}`);
+    const aiRes = await generateAIResponse([
+        { role: 'system', content: SUMMARIZER_PROMPT },
+        {
+            role: 'user',
+            content: `Current summary:\n${memory.summary || 'None'}\n\n` +
+                `Known facts:\n${memory.facts.map(f => `- ${f.text}`).join('\n') || 'None'}\n\n` +
+                `Older conversation:\n${transcript}`
+        }
+    ], env, { ...llm, temperature: 0.2, feature: 'summary' });
+
+    const result = extractJson(aiRes.content);
+    if (!result || typeof result.summary !== 'string') {
+        console.error('🧠 [MEMORY] Summarizer returned no usable JSON');
+        return false;
+    }
+
+    await env.CHAT_HISTORY.put(`summary:${chatId}`, result.summary.slice(0, MAX_SUMMARY_LENGTH), {
+        expirationTtl: SUMMARY_TTL
+    });
+    if (Array.isArray(result.facts) && result.facts.length > 0) {
+        await addFacts(chatId, result.facts, env);
+    }
+    return true;
+}
@@ -0,0 +1,159 @@
+/**
+ * Creates a provider for Anthropic-style Messages APIs.
+ * Translates OpenAI-format messages/tools in and the reply back out, so callers never
+ * see the difference.
+ * @param {object} options
+ * @param {string} options.baseUrl - e.g. https://api.anthropic.com/v1
+ * @param {string} options.apiKey
+ * @param {string} options.defaultModel
+ */
+export function createAnthropicProvider({ baseUrl, apiKey, defaultModel }) {
+    const base = baseUrl.replace(/\/+$/, '');
+
+    return {
+        name: 'anthropic',
+        defaultModel,
+
+        async chat({ messages, tools, toolChoice, model, temperature }) {
+            const { system, messages: converted } = toAnthropicMessages(messages);
+            const payload = {
+                model,
+                max_tokens: 4096,
+                temperature: Math.min(temperature, 1), // Anthropic caps temperature at 1
+                messages: converted
+            };
+            if (system) {
+                payload.system = system;
+            }
+            if (tools && tools.length > 0) {
+                payload.tools = toAnthropicTools(tools);
+                payload.tool_choice = { type: toolChoice === "none" ? "none" : "auto" };
+            }
+
+            const response = await fetch(`${base}/messages`, {
+                method: "POST",
+                headers: {
+                    "x-api-key": apiKey,
+                    "anthropic-version": "2023-06-01",
+                    "Content-Type": "application/json"
+                },
+                body: JSON.stringify(payload)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                console.error('🧠 [AI] anthropic Error:', data);
+                throw new Error(`anthropic Error: ${data.error?.message || response.statusText}`);
+            }
+
+            return fromAnthropicResponse(data);
+        }
+    };
+}
+
+/**
+ * Converts OpenAI function tools to Anthropic tool definitions.
+ * @param {Array} tools - [{ type: "function", function: { name, description, parameters } }]
+ * @returns {Array<{name: string, description: string, input_schema: object}>}
+ */
+export function toAnthropicTools(tools) {
+    return tools.map(t => ({
+        name: t.function.name,
+        description: t.function.description || '',
+        input_schema: t.function.parameters || { type: 'object', properties: {} }
+    }));
+}
+
+/**
+ * Converts OpenAI chat messages to an Anthropic system prompt + message list.
+ * Tool calls become `tool_use` blocks and consecutive tool results are merged into
+ * one user message of `tool_result` blocks, as the Messages API requires.
+ * @param {Array} messages
+ * @returns {{system: string, messages: Array}}
+ */
+export function toAnthropicMessages(messages) {
+    const system = [];
+    const out = [];
+
+    const push = (role, blocks) => {
+        const last = out[out.length - 1];
+        if (last && last.role === role) {
+            last.content.push(...blocks);
+        } else {
+            out.push({ role, content: blocks });
+        }
+    };
+
+    for (const m of messages) {
+        if (m.role === 'system') {
+            system.push(m.content);
+        } else if (m.role === 'tool') {
+            push('user', [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: String(m.content) }]);
+        } else if (m.role === 'assistant') {
+            const blocks = [];
+            if (m.content) {
+                blocks.push({ type: 'text', text: m.content });
+            }
+            for (const call of m.tool_calls || []) {
+                blocks.push({
+                    type: 'tool_use',
+                    id: call.id,
+                    name: call.function.name,
+                    input: JSON.parse(call.function.arguments || '{}')
+                });
+            }
+            push('assistant', blocks);
+        } else {
+            push('user', toContentBlocks(m.content));
+        }
+    }
+
+    return { system: system.join('\n\n'), messages: out };
+}
+
+/**
+ * Converts an Anthropic Messages response to the OpenAI-shaped result used by the agent.
+ * @param {object} data
+ * @returns {{content: string|null, tool_calls?: Array, message: object, usage: object}}
+ */
+export function fromAnthropicResponse(data) {
+    const text = (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+    const toolCalls = (data.content || []).filter(b => b.type === 'tool_use').map(b => ({
+        id: b.id,
+        type: 'function',
+        function: { name: b.name, arguments: JSON.stringify(b.input || {}) }
+    }));
+
+    const message = { role: 'assistant', content: text || null };
+    if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls;
+    }
+
+    return {
+        content: message.content,
+        tool_calls: toolCalls.length > 0 ? toolCalls : undefined,
+        message,
+        usage: {
+            prompt_tokens: data.usage?.input_tokens || 0,
+            completion_tokens: data.usage?.output_tokens || 0
+        }
+    };
+}
+
+function toContentBlocks(content) {
+    if (typeof content === 'string') {
+        return [{ type: 'text', text: content }];
+    }
+    return content.map(part => part.type === 'image_url'
+        ? { type: 'image', source: imageSource(part.image_url.url) }
+        : { type: 'text', text: part.text });
+}
+
+// Images arrive as URLs, or inline as data URLs (e.g. screenshots)
+function imageSource(url) {
+    const inline = url.match(/^data:([^;,]+);base64,(.*)$/s);
+    return inline
+        ? { type: 'base64', media_type: inline[1], data: inline[2] }
+        : { type: 'url', url };
+}
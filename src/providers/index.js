@@ -0,0 +1,114 @@
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createWorkersAIProvider } from './workers_ai.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * Names accepted by LLM_PROVIDER and the per-chat /provider setting. LLM_PROVIDER also accepts
+ * "mock" (see chatProviderNames).
+ */
+export const PROVIDER_NAMES = ['openai', 'openai-compatible', 'workers-ai', 'anthropic'];
+
+/**
+ * Providers a chat can switch to. The mock provider runs the tools that messages name
+ * ("call <tool> {json}"), so chats only get it where ALLOW_MOCK_PROVIDER is "true".
+ * @param {object} env
+ * @returns {string[]}
+ */
+export function chatProviderNames(env) {
+    return env.ALLOW_MOCK_PROVIDER === 'true' ? [...PROVIDER_NAMES, 'mock'] : PROVIDER_NAMES;
+}
+
+/**
+ * Resolves the LLM provider for a request.
+ *
+ * Selection order: per-chat setting, then `LLM_PROVIDER`, then OpenAI. `LLM_MODEL` overrides the
+ * default model of the env-selected provider only (a chat that switched providers gets that
+ * provider's own default).
+ * @param {object} env
+ * @param {string} name - (Optional) Per-chat provider name
+ * @returns {{name: string, defaultModel: string, chat: Function, transcribe?: Function}}
+ */
+export function getProvider(env, name) {
+    const envDefault = env.LLM_PROVIDER || 'openai';
+    const selected = name || envDefault;
+    const modelOverride = selected === envDefault ? env.LLM_MODEL : undefined;
+
+    switch (selected) {
+        case 'openai':
+            return createOpenAIProvider({
+                name: 'openai',
+                baseUrl: 'https://api.openai.com/v1',
+                apiKey: env.OPENAI_API_KEY,
+                defaultModel: modelOverride || 'gpt-4o',
+                transcriptionModel: 'whisper-1',
+                embeddingModel: 'text-embedding-3-small'
+            });
+        case 'openai-compatible':
+            if (!env.LLM_BASE_URL) {
+                throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+            }
+            return createOpenAIProvider({
+                name: 'openai-compatible',
+                baseUrl: env.LLM_BASE_URL,
+                apiKey: env.LLM_API_KEY,
+                defaultModel: modelOverride || 'local-model',
+                transcriptionModel: env.LLM_TRANSCRIPTION_MODEL,
+                embeddingModel: env.LLM_EMBEDDING_MODEL
+            });
+        case 'workers-ai':
+            if (!env.AI) {
+                throw new Error('The AI binding is required for the workers-ai provider');
+            }
+            return createWorkersAIProvider({
+                binding: env.AI,
+                defaultModel: modelOverride || '@cf/meta/llama-3.3-70b-instruct-fp8-fast'
+            });
+        case 'anthropic':
+            return createAnthropicProvider({
+                baseUrl: env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+                apiKey: env.ANTHROPIC_API_KEY,
+                defaultModel: modelOverride || 'claude-3-5-sonnet-latest'
+            });
+        case 'mock':
+            return createMockProvider();
+        default:
+            throw new Error(`Unknown LLM provider "${selected}". Use one of: ${PROVIDER_NAMES.join(', ')}, mock`);
+    }
+}
+
+/**
+ * Resolves a provider that can transcribe audio: the chat's provider if it supports it,
+ * otherwise OpenAI Whisper (if keyed) or Workers AI Whisper (if bound).
+ * @param {object} env
+ * @param {string} name - (Optional) Per-chat provider name
+ */
+export function getTranscriptionProvider(env, name) {
+    const provider = getProvider(env, name);
+    if (provider.transcribe) {
+        return provider;
+    }
+    if (env.OPENAI_API_KEY) {
+        return getProvider(env, 'openai');
+    }
+    if (env.AI) {
+        return getProvider(env, 'workers-ai');
+    }
+    throw new Error(`Provider ${provider.name} cannot transcribe audio and no fallback is configured`);
+}
+
+/**
+ * Resolves the provider used for recall embeddings. It is chosen per deployment, not per chat:
+ * vectors from different models can't be compared, and the Vectorize index has fixed dimensions.
+ *
+ * Selection order: `EMBEDDING_PROVIDER`, then Workers AI (if bound), then OpenAI.
+ * @param {object} env
+ */
+export function getEmbeddingProvider(env) {
+    const name = env.EMBEDDING_PROVIDER || (env.AI ? 'workers-ai' : 'openai');
+    const provider = getProvider(env, name);
+    if (!provider.embed) {
+        throw new Error(`Provider ${provider.name} cannot create embeddings (set LLM_EMBEDDING_MODEL or EMBEDDING_PROVIDER)`);
+    }
+    return provider;
+}
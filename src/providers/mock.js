@@ -0,0 +1,88 @@
+/**
+ * Creates a deterministic offline provider for local development and tests.
+ *
+ * - A user message of the form `call <tool_name> {json args}` produces that tool call.
+ * - After tool results it replies with a digest of them.
+ * - Anything else is echoed back as `Mock reply: <text>`.
+ * - Embeddings are hashed bags of words, so texts sharing words score as similar.
+ */
+export function createMockProvider() {
+    return {
+        name: 'mock',
+        defaultModel: 'mock-1',
+        transcriptionModel: 'mock-whisper',
+
+        async chat({ messages, tools, toolChoice, onToken }) {
+            const last = messages[messages.length - 1];
+            let message;
+
+            if (last?.role === 'tool') {
+                const results = [];
+                for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+                    results.unshift(String(messages[i].content).slice(0, 200));
+                }
+                message = { role: 'assistant', content: `Mock reply based on ${results.length} tool result(s):\n${results.join('\n')}` };
+            } else {
+                const text = textOf(last?.content);
+                const call = text.match(/^call (\w+)\s*(\{[\s\S]*\})?\s*$/);
+                const known = tools?.some(t => t.function.name === call?.[1]);
+
+                if (call && known && toolChoice !== "none") {
+                    message = {
+                        role: 'assistant',
+                        content: null,
+                        tool_calls: [{ id: `call_mock_${messages.length}`, type: 'function', function: { name: call[1], arguments: call[2] || '{}' } }]
+                    };
+                } else {
+                    message = { role: 'assistant', content: `Mock reply: ${text}` };
+                }
+            }
+
+            if (onToken && message.content) {
+                // Stream word by word, like a real provider would
+                const words = message.content.split(' ');
+                words.forEach((_, i) => onToken(words.slice(0, i + 1).join(' ')));
+            }
+
+            const promptChars = messages.reduce((n, m) => n + textOf(m.content).length, 0);
+            return {
+                content: message.content,
+                tool_calls: message.tool_calls,
+                message,
+                usage: {
+                    prompt_tokens: Math.ceil(promptChars / 4),
+                    completion_tokens: Math.ceil((message.content || '').length / 4)
+                }
+            };
+        },
+
+        async transcribe() {
+            return 'Mock transcription';
+        },
+
+        async embed(texts) {
+            return texts.map(hashEmbedding);
+        }
+    };
+}
+
+const MOCK_DIMENSIONS = 64;
+
+function hashEmbedding(text) {
+    const vector = new Array(MOCK_DIMENSIONS).fill(0);
+    for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+        let hash = 0;
+        for (let i = 0; i < word.length; i++) {
+            hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+        }
+        vector[hash % MOCK_DIMENSIONS] += 1;
+    }
+    const norm = Math.hypot(...vector) || 1;
+    return vector.map(v => v / norm);
+}
+
+function textOf(content) {
+    if (!content) return '';
+    if (typeof content === 'string') return content;
+    return content.filter(p => p.type === 'text').map(p => p.text).join('\n');
+}
@@ -0,0 +1,191 @@
+/**
+ * Creates a provider for the OpenAI Chat Completions API or any OpenAI-compatible server
+ * (vLLM, Ollama, LM Studio, llama.cpp, ...).
+ * @param {object} options
+ * @param {string} options.name - Provider name used in logs and settings
+ * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1
+ * @param {string} options.apiKey - Bearer token (optional for local servers)
+ * @param {string} options.defaultModel
+ * @param {string} options.transcriptionModel - (Optional) Whisper model; omit if the server has no audio endpoint
+ * @param {string} options.embeddingModel - (Optional) Embeddings model; omit if the server has no embeddings endpoint
+ */
+export function createOpenAIProvider({ name, baseUrl, apiKey, defaultModel, transcriptionModel, embeddingModel }) {
+    const base = baseUrl.replace(/\/+$/, '');
+    const authHeaders = apiKey ? { "Authorization": `Bearer ${apiKey}` } : {};
+
+    const provider = {
+        name,
+        defaultModel,
+
+        /**
+         * @param {Function} onToken - (Optional) Streams the reply: called with the text so far
+         * @returns {Promise<{content: string|null, tool_calls?: Array, message: object, usage?: object}>}
+         */
+        async chat({ messages, tools, toolChoice, model, temperature, onToken }) {
+            const payload = {
+                model,
+                messages,
+                temperature
+            };
+
+            if (onToken) {
+                payload.stream = true;
+                payload.stream_options = { include_usage: true };
+            }
+
+            if (tools && tools.length > 0) {
+                payload.tools = tools;
+                payload.tool_choice = toolChoice;
+                if (toolChoice !== "none") {
+                    payload.parallel_tool_calls = true;
+                }
+            }
+
+            const response = await fetch(`${base}/chat/completions`, {
+                method: "POST",
+                headers: {
+                    ...authHeaders,
+                    "Content-Type": "application/json"
+                },
+                body: JSON.stringify(payload)
+            });
+
+            // Some compatible servers ignore `stream` and answer with plain JSON
+            if (response.ok && (response.headers.get('content-type') || '').includes('text/event-stream')) {
+                return await readChatStream(response, onToken);
+            }
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                console.error(`🧠 [AI] ${name} Error:`, data);
+                throw new Error(`${name} Error: ${data.error?.message || response.statusText}`);
+            }
+
+            const choice = data.choices?.[0]?.message;
+            if (!choice) {
+                return { content: null, message: null, usage: data.usage };
+            }
+
+            return {
+                content: choice.content, // Might be null for tool calls
+                tool_calls: choice.tool_calls?.length ? choice.tool_calls : undefined,
+                message: choice,
+                usage: data.usage
+            };
+        }
+    };
+
+    if (transcriptionModel) {
+        provider.transcriptionModel = transcriptionModel;
+        /**
+         * Transcribes audio with the Whisper endpoint.
+         * @param {Blob} audio
+         * @returns {Promise<string>}
+         */
+        provider.transcribe = async (audio) => {
+            const formData = new FormData();
+            formData.append("file", audio, "voice.ogg");
+            formData.append("model", transcriptionModel);
+
+            const response = await fetch(`${base}/audio/transcriptions`, {
+                method: "POST",
+                headers: authHeaders,
+                body: formData
+            });
+
+            const data = await response.json();
+            return data.text || "Transcription failed";
+        };
+    }
+
+    if (embeddingModel) {
+        /**
+         * Embeds texts with the embeddings endpoint.
+         * @param {string[]} texts
+         * @returns {Promise<number[][]>}
+         */
+        provider.embed = async (texts) => {
+            const response = await fetch(`${base}/embeddings`, {
+                method: "POST",
+                headers: {
+                    ...authHeaders,
+                    "Content-Type": "application/json"
+                },
+                body: JSON.stringify({ model: embeddingModel, input: texts })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(`${name} Embeddings Error: ${data.error?.message || response.statusText}`);
+            }
+            return data.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+        };
+    }
+
+    return provider;
+}
+
+/**
+ * Reads a Chat Completions server-sent event stream into a regular (non-streamed) result,
+ * calling `onToken` with the accumulated text as content deltas arrive.
+ * Tool call deltas are merged by their `index`.
+ * @param {Response} response
+ * @param {Function} onToken
+ * @returns {Promise<{content: string|null, tool_calls?: Array, message: object, usage?: object}>}
+ */
+export async function readChatStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let usage;
+    const toolCalls = [];
+
+    const handle = (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+
+        const chunk = JSON.parse(data);
+        if (chunk.usage) {
+            usage = chunk.usage;
+        }
+        const delta = chunk.choices?.[0]?.delta;
+        if (!delta) return;
+
+        if (delta.content) {
+            content += delta.content;
+            onToken?.(content);
+        }
+        for (const call of delta.tool_calls || []) {
+            const target = toolCalls[call.index] ||= { id: call.id, type: 'function', function: { name: '', arguments: '' } };
+            if (call.id) target.id = call.id;
+            if (call.function?.name) target.function.name += call.function.name;
+            if (call.function?.arguments) target.function.arguments += call.function.arguments;
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handle);
+    }
+    handle(buffer);
+
+    const message = { role: 'assistant', content: content || null };
+    const calls = toolCalls.filter(Boolean);
+    if (calls.length > 0) {
+        message.tool_calls = calls;
+    }
+
+    return {
+        content: message.content,
+        tool_calls: calls.length > 0 ? calls : undefined,
+        message,
+        usage
+    };
+}
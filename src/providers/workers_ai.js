@@ -0,0 +1,104 @@
+/**
+ * Creates a provider backed by the Cloudflare Workers AI binding (`env.AI`).
+ * @param {object} options
+ * @param {object} options.binding - The AI binding
+ * @param {string} options.defaultModel
+ */
+export function createWorkersAIProvider({ binding, defaultModel }) {
+    return {
+        name: 'workers-ai',
+        defaultModel,
+        transcriptionModel: '@cf/openai/whisper',
+
+        async chat({ messages, tools, toolChoice, model, temperature }) {
+            const input = {
+                messages: toWorkersAIMessages(messages),
+                temperature
+            };
+            // Workers AI has no tool_choice; leaving tools out is how we force a text answer
+            if (tools && tools.length > 0 && toolChoice !== "none") {
+                input.tools = tools.map(t => ({
+                    name: t.function.name,
+                    description: t.function.description || '',
+                    parameters: t.function.parameters
+                }));
+            }
+
+            const data = await binding.run(model, input);
+            return fromWorkersAIResponse(data);
+        },
+
+        /**
+         * Transcribes audio with Whisper on Workers AI.
+         * @param {Blob} audio
+         * @returns {Promise<string>}
+         */
+        async transcribe(audio) {
+            const bytes = new Uint8Array(await audio.arrayBuffer());
+            const data = await binding.run('@cf/openai/whisper', { audio: [...bytes] });
+            return data.text || "Transcription failed";
+        },
+
+        /**
+         * Embeds texts with BGE on Workers AI (768 dimensions).
+         * @param {string[]} texts
+         * @returns {Promise<number[][]>}
+         */
+        async embed(texts) {
+            const data = await binding.run('@cf/baai/bge-base-en-v1.5', { text: texts });
+            return data.data;
+        }
+    };
+}
+
+/**
+ * Converts OpenAI chat messages to the Workers AI chat format (text only, tool calls inlined).
+ * @param {Array} messages
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function toWorkersAIMessages(messages) {
+    return messages.map(m => {
+        if (m.role === 'assistant' && m.tool_calls) {
+            return {
+                role: 'assistant',
+                content: m.content || '',
+                tool_calls: m.tool_calls.map(c => ({ name: c.function.name, arguments: JSON.parse(c.function.arguments || '{}') }))
+            };
+        }
+        if (m.role === 'tool') {
+            return { role: 'tool', content: String(m.content) };
+        }
+        if (Array.isArray(m.content)) {
+            // Vision parts are not supported by the text models; keep the text
+            return { role: m.role, content: m.content.filter(p => p.type === 'text').map(p => p.text).join('\n') };
+        }
+        return { role: m.role, content: m.content };
+    });
+}
+
+/**
+ * Converts a Workers AI reply to the OpenAI-shaped result used by the agent.
+ * @param {object} data - { response, tool_calls: [{ name, arguments }], usage }
+ */
+export function fromWorkersAIResponse(data) {
+    const toolCalls = (data.tool_calls || []).map((c, i) => ({
+        id: `call_${i}_${c.name}`,
+        type: 'function',
+        function: {
+            name: c.name,
+            arguments: typeof c.arguments === 'string' ? c.arguments : JSON.stringify(c.arguments || {})
+        }
+    }));
+
+    const message = { role: 'assistant', content: data.response || null };
+    if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls;
+    }
+
+    return {
+        content: message.content,
+        tool_calls: toolCalls.length > 0 ? toolCalls : undefined,
+        message,
+        usage: data.usage
+    };
+}
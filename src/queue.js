@@ -0,0 +1,112 @@
+import { sendMessage } from './telegram.js';
+import { conversationKey } from './groups.js';
+
+// Deliveries per update before giving up (the first try plus retries)
+const MAX_ATTEMPTS = 4;
+// Retry backoff: 5s, 10s, 20s, ...
+const BASE_RETRY_DELAY = 5;
+// Long enough to outlive Telegram's redelivery window
+const DEDUPE_TTL = 60 * 60 * 24;
+
+/**
+ * Hands a Telegram update over for asynchronous processing so the webhook can answer at once.
+ *
+ * With the `UPDATES_QUEUE` binding (Cloudflare Queues, see wrangler.jsonc) the update is sent to
+ * the queue and consumed by the worker's `queue()` handler. Without it, an in-process queue runs
+ * the same consumer after the response via `ctx.waitUntil`. That is meant for tests and local
+ * runs only (`IN_PROCESS_UPDATES`): `waitUntil` is cut off a while after the response, which long
+ * tool loops outlast, so a deployed worker without the binding logs an error for every update.
+ * @param {object} update - Telegram update
+ * @param {object} env
+ * @param {object} ctx - Execution context
+ * @param {Function} processUpdate - (update, env, ctx) => Promise, throws on failure
+ */
+export async function enqueueUpdate(update, env, ctx, processUpdate) {
+    if (env.UPDATES_QUEUE) {
+        await env.UPDATES_QUEUE.send(update);
+        return;
+    }
+
+    if (env.IN_PROCESS_UPDATES !== 'true') {
+        console.error('🚨 [QUEUE] No UPDATES_QUEUE binding: processing the update in-process, where long runs get cut off. Configure the queue in wrangler.jsonc.');
+    }
+    const work = runLocally(update, env, ctx, processUpdate);
+    if (ctx?.waitUntil) {
+        ctx.waitUntil(work);
+    } else {
+        await work;
+    }
+}
+
+/**
+ * Consumes one queued update: skips duplicates (by `update_id`), processes it, and retries
+ * failures with exponential backoff. After the last attempt the user is told it failed.
+ *
+ * Dedupe: the first delivery marks the update as processing and then done, so a redelivery of the
+ * same update (Telegram retrying the webhook) is dropped, while the queue's own retries of a
+ * failed attempt go through.
+ * @param {object} message - Queue message ({ body, attempts, ack(), retry({ delaySeconds }) })
+ * @param {object} env
+ * @param {object} ctx
+ * @param {Function} processUpdate
+ */
+export async function consumeUpdate(message, env, ctx, processUpdate) {
+    const update = message.body;
+    const key = update.update_id !== undefined ? `update:${update.update_id}` : null;
+
+    if (key) {
+        const seen = await env.CHAT_HISTORY.get(key);
+        if (seen === 'done' || (seen === 'processing' && message.attempts === 1)) {
+            console.log(`📬 [QUEUE] Skipping duplicate update ${update.update_id}`);
+            message.ack();
+            return;
+        }
+        await env.CHAT_HISTORY.put(key, 'processing', { expirationTtl: DEDUPE_TTL });
+    }
+
+    try {
+        await processUpdate(update, env, ctx);
+    } catch (e) {
+        if (message.attempts < MAX_ATTEMPTS) {
+            const delaySeconds = BASE_RETRY_DELAY * 2 ** (message.attempts - 1);
+            console.warn(`📬 [QUEUE] Update ${update.update_id} failed (attempt ${message.attempts}), retrying in ${delaySeconds}s:`, e);
+            message.retry({ delaySeconds });
+            return;
+        }
+
+        console.error(`📬 [QUEUE] Update ${update.update_id} failed ${message.attempts} times, giving up:`, e);
+        const source = update.message || update.callback_query?.message;
+        if (source?.chat?.id) {
+            await sendMessage(conversationKey(source), "⚠️ I couldn't process that message. Please try again in a moment.", env).catch(() => { });
+        }
+    }
+
+    if (key) {
+        await env.CHAT_HISTORY.put(key, 'done', { expirationTtl: DEDUPE_TTL });
+    }
+    message.ack();
+}
+
+/**
+ * In-process stand-in for a Cloudflare Queue. Retry delays are taken as milliseconds
+ * instead of seconds so local runs don't stall.
+ */
+async function runLocally(update, env, ctx, processUpdate, attempts = 1) {
+    let retryDelay = null;
+    const message = {
+        id: `local-${update.update_id}-${attempts}`,
+        body: update,
+        attempts,
+        ack() { },
+        retry({ delaySeconds = 0 } = {}) {
+            retryDelay = delaySeconds;
+        }
+    };
+
+    await consumeUpdate(message, env, ctx, processUpdate);
+
+    if (retryDelay !== null) {
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        await runLocally(update, env, ctx, processUpdate, attempts + 1);
+    }
+}
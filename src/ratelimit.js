@@ -0,0 +1,240 @@
+import { DurableObject } from 'cloudflare:workers';
+import { estimateCost } from './usage.js';
+
+/**
+ * Rate limits, per-tool quotas and daily AI budgets.
+ *
+ * All counters live behind one small limiter interface with two implementations:
+ * - `RateLimiter`, a Durable Object (one instance per counter key, so every update is atomic),
+ *   bound as `RATE_LIMITER` in wrangler.jsonc;
+ * - `createMemoryLimiter()`, an in-process version that tests inject as `RATE_LIMITER` (counts
+ *   are per isolate, so they are not exact across Cloudflare's machines).
+ *
+ * Limiter interface:
+ * - `hit(key, { limit, window })` records a hit in a sliding window of `window` seconds if fewer
+ *   than `limit` hits are in it -> `{ allowed, count, remaining, retryAfter }` (retryAfter in seconds)
+ * - `count(key, { window })` -> hits in the window, without recording one
+ * - `add(key, amounts, ttl)` adds to named totals (e.g. { tokens, cost }) -> the new totals
+ * - `totals(key)` -> the totals, or {}
+ */
+
+// Messages per person per minute (override with RATE_LIMIT_PER_MINUTE)
+const DEFAULT_MESSAGES_PER_MINUTE = 10;
+// Daily AI budget per person, reset at midnight UTC (override with DAILY_TOKEN_BUDGET / DAILY_COST_BUDGET)
+const DEFAULT_DAILY_TOKENS = 300000;
+const DEFAULT_DAILY_COST = 1.0;
+// Budget counters outlive their day a little, so /usage can still read them around midnight
+const BUDGET_TTL = 60 * 60 * 48;
+
+/**
+ * Durable Object holding the counters of one key. Calls on one instance run one at a time,
+ * which makes check-and-record atomic (the KV counter this replaces was read-then-write).
+ */
+export class RateLimiter extends DurableObject {
+    async hit(key, options) {
+        const state = await this.ctx.storage.get('state') || {};
+        const result = applyHit(state, options, Date.now());
+        await this.ctx.storage.put('state', state);
+        return result;
+    }
+
+    async count(key, options) {
+        const state = await this.ctx.storage.get('state') || {};
+        return countHits(state, options, Date.now());
+    }
+
+    async add(key, amounts, ttl) {
+        const state = await this.ctx.storage.get('state') || {};
+        const totals = applyAdd(state, amounts, ttl, Date.now());
+        await this.ctx.storage.put('state', state);
+        await this.ctx.storage.setAlarm(state.expiresAt);
+        return totals;
+    }
+
+    async totals() {
+        const state = await this.ctx.storage.get('state') || {};
+        return readTotals(state, Date.now());
+    }
+
+    async alarm() {
+        await this.ctx.storage.deleteAll();
+    }
+}
+
+/**
+ * In-memory limiter with the same interface as the Durable Object.
+ * @returns {{hit: Function, count: Function, add: Function, totals: Function}}
+ */
+export function createMemoryLimiter() {
+    const states = new Map();
+    const stateOf = (key) => {
+        if (!states.has(key)) states.set(key, {});
+        return states.get(key);
+    };
+
+    return {
+        async hit(key, options) {
+            return applyHit(stateOf(key), options, Date.now());
+        },
+        async count(key, options) {
+            return countHits(stateOf(key), options, Date.now());
+        },
+        async add(key, amounts, ttl) {
+            return applyAdd(stateOf(key), amounts, ttl, Date.now());
+        },
+        async totals(key) {
+            return readTotals(stateOf(key), Date.now());
+        }
+    };
+}
+
+// Last resort when the RATE_LIMITER binding is missing from wrangler.jsonc
+const localLimiter = createMemoryLimiter();
+let warnedUnbound = false;
+
+/**
+ * Picks the limiter: the Durable Object namespace when bound, a limiter object passed in
+ * `RATE_LIMITER` (tests), else the in-memory one.
+ * @param {object} env
+ * @returns {{hit: Function, count: Function, add: Function, totals: Function}}
+ */
+export function getLimiter(env) {
+    const binding = env.RATE_LIMITER;
+    if (!binding) {
+        if (!warnedUnbound) {
+            warnedUnbound = true;
+            console.warn('🚨 [RATELIMIT] No RATE_LIMITER binding: limits and budgets are counted per isolate and reset with it. Bind the RateLimiter Durable Object in wrangler.jsonc.');
+        }
+        return localLimiter;
+    }
+    if (typeof binding.idFromName !== 'function') {
+        return binding;
+    }
+
+    const stub = (key) => binding.get(binding.idFromName(key));
+    return {
+        hit: (key, options) => stub(key).hit(key, options),
+        count: (key, options) => stub(key).count(key, options),
+        add: (key, amounts, ttl) => stub(key).add(key, amounts, ttl),
+        totals: (key) => stub(key).totals(key)
+    };
+}
+
+/**
+ * Counts a message against the per-person limit (sliding one-minute window).
+ * @param {number|string} userId
+ * @param {object} env
+ * @returns {Promise<{allowed: boolean, count: number, remaining: number, retryAfter: number}>}
+ */
+export async function checkMessageRate(userId, env) {
+    return await getLimiter(env).hit(`msg:${userId}`, { limit: messageLimit(env), window: 60 });
+}
+
+/**
+ * Counts a tool call against the tool's quota, if it declares one (`quota: { limit, window }`,
+ * window in seconds).
+ * @param {object} tool - Tool definition
+ * @param {number|string} userId
+ * @param {object} env
+ * @returns {Promise<{allowed: boolean, retryAfter?: number}>}
+ */
+export async function checkToolQuota(tool, userId, env) {
+    if (!tool?.quota) {
+        return { allowed: true };
+    }
+    return await getLimiter(env).hit(`tool:${tool.function.name}:${userId}`, tool.quota);
+}
+
+/**
+ * Checks whether a person still has AI budget left today.
+ * @param {number|string} userId
+ * @param {object} env
+ * @returns {Promise<{allowed: boolean, tokens: number, cost: number, tokenBudget: number, costBudget: number}>}
+ */
+export async function checkBudget(userId, env) {
+    const { tokens = 0, cost = 0 } = await getLimiter(env).totals(budgetKey(userId));
+    const { tokenBudget, costBudget } = budgets(env);
+    return { allowed: tokens < tokenBudget && cost < costBudget, tokens, cost, tokenBudget, costBudget };
+}
+
+/**
+ * Adds a model call's token usage (and its estimated cost, see usage.js) to the person's daily budget.
+ * @param {number|string} userId
+ * @param {{prompt_tokens?: number, completion_tokens?: number}} usage - As returned by the provider
+ * @param {string} model
+ * @param {object} env
+ * @returns {Promise<{tokens: number, cost: number}>} Today's totals
+ */
+export async function recordSpend(userId, usage, model, env) {
+    const tokens = (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0);
+    return await getLimiter(env).add(budgetKey(userId), { tokens, cost: estimateCost(model, usage) }, BUDGET_TTL);
+}
+
+/**
+ * Everything /usage shows for one person.
+ * @param {number|string} userId
+ * @param {Array} tools - Tool definitions (those with a `quota` are listed)
+ * @param {object} env
+ */
+export async function getUsageReport(userId, tools, env) {
+    const limiter = getLimiter(env);
+    const messages = await limiter.count(`msg:${userId}`, { window: 60 });
+    const quotas = await Promise.all(tools.filter(t => t.quota).map(async t => ({
+        name: t.function.name,
+        ...t.quota,
+        used: await limiter.count(`tool:${t.function.name}:${userId}`, t.quota)
+    })));
+    return {
+        messages: { used: messages, limit: messageLimit(env) },
+        quotas,
+        budget: await checkBudget(userId, env)
+    };
+}
+
+function messageLimit(env) {
+    return parseInt(env.RATE_LIMIT_PER_MINUTE, 10) || DEFAULT_MESSAGES_PER_MINUTE;
+}
+
+function budgets(env) {
+    return {
+        tokenBudget: parseInt(env.DAILY_TOKEN_BUDGET, 10) || DEFAULT_DAILY_TOKENS,
+        costBudget: parseFloat(env.DAILY_COST_BUDGET) || DEFAULT_DAILY_COST
+    };
+}
+
+function budgetKey(userId) {
+    return `budget:${userId}:${new Date().toISOString().slice(0, 10)}`;
+}
+
+function applyHit(state, { limit, window }, now) {
+    const since = now - window * 1000;
+    state.hits = (state.hits || []).filter(t => t > since);
+    if (state.hits.length >= limit) {
+        const retryAfter = Math.max(1, Math.ceil((state.hits[0] + window * 1000 - now) / 1000));
+        return { allowed: false, count: state.hits.length, remaining: 0, retryAfter };
+    }
+    state.hits.push(now);
+    return { allowed: true, count: state.hits.length, remaining: limit - state.hits.length, retryAfter: 0 };
+}
+
+function countHits(state, { window }, now) {
+    const since = now - window * 1000;
+    return (state.hits || []).filter(t => t > since).length;
+}
+
+function applyAdd(state, amounts, ttl, now) {
+    const totals = readTotals(state, now);
+    for (const [name, amount] of Object.entries(amounts)) {
+        totals[name] = (totals[name] || 0) + amount;
+    }
+    state.totals = totals;
+    state.expiresAt = now + ttl * 1000;
+    return { ...totals };
+}
+
+function readTotals(state, now) {
+    if (!state.totals || state.expiresAt <= now) {
+        return {};
+    }
+    return { ...state.totals };
+}
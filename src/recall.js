@@ -0,0 +1,221 @@
+import { getEmbeddingProvider } from './providers/index.js';
+
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 150;
+// Long pages are capped so one document can't flood the index (or the embeddings bill)
+const MAX_CHUNKS_PER_DOCUMENT = 24;
+const DEFAULT_TOP_K = 5;
+// Matches below this cosine similarity are noise rather than recall
+const MIN_SCORE = 0.3;
+
+// Fallback when no VECTORIZE binding is configured (local dev); lives as long as the isolate
+let localIndex = null;
+
+/**
+ * Creates an in-memory vector index with the subset of the Vectorize API used here
+ * (`upsert`, `query` with namespaces and metadata). Used for local development and tests.
+ * @returns {{upsert: Function, query: Function, size: number}}
+ */
+export function createMemoryIndex() {
+    const vectors = new Map();
+
+    return {
+        get size() {
+            return vectors.size;
+        },
+
+        async upsert(items) {
+            for (const item of items) {
+                vectors.set(`${item.namespace || ''}/${item.id}`, item);
+            }
+            return { count: items.length };
+        },
+
+        async query(vector, { topK = DEFAULT_TOP_K, namespace, returnMetadata } = {}) {
+            const matches = [...vectors.values()]
+                .filter(v => (v.namespace || '') === (namespace || ''))
+                .map(v => ({
+                    id: v.id,
+                    score: cosineSimilarity(vector, v.values),
+                    ...(returnMetadata ? { metadata: v.metadata } : {})
+                }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topK);
+            return { matches, count: matches.length };
+        }
+    };
+}
+
+/**
+ * Cosine similarity of two vectors of the same length.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Splits text into overlapping chunks, preferring to cut at paragraph or sentence ends.
+ * @param {string} text
+ * @param {number} size - (Optional) Max chunk length in characters
+ * @param {number} overlap - (Optional) Characters repeated between consecutive chunks
+ * @returns {string[]}
+ */
+export function chunkText(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+    const clean = String(text || '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    const chunks = [];
+    let start = 0;
+
+    while (start < clean.length) {
+        let end = Math.min(start + size, clean.length);
+        if (end < clean.length) {
+            const window = clean.slice(start, end);
+            const cut = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '));
+            if (cut > size / 2) {
+                end = start + cut + 1;
+            }
+        }
+        chunks.push(clean.slice(start, end).trim());
+        if (end >= clean.length) break;
+        start = Math.max(end - overlap, start + 1);
+    }
+
+    return chunks.filter(Boolean);
+}
+
+/**
+ * Indexes a fetched document (page, CV, README) for the chat, overwriting earlier chunks of the
+ * same source. Never throws: recall is best effort and must not break the tool that read the page.
+ * @param {number|string} chatId
+ * @param {{source: string, url?: string, title?: string, text: string}} doc - `source` is the kind (page, cv, readme)
+ * @param {object} env
+ * @returns {Promise<number>} Number of chunks indexed
+ */
+export async function rememberDocument(chatId, doc, env) {
+    try {
+        const chunks = chunkText(doc.text).slice(0, MAX_CHUNKS_PER_DOCUMENT);
+        const key = hashId(`${doc.source}:${doc.url || doc.title || ''}`);
+        const records = chunks.map((chunk, i) => ({
+            id: `${key}-${i}`,
+            text: chunk,
+            // Vectorize metadata can't hold nulls, so optional fields are left out
+            metadata: { source: doc.source, ...(doc.url && { url: doc.url }), ...(doc.title && { title: doc.title }) }
+        }));
+        return await upsertRecords(chatId, records, env);
+    } catch (e) {
+        console.error('🔎 [RECALL] Failed to index document:', e);
+        return 0;
+    }
+}
+
+/**
+ * Indexes past messages (as user/assistant exchanges) for the chat. Never throws.
+ * @param {number|string} chatId
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {object} env
+ * @returns {Promise<number>} Number of chunks indexed
+ */
+export async function rememberMessages(chatId, messages, env) {
+    try {
+        const exchanges = [];
+        for (const m of messages) {
+            const line = `${m.role === 'user' ? 'User' : 'Assistant'}: ${typeof m.content === 'string' ? m.content : JSON.stringify(m.content)}`;
+            if (m.role === 'user' || exchanges.length === 0) {
+                exchanges.push(line);
+            } else {
+                exchanges[exchanges.length - 1] += `\n${line}`;
+            }
+        }
+
+        // Ids come from the content, so re-indexing the same messages is an overwrite
+        const records = exchanges.flatMap(exchange => chunkText(exchange).map((chunk, i) => ({
+            id: `${hashId(exchange)}-${i}`,
+            text: chunk,
+            metadata: { source: 'chat' }
+        })));
+        return await upsertRecords(chatId, records, env);
+    } catch (e) {
+        console.error('🔎 [RECALL] Failed to index messages:', e);
+        return 0;
+    }
+}
+
+/**
+ * Finds the chunks of this chat's past messages and documents most similar to the query.
+ * @param {number|string} chatId
+ * @param {string} query
+ * @param {object} env
+ * @param {object} options
+ * @param {number} options.topK - (Optional) Max results (default 5)
+ * @param {string} options.source - (Optional) Only return this kind (chat, page, cv, readme)
+ * @returns {Promise<Array<{score: number, text: string, source: string, url?: string, title?: string, createdAt: string}>>}
+ */
+export async function recall(chatId, query, env, { topK = DEFAULT_TOP_K, source = null } = {}) {
+    const [vector] = await getEmbeddingProvider(env).embed([query]);
+    // Over-fetch when filtering by source, since the filter runs after the query
+    // (Vectorize caps topK at 20 when returning metadata)
+    const result = await getIndex(env).query(vector, {
+        topK: Math.min(source ? topK * 4 : topK, 20),
+        namespace: String(chatId),
+        returnMetadata: 'all'
+    });
+
+    return result.matches
+        .filter(m => m.score >= MIN_SCORE && m.metadata)
+        .filter(m => !source || m.metadata.source === source)
+        .slice(0, topK)
+        .map(m => ({ score: m.score, ...m.metadata }));
+}
+
+async function upsertRecords(chatId, records, env) {
+    if (records.length === 0) {
+        return 0;
+    }
+
+    const vectors = await getEmbeddingProvider(env).embed(records.map(r => r.text));
+    const createdAt = new Date().toISOString();
+    await getIndex(env).upsert(records.map((r, i) => ({
+        id: r.id,
+        namespace: String(chatId),
+        values: vectors[i],
+        metadata: { ...r.metadata, text: r.text, createdAt }
+    })));
+
+    console.log(`🔎 [RECALL] Indexed ${records.length} chunk(s) for chat ${chatId}`);
+    return records.length;
+}
+
+function getIndex(env) {
+    if (env.VECTORIZE) {
+        return env.VECTORIZE;
+    }
+    if (!localIndex) {
+        console.warn('🔎 [RECALL] No VECTORIZE binding, using an in-memory index');
+        localIndex = createMemoryIndex();
+    }
+    return localIndex;
+}
+
+/**
+ * Short stable id (Vectorize ids are limited to 64 bytes), FNV-1a based.
+ */
+function hashId(text) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+    for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 0x01000193) >>> 0;
+        h2 = Math.imul(h2 ^ c, 0x811c9dc5) >>> 0;
+    }
+    return h1.toString(16).padStart(8, '0') + h2.toString(16).padStart(8, '0');
+}
@@ -0,0 +1,207 @@
+import { fetchPRDetails, fetchPRFiles } from './github.js';
+import { buildMessages, generateAIResponse } from './ai.js';
+import { extractJson } from './utils.js';
+
+// Roughly 6k tokens of diff per model call, leaving room for the persona and the reply
+const CHUNK_CHARS = 24000;
+// Very large PRs are reviewed partially rather than burning dozens of calls
+const MAX_CHUNKS = 6;
+
+/**
+ * Annotates a unified diff patch with new-file line numbers so the model can anchor comments.
+ * @param {string} patch
+ * @returns {{text: string, lines: Set<number>}} Annotated patch and the commentable (right side) lines
+ */
+export function annotatePatch(patch) {
+    const lines = new Set();
+    const out = [];
+    let newLine = 0;
+
+    for (const raw of patch.split('\n')) {
+        const hunk = raw.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        if (hunk) {
+            newLine = parseInt(hunk[1], 10);
+            out.push(raw);
+        } else if (raw.startsWith('-')) {
+            out.push(`     ${raw}`);
+        } else if (raw.startsWith('\\')) {
+            continue; // "\ No newline at end of file"
+        } else {
+            lines.add(newLine);
+            out.push(`${String(newLine).padStart(4)} ${raw}`);
+            newLine++;
+        }
+    }
+
+    return { text: out.join('\n'), lines };
+}
+
+/**
+ * Groups PR files into chunks that fit a single model call.
+ * Oversized single-file patches are cut at a line boundary.
+ * @param {Array} files - Files from fetchPRFiles
+ * @param {number} maxChars
+ * @returns {Array<Array<{path: string, status: string, diff: string}>>}
+ */
+export function chunkFiles(files, maxChars = CHUNK_CHARS) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    for (const f of files) {
+        let diff = f.patch ? annotatePatch(f.patch).text : '(no textual diff: binary or too large)';
+        if (diff.length > maxChars) {
+            diff = diff.slice(0, diff.lastIndexOf('\n', maxChars)) + '\n... [diff truncated]';
+        }
+
+        if (size + diff.length > maxChars && current.length > 0) {
+            chunks.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push({ path: f.filename, status: f.status, diff });
+        size += diff.length;
+    }
+
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Reviews a pull request: fetches the full diff, reviews it chunk by chunk and merges the result.
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} pullNumber
+ * @param {object} env
+ * @param {object} llm - (Optional) { provider, model } for the review calls
+ * @returns {Promise<{pr: object, review: {summary: string, risks: string[], files: Array}, skippedFiles: string[]}>}
+ */
+export async function reviewPullRequest(owner, repo, pullNumber, env, llm = {}) {
+    console.log(`🔍 [REVIEW] Reviewing ${owner}/${repo}#${pullNumber}`);
+
+    const pr = await fetchPRDetails(owner, repo, pullNumber, env.GITHUB_TOKEN);
+    const files = await fetchPRFiles(owner, repo, pullNumber, env.GITHUB_TOKEN);
+    const commentable = new Map(files.filter(f => f.patch).map(f => [f.filename, annotatePatch(f.patch).lines]));
+
+    const allChunks = chunkFiles(files);
+    const chunks = allChunks.slice(0, MAX_CHUNKS);
+    const skippedFiles = allChunks.slice(MAX_CHUNKS).flat().map(f => f.path);
+    console.log(`🔍 [REVIEW] ${files.length} files in ${allChunks.length} chunks`);
+
+    const partials = [];
+    for (const [i, chunk] of chunks.entries()) {
+        const prompt = `You are reviewing part ${i + 1} of ${chunks.length} of pull request "${pr.title}".
+Each diff line is prefixed with its line number in the new file; removed lines have no number.
+Respond ONLY with JSON (no thinking block) in this shape:
+{"summary": "what this part changes", "risks": ["bugs, security or breaking-change risks"], "files": [{"path": "file path", "notes": "short review notes", "comments": [{"line": 12, "body": "actionable comment"}]}]}
+Only comment on numbered lines. Skip files with nothing worth saying.`;
+
+        const messages = await buildMessages(
+            prompt,
+            {
+                type: 'pr_review_chunk',
+                description: pr.body ? pr.body.slice(0, 2000) : '',
+                diff: chunk.map(f => `### ${f.path} (${f.status})\n${f.diff}`).join('\n\n')
+            },
+            [],
+            env
+        );
+        const aiRes = await generateAIResponse(messages, env, { ...llm, feature: 'review' });
+
+        const parsed = extractJson(aiRes.content);
+        if (parsed) {
+            partials.push(parsed);
+        } else {
+            console.error('🔍 [REVIEW] Could not parse chunk review:', aiRes.content);
+        }
+    }
+
+    let summary = partials.map(p => p.summary).filter(Boolean).join(' ');
+    if (partials.length > 1) {
+        const messages = await buildMessages(
+            `Merge these partial summaries of pull request "${pr.title}" into one concise summary (3-5 sentences, no thinking block):\n\n${partials.map(p => `- ${p.summary}`).join('\n')}`,
+            { type: 'pr_review_summary' },
+            [],
+            env
+        );
+        const aiRes = await generateAIResponse(messages, env, { ...llm, feature: 'review' });
+        summary = aiRes.content || summary;
+    }
+
+    // Drop comments the model anchored to lines that are not part of the diff (GitHub rejects them)
+    const reviewFiles = partials.flatMap(p => p.files || []).map(f => ({
+        path: f.path,
+        notes: f.notes || '',
+        comments: (f.comments || []).filter(c => commentable.get(f.path)?.has(Number(c.line)) && c.body)
+    }));
+
+    return {
+        pr,
+        review: {
+            summary: summary || 'No summary produced.',
+            risks: partials.flatMap(p => p.risks || []),
+            files: reviewFiles
+        },
+        skippedFiles
+    };
+}
+
+/**
+ * Formats a structured review for Telegram.
+ * @param {object} pr
+ * @param {object} review
+ * @param {string[]} skippedFiles
+ * @returns {string}
+ */
+export function formatReview(pr, review, skippedFiles = []) {
+    let text = `🔍 *Review of #${pr.number}: ${pr.title}*\n${pr.html_url}\n\n`;
+    text += `📝 *Summary*\n${review.summary}\n\n`;
+
+    if (review.risks.length > 0) {
+        text += `⚠️ *Risks*\n${review.risks.map(r => `• ${r}`).join('\n')}\n\n`;
+    }
+
+    const notedFiles = review.files.filter(f => f.notes || f.comments.length > 0);
+    if (notedFiles.length > 0) {
+        text += `📂 *Files*\n`;
+        for (const f of notedFiles) {
+            text += `• \`${f.path}\`: ${f.notes}\n`;
+            for (const c of f.comments) {
+                text += `    L${c.line}: ${c.body}\n`;
+            }
+        }
+    }
+
+    if (skippedFiles.length > 0) {
+        text += `\n(Skipped ${skippedFiles.length} files because the PR is very large.)`;
+    }
+
+    return text.trim();
+}
+
+/**
+ * Builds the GitHub review payload (body + line-anchored comments) from a structured review.
+ * @param {object} pr
+ * @param {object} review
+ * @returns {{commit_id: string, body: string, event: string, comments: Array}}
+ */
+export function toGitHubReview(pr, review) {
+    const body = [
+        `### Summary\n${review.summary}`,
+        review.risks.length > 0 ? `### Risks\n${review.risks.map(r => `- ${r}`).join('\n')}` : '',
+        ...review.files.filter(f => f.notes).map(f => `**${f.path}**: ${f.notes}`),
+        '_Review generated by ClawBot_ 🦞'
+    ].filter(Boolean).join('\n\n');
+
+    return {
+        commit_id: pr.head?.sha,
+        body,
+        event: 'COMMENT',
+        comments: review.files.flatMap(f => f.comments.map(c => ({
+            path: f.path,
+            line: Number(c.line),
+            side: 'RIGHT',
+            body: c.body
+        })))
+    };
+}
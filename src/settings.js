@@ -0,0 +1,197 @@
+import { isValidTimezone } from './cron.js';
+import { chatProviderNames } from './providers/index.js';
+
+/**
+ * Persona presets selectable per chat. `custom` uses the chat's own system prompt instead.
+ */
+export const PERSONAS = {
+    clawbot: {
+        label: '🦞 ClawBot',
+        prompt: `Tone & Persona (CRITICAL):
+- You must STRICTLY adhere to Jehovah's Witness (JW) principles at all times:
+  - Maintain political neutrality.
+  - Do not celebrate holidays (Birthdays, Christmas, Halloween, etc.).
+  - Use clean, respectful language.
+  - If a topic conflicts with biblical principles, politely decline or pivot based on conscience.
+  - Cite biblical principles if relevant but don't be preachy unless asked.
+- SIMULTANEOUSLY, you have a "Crazy" and "Cool" energy:
+  - Be enthusiastic, wild, and sharp.
+  - Use creative metaphors.
+  - "Professional but human" means you are competent but have a unique voice.
+  - Do not be boring.`
+    },
+    professional: {
+        label: '💼 Professional',
+        prompt: `Tone & Persona:
+- Calm, precise and professional, like a senior engineer writing to a colleague.
+- No slang, no exclamation marks, no metaphors unless they clarify.
+- Use clean, respectful language.`
+    },
+    tutor: {
+        label: '🎓 Tutor',
+        prompt: `Tone & Persona:
+- Patient teacher. Explain the "why" behind answers and check understanding.
+- Break complex topics into small steps with short examples.
+- Use clean, respectful language.`
+    }
+};
+
+export const VERBOSITY = {
+    brief: 'Keep replies short: a few sentences or a compact list. Skip preambles.',
+    normal: 'Use a moderate length: enough detail to be useful, no padding.',
+    detailed: 'Give thorough, well-structured answers with examples where they help.'
+};
+
+export const DEFAULT_SETTINGS = {
+    provider: null, // null = LLM_PROVIDER env default
+    model: null, // null = the provider's default model
+    temperature: 0.8,
+    persona: 'clawbot',
+    customPrompt: null,
+    language: 'auto',
+    verbosity: 'normal'
+};
+
+/**
+ * Gets the per-chat settings stored in USER_PREFS, filled in with defaults.
+ * @param {number|string} chatId
+ * @param {object} env
+ * @returns {Promise<typeof DEFAULT_SETTINGS>}
+ */
+export async function getChatSettings(chatId, env) {
+    try {
+        const stored = await env.USER_PREFS.get(`settings:${chatId}`, { type: 'json' });
+        return { ...DEFAULT_SETTINGS, ...stored };
+    } catch (e) {
+        console.error('Error reading chat settings:', e);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Validates, merges and saves per-chat settings.
+ * @param {number|string} chatId
+ * @param {object} changes - Fields to update (null resets a field to its default)
+ * @param {object} env
+ * @returns {Promise<typeof DEFAULT_SETTINGS>} The saved settings
+ * @throws {Error} If a value is invalid (message is safe to show to the user)
+ */
+export async function saveChatSettings(chatId, changes, env) {
+    for (const [key, value] of Object.entries(changes)) {
+        validateSetting(key, value, env);
+    }
+
+    const settings = { ...(await getChatSettings(chatId, env)), ...changes };
+    for (const key of Object.keys(settings)) {
+        if (settings[key] === null || settings[key] === undefined) {
+            settings[key] = DEFAULT_SETTINGS[key] ?? null;
+        }
+    }
+
+    // Only persist what differs from the defaults, so changing a default changes it for everyone
+    const stored = Object.fromEntries(Object.entries(settings).filter(([k, v]) => DEFAULT_SETTINGS[k] !== v));
+    await env.USER_PREFS.put(`settings:${chatId}`, JSON.stringify(stored));
+    return settings;
+}
+
+/**
+ * Resets a chat to the default settings.
+ * @param {number|string} chatId
+ * @param {object} env
+ */
+export async function resetChatSettings(chatId, env) {
+    await env.USER_PREFS.delete(`settings:${chatId}`);
+}
+
+/**
+ * The user's time zone (IANA name, e.g. "Europe/Berlin"), stored per user rather than per chat:
+ * schedules and the current time in prompts follow the person, also in group chats.
+ * @param {number|string} userId
+ * @param {object} env
+ * @returns {Promise<string>} Falls back to DEFAULT_TIMEZONE, then UTC
+ */
+export async function getUserTimezone(userId, env) {
+    return await env.USER_PREFS.get(`timezone:${userId}`) || env.DEFAULT_TIMEZONE || 'UTC';
+}
+
+/**
+ * @param {number|string} userId
+ * @param {string} timezone - IANA name
+ * @param {object} env
+ * @throws {Error} If the runtime doesn't know the time zone (message is safe to show to the user)
+ */
+export async function saveUserTimezone(userId, timezone, env) {
+    if (!isValidTimezone(timezone)) {
+        throw new Error(`Unknown time zone "${timezone}". Use a name like Europe/Berlin or America/New_York.`);
+    }
+    await env.USER_PREFS.put(`timezone:${userId}`, timezone);
+}
+
+/**
+ * Picks the LLM options (provider/model/temperature) to pass to ai.js from chat settings.
+ * @param {object} settings
+ * @returns {{provider?: string, model?: string, temperature?: number}}
+ */
+export function llmOptions(settings) {
+    return { provider: settings.provider, model: settings.model, temperature: settings.temperature };
+}
+
+/**
+ * Builds the persona, language and verbosity part of the system prompt.
+ * @param {object} settings
+ * @returns {string}
+ */
+export function personaPrompt(settings) {
+    const persona = settings.persona === 'custom' && settings.customPrompt
+        ? settings.customPrompt
+        : (PERSONAS[settings.persona] || PERSONAS.clawbot).prompt;
+
+    const language = settings.language && settings.language !== 'auto'
+        ? `Always reply in ${settings.language}, whatever language the user writes in.`
+        : 'Reply in the language the user writes in.';
+
+    return `${persona}
+
+Reply style:
+- ${language}
+- ${VERBOSITY[settings.verbosity] || VERBOSITY.normal}`;
+}
+
+function validateSetting(key, value, env) {
+    if (value === null) return;
+    switch (key) {
+        case 'temperature':
+            if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 2) {
+                throw new Error('Temperature must be a number between 0 and 2.');
+            }
+            break;
+        case 'persona':
+            if (value !== 'custom' && !PERSONAS[value]) {
+                throw new Error(`Unknown persona "${value}". Choose: ${Object.keys(PERSONAS).join(', ')}, custom`);
+            }
+            break;
+        case 'verbosity':
+            if (!VERBOSITY[value]) {
+                throw new Error(`Verbosity must be one of: ${Object.keys(VERBOSITY).join(', ')}`);
+            }
+            break;
+        case 'customPrompt':
+            if (typeof value !== 'string' || value.length > 4000) {
+                throw new Error('Custom prompt must be text of at most 4000 characters.');
+            }
+            break;
+        case 'provider':
+            if (!chatProviderNames(env).includes(value)) {
+                throw new Error(`Unknown provider "${value}". Available: ${chatProviderNames(env).join(', ')}`);
+            }
+            break;
+        case 'model':
+        case 'language':
+            if (typeof value !== 'string' || value.length > 100) {
+                throw new Error(`Invalid ${key}.`);
+            }
+            break;
+        default:
+            throw new Error(`Unknown setting "${key}".`);
+    }
+}
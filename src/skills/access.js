@@ -0,0 +1,84 @@
+import { ROLES, hasRole, createInvite, redeemInvite, revokeAccess, listRoles, ownerIds } from '../access.js';
+
+export const accessSkill = {
+    name: 'access',
+    description: 'Invite and revoke users, and manage their roles',
+    role: 'admin',
+    tools: [],
+    commands: [
+        {
+            name: 'invite',
+            description: 'Create a one-time invite code',
+            args: [{ name: 'role', description: 'guest, member or admin (default: member)' }],
+            handler: async ({ args, env, role, userId }) => {
+                const invited = (args.role || 'member').toLowerCase();
+                if (!ROLES.includes(invited) || invited === 'owner') {
+                    return `⚠️ Unknown role "${args.role}". Use guest, member or admin (owners are set with OWNER_IDS).`;
+                }
+                // Admins can only hand out roles below their own
+                if (role !== 'owner' && hasRole(invited, role)) {
+                    return `🔒 Only owners can invite ${invited}s.`;
+                }
+
+                const code = await createInvite(invited, userId, env);
+                return `🎟 One-time invite for a *${invited}*, valid for 7 days.\n` +
+                    `Forward this to them: \`/join ${code}\``;
+            }
+        },
+        {
+            name: 'join',
+            description: 'Redeem an invite code',
+            args: [{ name: 'code', required: true }],
+            role: 'guest',
+            public: true,
+            handler: async ({ args, env, message, role }) => {
+                const user = message.from || { id: message.chat.id };
+                const granted = await redeemInvite(args.code, user, role, env);
+                if (!granted) {
+                    return '⚠️ That invite code is invalid, used or expired.';
+                }
+                return `✅ Welcome! You're a *${granted}*. Send /help to see what you can do.`;
+            }
+        },
+        {
+            name: 'revoke',
+            description: 'Remove a user or an unused invite code',
+            args: [{ name: 'user_id_or_code', required: true }],
+            handler: async ({ args, env, role }) => {
+                const target = args.user_id_or_code;
+                if (ownerIds(env).includes(target)) {
+                    return '🔒 Owners are set with OWNER_IDS and can only be removed there.';
+                }
+
+                const stored = await env.USER_PREFS.get(`role:${target}`, { type: 'json' });
+                if (stored && role !== 'owner' && hasRole(stored.role, role)) {
+                    return `🔒 Only owners can revoke ${stored.role}s.`;
+                }
+
+                const revoked = await revokeAccess(target, env);
+                if (!revoked) {
+                    return `⚠️ No user or invite "${target}". See /users.`;
+                }
+                return revoked.type === 'user'
+                    ? `🚫 Revoked ${target} (was ${revoked.role}).`
+                    : `🚫 Invite ${target.toUpperCase()} (${revoked.role}) cancelled.`;
+            }
+        },
+        {
+            name: 'users',
+            description: 'List users and their roles',
+            handler: async ({ env }) => {
+                const owners = ownerIds(env).map(id => `• ${id} - owner (OWNER_IDS)`);
+                const users = (await listRoles(env)).map(u => {
+                    const name = [u.name, u.username && `@${u.username}`].filter(Boolean).join(' ');
+                    return `• ${u.id}${name ? ` (${name})` : ''} - ${u.role}`;
+                });
+                if (owners.length === 0 && users.length === 0) {
+                    return '👥 No users yet. Create an invite with /invite [role].';
+                }
+                return `👥 *Users*\n${[...owners, ...users].join('\n')}\n\nRemove someone with /revoke <user id>.`;
+            }
+        }
+    ],
+    handlers: {}
+};
@@ -0,0 +1,124 @@
+import { STAGES, saveJob, listApplications, findApplication, updateApplication, deleteApplication, describeApplication, describeApplicationDetails, formatPipeline } from '../applications.js';
+import { getUserTimezone } from '../settings.js';
+
+export const applicationsSkill = {
+    name: 'applications',
+    description: 'Tracks job applications from saved to offer',
+    tools: [
+        {
+            type: "function",
+            status: "🔖 Saving the job…",
+            function: {
+                name: "save_job",
+                description: "Add a job to the user's application pipeline (stage \"saved\"). Use the job id search_jobs listed it with; for a job found elsewhere give its title, company and link.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        job_id: { type: "string", description: "The id from search_jobs, e.g. '1a2b3c4d'" },
+                        title: { type: "string", description: "Job title, without job_id" },
+                        company: { type: "string", description: "Company, without job_id" },
+                        url: { type: "string", description: "Link to the posting, without job_id" },
+                        note: { type: "string", description: "Optional note, e.g. 'referral from Sam'" }
+                    }
+                }
+            }
+        },
+        {
+            type: "function",
+            status: "📋 Updating the application…",
+            function: {
+                name: "update_application",
+                description: "Move a tracked application to another stage, add a note, or set the date to follow up on it (the user gets a reminder at 9:00 that day). Closing it (offer, rejected) cancels the follow-up.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        id: { type: "string", description: "The application id (see list_applications), or the job id from search_jobs" },
+                        stage: { type: "string", enum: STAGES, description: "The new stage" },
+                        note: { type: "string", description: "A note to add, e.g. 'Phone screen with Dana went well'" },
+                        follow_up: { type: "string", description: "Local date to follow up, e.g. '2026-10-26', or 'none' to clear it" }
+                    },
+                    required: ["id"]
+                }
+            }
+        },
+        {
+            type: "function",
+            function: {
+                name: "list_applications",
+                description: "List the user's tracked job applications by stage, with their ids, notes and follow-up dates.",
+                parameters: { type: "object", properties: {} }
+            }
+        }
+    ],
+    commands: [
+        {
+            name: 'pipeline',
+            description: 'Your job applications by stage',
+            args: [
+                { name: 'action', description: 'An application id, or delete' },
+                { name: 'id' }
+            ],
+            handler: async ({ args, env, chatId }) => {
+                if (!args.action) {
+                    return formatPipeline(await listApplications(chatId, env));
+                }
+                if (args.action === 'delete') {
+                    if (!args.id) {
+                        return '⚠️ Usage: `/pipeline`, `/pipeline <id>` or `/pipeline delete <id>`';
+                    }
+                    const deleted = await deleteApplication(chatId, args.id, env);
+                    return deleted ? `🗑 Deleted ${deleted.title} at ${deleted.company}.` : `⚠️ No application ${args.id} in this chat.`;
+                }
+                const application = await findApplication(chatId, args.action, env);
+                return application ? describeApplicationDetails(application) : `⚠️ No application ${args.action} in this chat.`;
+            }
+        }
+    ],
+    handlers: {
+        'save_job': async ({ args, env, chatId }) => {
+            try {
+                const { application, created } = await saveJob(chatId, {
+                    jobId: args.job_id,
+                    title: args.title,
+                    company: args.company,
+                    url: args.url
+                }, args.note, env);
+                return created
+                    ? `Saved application ${application.id}: ${describeApplication(application)}. Next: update_application when they apply. The user sees the board with /pipeline.`
+                    : `Already tracked as application ${application.id} (${application.stage}): ${describeApplication(application)}.`;
+            } catch (e) {
+                return `Error: ${e.message}`;
+            }
+        },
+
+        'update_application': async ({ args, env, chatId, userId }) => {
+            const application = await findApplication(chatId, args.id, env);
+            if (!application) {
+                return `Error: No application ${args.id} in this chat. Save the job first with save_job, or check the ids with list_applications.`;
+            }
+            try {
+                const timezone = await getUserTimezone(userId, env);
+                const updated = await updateApplication(application, {
+                    stage: args.stage,
+                    note: args.note,
+                    followUp: args.follow_up
+                }, { userId, timezone }, env);
+                const followUp = updated.followUp ? ` A reminder to follow up comes on ${updated.followUp} at 9:00 (${timezone}).` : '';
+                return `Application ${updated.id} is now ${updated.stage}: ${describeApplication(updated)}.${followUp}`;
+            } catch (e) {
+                return `Error: ${e.message}`;
+            }
+        },
+
+        'list_applications': async ({ env, chatId }) => {
+            const applications = await listApplications(chatId, env);
+            if (applications.length === 0) {
+                return 'No applications tracked yet.';
+            }
+            return applications.map(a => {
+                const notes = a.notes.map(n => `\n   - ${n.at.slice(0, 10)}: ${n.text}`).join('');
+                return `• [${a.stage}] ${describeApplication(a)}${notes}`;
+            }).join('\n');
+        }
+    }
+};
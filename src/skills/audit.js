@@ -0,0 +1,61 @@
+import { listAudit, formatAuditEntry, auditToCsv } from '../audit.js';
+import { sendDocument } from '../telegram.js';
+
+// /audit shows 10 entries unless asked for more, and at most 50
+const DEFAULT_ENTRIES = 10;
+const MAX_ENTRIES = 50;
+// Entries per export document (read from the keys' metadata, plus the values of shortened entries)
+const MAX_EXPORT = 5000;
+
+export const auditSkill = {
+    name: 'audit',
+    description: 'Audit trail of tool runs and access denials',
+    role: 'owner',
+    tools: [],
+    commands: [
+        {
+            name: 'audit',
+            description: 'Show the latest tool runs and denials',
+            args: [{ name: 'n', description: `Number of entries (default ${DEFAULT_ENTRIES}, max ${MAX_ENTRIES})` }],
+            handler: async ({ args, env }) => {
+                const n = args.n === undefined ? DEFAULT_ENTRIES : parseInt(args.n, 10);
+                if (!Number.isInteger(n) || n < 1) {
+                    return `⚠️ "${args.n}" is not a number of entries. Usage: /audit [n]`;
+                }
+
+                const entries = await listAudit(env, { limit: Math.min(n, MAX_ENTRIES) });
+                if (entries.length === 0) {
+                    return '📒 The audit log is empty.';
+                }
+                return `📒 *Audit log* (latest ${entries.length}, newest first)\n\n` +
+                    entries.map(formatAuditEntry).join('\n') +
+                    '\n\nDownload everything with /audit_export [json|csv].';
+            }
+        },
+        {
+            name: 'audit_export',
+            description: 'Export the audit log as a JSON or CSV file',
+            args: [{ name: 'format', description: 'json (default) or csv' }],
+            handler: async ({ args, env, chatId }) => {
+                const format = (args.format || 'json').toLowerCase();
+                if (format !== 'json' && format !== 'csv') {
+                    return `⚠️ Unknown format "${args.format}". Use json or csv.`;
+                }
+
+                const entries = await listAudit(env, { limit: MAX_EXPORT, full: true });
+                const content = format === 'csv' ? auditToCsv(entries) : JSON.stringify(entries, null, 2);
+                const file = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+                const date = new Date().toISOString().slice(0, 10);
+
+                const res = await sendDocument(chatId, file, `audit-${date}.${format}`, env, {
+                    caption: `📒 ${entries.length} audit entries`
+                });
+                if (!res.ok) {
+                    throw new Error(res.description || 'sendDocument failed');
+                }
+                return `✅ Exported ${entries.length} entries as ${format.toUpperCase()}.`;
+            }
+        }
+    ],
+    handlers: {}
+};
@@ -0,0 +1,89 @@
+import { getBriefing, newBriefing, checkSection, saveBriefing, composeBriefing, finishBriefing, describeBriefing, parseDelivery } from '../briefing.js';
+import { getUserTimezone } from '../settings.js';
+import { hasRole } from '../access.js';
+
+const USAGE = `⚠️ Usage:
+/briefing — show it
+/briefing add <section> [option] — add a section, or change its option
+/briefing remove <section>
+/briefing time <HH:MM> [days] — e.g. /briefing time 07:30 mon-fri
+/briefing on | off
+/briefing now — send it now`;
+
+export const briefingSkill = {
+    name: 'briefing',
+    description: 'Scheduled briefings built from sections',
+    tools: [],
+    commands: [
+        {
+            name: 'briefing',
+            description: 'Set up the chat\'s briefing: sections, time and days',
+            args: [
+                { name: 'action', description: 'add, remove, time, on, off or now' },
+                { name: 'target', description: 'Section name, or the time' },
+                { name: 'value', description: 'Section option, or the days', rest: true }
+            ],
+            handler: async ({ args, env, chatId, userId, role, sections, llm }) => {
+                const briefing = await getBriefing(chatId, env);
+                const action = args.action?.toLowerCase();
+
+                if (!action) {
+                    return `${describeBriefing(briefing, sections)}\n\n${describeSections(sections, role)}`;
+                }
+                if (action === 'now') {
+                    if (!briefing || briefing.sections.length === 0) {
+                        return '☀️ No briefing set up for this chat. Add a section first, e.g. /briefing add watches.';
+                    }
+                    const text = await composeBriefing(briefing, sections, { env, role, llm });
+                    // Sections note what they showed; that only counts once the briefing went out
+                    return { text, onSent: () => finishBriefing(briefing, env) };
+                }
+
+                const current = briefing || newBriefing({ chatId, userId, timezone: await getUserTimezone(userId, env) });
+                try {
+                    if (action === 'add' && args.target) {
+                        const name = args.target.toLowerCase();
+                        checkSection(name, args.value, sections, role);
+                        const entry = current.sections.find(s => s.name === name);
+                        if (entry) {
+                            entry.option = args.value || null;
+                        } else {
+                            current.sections.push({ name, option: args.value || null });
+                        }
+                    } else if (action === 'remove' && args.target) {
+                        const name = args.target.toLowerCase();
+                        if (!current.sections.some(s => s.name === name)) {
+                            return `⚠️ The briefing has no ${name} section.`;
+                        }
+                        current.sections = current.sections.filter(s => s.name !== name);
+                        delete current.state[name];
+                    } else if (action === 'time' && args.target) {
+                        Object.assign(current, parseDelivery(args.target, args.value));
+                        // Times are read in the time zone of whoever sets them
+                        current.timezone = await getUserTimezone(userId, env);
+                    } else if (action === 'on' || action === 'off') {
+                        current.enabled = action === 'on';
+                    } else {
+                        return USAGE;
+                    }
+                } catch (e) {
+                    return `⚠️ ${e.message}`;
+                }
+
+                await saveBriefing(current, env);
+                return `✅ Saved.\n\n${describeBriefing(current, sections)}`;
+            }
+        }
+    ],
+    handlers: {}
+};
+
+/**
+ * The sections the user may add, for /briefing.
+ */
+function describeSections(sections, role) {
+    const lines = [...sections.values()]
+        .filter(s => hasRole(role, s.role))
+        .map(s => `• ${s.name}: ${s.description}${s.option ? ` (option: ${s.option})` : ''}`);
+    return `*Sections*\n${lines.join('\n')}\n\nAdd one with /briefing add <section> [option]; set the time with /briefing time 07:30 [mon-fri].`;
+}
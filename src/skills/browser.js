@@ -1,13 +1,23 @@
 
-import { browsePage } from '../browser.js';
+import { browsePage, screenshotPage, pageToPdf } from '../browser.js';
 import { fetchArticle } from '../article.js';
+import { formatArticle } from '../extract.js';
+import { buildMessages, generateAIResponse } from '../ai.js';
+import { rememberDocument } from '../recall.js';
+import { checkToolQuota } from '../ratelimit.js';
+import { sendPhoto, sendDocument } from '../telegram.js';
+import { formatDuration } from '../utils.js';
 
 export const browserSkill = {
     name: 'browser',
     description: 'Web browsing capabilities',
+    role: 'guest',
     tools: [
         {
             type: "function",
+            status: "🌐 Browsing…",
+            // Each call starts a headless browser session
+            quota: { limit: 20, window: 60 * 60 },
             function: {
                 name: "browse_page",
                 description: "Browse a web page to read its content. Use this when the user asks to read, summarize, or analyze a URL.",
@@ -19,10 +29,106 @@ export const browserSkill = {
                     required: ["url"]
                 }
             }
+        },
+        {
+            type: "function",
+            status: "📸 Taking a screenshot…",
+            quota: { limit: 20, window: 60 * 60 },
+            function: {
+                name: "screenshot_page",
+                description: "Take a screenshot of a web page and send it to the user as a photo. Pass `question` to also look at it yourself, e.g. when the user asks what a page looks like.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        url: { type: "string", description: "The URL to capture" },
+                        full_page: { type: "boolean", description: "Capture the whole scrollable page instead of the first screen" },
+                        selector: { type: "string", description: "CSS selector of a single element to capture, e.g. '#pricing'" },
+                        question: { type: "string", description: "What to look for in the screenshot; the vision model's answer is returned to you" }
+                    },
+                    required: ["url"]
+                }
+            }
+        },
+        {
+            type: "function",
+            status: "🖨 Printing to PDF…",
+            quota: { limit: 20, window: 60 * 60 },
+            function: {
+                name: "page_to_pdf",
+                description: "Print a web page to a PDF and send it to the user as a document (e.g. to save or share an article).",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        url: { type: "string", description: "The URL to print" },
+                        landscape: { type: "boolean", description: "Landscape instead of portrait" }
+                    },
+                    required: ["url"]
+                }
+            }
+        }
+    ],
+    commands: [
+        {
+            name: 'browse',
+            description: 'Browse a page with a real browser',
+            args: [{ name: 'url', required: true }],
+            handler: async ({ args, env, userId }) => {
+                // Shares the browse_page quota
+                const quota = await checkToolQuota(browserSkill.tools[0], userId, env);
+                if (!quota.allowed) {
+                    return `⏱ Browsing quota used up. Try again in ${formatDuration(quota.retryAfter)}.`;
+                }
+                const pageData = await browsePage(args.url, env);
+                if (pageData.error) {
+                    return `⚠️ ${pageData.text}`;
+                }
+                return `🌐 *${pageData.title}*\n${args.url}\n\n${pageData.text.slice(0, 3500)}`;
+            }
+        },
+        {
+            name: 'shot',
+            description: 'Screenshot a page',
+            args: [
+                { name: 'url', required: true },
+                { name: 'target', description: '"full" for the whole page, or a CSS selector', rest: true }
+            ],
+            handler: async ({ args, env, chatId, userId }) => {
+                // Shares the screenshot_page quota
+                const quota = await checkToolQuota(browserSkill.tools[1], userId, env);
+                if (!quota.allowed) {
+                    return `⏱ Screenshot quota used up. Try again in ${formatDuration(quota.retryAfter)}.`;
+                }
+                const target = args.target?.trim();
+                const options = target === 'full' ? { fullPage: true } : { selector: target || null };
+                const { image, title } = await screenshotPage(args.url, env, options);
+                await sendImage(chatId, image, args.url, title, env);
+                return `📸 Sent a ${describeCapture(options, args.url)}.`;
+            }
+        },
+        {
+            name: 'review',
+            description: 'Review an article (fast fetch)',
+            args: [{ name: 'url', required: true }],
+            handler: async ({ args, env, history, settings, llm, memory }) => {
+                const article = await fetchArticle(args.url);
+                if (article.startsWith('Failed') || article.startsWith('Error')) {
+                    return `⚠️ ${article}`;
+                }
+                const messages = await buildMessages(
+                    `Review this article: ${args.url}. Summarize the key points and give your honest take.`,
+                    { type: 'article_review', url: args.url, article },
+                    history,
+                    env,
+                    settings,
+                    memory
+                );
+                const aiRes = await generateAIResponse(messages, env, { ...llm, feature: 'page_digest' });
+                return aiRes.content;
+            }
         }
     ],
     handlers: {
-        'browse_page': async ({ args, env }) => {
+        'browse_page': async ({ args, env, chatId }) => {
             const url = args.url;
             console.log('🌐 [SKILL:Browser] Browsing:', url);
 
@@ -30,7 +136,8 @@ export const browserSkill = {
             const pageData = await browsePage(url, env);
 
             if (!pageData.error) {
-                return `Browsed content from ${url}:\nTitle: ${pageData.title}\n\n${pageData.text.slice(0, 5000)}...`;
+                await rememberDocument(chatId, { source: 'page', url, title: pageData.title, text: pageData.text }, env);
+                return `Browsed content from ${url}:\n\n${formatArticle({ ...pageData, markdown: pageData.text })}`;
             }
 
             console.log('🌐 [SKILL:Browser] Failed, falling back to fast fetch');
@@ -41,10 +148,89 @@ export const browserSkill = {
                 if (fallbackText.startsWith('Failed') || fallbackText.startsWith('Error')) {
                     return `⚠️ Couldn't load the page. The site might be blocking bots. Error: ${pageData.text}`;
                 }
-                return `(Fetched via Fast Mode) Content from ${url}:\n\n${fallbackText.slice(0, 5000)}...`;
+                await rememberDocument(chatId, { source: 'page', url, text: fallbackText }, env);
+                return `(Fetched via Fast Mode) Content from ${url}:\n\n${fallbackText}`;
             } catch (e) {
                 return `Error fetching page: ${e.message}`;
             }
+        },
+
+        'screenshot_page': async ({ args, env, chatId, llm }) => {
+            const options = { fullPage: Boolean(args.full_page), selector: args.selector || null };
+            const { image, title } = await screenshotPage(args.url, env, options);
+            await sendImage(chatId, image, args.url, title, env);
+
+            let result = `Sent the user a ${describeCapture(options, args.url)}.`;
+            if (args.question) {
+                result += `\n\nWhat the screenshot shows: ${await describeScreenshot(image, args.question, env, llm)}`;
+            }
+            return result;
+        },
+
+        'page_to_pdf': async ({ args, env, chatId }) => {
+            const { pdf, title } = await pageToPdf(args.url, env, { landscape: Boolean(args.landscape) });
+            const file = new Blob([pdf], { type: 'application/pdf' });
+            const res = await sendDocument(chatId, file, `${fileStem(args.url)}.pdf`, env, { caption: `🖨 ${title || args.url}` });
+            if (!res.ok) {
+                throw new Error(res.description || 'sendDocument failed');
+            }
+            return `Sent the user a PDF of ${args.url}.`;
         }
     }
 };
+
+function describeCapture({ fullPage, selector }, url) {
+    if (selector) return `screenshot of ${selector} on ${url}`;
+    return `${fullPage ? 'full-page ' : ''}screenshot of ${url}`;
+}
+
+/**
+ * Sends a screenshot as a photo, or as a PNG document when Telegram won't take it as a photo
+ * (full-page captures are often too tall).
+ */
+async function sendImage(chatId, image, url, title, env) {
+    const file = new Blob([image], { type: 'image/png' });
+    const filename = `${fileStem(url)}.png`;
+    const caption = `📸 ${title || url}`;
+    let res = await sendPhoto(chatId, file, filename, env, { caption });
+    if (!res.ok) {
+        console.log('📸 [SCREENSHOT] Sending as a document:', res.description);
+        res = await sendDocument(chatId, file, filename, env, { caption });
+    }
+    if (!res.ok) {
+        throw new Error(res.description || 'sendPhoto failed');
+    }
+}
+
+/**
+ * Asks the vision model about a screenshot.
+ */
+async function describeScreenshot(image, question, env, llm) {
+    const aiRes = await generateAIResponse([{
+        role: 'user',
+        content: [
+            { type: 'text', text: `${question}\n\nAnswer from this screenshot of the page, in a few sentences. No thinking block.` },
+            { type: 'image_url', image_url: { url: `data:image/png;base64,${toBase64(image)}` } }
+        ]
+    }], env, { ...llm, feature: 'vision' });
+    return aiRes.content;
+}
+
+// "https://www.example.com/a/b" -> "example.com-a-b"
+function fileStem(url) {
+    try {
+        const { hostname, pathname } = new URL(url);
+        return `${hostname.replace(/^www\./, '')}${pathname}`.replace(/[^\w.-]+/g, '-').replace(/-+$/, '').slice(0, 80);
+    } catch (e) {
+        return 'page';
+    }
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    // In slices: spreading a whole screenshot into fromCharCode overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
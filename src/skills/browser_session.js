@@ -0,0 +1,190 @@
+import { withSession, closeSession, snapshotPage, listLinks, findByText } from '../browser.js';
+
+// How long a click waits for the navigation it may trigger
+const NAVIGATION_WAIT = 3000;
+
+export const browserSessionSkill = {
+    name: 'browser_session',
+    description: 'Interactive browsing: click, fill forms and follow links',
+    role: 'member',
+    tools: [
+        {
+            type: "function",
+            status: "🌐 Opening the page…",
+            // Each call may start a browser session
+            quota: { limit: 20, window: 60 * 60 },
+            function: {
+                name: "open_page",
+                description: "Open a URL in this chat's interactive browser, which stays open between calls (closed after 10 idle minutes). Returns the page content and its controls (buttons, inputs) with selectors. Use this instead of browse_page when you need to click, fill forms, load more results or go through several pages.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        url: { type: "string", description: "The URL to open" }
+                    },
+                    required: ["url"]
+                }
+            }
+        },
+        {
+            type: "function",
+            risk: "high",
+            status: "🖱 Clicking…",
+            function: {
+                name: "click",
+                description: "Click a button or link on the open page, by CSS selector or by its visible text. Returns the page afterwards. Never click buttons that submit an application, an order or a payment unless the user told you to.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        selector: { type: "string", description: "CSS selector of the element, e.g. from the page's controls" },
+                        text: { type: "string", description: "Visible text of the element, e.g. 'Load more' (used when there is no selector)" }
+                    }
+                }
+            }
+        },
+        {
+            type: "function",
+            risk: "high",
+            status: "⌨️ Typing…",
+            function: {
+                name: "type",
+                description: "Type into an input or text area of the open page, replacing its value. Returns the page afterwards. Only fill in details the user gave you, and don't submit forms that send an application or a payment without their go-ahead.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        selector: { type: "string", description: "CSS selector of the field" },
+                        text: { type: "string", description: "The text to type" },
+                        submit: { type: "boolean", description: "Press Enter afterwards, e.g. to run a search" }
+                    },
+                    required: ["selector", "text"]
+                }
+            }
+        },
+        {
+            type: "function",
+            status: "📜 Scrolling…",
+            function: {
+                name: "scroll",
+                description: "Scroll the open page (pages that load more content as you scroll). Returns the page afterwards.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        direction: { type: "string", enum: ["down", "up"], description: "Default down" },
+                        pages: { type: "number", description: "How many screens to scroll (default 1)" }
+                    }
+                }
+            }
+        },
+        {
+            type: "function",
+            status: "🔗 Collecting links…",
+            function: {
+                name: "extract_links",
+                description: "List the links of the open page (text and URL), e.g. to pick the next result page or a job posting to open.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        filter: { type: "string", description: "Only links whose text or URL contains this (case-insensitive)" }
+                    }
+                }
+            }
+        },
+        {
+            type: "function",
+            function: {
+                name: "close_session",
+                description: "Close this chat's interactive browser when you are done with it.",
+                parameters: { type: "object", properties: {} }
+            }
+        }
+    ],
+    commands: [],
+    handlers: {
+        'open_page': async ({ args, env, chatId }) => {
+            console.log('🌐 [SKILL:BrowserSession] Opening:', args.url);
+            return await withSession(chatId, env, async (page) => {
+                await page.goto(args.url, { waitUntil: 'networkidle2', timeout: 30000 });
+                return formatSnapshot(await snapshotPage(page));
+            }, { create: true });
+        },
+
+        'click': async ({ args, env, chatId }) => {
+            if (!args.selector && !args.text) {
+                throw new Error('Pass a selector or the text of the element to click.');
+            }
+            return await withSession(chatId, env, async (page) => {
+                const selector = args.selector || await findByText(page, args.text);
+                if (!selector) {
+                    return `Nothing clickable with the text "${args.text}" on ${page.url()}.`;
+                }
+                await Promise.all([
+                    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: NAVIGATION_WAIT }).catch(() => null),
+                    page.click(selector)
+                ]);
+                return formatSnapshot(await snapshotPage(page));
+            });
+        },
+
+        'type': async ({ args, env, chatId }) => {
+            return await withSession(chatId, env, async (page) => {
+                // Select the current value so typing replaces it
+                await page.click(args.selector, { clickCount: 3 });
+                await page.type(args.selector, args.text);
+                if (args.submit) {
+                    await Promise.all([
+                        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: NAVIGATION_WAIT }).catch(() => null),
+                        page.keyboard.press('Enter')
+                    ]);
+                }
+                return formatSnapshot(await snapshotPage(page));
+            });
+        },
+
+        'scroll': async ({ args, env, chatId }) => {
+            const screens = (args.pages || 1) * (args.direction === 'up' ? -1 : 1);
+            return await withSession(chatId, env, async (page) => {
+                await page.evaluate((n) => window.scrollBy(0, window.innerHeight * n), screens);
+                // Give infinite scrolling a moment to load the next batch
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                return formatSnapshot(await snapshotPage(page));
+            });
+        },
+
+        'extract_links': async ({ args, env, chatId }) => {
+            return await withSession(chatId, env, async (page) => {
+                const filter = (args.filter || '').toLowerCase();
+                const links = (await listLinks(page))
+                    .filter(l => !filter || l.text.toLowerCase().includes(filter) || l.href.toLowerCase().includes(filter));
+                if (links.length === 0) {
+                    return `No links${filter ? ` matching "${args.filter}"` : ''} on ${page.url()}.`;
+                }
+                const shown = links.slice(0, 50).map(l => `- [${l.text || 'no text'}](${l.href})`);
+                const more = links.length > 50 ? `\n(${links.length - 50} more not shown, narrow them down with filter)` : '';
+                return `Links on ${page.url()}:\n${shown.join('\n')}${more}`;
+            });
+        },
+
+        'close_session': async ({ env, chatId }) => {
+            return await closeSession(chatId, env)
+                ? 'Closed the browser session.'
+                : 'There was no open browser session.';
+        }
+    }
+};
+
+/**
+ * Page for the model: where it is, what it can interact with, then the content.
+ * Controls come first, so they survive when a long page is summarized to fit the context.
+ */
+function formatSnapshot({ url, title, text, controls }) {
+    const lines = controls.map(c => `- ${c.kind} "${c.label}"${c.selector ? `: ${c.selector}` : ''}`);
+    return [
+        `Page: ${title || 'untitled'}`,
+        `URL: ${url}`,
+        '',
+        'Controls:',
+        ...(lines.length > 0 ? lines : ['- none']),
+        '',
+        'Content:',
+        text || '(no readable text)'
+    ].join('\n');
+}
@@ -0,0 +1,70 @@
+import { fetchFeed } from '../feeds.js';
+
+// Items per feed in a briefing; the first briefing of a feed only shows its latest few
+const ITEMS_PER_BRIEFING = 5;
+const FIRST_ITEMS = 3;
+// Item ids a briefing remembers per feed (feeds rarely list more)
+const MAX_SEEN_ITEMS = 100;
+
+export const feedsSkill = {
+    name: 'feeds',
+    description: 'RSS and Atom feeds',
+    tools: [
+        {
+            type: "function",
+            status: "📰 Reading the feed…",
+            function: {
+                name: "read_feed",
+                description: "Get the latest posts of an RSS or Atom feed (blogs, changelogs, release notes).",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        url: { type: "string", description: "URL of the feed, e.g. https://github.blog/feed/" },
+                        limit: { type: "number", description: "How many posts (default 10)" }
+                    },
+                    required: ["url"]
+                }
+            }
+        }
+    ],
+    sections: [
+        {
+            name: 'rss',
+            label: '📰 Feeds',
+            description: 'New posts of RSS or Atom feeds',
+            option: 'feed URLs, space separated',
+            required: true,
+            run: async ({ option, state }) => {
+                const parts = [];
+                for (const url of option.split(/\s+/).filter(Boolean)) {
+                    const feed = await fetchFeed(url);
+                    const seen = state[url];
+                    const fresh = seen ? feed.items.filter(item => !seen.includes(item.id)).slice(0, ITEMS_PER_BRIEFING) : feed.items.slice(0, FIRST_ITEMS);
+                    state[url] = feed.items.map(item => item.id).slice(0, MAX_SEEN_ITEMS);
+                    if (fresh.length > 0) {
+                        parts.push(`${feed.title || url}\n${fresh.map(item => `• [${item.title || item.link}](${item.link})`).join('\n')}`);
+                    }
+                }
+                return parts.length > 0 ? parts.join('\n\n') : null;
+            }
+        }
+    ],
+    handlers: {
+        'read_feed': async ({ args }) => {
+            try {
+                const feed = await fetchFeed(args.url);
+                const items = feed.items.slice(0, Math.max(1, Math.min(Number(args.limit) || 10, 30)));
+                if (items.length === 0) {
+                    return `${feed.title || args.url} has no posts.`;
+                }
+                return `📰 ${feed.title || args.url}\n\n${items.map(item => [
+                    `• ${item.title} (${item.published ? item.published.slice(0, 10) : 'undated'})`,
+                    `  ${item.link}`,
+                    item.summary && `  ${item.summary}`
+                ].filter(Boolean).join('\n')).join('\n\n')}`;
+            } catch (e) {
+                return `Error: Couldn't read the feed: ${e.message}`;
+            }
+        }
+    }
+};
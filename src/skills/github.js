@@ -1,5 +1,7 @@
 
-import { fetchUserRepos, fetchIssues, fetchIssue, createComment, updateIssueState, fetchPR, parseGitHubPRUrl, fetchFileContent, createIssue, fetchRepoTree } from '../github.js';
+import { fetchUserRepos, fetchIssues, fetchIssue, createComment, updateIssueState, fetchPR, parseGitHubPRUrl, fetchFileContent, createIssue, fetchRepoTree, createPRReview, fetchOpenPRs, fetchNotifications } from '../github.js';
+import { reviewPullRequest, formatReview, toGitHubReview } from '../review.js';
+import { rememberDocument } from '../recall.js';
 
 export const githubSkill = {
     name: 'github',
@@ -7,6 +9,7 @@ export const githubSkill = {
     tools: [
         {
             type: "function",
+            status: "🐙 Listing your repos…",
             function: {
                 name: "get_repos",
                 description: "Get list of user's recently updated repositories",
@@ -15,6 +18,7 @@ export const githubSkill = {
         },
         {
             type: "function",
+            status: "🐙 Fetching issues…",
             function: {
                 name: "get_issues",
                 description: "Get open issues for a repository",
@@ -31,6 +35,7 @@ export const githubSkill = {
 
         {
             type: "function",
+            risk: "high",
             function: {
                 name: "set_repo",
                 description: "Set the default repository for this chat context",
@@ -45,6 +50,7 @@ export const githubSkill = {
         },
         {
             type: "function",
+            status: "🐙 Reading the README…",
             function: {
                 name: "get_repo_readme",
                 description: "Get the README file content of a repository. Use this to explain what a repo does.",
@@ -60,6 +66,8 @@ export const githubSkill = {
         },
         {
             type: "function",
+            risk: "high",
+            status: "🐙 Creating the issue…",
             function: {
                 name: "create_issue",
                 description: "Create a new issue in a GitHub repository.",
@@ -77,6 +85,8 @@ export const githubSkill = {
         },
         {
             type: "function",
+            risk: "high",
+            status: "🐙 Closing the issue…",
             function: {
                 name: "close_issue",
                 description: "Close a GitHub issue. Use this when the user asks to close/resolve an issue.",
@@ -93,6 +103,44 @@ export const githubSkill = {
         },
         {
             type: "function",
+            status: "🔍 Reviewing the pull request…",
+            function: {
+                name: "review_pull_request",
+                description: "Review a GitHub pull request using its full diff. Produces a summary, risks and per-file notes with line comments. Show the review to the user and ask whether to post it on GitHub.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        url: { type: "string", description: "PR URL (e.g. https://github.com/org/repo/pull/123)" },
+                        owner: { type: "string", description: "Repository owner (if no URL given, optional, uses context default)" },
+                        repo: { type: "string", description: "Repository name (if no URL given, optional, uses context default)" },
+                        pull_number: { type: "number", description: "PR number (if no URL given)" }
+                    }
+                }
+            }
+        },
+        {
+            type: "function",
+            risk: "high",
+            status: "🐙 Posting the review…",
+            function: {
+                name: "comment_on_pr",
+                description: "Post to a GitHub pull request. With post_review=true, posts the last review from review_pull_request as a PR review with line comments. Otherwise posts `body` as a plain comment. The user is asked to approve before anything is posted.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        post_review: { type: "boolean", description: "Post the pending review from review_pull_request" },
+                        body: { type: "string", description: "Comment text (when not posting the pending review)" },
+                        url: { type: "string", description: "PR URL (for plain comments)" },
+                        owner: { type: "string", description: "Repository owner (for plain comments)" },
+                        repo: { type: "string", description: "Repository name (for plain comments)" },
+                        pull_number: { type: "number", description: "PR number (for plain comments)" }
+                    }
+                }
+            }
+        },
+        {
+            type: "function",
+            status: "🐙 Listing files…",
             function: {
                 name: "list_files",
                 description: "List all files in a repository recursively. Use this to scan the codebase structure before reading specific files.",
@@ -107,6 +155,89 @@ export const githubSkill = {
             }
         }
     ],
+    commands: [
+        {
+            name: 'setrepo',
+            description: 'Set the default repository for this chat',
+            args: [{ name: 'owner/repo', required: true }],
+            handler: async ({ args, env, chatId }) => {
+                const repo = args['owner/repo'];
+                if (!/^[\w.-]+\/[\w.-]+$/.test(repo)) {
+                    return "⚠️ Repository must look like owner/repo (e.g. facebook/react).";
+                }
+                await env.CHAT_HISTORY.put(`repo:${chatId}`, repo);
+                return `✅ Default repository set to ${repo}`;
+            }
+        },
+        {
+            name: 'myrepos',
+            description: 'List your recently updated repositories',
+            handler: async ({ env }) => fetchUserRepos(env.GITHUB_TOKEN)
+        },
+        {
+            name: 'issues',
+            description: 'List open issues (defaults to the /setrepo repository)',
+            args: [{ name: 'owner/repo' }],
+            handler: async ({ args, env, chatId }) => {
+                const fullName = args['owner/repo'] || await env.CHAT_HISTORY.get(`repo:${chatId}`);
+                if (!fullName) {
+                    return "⚠️ Which repository? Use /issues owner/repo or set a default with /setrepo.";
+                }
+                const [owner, repo] = fullName.split('/');
+                return await fetchIssues(owner, repo, env.GITHUB_TOKEN);
+            }
+        },
+        {
+            name: 'pr',
+            description: 'Review a GitHub Pull Request',
+            args: [{ name: 'url', required: true }],
+            handler: async ({ args, env, chatId, llm }) => {
+                const pr = parseGitHubPRUrl(args.url);
+                if (!pr) {
+                    return "⚠️ That doesn't look like a PR link. Expected https://github.com/owner/repo/pull/123";
+                }
+                const text = await runReview(pr, env, chatId, llm);
+                return `${text}\n\nSay "post the review" if you want me to publish it on GitHub.`;
+            }
+        }
+    ],
+    sections: [
+        {
+            name: 'pull_requests',
+            label: '🐙 Open pull requests',
+            description: 'Open PRs of your repositories, new ones marked',
+            option: 'repositories as owner/repo, space separated (default: the /setrepo repository)',
+            run: async ({ env, chatId, option, since }) => {
+                const repos = option ? option.split(/[\s,]+/).filter(Boolean) : [await env.CHAT_HISTORY.get(`repo:${chatId}`)].filter(Boolean);
+                if (repos.length === 0) {
+                    return 'Which repositories? Set one with /setrepo, or add them: /briefing add pull_requests owner/repo.';
+                }
+                const lines = [];
+                for (const fullName of repos) {
+                    const [owner, repo] = fullName.split('/');
+                    for (const pr of await fetchOpenPRs(owner, repo, env.GITHUB_TOKEN)) {
+                        const isNew = since && Date.parse(pr.created_at) > since ? '🆕 ' : '';
+                        lines.push(`• ${isNew}[${fullName}#${pr.number}](${pr.html_url}) ${pr.title} (by ${pr.user.login})`);
+                    }
+                }
+                return lines.length > 0 ? lines.join('\n') : null;
+            }
+        },
+        {
+            name: 'notifications',
+            label: '🔔 GitHub notifications',
+            description: 'Unread GitHub notifications of the bot\'s account',
+            // They are the notifications of whoever owns GITHUB_TOKEN
+            role: 'owner',
+            run: async ({ env, since }) => {
+                const notifications = await fetchNotifications(env.GITHUB_TOKEN, since ? new Date(since).toISOString() : null);
+                if (notifications.length === 0) {
+                    return null;
+                }
+                return notifications.map(n => `• ${n.repository.full_name}: ${n.subject.title} (${n.reason.replace(/_/g, ' ')})`).join('\n');
+            }
+        }
+    ],
     handlers: {
         'get_repos': async ({ env }) => {
             return await fetchUserRepos(env.GITHUB_TOKEN);
@@ -119,11 +250,17 @@ export const githubSkill = {
             await env.CHAT_HISTORY.put(`repo:${chatId}`, args.repo);
             return `Default repository set to ${args.repo}`;
         },
-        'get_repo_readme': async ({ args, env }) => {
+        'get_repo_readme': async ({ args, env, chatId }) => {
             try {
                 // Try fetching README.md (common case)
                 const content = await fetchFileContent(args.owner, args.repo, 'README.md', env.GITHUB_TOKEN);
-                return `📄 README for ${args.owner}/${args.repo}:\n\n${content.slice(0, 5000)}...`;
+                await rememberDocument(chatId, {
+                    source: 'readme',
+                    url: `https://github.com/${args.owner}/${args.repo}`,
+                    title: `${args.owner}/${args.repo} README`,
+                    text: content
+                }, env);
+                return `📄 README for ${args.owner}/${args.repo}:\n\n${content}`;
             } catch (e) {
                 // Determine if it was a 404 (maybe main vs master, or lower case)
                 return `⚠️ Could not fetch README: ${e.message}. Is the repo public and does it have a README.md?`;
@@ -168,11 +305,57 @@ export const githubSkill = {
 
             try {
                 await updateIssueState(owner, repo, args.issue_number.toString(), 'closed', env.GITHUB_TOKEN);
-                return `✅ Issue #${args.issue_number} has been closed in ${owner}/${repo}`;
+                return `✅ Issue #${args.issue_number} has been closed in ${owner}/${repo}\nLink: https://github.com/${owner}/${repo}/issues/${args.issue_number}`;
             } catch (e) {
                 return `Error closing issue: ${e.message}`;
             }
         },
+        'review_pull_request': async ({ args, env, chatId, llm }) => {
+            const pr = await resolvePR(args, env, chatId);
+            if (!pr) {
+                return "⚠️ I need a PR to review. Please give me a PR URL or owner/repo and pull_number.";
+            }
+
+            try {
+                const text = await runReview(pr, env, chatId, llm);
+                return `${text}\n\n[System] The review is saved. Ask the user if they want it posted to GitHub (comment_on_pr with post_review=true).`;
+            } catch (e) {
+                return `Error reviewing PR: ${e.message}`;
+            }
+        },
+        'comment_on_pr': async ({ args, env, chatId }) => {
+            if (args.post_review) {
+                const pending = await env.CHAT_HISTORY.get(`review:${chatId}`, { type: 'json' });
+                if (!pending) {
+                    return "⚠️ There is no pending review. Run review_pull_request first.";
+                }
+
+                try {
+                    const payload = toGitHubReview(pending.pr, pending.review);
+                    await createPRReview(pending.owner, pending.repo, pending.pullNumber, payload, env.GITHUB_TOKEN);
+                    await env.CHAT_HISTORY.delete(`review:${chatId}`);
+                    return `✅ Review posted on ${pending.pr.html_url} with ${payload.comments.length} line comments.`;
+                } catch (e) {
+                    return `Error posting review: ${e.message}`;
+                }
+            }
+
+            if (!args.body) {
+                return "⚠️ I need a comment body (or post_review=true to post the pending review).";
+            }
+
+            const pr = await resolvePR(args, env, chatId);
+            if (!pr) {
+                return "⚠️ I need a PR to comment on. Please give me a PR URL or owner/repo and pull_number.";
+            }
+
+            try {
+                await createComment(pr.owner, pr.repo, pr.pullNumber, args.body, env.GITHUB_TOKEN);
+                return `✅ Comment posted on ${pr.owner}/${pr.repo}#${pr.pullNumber}`;
+            } catch (e) {
+                return `Error posting comment: ${e.message}`;
+            }
+        },
         'list_files': async ({ args, env }) => {
             try {
                 const files = await fetchRepoTree(args.owner, args.repo, env.GITHUB_TOKEN);
@@ -183,3 +366,42 @@ export const githubSkill = {
         }
     }
 };
+
+/**
+ * Resolves a PR from tool args: a URL, or owner/repo/pull_number (falling back to the chat's default repo).
+ * @returns {Promise<{owner: string, repo: string, pullNumber: string}|null>}
+ */
+async function resolvePR(args, env, chatId) {
+    if (args.url) {
+        return parseGitHubPRUrl(args.url);
+    }
+    if (!args.pull_number) {
+        return null;
+    }
+
+    let owner = args.owner;
+    let repo = args.repo;
+    if (!owner || !repo) {
+        const defaultRepo = await env.CHAT_HISTORY.get(`repo:${chatId}`);
+        if (defaultRepo) {
+            [owner, repo] = defaultRepo.split('/');
+        }
+    }
+    return owner && repo ? { owner, repo, pullNumber: args.pull_number.toString() } : null;
+}
+
+/**
+ * Reviews a PR and keeps the result as the chat's pending review so it can be posted later.
+ * @returns {Promise<string>} Formatted review
+ */
+async function runReview({ owner, repo, pullNumber }, env, chatId, llm) {
+    const { pr, review, skippedFiles } = await reviewPullRequest(owner, repo, pullNumber, env, llm);
+    await env.CHAT_HISTORY.put(`review:${chatId}`, JSON.stringify({
+        owner,
+        repo,
+        pullNumber,
+        pr: { number: pr.number, title: pr.title, html_url: pr.html_url, head: { sha: pr.head?.sha } },
+        review
+    }), { expirationTtl: 60 * 60 * 24 });
+    return formatReview(pr, review, skippedFiles);
+}
@@ -1,5 +1,14 @@
 
 import { extractUrl } from '../utils.js';
+import { rememberDocument } from '../recall.js';
+import { ensureSection } from '../briefing.js';
+import { searchJobs, rankJobs } from '../jobs/index.js';
+import { extractSkills } from '../jobs/skills.js';
+import { formatSalary } from '../jobs/job.js';
+import { rememberJobs } from '../applications.js';
+
+// Job URLs a briefing remembers having shown
+const MAX_SEEN_JOBS = 200;
 
 export const jobSearchSkill = {
     name: 'job_search',
@@ -7,6 +16,7 @@ export const jobSearchSkill = {
     tools: [
         {
             type: 'function',
+            status: '📄 Reading your CV…',
             function: {
                 name: 'read_cv',
                 description: 'Extracts text from a CV (PDF or Google Doc URL) to understand the user\'s skills and experience.',
@@ -24,19 +34,30 @@ export const jobSearchSkill = {
         },
         {
             type: 'function',
+            status: '💼 Searching jobs…',
+            quota: { limit: 30, window: 60 * 60 * 24 },
             function: {
                 name: 'search_jobs',
-                description: 'Searches for jobs based on keywords and location.',
+                description: 'Searches several job boards (RemoteOK, Arbeitnow, We Work Remotely and configured company boards) and ranks the jobs against the user\'s CV skills and job preferences, with the reasons for each match.',
                 parameters: {
                     type: 'object',
                     properties: {
                         query: {
                             type: 'string',
-                            description: 'Job title or keywords (e.g., "Senior React Developer").'
+                            description: 'Job title or keywords (e.g., "React Developer"). Put the level in `seniority`, not here.'
                         },
                         location: {
                             type: 'string',
                             description: 'Location to search in (e.g., "Remote", "London").'
+                        },
+                        min_salary: {
+                            type: 'number',
+                            description: 'Minimum yearly salary; jobs that don\'t state one are kept.'
+                        },
+                        seniority: {
+                            type: 'string',
+                            enum: ['junior', 'mid', 'senior', 'lead'],
+                            description: 'Only jobs at this level.'
                         }
                     },
                     required: ['query']
@@ -60,8 +81,34 @@ export const jobSearchSkill = {
             }
         }
     ],
+    sections: [
+        {
+            name: 'jobs',
+            label: '💼 New jobs',
+            description: 'Jobs you haven\'t seen yet, ranked against your CV and job preferences',
+            option: 'search keywords (default: your saved job preferences)',
+            run: async ({ env, chatId, option, state }) => {
+                const prefs = await env.USER_PREFS.get(`prefs:${chatId}`, { type: 'json' });
+                const query = option || prefs?.role || '';
+                if (!query) {
+                    return 'No job preferences saved yet. Tell me what you are looking for, or add keywords: /briefing add jobs <keywords>.';
+                }
+                const { jobs, errors } = await searchJobs({ query, location: option ? '' : prefs?.location }, env);
+                if (jobs.length === 0 && errors.length > 0) {
+                    throw new Error(`No job board answered (${errors.join('; ')})`);
+                }
+                const seen = new Set(state.seen || []);
+                const fresh = rankJobs(jobs.filter(j => !seen.has(j.url)), { skills: await userSkills(chatId, env), query }).slice(0, 5);
+                if (fresh.length === 0) {
+                    return null;
+                }
+                state.seen = [...fresh.map(j => j.url), ...(state.seen || [])].slice(0, MAX_SEEN_JOBS);
+                return fresh.map(j => `• [${j.title}](${j.url}) at ${j.company} (📍 ${j.location || 'not given'}) · ${j.score}%${j.reasons.length > 0 ? `: ${j.reasons.join(', ')}` : ''}`).join('\n');
+            }
+        }
+    ],
     handlers: {
-        async read_cv({ args, env }) {
+        async read_cv({ args, env, chatId }) {
             try {
                 let url = args.file_url;
                 console.log(`[CV] Reading from URL: ${url}`);
@@ -103,7 +150,12 @@ export const jobSearchSkill = {
                     return `[System] Content read from URL was too short or empty. It might be protected or require login. Text found: "${text}". Please copy-paste your CV text instead.`;
                 }
 
-                return `[System] Successfully read content from URL.
+                await rememberDocument(chatId, { source: 'cv', url: args.file_url, title: 'CV', text }, env);
+                // Job searches rank against these
+                const skills = extractSkills(text);
+                await env.USER_PREFS.put(`cv:${chatId}`, JSON.stringify({ url: args.file_url, skills, updatedAt: new Date().toISOString() }));
+
+                return `[System] Successfully read content from URL. Skills found for job matching: ${skills.join(', ') || 'none'}.
                 
                 --- START OF CV CONTENT ---
                 ${text}
@@ -115,65 +167,40 @@ export const jobSearchSkill = {
             }
         },
 
-        async search_jobs({ args, env }) {
+        async search_jobs({ args, env, chatId }) {
             try {
-                // Real Job Search using RemoteOK API
-                // https://remoteok.com/api
-
                 const query = args.query || 'software';
-                const location = args.location || '';
-
-                // Clean query: remove punctuation, split by space/comma, filter short words
-                // Example: "Flutter, Dart, Kotlin" -> ["flutter", "dart", "kotlin"]
-                let tagsArray = query.toLowerCase()
-                    .replace(/[^\w\s]/g, ' ') // Replace punctuation with space
-                    .split(/\s+/)
-                    .filter(w => w.length > 2); // Filter out short words
-
-                // RemoteOK API allows comma separated tags.
-                // However, too many tags often result in 0 matches because it might try to match ALL (AND) or generic/specific conflicts.
-                // Strategy: Try with all tags first. If 0 results, try with just the first tag (usually the role or main skill).
-
-                let tags = tagsArray.join(',');
-                console.log(`[JOB SEARCH] Fetching from RemoteOK with tags: ${tags}`);
-
-                let response = await fetch(`https://remoteok.com/api?tag=${tags}`);
-                let data = await response.json();
-
-                // API returns array, first item is legal/disclaimer
-                let jobs = data.slice(1);
-
-                // FALLBACK: If 0 results and we have multiple tags, try searching with just the first tag (broadest)
-                if (jobs.length === 0 && tagsArray.length > 1) {
-                    const fallbackTag = tagsArray[0];
-                    console.log(`[JOB SEARCH] No results for "${tags}". Retrying with fallback tag: "${fallbackTag}"`);
-                    response = await fetch(`https://remoteok.com/api?tag=${fallbackTag}`);
-                    data = await response.json();
-                    jobs = data.slice(1);
-                }
-
-                // If location is specific, filter by it (text search description/location)
-                if (location && location.toLowerCase() !== 'remote') {
-                    const loc = location.toLowerCase();
-                    jobs = jobs.filter(j =>
-                        (j.location && j.location.toLowerCase().includes(loc)) ||
-                        (j.description && j.description.toLowerCase().includes(loc))
-                    );
+                const { jobs, errors } = await searchJobs({
+                    query,
+                    location: args.location || '',
+                    minSalary: args.min_salary || null,
+                    seniority: args.seniority || null
+                }, env);
+                const failed = errors.length > 0 ? `\n(Unavailable right now: ${errors.join('; ')})` : '';
+
+                if (jobs.length === 0) {
+                    return `[System] No jobs found for "${query}". Try broader keywords (e.g. "software", "engineer", "react") or fewer filters.${failed}`;
                 }
 
+                const skills = await userSkills(chatId, env);
                 // Take top 5
-                const topJobs = jobs.slice(0, 5);
-
-                if (topJobs.length === 0) {
-                    return `[System] No jobs found on RemoteOK for tags "${tags}". Try broader keywords (e.g. "software", "engineer", "react").`;
-                }
+                const topJobs = rankJobs(jobs, { skills, query }).slice(0, 5);
+                // So save_job can refer to them by id
+                await rememberJobs(chatId, topJobs, env);
 
                 const jobListStr = topJobs.map((j, i) => {
-                    const date = new Date(j.date).toLocaleDateString();
-                    return `${i + 1}. **${j.position}** at ${j.company}\n   📍 ${j.location}\n   📅 ${date}\n   🔗 [Apply Here](${j.url})`;
+                    const details = [
+                        `📍 ${j.location || 'Location not given'}`,
+                        j.salary && `💰 ${formatSalary(j.salary)}`,
+                        j.postedAt && `📅 ${new Date(j.postedAt).toLocaleDateString()}`,
+                        `via ${j.sources.join(', ')}`
+                    ].filter(Boolean).join(' · ');
+                    const why = j.reasons.length > 0 ? j.reasons.join(', ') : 'matches the search';
+                    return `${i + 1}. **${j.title}** at ${j.company} (match ${j.score}/100) [job ${j.id}]\n   ${details}\n   ✅ Why: ${why}\n   🔗 [Apply Here](${j.url})`;
                 }).join('\n\n');
 
-                return `[System] Found ${jobs.length} jobs on RemoteOK. Here are the top 5:\n\n${jobListStr}`;
+                const ranking = skills.length > 0 ? `ranked against the user's skills (${skills.join(', ')})` : 'ranked by the search terms only (no CV or job preferences saved yet)';
+                return `[System] Found ${jobs.length} jobs, ${ranking}. Here are the top ${topJobs.length}:\n\n${jobListStr}${failed}\n\nThe user can track any of them with save_job and its job id.`;
 
             } catch (e) {
                 console.error("Job search error:", e);
@@ -181,7 +208,7 @@ export const jobSearchSkill = {
             }
         },
 
-        async save_job_preferences({ args, env, chatId }) {
+        async save_job_preferences({ args, env, chatId, userId }) {
             const prefs = {
                 role: args.role,
                 keywords: args.keywords,
@@ -191,10 +218,26 @@ export const jobSearchSkill = {
             // Store in KV
             if (env.USER_PREFS) {
                 await env.USER_PREFS.put(`prefs:${chatId}`, JSON.stringify(prefs));
-                return `Saved preferences for Daily Job Briefing: ${JSON.stringify(prefs)}`;
+                const added = await ensureSection(chatId, userId ?? chatId, 'jobs', env);
+                const briefing = added ? ' New jobs are now part of the chat\'s daily briefing (see /briefing for its time and sections).' : '';
+                return `Saved preferences for the job briefing: ${JSON.stringify(prefs)}.${briefing}`;
             } else {
                 return "Error: USER_PREFS KV binding not found.";
             }
         }
     }
 };
+
+/**
+ * The skills job searches are ranked against: those found in the CV (read_cv) and the
+ * keywords of the job preferences.
+ * @returns {Promise<string[]>}
+ */
+async function userSkills(chatId, env) {
+    const [cv, prefs] = await Promise.all([
+        env.USER_PREFS.get(`cv:${chatId}`, { type: 'json' }),
+        env.USER_PREFS.get(`prefs:${chatId}`, { type: 'json' })
+    ]);
+    const keywords = (prefs?.keywords || []).map(k => String(k).toLowerCase().trim()).filter(Boolean);
+    return [...new Set([...(cv?.skills || []), ...keywords])];
+}
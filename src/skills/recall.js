@@ -0,0 +1,48 @@
+import { recall } from '../recall.js';
+
+export const recallSkill = {
+    name: 'recall',
+    description: 'Semantic search over past conversations and pages the bot has read',
+    role: 'guest',
+    tools: [
+        {
+            type: "function",
+            status: "🔎 Searching my memory…",
+            function: {
+                name: "recall",
+                description: "Search this chat's long-term memory: older messages and every page, CV and README read before. Use it when the user refers to something from the past (\"that article last week\", \"what did we decide about...\") that is not in the recent history. Cite the source links in your answer.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        query: { type: "string", description: "What to look for, phrased as a topic or question (e.g. 'rate limits in the Cloudflare article')" },
+                        source: {
+                            type: "string",
+                            enum: ["chat", "page", "cv", "readme"],
+                            description: "(Optional) Only search this kind of memory"
+                        }
+                    },
+                    required: ["query"]
+                }
+            }
+        }
+    ],
+    commands: [],
+    handlers: {
+        'recall': async ({ args, env, chatId }) => {
+            try {
+                const results = await recall(chatId, args.query, env, { source: args.source });
+                if (results.length === 0) {
+                    return `No memories found for "${args.query}". Tell the user you don't remember it rather than guessing.`;
+                }
+
+                return `Memories for "${args.query}" (most relevant first):\n\n` + results.map((r, i) => {
+                    const label = r.url ? `${r.title || r.url} (${r.url})` : r.title || 'Earlier conversation';
+                    return `[${i + 1}] ${r.source}: ${label}, saved ${r.createdAt.slice(0, 10)}\n${r.text}`;
+                }).join('\n\n');
+            } catch (e) {
+                console.error('🔎 [RECALL] Search failed:', e);
+                return `⚠️ Recall failed: ${e.message}`;
+            }
+        }
+    }
+};
@@ -4,9 +4,14 @@ import { fetchFileContent, updateFileContent } from '../github.js';
 export const selfImprovementSkill = {
     name: 'self_improvement',
     description: 'Ability to read and modify bot source code',
+    // Pushes commits to the bot's own repo
+    role: 'owner',
     tools: [
         {
             type: "function",
+            status: "📂 Reading the source…",
+            // Source must reach the model verbatim, so long files are cut rather than summarized
+            fit: "truncate",
             function: {
                 name: "read_file",
                 description: "Read a file from the bot's source code to understand how it works.",
@@ -23,6 +28,8 @@ export const selfImprovementSkill = {
         },
         {
             type: "function",
+            risk: "high",
+            status: "✏️ Editing the source…",
             function: {
                 name: "modify_file",
                 description: "Modify a file in the bot's source code. Use this to add features or fix bugs.",
@@ -54,7 +61,7 @@ export const selfImprovementSkill = {
 
             try {
                 const content = await fetchFileContent(owner, repo, args.path, env.GITHUB_TOKEN);
-                return `📄 Content of ${args.path}:\n\n${content.slice(0, 10000)}`; // Limit length
+                return `📄 Content of ${args.path}:\n\n${content}`;
             } catch (e) {
                 return `Error reading file: ${e.message}`;
             }
@@ -0,0 +1,217 @@
+import { callTelegram, chatTarget } from '../telegram.js';
+import { chatProviderNames, getProvider } from '../providers/index.js';
+import { PERSONAS, VERBOSITY, getChatSettings, saveChatSettings, resetChatSettings } from '../settings.js';
+
+// Quick picks for the inline menu; any other model can be set with /settings model <name>
+const MODEL_CHOICES = {
+    'openai': ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'gpt-4.1-mini'],
+    'anthropic': ['claude-3-5-sonnet-latest', 'claude-3-5-haiku-latest'],
+    'workers-ai': ['@cf/meta/llama-3.3-70b-instruct-fp8-fast']
+};
+const TEMPERATURES = ['0', '0.3', '0.8', '1.2'];
+const LANGUAGES = ['auto', 'English', 'French', 'Spanish', 'German', 'Portuguese'];
+
+const FIELDS = {
+    provider: '🔌 Provider',
+    model: '🧠 Model',
+    temperature: '🌡 Temperature',
+    persona: '🎭 Persona',
+    language: '🌍 Language',
+    verbosity: '📏 Verbosity'
+};
+
+export const settingsSkill = {
+    name: 'settings',
+    description: 'Per-chat model, persona and reply style settings',
+    tools: [],
+    commands: [
+        {
+            name: 'settings',
+            description: 'Change model, persona, language and verbosity',
+            args: [
+                { name: 'field' },
+                { name: 'value', rest: true }
+            ],
+            handler: async ({ args, env, chatId }) => {
+                if (!args.field) {
+                    return renderMenu(await getChatSettings(chatId, env), env);
+                }
+
+                if (args.field === 'reset') {
+                    await resetChatSettings(chatId, env);
+                    return "♻️ Settings reset to defaults.";
+                }
+
+                if (!args.value) {
+                    return "⚠️ Usage: `/settings <provider|model|temperature|persona|language|verbosity|prompt> <value>` or `/settings reset`";
+                }
+
+                try {
+                    const settings = await applySetting(chatId, args.field, args.value, env);
+                    return `✅ Saved.\n\n${describeSettings(settings, env)}`;
+                } catch (e) {
+                    return `⚠️ ${e.message}`;
+                }
+            }
+        },
+        {
+            name: 'provider',
+            description: 'Show or switch the AI provider for this chat',
+            args: [{ name: 'name' }],
+            handler: async ({ args, env, chatId }) => {
+                if (!args.name) {
+                    const settings = await getChatSettings(chatId, env);
+                    const current = settings.provider || env.LLM_PROVIDER || 'openai';
+                    return `🧠 Current provider: ${current}\nAvailable: ${chatProviderNames(env).join(', ')}, or "default".`;
+                }
+
+                try {
+                    await applySetting(chatId, 'provider', args.name, env);
+                } catch (e) {
+                    return `⚠️ ${e.message}`;
+                }
+                const provider = getProvider(env, args.name === 'default' ? null : args.name);
+                return `✅ This chat now uses ${provider.name} (${provider.defaultModel}).`;
+            }
+        }
+    ],
+    callbacks: {
+        // settings:menu | settings:field:<field> | settings:set:<field>:<value> | settings:reset
+        settings: async ({ payload, env, chatId, callbackQuery }) => {
+            const [action, field, ...rest] = payload.split(':');
+            const value = rest.join(':');
+
+            let view;
+            if (action === 'field' && FIELDS[field]) {
+                view = renderOptions(field, await getChatSettings(chatId, env), env);
+            } else if (action === 'set' && FIELDS[field]) {
+                try {
+                    view = renderMenu(await applySetting(chatId, field, value, env), env);
+                } catch (e) {
+                    return `⚠️ ${e.message}`;
+                }
+            } else if (action === 'reset') {
+                await resetChatSettings(chatId, env);
+                view = renderMenu(await getChatSettings(chatId, env), env);
+            } else {
+                view = renderMenu(await getChatSettings(chatId, env), env);
+            }
+
+            await callTelegram('editMessageText', {
+                chat_id: chatTarget(chatId).chat_id,
+                message_id: callbackQuery.message.message_id,
+                ...view
+            }, env);
+            return null;
+        }
+    },
+    handlers: {}
+};
+
+/**
+ * Parses a user-facing setting value and saves it.
+ * @returns {Promise<object>} Updated settings
+ */
+async function applySetting(chatId, field, value, env) {
+    const reset = value === 'default';
+
+    switch (field) {
+        case 'provider':
+            if (!reset && !chatProviderNames(env).includes(value)) {
+                throw new Error(`Unknown provider "${value}". Available: ${chatProviderNames(env).join(', ')}`);
+            }
+            if (!reset) {
+                // Fail fast on missing configuration (e.g. LLM_BASE_URL) instead of on the next message
+                getProvider(env, value);
+            }
+            // Models are provider specific, so switching provider resets the model
+            return await saveChatSettings(chatId, { provider: reset ? null : value, model: null }, env);
+        case 'temperature':
+            return await saveChatSettings(chatId, { temperature: reset ? null : parseFloat(value) }, env);
+        case 'prompt':
+            return await saveChatSettings(chatId, { customPrompt: value, persona: 'custom' }, env);
+        case 'persona':
+            if (value === 'custom' && !(await getChatSettings(chatId, env)).customPrompt) {
+                throw new Error('Set a custom prompt first with /settings prompt <text>.');
+            }
+            return await saveChatSettings(chatId, { persona: reset ? null : value }, env);
+        case 'model':
+        case 'language':
+        case 'verbosity':
+            return await saveChatSettings(chatId, { [field]: reset ? null : value }, env);
+        default:
+            throw new Error(`Unknown setting "${field}".`);
+    }
+}
+
+function describeSettings(settings, env) {
+    const provider = safeProvider(env, settings.provider);
+    const persona = settings.persona === 'custom' ? '✍️ Custom prompt' : PERSONAS[settings.persona]?.label;
+    return `${FIELDS.provider}: ${provider.name}\n` +
+        `${FIELDS.model}: ${settings.model || `${provider.defaultModel} (default)`}\n` +
+        `${FIELDS.temperature}: ${settings.temperature}\n` +
+        `${FIELDS.persona}: ${persona}\n` +
+        `${FIELDS.language}: ${settings.language}\n` +
+        `${FIELDS.verbosity}: ${settings.verbosity}`;
+}
+
+function renderMenu(settings, env) {
+    const buttons = Object.entries(FIELDS).map(([field, label]) => ({ text: label, callback_data: `settings:field:${field}` }));
+    return {
+        text: `⚙️ Settings for this chat\n\n${describeSettings(settings, env)}\n\nTip: /settings prompt <text> sets a custom system prompt.`,
+        reply_markup: {
+            inline_keyboard: [
+                buttons.slice(0, 2),
+                buttons.slice(2, 4),
+                buttons.slice(4, 6),
+                [{ text: '♻️ Reset all', callback_data: 'settings:reset' }]
+            ]
+        }
+    };
+}
+
+function renderOptions(field, settings, env) {
+    let options;
+    switch (field) {
+        case 'provider':
+            options = chatProviderNames(env);
+            break;
+        case 'model':
+            options = MODEL_CHOICES[safeProvider(env, settings.provider).name] || [];
+            break;
+        case 'temperature':
+            options = TEMPERATURES;
+            break;
+        case 'persona':
+            options = Object.keys(PERSONAS).concat(settings.customPrompt ? ['custom'] : []);
+            break;
+        case 'language':
+            options = LANGUAGES;
+            break;
+        case 'verbosity':
+            options = Object.keys(VERBOSITY);
+            break;
+    }
+
+    const rows = options.map(option => [{ text: option, callback_data: `settings:set:${field}:${option}` }]);
+    if (field !== 'temperature' && field !== 'persona' && field !== 'verbosity') {
+        rows.push([{ text: 'Default', callback_data: `settings:set:${field}:default` }]);
+    }
+    rows.push([{ text: '⬅️ Back', callback_data: 'settings:menu' }]);
+
+    return {
+        text: `${FIELDS[field]}\nCurrent: ${settings[field] ?? 'default'}\n\nPick a value (or use /settings ${field} <value>):`,
+        reply_markup: { inline_keyboard: rows }
+    };
+}
+
+/**
+ * Resolves the chat's provider for display, even if its configuration is broken.
+ */
+function safeProvider(env, name) {
+    try {
+        return getProvider(env, name);
+    } catch (e) {
+        return { name: name || env.LLM_PROVIDER || 'openai', defaultModel: '⚠️ not configured' };
+    }
+}
@@ -1,7 +1,10 @@
+import { formatHelp } from '../commands.js';
+import { clearChatHistory, getMemory, forgetFact } from '../memory.js';
 
 export const systemSkill = {
     name: 'system',
     description: 'Core system commands for memory and help',
+    role: 'guest',
     tools: [
         {
             type: "function",
@@ -20,10 +23,79 @@ export const systemSkill = {
             }
         }
     ],
+    commands: [
+        {
+            name: 'start',
+            description: 'Start a fresh conversation',
+            handler: async ({ env, chatId, commands, role }) => {
+                await clearChatHistory(chatId, env);
+                return buildHelpText(commands, role);
+            }
+        },
+        {
+            name: 'help',
+            description: 'Show this menu',
+            handler: async ({ commands, role }) => buildHelpText(commands, role)
+        },
+        {
+            name: 'clear',
+            description: 'Wipe conversation memory',
+            handler: async ({ env, chatId }) => {
+                await clearChatHistory(chatId, env);
+                return "🧹 Conversation cleared. Facts I know about you are kept (see /memory).";
+            }
+        },
+        {
+            name: 'memory',
+            description: 'Show what I remember about you',
+            handler: async ({ env, chatId }) => {
+                const { summary, facts } = await getMemory(chatId, env);
+                if (!summary && facts.length === 0) {
+                    return "🧠 I don't remember anything long-term yet.";
+                }
+
+                let reply = "🧠 *What I remember*\n\n";
+                reply += facts.length > 0
+                    ? facts.map((f, i) => `${i + 1}. ${f.text}`).join('\n')
+                    : "No facts about you yet.";
+                if (summary) {
+                    reply += `\n\n📝 *Earlier conversation*\n${summary}`;
+                }
+                return reply + "\n\nUse /forget <number or text> to delete a fact.";
+            }
+        },
+        {
+            name: 'forget',
+            description: 'Delete a remembered fact',
+            args: [{ name: 'fact', required: true, rest: true }],
+            handler: async ({ args, env, chatId }) => {
+                const { removed, matches } = await forgetFact(chatId, args.fact, env);
+                if (removed) {
+                    return `🗑 Forgot: ${removed.text}`;
+                }
+                if (matches.length > 1) {
+                    return `🤔 Several facts match "${args.fact}":\n` +
+                        matches.map(f => `• ${f.text}`).join('\n') +
+                        "\n\nUse /forget <number> from /memory.";
+                }
+                return `⚠️ No fact matching "${args.fact}". See /memory.`;
+            }
+        },
+        {
+            name: 'test_cron',
+            description: 'Send every enabled briefing now',
+            hidden: true,
+            role: 'owner',
+            handler: async ({ runScheduled }) => {
+                await runScheduled();
+                return "✅ Sent every enabled briefing.";
+            }
+        }
+    ],
     handlers: {
         'clear_memory': async ({ env, chatId }) => {
-            // Delete the chat history from KV
-            await env.CHAT_HISTORY.delete(`chat:${chatId}`);
+            // Delete the chat history and running summary from KV (facts are kept)
+            await clearChatHistory(chatId, env);
             return "Memory cleared! I have forgotten our previous conversation.";
         },
         'get_help': async () => {
@@ -32,9 +104,38 @@ export const systemSkill = {
 I can:
 - 🐙 Manage GitHub: "List my repos", "Check issues in react"
 - 🌐 Browse the Web: "Read https://example.com"
-- 🧠 Remember Context: I recall our chat (until you clear it)
+- 🧠 Remember Context: I recall our chat and facts about you (see /memory)
 
 Try saying: "What are the latest issues in facebook/react?"`;
         }
     }
 };
+
+/**
+ * Builds the /help menu, with the command list generated from the registry.
+ * @param {Map<string, object>} commands
+ * @param {string} role - (Optional) Only list the commands this role can use
+ * @returns {string}
+ */
+function buildHelpText(commands, role) {
+    return "🦞 *Clawbot Capabilities*\n\n" +
+        "I am your advanced AI assistant. Here is what I can do:\n\n" +
+        "🗣 **Voice & Vision**\n" +
+        "• Send **Voice Notes** \u2013 I will transcribe and respond.\n" +
+        "• Send **Photos** \u2013 I will analyze and describe them.\n\n" +
+        "💼 **Job Search**\n" +
+        "• \"Find me a job in [Role]\"\n" +
+        "• Send a link to your **CV** (Google Doc/PDF) for analysis.\n" +
+        "• New jobs for your saved preferences come with your **Briefing**.\n" +
+        "• \"Save the Acme job\", \"I applied, follow up next Monday\": track your applications (see /pipeline).\n\n" +
+        "🛠 **Tools**\n" +
+        "• 🐙 **GitHub**: Manage repos, issues, and PRs.\n" +
+        "• 🌐 **Browsing**: Search the web and read pages.\n" +
+        "• 📸 **Captures**: Screenshots and PDFs of any page.\n" +
+        "• 🖱 **Interactive pages**: Click, fill in forms and follow links, e.g. to search a job board.\n" +
+        "• 🔔 **Page watches**: \"Tell me when this page changes\" (see /watches).\n" +
+        "• ⏰ **Reminders**: \"Remind me every Monday at 9 to triage issues\" (see /tasks).\n" +
+        "• ☀️ **Briefings**: Jobs, PRs, watched pages and feeds at a time you choose (see /briefing).\n\n" +
+        "**Commands**\n" +
+        formatHelp(commands, role);
+}
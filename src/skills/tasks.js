@@ -0,0 +1,127 @@
+import { createTask, listTasks, cancelTask, describeTask, describeSchedule } from '../tasks.js';
+import { getUserTimezone, saveUserTimezone } from '../settings.js';
+import { isValidTimezone, formatLocalTime } from '../cron.js';
+import { callTelegram, chatTarget } from '../telegram.js';
+import { toTelegramHtml } from '../format.js';
+
+export const tasksSkill = {
+    name: 'tasks',
+    description: 'Reminders and recurring tasks',
+    tools: [
+        {
+            type: "function",
+            status: "⏰ Scheduling…",
+            function: {
+                name: "schedule_task",
+                description: "Schedule a reminder or a recurring task for the user, e.g. \"remind me every Monday at 9 to triage issues in my repo\". Give exactly one of `cron`, `at` or `in_minutes`. Times are the user's local time (their current time and time zone are in the context). Use mode \"agent\" when something should be done at that time (search, summarize, check a repo) rather than just said.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        text: { type: "string", description: "The reminder, or for agent tasks the instructions to carry out, e.g. 'List the open issues of octocat/hello-world and suggest which to triage first'" },
+                        mode: { type: "string", enum: ["reminder", "agent"], description: "reminder (default): send the text. agent: run the text as a prompt with tools and send the result" },
+                        cron: { type: "string", description: "Recurring schedule as a five-field cron expression in local time, e.g. '0 9 * * mon' for Mondays at 9:00" },
+                        at: { type: "string", description: "One-off local date and time, e.g. '2026-10-20T09:00'" },
+                        in_minutes: { type: "number", description: "One-off, this many minutes from now" },
+                        timezone: { type: "string", description: "IANA time zone, only when the user names one for this task (e.g. 'Europe/Berlin')" }
+                    },
+                    required: ["text"]
+                }
+            }
+        }
+    ],
+    commands: [
+        {
+            name: 'tasks',
+            description: 'List or cancel reminders and scheduled tasks',
+            args: [
+                { name: 'action', description: 'cancel' },
+                { name: 'id' }
+            ],
+            handler: async ({ args, env, chatId }) => {
+                if (!args.action) {
+                    return renderTasks(await listTasks(chatId, env));
+                }
+                if (args.action !== 'cancel' || !args.id) {
+                    return '⚠️ Usage: `/tasks` or `/tasks cancel <id>`';
+                }
+                return await cancel(chatId, args.id, env);
+            }
+        },
+        {
+            name: 'timezone',
+            description: 'Show or set your time zone',
+            args: [{ name: 'zone', description: 'e.g. Europe/Berlin' }],
+            handler: async ({ args, env, userId }) => {
+                if (!args.zone) {
+                    const timezone = await getUserTimezone(userId, env);
+                    return `🕘 Your time zone: ${timezone} (now ${formatLocalTime(Date.now(), timezone)}).\nChange it with /timezone <zone>, e.g. /timezone Europe/Berlin.`;
+                }
+                try {
+                    await saveUserTimezone(userId, args.zone, env);
+                } catch (e) {
+                    return `⚠️ ${e.message}`;
+                }
+                return `✅ Time zone set to ${args.zone} (now ${formatLocalTime(Date.now(), args.zone)}). New reminders use it.`;
+            }
+        }
+    ],
+    callbacks: {
+        // task:cancel:<id>
+        task: async ({ payload, env, chatId, callbackQuery }) => {
+            const [, id] = payload.split(':');
+            const notice = await cancel(chatId, id, env);
+            const { text, reply_markup } = renderTasks(await listTasks(chatId, env), notice);
+            // Formatted like the /tasks reply it replaces
+            await callTelegram('editMessageText', {
+                chat_id: chatTarget(chatId).chat_id,
+                message_id: callbackQuery.message.message_id,
+                text: toTelegramHtml(text),
+                parse_mode: 'HTML',
+                reply_markup
+            }, env);
+            return null;
+        }
+    },
+    handlers: {
+        'schedule_task': async ({ args, env, chatId, userId }) => {
+            if (args.timezone && !isValidTimezone(args.timezone)) {
+                return `Error: Unknown time zone "${args.timezone}". Use an IANA name like Europe/Berlin.`;
+            }
+            const timezone = args.timezone || await getUserTimezone(userId, env);
+            const task = await createTask({
+                chatId,
+                userId,
+                text: args.text,
+                mode: args.mode,
+                cron: args.cron,
+                at: args.at,
+                inMinutes: args.in_minutes,
+                timezone
+            }, env);
+
+            const kind = task.mode === 'agent' ? 'Task' : 'Reminder';
+            return `${kind} ${task.id} scheduled, ${describeSchedule(task).replace(/`/g, '')}. The user can list and cancel tasks with /tasks.`;
+        }
+    }
+};
+
+async function cancel(chatId, id, env) {
+    const task = await cancelTask(chatId, id, env);
+    return task ? `🗑 Cancelled "${task.text}".` : `⚠️ No task ${id} in this chat.`;
+}
+
+/**
+ * The chat's tasks with a Cancel button each.
+ */
+function renderTasks(tasks, notice = null) {
+    const header = notice ? `${notice}\n\n` : '';
+    if (tasks.length === 0) {
+        return { text: `${header}⏰ No reminders or scheduled tasks. Ask me, e.g. "remind me every Monday at 9 to triage issues".` };
+    }
+    return {
+        text: `${header}⏰ *Scheduled tasks*\n\n${tasks.map(describeTask).join('\n\n')}`,
+        reply_markup: {
+            inline_keyboard: tasks.map(t => [{ text: `🗑 Cancel ${t.id}`, callback_data: `task:cancel:${t.id}` }])
+        }
+    };
+}
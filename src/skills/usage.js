@@ -0,0 +1,65 @@
+import { getUsageReport } from '../ratelimit.js';
+import { getUsageTotals, formatUsageLines, formatAmounts } from '../usage.js';
+import { hasRole } from '../access.js';
+import { formatDuration } from '../utils.js';
+
+export const usageSkill = {
+    name: 'usage',
+    description: 'Rate limits, tool quotas, AI budget and token accounting',
+    role: 'guest',
+    tools: [],
+    commands: [
+        {
+            name: 'usage',
+            description: 'Show your limits and this chat\'s AI usage',
+            args: [{ name: 'scope', description: '"all" for every chat (owners only)' }],
+            handler: async ({ args, env, chatId, userId, role, tools }) => {
+                if (args.scope === 'all') {
+                    if (!hasRole(role, 'owner')) {
+                        return '🔒 /usage all needs the owner role.';
+                    }
+                    const [today, week] = await Promise.all([
+                        getUsageTotals(env),
+                        getUsageTotals(env, { days: 7 })
+                    ]);
+                    return [
+                        '📊 *Usage across all chats*',
+                        '',
+                        `Today: ${formatAmounts(today.total)}`,
+                        `Last 7 days: ${formatAmounts(week.total)}`,
+                        '',
+                        '*Last 7 days by feature*',
+                        ...formatUsageLines(week, 'features'),
+                        '',
+                        '*Last 7 days by chat*',
+                        ...formatUsageLines(week, 'chats')
+                    ].join('\n');
+                }
+
+                const { messages, quotas, budget } = await getUsageReport(userId, tools, env);
+                const [today, week] = await Promise.all([
+                    getUsageTotals(env, { chatId }),
+                    getUsageTotals(env, { chatId, days: 7 })
+                ]);
+
+                const lines = [
+                    '📊 *Your usage*',
+                    '',
+                    `💬 Messages: ${messages.used} of ${messages.limit} in the last minute`,
+                    ...quotas.map(q => `🛠 ${q.name}: ${q.used} of ${q.limit} per ${formatDuration(q.window)}`),
+                    `🧠 AI today: ${budget.tokens.toLocaleString('en-US')} of ${budget.tokenBudget.toLocaleString('en-US')} tokens, ` +
+                    `$${budget.cost.toFixed(2)} of $${budget.costBudget.toFixed(2)}`,
+                    '',
+                    budget.allowed ? 'The daily budget resets at midnight UTC.' : '💸 Today\'s budget is used up; it resets at midnight UTC.',
+                    '',
+                    '*This chat today*',
+                    ...formatUsageLines(today),
+                    '',
+                    `*This chat, last 7 days*: ${formatAmounts(week.total)}`
+                ];
+                return lines.join('\n');
+            }
+        }
+    ],
+    handlers: {}
+};
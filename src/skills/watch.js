@@ -0,0 +1,143 @@
+import { createWatch, listWatches, setWatchPaused, deleteWatch, describeWatch, MIN_INTERVAL } from '../watch.js';
+import { callTelegram, chatTarget } from '../telegram.js';
+import { toTelegramHtml } from '../format.js';
+import { formatDuration } from '../utils.js';
+
+export const watchSkill = {
+    name: 'watch',
+    description: 'Page monitoring with change alerts',
+    tools: [
+        {
+            type: "function",
+            status: "🔔 Setting up the watch…",
+            function: {
+                name: "watch_page",
+                description: "Watch a web page and alert this chat when it changes, e.g. \"tell me when this pricing page changes\". With `keyword` the alert goes out only when the page starts mentioning it (\"alert me when the docs mention v3\"). Checks run in the background; the user manages watches with /watches.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        url: { type: "string", description: "The page to watch" },
+                        selector: { type: "string", description: "CSS selector of the part to watch, e.g. '#pricing' (default: the main content)" },
+                        keyword: { type: "string", description: "Only alert when this text appears on the page" },
+                        interval_minutes: { type: "number", description: `Minutes between checks, at least ${MIN_INTERVAL} (default 60)` },
+                        label: { type: "string", description: "Short name for the alerts (default: the page title)" }
+                    },
+                    required: ["url"]
+                }
+            }
+        }
+    ],
+    commands: [
+        {
+            name: 'watches',
+            description: 'List, pause, resume or delete page watches',
+            args: [
+                { name: 'action', description: 'pause, resume or delete' },
+                { name: 'id' }
+            ],
+            handler: async ({ args, env, chatId }) => {
+                if (!args.action) {
+                    return renderWatches(await listWatches(chatId, env));
+                }
+                if (!['pause', 'resume', 'delete'].includes(args.action) || !args.id) {
+                    return '⚠️ Usage: `/watches` or `/watches <pause|resume|delete> <id>`';
+                }
+                return await applyAction(chatId, args.action, args.id, env);
+            }
+        }
+    ],
+    callbacks: {
+        // watch:<pause|resume|delete>:<id>
+        watch: async ({ payload, env, chatId, callbackQuery }) => {
+            const [action, id] = payload.split(':');
+            const result = await applyAction(chatId, action, id, env);
+            const { text, reply_markup } = renderWatches(await listWatches(chatId, env), result);
+            // Formatted like the /watches reply it replaces
+            await callTelegram('editMessageText', {
+                chat_id: chatTarget(chatId).chat_id,
+                message_id: callbackQuery.message.message_id,
+                text: toTelegramHtml(text),
+                parse_mode: 'HTML',
+                reply_markup
+            }, env);
+            return null;
+        }
+    },
+    sections: [
+        {
+            name: 'watches',
+            label: '🔔 Watched pages',
+            description: 'Watched pages that changed since the last briefing, and watches that fail',
+            run: async ({ env, chatId, since }) => {
+                // The first briefing looks back a day
+                const from = since ?? Date.now() - 24 * 60 * 60 * 1000;
+                const lines = [];
+                for (const watch of await listWatches(chatId, env)) {
+                    if (watch.lastChanged && Date.parse(watch.lastChanged) > from) {
+                        lines.push(`• [${watch.label}](${watch.url}) changed ${watch.lastChanged.slice(0, 16).replace('T', ' ')} UTC`);
+                    } else if (watch.lastError && !watch.paused) {
+                        lines.push(`• ⚠️ [${watch.label}](${watch.url}) can't be checked: ${watch.lastError}`);
+                    }
+                }
+                return lines.length > 0 ? lines.join('\n') : null;
+            }
+        }
+    ],
+    handlers: {
+        'watch_page': async ({ args, env, chatId, userId }) => {
+            const watch = await createWatch({
+                chatId,
+                userId,
+                url: args.url,
+                selector: args.selector,
+                keyword: args.keyword,
+                interval: args.interval_minutes,
+                label: args.label
+            }, env);
+
+            const every = formatDuration(watch.interval * 60);
+            const lines = [`Watching ${watch.url} as "${watch.label}" (id ${watch.id}), checked every ${every}.`];
+            if (watch.keyword) {
+                lines.push(watch.found
+                    ? `Note: the page already mentions "${watch.keyword}", so there will only be an alert if it disappears and comes back.`
+                    : `The page doesn't mention "${watch.keyword}" yet; the chat gets an alert when it does.`);
+            } else {
+                lines.push(`The chat gets a summary whenever the ${watch.selector ? `content of ${watch.selector}` : 'page content'} changes.`);
+            }
+            lines.push('The user can list, pause and delete watches with /watches.');
+            return lines.join('\n');
+        }
+    }
+};
+
+async function applyAction(chatId, action, id, env) {
+    if (action === 'delete') {
+        return await deleteWatch(chatId, id, env) ? `🗑 Deleted watch ${id}.` : `⚠️ No watch ${id} in this chat.`;
+    }
+    const watch = await setWatchPaused(chatId, id, action === 'pause', env);
+    if (!watch) {
+        return `⚠️ No watch ${id} in this chat.`;
+    }
+    return action === 'pause' ? `⏸ Paused ${watch.label}.` : `▶️ Resumed ${watch.label}.`;
+}
+
+/**
+ * The chat's watches with Pause/Resume and Delete buttons.
+ */
+function renderWatches(watches, notice = null) {
+    const header = notice ? `${notice}\n\n` : '';
+    if (watches.length === 0) {
+        return { text: `${header}🔔 No page watches yet. Ask me to watch a page, e.g. "tell me when example.com/pricing changes".` };
+    }
+    return {
+        text: `${header}🔔 *Page watches*\n\n${watches.map(describeWatch).join('\n\n')}`,
+        reply_markup: {
+            inline_keyboard: watches.map(w => [
+                w.paused
+                    ? { text: `▶️ Resume ${w.id}`, callback_data: `watch:resume:${w.id}` }
+                    : { text: `⏸ Pause ${w.id}`, callback_data: `watch:pause:${w.id}` },
+                { text: `🗑 Delete ${w.id}`, callback_data: `watch:delete:${w.id}` }
+            ])
+        }
+    };
+}
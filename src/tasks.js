@@ -0,0 +1,177 @@
+import { parseCron, nextCronRun, localTimeToUtc, formatLocalTime } from './cron.js';
+import { listKeys } from './utils.js';
+
+/**
+ * Scheduled tasks: "remind me every Monday at 9 to triage issues in my repo".
+ *
+ * A task runs on a cron expression or once (at a local time, or in N minutes), in the time zone
+ * of the person who set it. When it is due it either sends its text as a reminder, or runs the
+ * text as a prompt through the agent with the unattended tools (see index.js).
+ *
+ * Tasks live in CHAT_HISTORY as `task:<chatId>:<id>`, with the next run time in their KV
+ * metadata so the cron finds the due ones with a single list. One-shot tasks are deleted once
+ * they ran.
+ */
+
+const MAX_TASKS_PER_CHAT = 25;
+// Runs per cron tick, most overdue first; the rest wait for the next tick
+const RUNS_PER_TICK = 25;
+
+/**
+ * Stores a task. Exactly one of `cron`, `at` and `inMinutes` is needed.
+ * @param {object} options
+ * @param {number|string} options.chatId - Where it runs and replies
+ * @param {number|string} options.userId - Who set it (their role and budget apply)
+ * @param {string} options.text - Reminder text, or the prompt for agent tasks
+ * @param {'reminder'|'agent'} options.mode - (Optional) Default reminder
+ * @param {string} options.cron - (Optional) Recurring: five-field cron expression, local time
+ * @param {string} options.at - (Optional) Once: local date and time, "2026-10-20T09:00"
+ * @param {number} options.inMinutes - (Optional) Once: minutes from now
+ * @param {string} options.timezone - IANA name the times are read in
+ * @param {object} env
+ * @param {number} now - (Optional) Timestamp in ms
+ * @returns {Promise<object>} The task
+ * @throws {Error} If the schedule is invalid (message is safe to show to the user and the model)
+ */
+export async function createTask({ chatId, userId, text, mode = 'reminder', cron = null, at = null, inMinutes = null, timezone }, env, now = Date.now()) {
+    const schedules = [cron, at, inMinutes].filter(v => v !== null && v !== undefined && v !== '');
+    if (schedules.length !== 1) {
+        throw new Error('Give exactly one of cron (recurring), at (a local date and time) or in_minutes.');
+    }
+    if (!text?.trim()) {
+        throw new Error('The task needs a text: what to remind of, or what to do.');
+    }
+    if ((await listTasks(chatId, env)).length >= MAX_TASKS_PER_CHAT) {
+        throw new Error(`This chat already has ${MAX_TASKS_PER_CHAT} scheduled tasks. Cancel some with /tasks first.`);
+    }
+
+    let nextRun;
+    if (cron) {
+        nextRun = nextCronRun(parseCron(cron), now, timezone);
+        if (nextRun === null) {
+            throw new Error(`"${cron}" never runs.`);
+        }
+    } else if (at) {
+        nextRun = localTimeToUtc(at, timezone);
+        if (nextRun <= now) {
+            throw new Error(`${at} (${timezone}) is in the past. It is ${formatLocalTime(now, timezone)} there now.`);
+        }
+    } else {
+        const minutes = Number(inMinutes);
+        if (!(minutes >= 1)) {
+            throw new Error('in_minutes must be at least 1.');
+        }
+        nextRun = now + Math.round(minutes) * 60000;
+    }
+
+    const task = {
+        id: crypto.randomUUID().slice(0, 8),
+        chatId: String(chatId),
+        userId,
+        text: text.trim(),
+        mode: mode === 'agent' ? 'agent' : 'reminder',
+        cron: cron || null,
+        timezone,
+        nextRun,
+        createdAt: new Date(now).toISOString(),
+        lastRun: null,
+        lastError: null
+    };
+    await saveTask(task, env);
+    console.log('⏰ [TASKS] Scheduled', task.id, 'for', new Date(nextRun).toISOString());
+    return task;
+}
+
+/**
+ * @param {number|string} chatId
+ * @param {object} env
+ * @returns {Promise<object[]>} The chat's tasks, soonest first
+ */
+export async function listTasks(chatId, env) {
+    const keys = await listKeys(env.CHAT_HISTORY, `task:${chatId}:`);
+    const tasks = await Promise.all(keys.map(k => env.CHAT_HISTORY.get(k.name, { type: 'json' })));
+    return tasks.filter(Boolean).sort((a, b) => a.nextRun - b.nextRun);
+}
+
+/**
+ * @returns {Promise<object|null>} The cancelled task, or null when there is no such task
+ */
+export async function cancelTask(chatId, id, env) {
+    const key = `task:${chatId}:${id}`;
+    const task = await env.CHAT_HISTORY.get(key, { type: 'json' });
+    if (task) {
+        await env.CHAT_HISTORY.delete(key);
+    }
+    return task;
+}
+
+/**
+ * Tasks whose next run is due, across all chats.
+ * @param {object} env
+ * @param {number} now - (Optional) Timestamp in ms
+ * @returns {Promise<object[]>}
+ */
+export async function dueTasks(env, now = Date.now()) {
+    const due = (await listKeys(env.CHAT_HISTORY, 'task:'))
+        .filter(k => k.metadata?.nextRun <= now)
+        .sort((a, b) => a.metadata.nextRun - b.metadata.nextRun)
+        .slice(0, RUNS_PER_TICK);
+    const tasks = await Promise.all(due.map(k => env.CHAT_HISTORY.get(k.name, { type: 'json' })));
+    return tasks.filter(Boolean);
+}
+
+/**
+ * Records a run: recurring tasks move to their next time (runs missed while the bot was down
+ * are skipped, not replayed), one-shot tasks are deleted.
+ * @param {object} task
+ * @param {object} env
+ * @param {object} result
+ * @param {string} result.error - (Optional) Why the run failed
+ * @param {number} now - (Optional) Timestamp in ms
+ */
+export async function finishTask(task, env, { error = null } = {}, now = Date.now()) {
+    if (!task.cron) {
+        await env.CHAT_HISTORY.delete(`task:${task.chatId}:${task.id}`);
+        return;
+    }
+    task.lastRun = new Date(now).toISOString();
+    task.lastError = error;
+    task.nextRun = nextCronRun(task.cron, now, task.timezone);
+    if (task.nextRun === null) {
+        await env.CHAT_HISTORY.delete(`task:${task.chatId}:${task.id}`);
+        return;
+    }
+    await saveTask(task, env);
+}
+
+/**
+ * When a task runs, for people: "every: 0 9 * * mon · next: Mon 2026-10-26 09:00 (Europe/Berlin)".
+ * @param {object} task
+ * @returns {string}
+ */
+export function describeSchedule(task) {
+    const next = `${formatLocalTime(task.nextRun, task.timezone)} (${task.timezone})`;
+    return task.cron ? `every \`${task.cron}\` · next: ${next}` : `once: ${next}`;
+}
+
+/**
+ * One entry per task for /tasks.
+ * @param {object} task
+ * @returns {string}
+ */
+export function describeTask(task) {
+    const lines = [
+        `${task.mode === 'agent' ? '🤖' : '⏰'} *${task.text}* (${task.id})`,
+        describeSchedule(task)
+    ];
+    if (task.lastError) {
+        lines.push(`⚠️ Last run failed: ${task.lastError}`);
+    }
+    return lines.join('\n');
+}
+
+async function saveTask(task, env) {
+    await env.CHAT_HISTORY.put(`task:${task.chatId}:${task.id}`, JSON.stringify(task), {
+        metadata: { nextRun: task.nextRun }
+    });
+}
@@ -0,0 +1,301 @@
+import { renderMessages, TELEGRAM_LIMIT } from './format.js';
+import { splitConversationKey } from './groups.js';
+
+/**
+ * Calls a Telegram Bot API method.
+ * @param {string} method - Bot API method name (e.g. sendMessage)
+ * @param {object} payload - JSON body for the method
+ * @param {object} env - Environment with TELEGRAM_TOKEN
+ * @returns {Promise<object>} Parsed Telegram API response
+ */
+export async function callTelegram(method, payload, env) {
+    const response = await fetch(`https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    return await response.json();
+}
+
+// Replies longer than this many messages are sent as a .md document instead
+const MAX_PARTS = 4;
+
+/**
+ * Sends a Markdown reply: converted to Telegram HTML, split into several messages when it is
+ * over the 4096-character limit, or sent as a `.md` document when it is very long.
+ * Each part that Telegram rejects as HTML is resent as plain text.
+ * @param {number|string} chatId - Conversation key (chat id, or "chat:topic" in forum topics)
+ * @param {string} text - Markdown (as written by the model or a command)
+ * @param {object} env
+ * @param {object} extra - (Optional) Additional sendMessage fields (e.g. reply_markup, attached to the
+ *   last part; reply_to_message_id goes on the first)
+ * @returns {Promise<object>} Telegram API response for the last message sent
+ */
+export async function sendMessage(chatId, text, env, extra = {}) {
+    return await deliver(chatId, text, env, extra);
+}
+
+/**
+ * Sends a file (multipart upload) as a document.
+ * @param {number|string} chatId - Conversation key
+ * @param {string|Blob} content
+ * @param {string} filename - e.g. reply.md
+ * @param {object} env
+ * @param {object} extra - (Optional) Additional fields, e.g. caption
+ * @returns {Promise<object>} Telegram API response
+ */
+export async function sendDocument(chatId, content, filename, env, extra = {}) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(chatTarget(chatId))) {
+        form.append(key, String(value));
+    }
+    const blob = content instanceof Blob ? content : new Blob([content], { type: 'text/markdown' });
+    form.append('document', blob, filename);
+    for (const [key, value] of Object.entries(extra)) {
+        form.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+    return await callTelegramForm('sendDocument', form, env);
+}
+
+/**
+ * Sends an image (multipart upload) as a photo. Telegram rejects photos over 10 MB or with
+ * extreme proportions (e.g. very tall full-page screenshots); send those with sendDocument.
+ * @param {number|string} chatId - Conversation key
+ * @param {Blob} image
+ * @param {string} filename - e.g. screenshot.png
+ * @param {object} env
+ * @param {object} extra - (Optional) Additional fields, e.g. caption
+ * @returns {Promise<object>} Telegram API response
+ */
+export async function sendPhoto(chatId, image, filename, env, extra = {}) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(chatTarget(chatId))) {
+        form.append(key, String(value));
+    }
+    form.append('photo', image, filename);
+    for (const [key, value] of Object.entries(extra)) {
+        form.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+    return await callTelegramForm('sendPhoto', form, env);
+}
+
+/**
+ * Calls a Bot API method with a multipart body (file uploads).
+ * @param {string} method
+ * @param {FormData} form
+ * @param {object} env
+ * @returns {Promise<object>} Parsed Telegram API response
+ */
+export async function callTelegramForm(method, form, env) {
+    const response = await fetch(`https://api.telegram.org/bot${env.TELEGRAM_TOKEN}/${method}`, {
+        method: 'POST',
+        body: form
+    });
+    return await response.json();
+}
+
+/**
+ * Registers the bot's command list with Telegram so clients can autocomplete it.
+ * @param {Array<{command: string, description: string}>} commands
+ * @param {object} env
+ * @returns {Promise<object>} Telegram API response
+ */
+export async function setMyCommands(commands, env) {
+    return await callTelegram('setMyCommands', { commands }, env);
+}
+
+/**
+ * The bot's own user (id and username), needed to recognize mentions and replies in groups.
+ * Cached in KV for a day.
+ * @param {object} env
+ * @returns {Promise<{id: number, username: string}>}
+ */
+export async function getBotUser(env) {
+    const cached = await env.CHAT_HISTORY.get('meta:bot', { type: 'json' });
+    if (cached) {
+        return cached;
+    }
+
+    const res = await callTelegram('getMe', {}, env);
+    if (!res.ok) {
+        throw new Error(`getMe failed: ${res.description || 'unknown error'}`);
+    }
+    const bot = { id: res.result.id, username: res.result.username };
+    await env.CHAT_HISTORY.put('meta:bot', JSON.stringify(bot), { expirationTtl: 60 * 60 * 24 });
+    return bot;
+}
+
+/**
+ * Telegram fields addressing a conversation: the chat, plus the forum topic if it is one.
+ * @param {number|string} chatId - Conversation key (see src/groups.js)
+ * @returns {{chat_id: number, message_thread_id?: number}}
+ */
+export function chatTarget(chatId) {
+    const { chatId: id, threadId } = splitConversationKey(chatId);
+    return threadId ? { chat_id: id, message_thread_id: threadId } : { chat_id: id };
+}
+
+/**
+ * Shows a chat action ("typing", "upload_photo", ...) for about five seconds.
+ * @param {number|string} chatId - Conversation key
+ * @param {string} action
+ * @param {object} env
+ */
+export async function sendChatAction(chatId, action, env) {
+    return await callTelegram('sendChatAction', { ...chatTarget(chatId), action }, env);
+}
+
+// Telegram allows roughly one edit per second per chat before answering 429
+const LIVE_EDIT_INTERVAL = 1000;
+
+/**
+ * Creates a message that is sent right away as a placeholder and then edited in place:
+ * tool progress ("🌐 Browsing…"), the streamed reply, and finally the full reply.
+ *
+ * Updates are throttled to one edit per `interval` ms; the latest text always wins, and
+ * `finish` flushes it. If the placeholder could not be sent, `finish` falls back to sendMessage.
+ * @param {number|string} chatId - Conversation key
+ * @param {object} env
+ * @param {object} options
+ * @param {string} options.placeholder - (Optional) First text shown
+ * @param {number} options.interval - (Optional) Minimum ms between edits
+ * @param {number} options.replyTo - (Optional) Message the placeholder replies to (group chats)
+ * @returns {{start: Function, update: Function, finish: Function}}
+ */
+export function createLiveMessage(chatId, env, { placeholder = '⏳ Thinking…', interval = LIVE_EDIT_INTERVAL, replyTo = null } = {}) {
+    let messageId = null;
+    let shown = placeholder;
+    let latest = placeholder;
+    let lastEdit = 0;
+    let timer = null;
+    let queue = Promise.resolve();
+
+    const edit = (text) => callTelegram('editMessageText', {
+        chat_id: chatTarget(chatId).chat_id,
+        message_id: messageId,
+        text
+    }, env);
+
+    const flush = () => {
+        timer = null;
+        if (!messageId || latest === shown) return queue;
+        const text = latest;
+        shown = text;
+        lastEdit = Date.now();
+        // Chained so edits never overtake each other
+        queue = queue.then(() => edit(text)).catch(e => console.error('📤 [LIVE] Edit failed:', e));
+        return queue;
+    };
+
+    return {
+        async start() {
+            const [sent] = await Promise.all([
+                callTelegram('sendMessage', {
+                    ...chatTarget(chatId),
+                    text: placeholder,
+                    ...(replyTo && { reply_to_message_id: replyTo })
+                }, env),
+                sendChatAction(chatId, 'typing', env)
+            ]);
+            messageId = sent?.result?.message_id || null;
+        },
+
+        /**
+         * Shows new text (plain, since half-streamed Markdown rarely parses).
+         * @param {string} text
+         */
+        update(text) {
+            latest = text.length > TELEGRAM_LIMIT ? text.slice(0, TELEGRAM_LIMIT - 1) + '…' : text;
+            if (timer) return;
+            const wait = lastEdit + interval - Date.now();
+            if (wait <= 0) {
+                return flush();
+            }
+            timer = setTimeout(flush, wait);
+        },
+
+        /**
+         * Replaces the placeholder with the final reply (formatted and split like sendMessage).
+         * @param {string} text
+         * @param {object} extra - (Optional) Additional fields, e.g. reply_markup
+         */
+        async finish(text, extra = {}) {
+            clearTimeout(timer);
+            timer = null;
+            await queue;
+            return await deliver(chatId, text, env, extra, messageId);
+        }
+    };
+}
+
+/**
+ * Sends (or, with `editMessageId`, edits into an existing message) a formatted reply.
+ */
+async function deliver(chatId, text, env, extra = {}, editMessageId = null) {
+    const { reply_to_message_id, ...lastExtra } = extra;
+    const firstExtra = reply_to_message_id ? { reply_to_message_id } : {};
+    const parts = renderMessages(text);
+
+    if (parts.length > MAX_PARTS) {
+        console.log(`📤 [RESPONSE] Reply is ${text.length} chars, sending it as a document`);
+        await sendPart(chatId, parts[0], env, firstExtra, editMessageId);
+        return await sendDocument(chatId, text, 'reply.md', env, {
+            caption: '📄 The full reply is long, so here it is as a file.',
+            ...lastExtra
+        });
+    }
+
+    let responseData;
+    for (const [i, part] of parts.entries()) {
+        const partExtra = {
+            ...(i === 0 && firstExtra),
+            ...(i === parts.length - 1 && lastExtra)
+        };
+        responseData = await sendPart(chatId, part, env, partExtra, i === 0 ? editMessageId : null);
+        // The placeholder may be gone (deleted by the user); send the part as a new message
+        if (!responseData.ok && i === 0 && editMessageId) {
+            responseData = await sendPart(chatId, part, env, partExtra);
+        }
+    }
+    return responseData;
+}
+
+/**
+ * Sends or edits one message part as HTML, retrying as plain text if Telegram rejects it.
+ */
+async function sendPart(chatId, part, env, extra = {}, editMessageId = null) {
+    const method = editMessageId ? 'editMessageText' : 'sendMessage';
+    const target = chatTarget(chatId);
+    const payload = {
+        ...(editMessageId ? { chat_id: target.chat_id, message_id: editMessageId } : target),
+        text: part.html,
+        parse_mode: 'HTML',
+        ...extra
+    };
+    if (editMessageId) {
+        // The edited message already sits where it was sent
+        delete payload.reply_to_message_id;
+    }
+
+    let responseData = await callTelegram(method, payload, env);
+    console.log('📤 [RESPONSE] Telegram API Response:', responseData);
+
+    if (!responseData.ok && /not modified/.test(responseData.description || '')) {
+        // Editing to the text already shown: nothing to do
+        return { ...responseData, ok: true };
+    }
+
+    if (!responseData.ok) {
+        console.error('📤 [ERROR] Failed to send message:', responseData);
+        // Retry without formatting if it failed likely due to parsing
+        if (responseData.error_code === 400) {
+            console.log('⚠️ [RETRY] Sending as plain text due to HTML error');
+            delete payload.parse_mode;
+            payload.text = part.plain;
+            responseData = await callTelegram(method, payload, env);
+            console.log('📤 [RETRY RESPONSE] Telegram API Response:', responseData);
+        }
+    }
+
+    return responseData;
+}
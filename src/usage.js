@@ -0,0 +1,239 @@
+import { recordSpend } from './ratelimit.js';
+import { listKeys } from './utils.js';
+
+/**
+ * Token and cost accounting for every model call.
+ *
+ * Each call is added to a daily aggregate per chat (`usage:<YYYY-MM-DD>:<chatId>` in
+ * CHAT_HISTORY) broken down by feature and by model, and charged to the person's daily budget
+ * (see ratelimit.js). /usage reports the aggregates; owners get a weekly summary from the cron.
+ *
+ * Features:
+ * - chat: the first model call for a message
+ * - tool_turn: follow-up calls in the agent loop, after tool results came back
+ * - briefing: the morning briefing cron
+ * - task: scheduled agent tasks (tasks.js)
+ * - transcription: voice notes (counted in audio seconds)
+ * - summary, review, page_digest: history compaction, PR reviews and /browse digests
+ * - tool_summary: condensing tool results too big for the context window (see ai.js)
+ * - vision: questions about page screenshots (screenshot_page)
+ * - watch: change summaries of watched pages (watch.js)
+ */
+
+// Daily aggregates are kept for 90 days
+const USAGE_TTL = 60 * 60 * 24 * 90;
+
+// USD per million tokens [input, output]. Models not listed are counted in tokens only.
+const MODEL_PRICES = {
+    'gpt-4o': [2.5, 10],
+    'gpt-4o-mini': [0.15, 0.6],
+    'gpt-4.1': [2, 8],
+    'gpt-4.1-mini': [0.4, 1.6],
+    'gpt-4.1-nano': [0.1, 0.4],
+    'o4-mini': [1.1, 4.4],
+    'claude-3-5-sonnet': [3, 15],
+    'claude-3-5-haiku': [0.8, 4],
+    'claude-sonnet-4': [3, 15],
+    'claude-opus-4': [15, 75]
+};
+
+// USD per minute of audio for speech-to-text models
+const AUDIO_PRICES = {
+    'whisper-1': 0.006,
+    'gpt-4o-transcribe': 0.006,
+    'gpt-4o-mini-transcribe': 0.003
+};
+
+/**
+ * Estimates the price of one call in USD from the model's list price.
+ * @param {string} model
+ * @param {{prompt_tokens?: number, completion_tokens?: number, audio_seconds?: number}} usage
+ * @returns {number} USD (0 for unknown models)
+ */
+export function estimateCost(model, usage) {
+    const name = String(model || '').toLowerCase();
+    if (usage?.audio_seconds) {
+        return (AUDIO_PRICES[name] || 0) * usage.audio_seconds / 60;
+    }
+
+    // Longest prefix wins, so "gpt-4o-mini-2024-07-18" is priced as gpt-4o-mini, not gpt-4o
+    const match = Object.keys(MODEL_PRICES)
+        .filter(prefix => name.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!match) {
+        return 0;
+    }
+    const [input, output] = MODEL_PRICES[match];
+    return ((usage?.prompt_tokens || 0) * input + (usage?.completion_tokens || 0) * output) / 1e6;
+}
+
+/**
+ * Adds one call to the chat's aggregate for today.
+ * KV has no atomic increments, so concurrent calls in one chat may lose a count; the budget in
+ * ratelimit.js is the exact one.
+ * @param {object} call
+ * @param {number|string} call.chatId
+ * @param {string} call.feature - See the list above
+ * @param {string} call.model
+ * @param {object} call.usage - { prompt_tokens, completion_tokens } or { audio_seconds }
+ * @param {object} env
+ * @returns {Promise<object>} The updated aggregate
+ */
+export async function recordUsage({ chatId, feature, model, usage }, env) {
+    const date = today();
+    const key = `usage:${date}:${chatId}`;
+    const day = await env.CHAT_HISTORY.get(key, { type: 'json' }) || { chatId: String(chatId), date, features: {}, models: {} };
+
+    const amounts = {
+        calls: 1,
+        prompt_tokens: usage?.prompt_tokens || 0,
+        completion_tokens: usage?.completion_tokens || 0,
+        audio_seconds: usage?.audio_seconds || 0,
+        cost: estimateCost(model, usage)
+    };
+    addTo(day.features, feature, amounts);
+    addTo(day.models, model || 'unknown', amounts);
+
+    await env.CHAT_HISTORY.put(key, JSON.stringify(day), { expirationTtl: USAGE_TTL });
+    return day;
+}
+
+/**
+ * Builds the `onUsage` callback for generateAIResponse: records every call under `feature`
+ * and charges it to the person's daily budget.
+ * Calls that name their own feature (summaries, reviews, ...) keep it; in chats, agent calls
+ * made after tool results count as `tool_turn`.
+ * @param {object} options
+ * @param {number|string} options.chatId
+ * @param {number|string} options.userId - (Optional) Whose budget is charged
+ * @param {string} options.feature - Feature of the calls that don't name one
+ * @param {object} env
+ * @returns {Function} (usage, { provider, model, feature, toolTurn }) => Promise
+ */
+export function usageTracker({ chatId, userId, feature }, env) {
+    return async (usage, meta) => {
+        const callFeature = meta.feature || (feature === 'chat' && meta.toolTurn ? 'tool_turn' : feature);
+        try {
+            if (userId !== undefined) {
+                await recordSpend(userId, usage, meta.model, env);
+            }
+            await recordUsage({ chatId, feature: callFeature, model: meta.model, usage }, env);
+        } catch (e) {
+            console.error('📊 [USAGE] Failed to record usage:', e);
+        }
+    };
+}
+
+/**
+ * Sums the daily aggregates of the last `days` days (today included).
+ * @param {object} env
+ * @param {object} options
+ * @param {number|string} options.chatId - (Optional) One chat; all chats when omitted
+ * @param {number} options.days - (Optional) Number of days (default 1, today only)
+ * @returns {Promise<{features: object, models: object, chats: object, total: object}>}
+ *   `chats` holds the total per chat
+ */
+export async function getUsageTotals(env, { chatId = null, days = 1 } = {}) {
+    const totals = { features: {}, models: {}, chats: {}, total: emptyAmounts() };
+
+    for (let i = 0; i < days; i++) {
+        const date = today(-i);
+        const keys = chatId !== null
+            ? [`usage:${date}:${chatId}`]
+            : (await listKeys(env.CHAT_HISTORY, `usage:${date}:`)).map(k => k.name);
+        const aggregates = await Promise.all(keys.map(key => env.CHAT_HISTORY.get(key, { type: 'json' })));
+
+        for (const day of aggregates.filter(Boolean)) {
+            for (const [feature, amounts] of Object.entries(day.features)) {
+                addTo(totals.features, feature, amounts);
+                addTo(totals.chats, day.chatId, amounts);
+                addAmounts(totals.total, amounts);
+            }
+            for (const [model, amounts] of Object.entries(day.models)) {
+                addTo(totals.models, model, amounts);
+            }
+        }
+    }
+    return totals;
+}
+
+/**
+ * Renders usage totals as lines: one per feature (or per chat), most expensive first.
+ * @param {object} totals - From getUsageTotals
+ * @param {'features'|'models'|'chats'} by - (Optional) Breakdown (default features)
+ * @returns {string[]}
+ */
+export function formatUsageLines(totals, by = 'features') {
+    const rows = Object.entries(totals[by])
+        .sort(([, a], [, b]) => b.cost - a.cost || tokens(b) - tokens(a));
+    if (rows.length === 0) {
+        return ['• nothing yet'];
+    }
+    return rows.map(([name, amounts]) => `• ${name}: ${formatAmounts(amounts)}`);
+}
+
+/**
+ * "3 calls, 1,234 tokens, $0.0012" (audio seconds when there are any).
+ * @param {object} amounts
+ * @returns {string}
+ */
+export function formatAmounts(amounts) {
+    const parts = [`${amounts.calls} call${amounts.calls === 1 ? '' : 's'}`];
+    if (tokens(amounts) > 0) {
+        parts.push(`${tokens(amounts).toLocaleString('en-US')} tokens`);
+    }
+    if (amounts.audio_seconds > 0) {
+        parts.push(`${Math.round(amounts.audio_seconds)}s audio`);
+    }
+    parts.push(`$${amounts.cost.toFixed(4)}`);
+    return parts.join(', ');
+}
+
+/**
+ * Weekly usage summary for the owners: the last 7 days by feature, by model and the
+ * most expensive chats.
+ * @param {object} env
+ * @returns {Promise<string>}
+ */
+export async function weeklyUsageSummary(env) {
+    const totals = await getUsageTotals(env, { days: 7 });
+    const topChats = formatUsageLines(totals, 'chats').slice(0, 5);
+    return [
+        '📊 *Weekly usage* (last 7 days)',
+        '',
+        `Total: ${formatAmounts(totals.total)}`,
+        '',
+        '*By feature*',
+        ...formatUsageLines(totals, 'features'),
+        '',
+        '*By model*',
+        ...formatUsageLines(totals, 'models'),
+        '',
+        '*Top chats*',
+        ...topChats
+    ].join('\n');
+}
+
+function emptyAmounts() {
+    return { calls: 0, prompt_tokens: 0, completion_tokens: 0, audio_seconds: 0, cost: 0 };
+}
+
+function addAmounts(target, amounts) {
+    for (const name of Object.keys(target)) {
+        target[name] += amounts[name] || 0;
+    }
+}
+
+function addTo(groups, name, amounts) {
+    groups[name] = groups[name] || emptyAmounts();
+    addAmounts(groups[name], amounts);
+}
+
+function tokens(amounts) {
+    return amounts.prompt_tokens + amounts.completion_tokens;
+}
+
+// UTC date, `offset` days from today
+function today(offset = 0) {
+    return new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+}
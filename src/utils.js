@@ -15,27 +15,21 @@ export function isValidUrl(string) {
 
 /**
  * Parses a Telegram message text into command and args.
+ * Strips the "@BotName" suffix Telegram adds to commands in group chats.
  * @param {string} text 
- * @returns {{command: string|null, args: string[]}}
+ * @returns {{command: string|null, args: string[], argText: string}}
  */
 
 export function parseCommand(text) {
     if (!text || !text.startsWith('/')) {
-        return { command: null, args: [] };
+        return { command: null, args: [], argText: '' };
     }
-    const parts = text.trim().split(/\s+/).filter(Boolean);
-    const command = parts[0].slice(1); // remove /
+    const trimmed = text.trim();
+    const parts = trimmed.split(/\s+/).filter(Boolean);
+    const command = parts[0].slice(1).split('@')[0].toLowerCase(); // remove / and @BotName
     const args = parts.slice(1);
-    return { command, args };
-}
-
-/**
- * cleans HTML tags primarily for the article reader
- * @param {string} html
- * @returns {string}
- */
-export function stripHtml(html) {
-    return html.replace(/<[^>]*>?/gm, '');
+    const argText = trimmed.slice(parts[0].length).trim();
+    return { command, args, argText };
 }
 
 /**
@@ -47,3 +41,50 @@ export function extractUrl(text) {
     const match = text.match(/https?:\/\/[^\s]+/);
     return match ? match[0] : null;
 }
+
+/**
+ * Parses the first JSON object found in a model reply (tolerates ```json fences and chatter).
+ * @param {string} text
+ * @returns {object|null}
+ */
+export function extractJson(text) {
+    if (!text) return null;
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Formats a number of seconds for people: "45s", "20 min", "3 h", "2 days".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+    if (seconds < 86400) return `${Math.ceil(seconds / 3600)} h`;
+    const days = Math.ceil(seconds / 86400);
+    return `${days} day${days > 1 ? 's' : ''}`;
+}
+
+/**
+ * Lists every key under a prefix, following the cursor (KV returns at most 1000 keys per call).
+ * @param {object} namespace - KV namespace, e.g. env.CHAT_HISTORY
+ * @param {string} prefix
+ * @returns {Promise<Array<{name: string, metadata?: object}>>}
+ */
+export async function listKeys(namespace, prefix) {
+    const keys = [];
+    let cursor;
+    do {
+        const page = await namespace.list({ prefix, cursor });
+        keys.push(...page.keys);
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return keys;
+}
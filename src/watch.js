@@ -0,0 +1,330 @@
+import { extractArticle, selectText } from './extract.js';
+import { renderHtml } from './browser.js';
+import { generateAIResponse, truncateToTokens } from './ai.js';
+import { formatDuration, listKeys } from './utils.js';
+
+/**
+ * Page watches: "tell me when this pricing page changes", "alert me when the docs mention v3".
+ *
+ * A watch is a URL, optionally narrowed to the elements matching a CSS selector, checked every
+ * `interval` minutes by the cron. Each check reads the page (a plain fetch, or the browser when
+ * the fetch is blocked or finds nothing), normalizes its text to lines, and compares it with the
+ * stored snapshot:
+ * - without a keyword, any added or removed line is a change, summarized by the model;
+ * - with a keyword, the alert goes out when the keyword appears (once, until it disappears again).
+ *
+ * Watches live in CHAT_HISTORY as `watch:<chatId>:<id>`. Their KV metadata holds the next check
+ * time and the paused flag, so the cron finds the due ones with a single list.
+ */
+
+// Minutes; the cron tick runs every 5 minutes, but pages are not polled more often than this
+export const MIN_INTERVAL = 15;
+const DEFAULT_INTERVAL = 60;
+const MAX_WATCHES_PER_CHAT = 20;
+// Checks per cron run, oldest due first; the rest wait for the next run
+const CHECKS_PER_RUN = 20;
+// Snapshots are cut at this many characters
+const MAX_SNAPSHOT = 100000;
+// Lines of a diff shown to the model, and in the fallback alert
+const MAX_DIFF_LINES = 40;
+const FALLBACK_LINES = 5;
+
+/**
+ * Creates a watch and takes its first snapshot (which also checks that the page can be read).
+ * @param {object} options
+ * @param {number|string} options.chatId - Where alerts go
+ * @param {number|string} options.userId - (Optional) Who created it (charged for change summaries)
+ * @param {string} options.url
+ * @param {string} options.selector - (Optional) CSS selector of the part to watch
+ * @param {string} options.keyword - (Optional) Alert when this text appears
+ * @param {number} options.interval - (Optional) Minutes between checks (default 60, at least 15)
+ * @param {string} options.label - (Optional) Name used in alerts (default: the page title)
+ * @param {object} env
+ * @returns {Promise<object>} The watch; `found` tells whether the keyword is already there
+ */
+export async function createWatch({ chatId, userId, url, selector = null, keyword = null, interval = DEFAULT_INTERVAL, label = null }, env) {
+    const existing = await listWatches(chatId, env);
+    if (existing.length >= MAX_WATCHES_PER_CHAT) {
+        throw new Error(`This chat already has ${MAX_WATCHES_PER_CHAT} watches. Delete one with /watches first.`);
+    }
+
+    const page = await readPage({ url, selector }, env);
+    const now = Date.now();
+    const watch = {
+        id: crypto.randomUUID().slice(0, 8),
+        chatId: String(chatId),
+        userId: userId ?? null,
+        url,
+        selector: selector || null,
+        keyword: keyword || null,
+        label: label || page.title || url,
+        interval: Math.max(MIN_INTERVAL, Math.round(Number(interval) || DEFAULT_INTERVAL)),
+        paused: false,
+        snapshot: page.text,
+        found: keyword ? mentions(page.text, keyword) : null,
+        createdAt: new Date(now).toISOString(),
+        lastChecked: new Date(now).toISOString(),
+        lastChanged: null,
+        lastError: null
+    };
+    await saveWatch(watch, env, now);
+    console.log('🔔 [WATCH] Created', watch.id, 'for', url);
+    return watch;
+}
+
+/**
+ * @param {number|string} chatId
+ * @param {object} env
+ * @returns {Promise<object[]>} The chat's watches, oldest first
+ */
+export async function listWatches(chatId, env) {
+    const keys = await listKeys(env.CHAT_HISTORY, `watch:${chatId}:`);
+    const watches = await Promise.all(keys.map(k => env.CHAT_HISTORY.get(k.name, { type: 'json' })));
+    return watches.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Pauses or resumes a watch. A resumed watch is checked on the next cron run.
+ * @returns {Promise<object|null>} The watch, or null when there is no such watch
+ */
+export async function setWatchPaused(chatId, id, paused, env) {
+    const watch = await env.CHAT_HISTORY.get(`watch:${chatId}:${id}`, { type: 'json' });
+    if (!watch) {
+        return null;
+    }
+    watch.paused = paused;
+    // Due right away
+    await saveWatch(watch, env, Date.now() - watch.interval * 60000);
+    return watch;
+}
+
+/**
+ * @returns {Promise<boolean>} false when there is no such watch
+ */
+export async function deleteWatch(chatId, id, env) {
+    const key = `watch:${chatId}:${id}`;
+    if (!await env.CHAT_HISTORY.get(key)) {
+        return false;
+    }
+    await env.CHAT_HISTORY.delete(key);
+    return true;
+}
+
+/**
+ * Watches whose next check is due, across all chats (at most CHECKS_PER_RUN, most overdue first).
+ * @param {object} env
+ * @param {number} now - (Optional) Timestamp in ms
+ * @returns {Promise<object[]>}
+ */
+export async function dueWatches(env, now = Date.now()) {
+    const due = (await listKeys(env.CHAT_HISTORY, 'watch:'))
+        .filter(k => k.metadata && !k.metadata.paused && k.metadata.nextCheck <= now)
+        .sort((a, b) => a.metadata.nextCheck - b.metadata.nextCheck)
+        .slice(0, CHECKS_PER_RUN);
+    const watches = await Promise.all(due.map(k => env.CHAT_HISTORY.get(k.name, { type: 'json' })));
+    return watches.filter(Boolean);
+}
+
+/**
+ * Checks one watch against its snapshot and stores the result. A page that can't be read is
+ * recorded in `lastError` (shown by /watches) and tried again at the next interval.
+ * @param {object} watch - From dueWatches
+ * @param {object} env
+ * @param {object} llm - Model options for the change summary (see usage.js for `onUsage`)
+ * @returns {Promise<string|null>} The alert to send, or null when nothing changed
+ */
+export async function checkWatch(watch, env, llm = {}) {
+    const now = Date.now();
+    watch.lastChecked = new Date(now).toISOString();
+
+    let page;
+    try {
+        page = await readPage(watch, env);
+    } catch (e) {
+        console.error('🔔 [WATCH] Check failed for', watch.id, e.message);
+        watch.lastError = e.message;
+        await saveWatch(watch, env, now);
+        return null;
+    }
+    watch.lastError = null;
+
+    let alert = null;
+    if (watch.keyword) {
+        const found = mentions(page.text, watch.keyword);
+        if (found && !watch.found) {
+            alert = keywordAlert(watch, page.text);
+        }
+        watch.found = found;
+    } else {
+        const diff = diffLines(watch.snapshot, page.text);
+        if (diff.added.length > 0 || diff.removed.length > 0) {
+            alert = `🔔 *${watch.label}* changed\n${watch.url}\n\n${await summarizeChange(watch, diff, env, llm)}`;
+        }
+    }
+
+    if (alert) {
+        console.log('🔔 [WATCH] Change found for', watch.id);
+        watch.lastChanged = watch.lastChecked;
+    }
+    watch.snapshot = page.text;
+    await saveWatch(watch, env, now);
+    return alert;
+}
+
+/**
+ * Records that a due watch was not checked (e.g. its owner lost access), shown by /watches,
+ * and moves it to its next interval.
+ * @param {object} watch - From dueWatches
+ * @param {string} reason
+ * @param {object} env
+ * @param {number} now - (Optional) Timestamp in ms
+ */
+export async function skipWatch(watch, reason, env, now = Date.now()) {
+    watch.lastChecked = new Date(now).toISOString();
+    watch.lastError = reason;
+    await saveWatch(watch, env, now);
+}
+
+/**
+ * Lines that were added to or removed from a snapshot (order ignored, duplicates counted).
+ * @param {string} before
+ * @param {string} after
+ * @returns {{added: string[], removed: string[]}}
+ */
+export function diffLines(before, after) {
+    const count = (lines) => lines.reduce((counts, line) => counts.set(line, (counts.get(line) || 0) + 1), new Map());
+    const beforeLines = before ? before.split('\n') : [];
+    const afterLines = after ? after.split('\n') : [];
+
+    const left = count(beforeLines);
+    const added = afterLines.filter(line => {
+        if (left.get(line) > 0) {
+            left.set(line, left.get(line) - 1);
+            return false;
+        }
+        return true;
+    });
+    const right = count(afterLines);
+    const removed = beforeLines.filter(line => {
+        if (right.get(line) > 0) {
+            right.set(line, right.get(line) - 1);
+            return false;
+        }
+        return true;
+    });
+    return { added, removed };
+}
+
+/**
+ * One line per watch for /watches.
+ * @param {object} watch
+ * @returns {string}
+ */
+export function describeWatch(watch) {
+    const target = [
+        watch.selector && `\`${watch.selector}\``,
+        watch.keyword && `mentions of "${watch.keyword}"`
+    ].filter(Boolean).join(', ');
+    const status = watch.paused ? '⏸ paused' : `every ${formatDuration(watch.interval * 60)}`;
+    const lines = [`${watch.paused ? '⏸' : '🔔'} *${watch.label}* (${watch.id})`, `${watch.url}${target ? ` · ${target}` : ''}`, status];
+    if (watch.lastChanged) {
+        lines.push(`Last change: ${watch.lastChanged.slice(0, 16).replace('T', ' ')} UTC`);
+    }
+    if (watch.lastError) {
+        lines.push(`⚠️ Last check failed: ${watch.lastError}`);
+    }
+    return lines.join('\n');
+}
+
+async function saveWatch(watch, env, checkedAt) {
+    await env.CHAT_HISTORY.put(`watch:${watch.chatId}:${watch.id}`, JSON.stringify(watch), {
+        metadata: { nextCheck: checkedAt + watch.interval * 60000, paused: watch.paused }
+    });
+}
+
+/**
+ * The watched text of a page, one normalized line per block. Fetches the page first and
+ * renders it in the browser when the fetch is refused or finds nothing (script-built pages).
+ */
+async function readPage({ url, selector }, env) {
+    let page = null;
+    try {
+        const res = await fetch(url, {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (compatible; ClawBot/1.0)',
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+            },
+            signal: AbortSignal.timeout(15000)
+        });
+        if (res.ok) {
+            page = await watchedText(await res.text(), res.url || url, selector);
+        } else {
+            console.log('🔔 [WATCH] HTTP', res.status, 'for', url);
+        }
+    } catch (e) {
+        console.log('🔔 [WATCH] Fetch failed for', url, e.message);
+    }
+
+    if (!page?.text) {
+        const rendered = await renderHtml(url, env);
+        page = await watchedText(rendered.html, rendered.url, selector);
+    }
+    if (!page.text) {
+        throw new Error(selector ? `Nothing on the page matches ${selector}` : 'The page has no readable text');
+    }
+    return page;
+}
+
+async function watchedText(html, url, selector) {
+    const article = await extractArticle(html, url);
+    const text = selector ? await selectText(html, selector) : article.markdown;
+    return { title: article.title, text: normalize(text).slice(0, MAX_SNAPSHOT) };
+}
+
+// One line per block, links reduced to their text (tracking parameters in URLs are not changes)
+function normalize(text) {
+    return text
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+function mentions(text, keyword) {
+    return text.toLowerCase().includes(keyword.toLowerCase());
+}
+
+function keywordAlert(watch, text) {
+    const lines = text.split('\n').filter(line => mentions(line, watch.keyword)).slice(0, 3);
+    return `🔔 *${watch.label}* now mentions "${watch.keyword}"\n${watch.url}\n\n${lines.map(line => `> ${line.slice(0, 300)}`).join('\n')}`;
+}
+
+/**
+ * A few sentences on what changed, written by the model from the added and removed lines.
+ * Falls back to quoting the lines when the model call fails.
+ */
+async function summarizeChange(watch, { added, removed }, env, llm) {
+    const quote = (lines, sign) => lines.slice(0, MAX_DIFF_LINES).map(line => `${sign} ${line}`).join('\n');
+    try {
+        const aiRes = await generateAIResponse([{
+            role: 'user',
+            content: `The watched page "${watch.label}" (${watch.url}) changed. Lines removed (-) and added (+):\n\n` +
+                truncateToTokens(`${quote(removed, '-')}\n${quote(added, '+')}`.trim(), 2000) +
+                '\n\nSay what changed in one to three short sentences, most important first (prices, dates, versions, availability). ' +
+                'Ignore changes that only reorder or reformat the same content. No thinking block.'
+        }], env, { ...llm, feature: 'watch' });
+        // generateAIResponse reports its failures as a "⚠️ ..." reply rather than throwing
+        if (aiRes.content && !aiRes.content.startsWith('⚠️')) {
+            return aiRes.content;
+        }
+        console.error('🔔 [WATCH] Summary failed:', aiRes.content);
+    } catch (e) {
+        console.error('🔔 [WATCH] Summary failed:', e);
+    }
+    return [
+        // Not "+" and "-", which Markdown would turn into bullets
+        ...added.slice(0, FALLBACK_LINES).map(line => `➕ ${line.slice(0, 200)}`),
+        ...removed.slice(0, FALLBACK_LINES).map(line => `➖ ${line.slice(0, 200)}`)
+    ].join('\n');
+}
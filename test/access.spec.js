@@ -0,0 +1,94 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { listAudit } from '../src/audit.js';
+import { hasRole } from '../src/access.js';
+import { buildCommandRegistry, buildCallbackRegistry } from '../src/commands.js';
+import { stubFetch, toolCalls, dispatch, replies } from './helpers.js';
+
+const OWNER = 1;
+const vars = { OWNER_IDS: String(OWNER) };
+
+let nextUpdate = 20_000;
+
+/**
+ * Sends a private message from the given user.
+ */
+function sendAs(userId, text) {
+	return dispatch({
+		update_id: nextUpdate++,
+		message: { chat: { id: userId, type: 'private' }, from: { id: userId, first_name: `User${userId}` }, text }
+	}, vars);
+}
+
+describe('role-based access', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('invites with one-time codes and revokes users', async () => {
+		const calls = stubFetch();
+
+		await sendAs(2, 'hello?');
+		expect(replies(calls).at(-1)).toContain('Unauthorized');
+
+		await sendAs(OWNER, '/invite member');
+		const code = replies(calls).at(-1).match(/\/join (\w+)/)[1];
+
+		await sendAs(2, `/join ${code}`);
+		expect(replies(calls).at(-1)).toContain("You're a member");
+		await sendAs(3, `/join ${code}`);
+		expect(replies(calls).at(-1)).toContain('invalid, used or expired');
+
+		await sendAs(2, '/invite admin');
+		expect(replies(calls).at(-1)).toBe('🔒 /invite needs the admin role.');
+
+		await sendAs(OWNER, '/users');
+		expect(replies(calls).at(-1)).toContain('2 (User2) - member');
+
+		await sendAs(OWNER, '/revoke 2');
+		await sendAs(2, '/help');
+		expect(replies(calls).at(-1)).toContain('Unauthorized');
+
+		// Newest first; /join is public, so redeeming a used code is not a denial
+		const denied = (await listAudit(env)).map(e => `${e.userId} ${e.action}`);
+		expect(denied).toEqual(['2 message', '2 command:/invite', '2 message']);
+	});
+
+	it('keeps owner-only tools away from members and audits attempts', async () => {
+		const calls = stubFetch({
+			openai: [
+				(body) => {
+					const offered = body.tools.map(t => t.function.name);
+					expect(offered).toContain('browse_page');
+					expect(offered).not.toContain('modify_file');
+					expect(offered).not.toContain('read_file');
+					// A model that calls it anyway is refused before any approval prompt
+					return toolCalls(['modify_file', { path: 'src/index.js', content: '', message: 'oops' }]);
+				},
+				(body) => {
+					expect(body.messages.at(-1).content).toContain('needs the owner role');
+					return { role: 'assistant', content: "Sorry, you don't have access to that." };
+				}
+			]
+		});
+
+		await sendAs(OWNER, '/invite member');
+		const code = replies(calls).at(-1).match(/\/join (\w+)/)[1];
+		await sendAs(4, `/join ${code}`);
+		await sendAs(4, 'rewrite your own source code');
+
+		expect(replies(calls).at(-1)).toBe("Sorry, you don't have access to that.");
+		expect(calls.telegram.some(c => c.body.reply_markup?.inline_keyboard)).toBe(false);
+		const [entry] = await listAudit(env, { limit: 1 });
+		expect(entry).toMatchObject({ type: 'access_denied', userId: 4, action: 'tool:modify_file', role: 'member', required: 'owner' });
+	});
+
+	it('refuses to build registries with an unknown role', () => {
+		const handler = async () => 'ok';
+		expect(() => buildCommandRegistry([{ name: 'ops', role: 'admn', tools: [], commands: [{ name: 'deploy', handler }] }]))
+			.toThrow('ops/deploy requires an unknown role "admn"');
+		expect(() => buildCallbackRegistry([{ name: 'ops', tools: [], callbacks: { deploy: handler }, role: 'ownr' }]))
+			.toThrow('requires an unknown role "ownr"');
+		expect(() => hasRole('owner', 'superuser')).toThrow('Unknown role "superuser"');
+	});
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { stubFetch, toolCalls, send, replies } from './helpers.js';
+
+const CV_URL = 'https://example.com/cv.html';
+const CV_HTML = `<html><body><h1>Ada Obi</h1><p>Senior Kotlin and Flutter engineer with eight years of mobile experience, based in Lagos.</p></body></html>`;
+
+const ROUTES = {
+	[CV_URL]: () => new Response(CV_HTML, { headers: { 'content-type': 'text/html' } }),
+	'https://remoteok.com/api': () => Response.json([
+		{ legal: 'notice' },
+		{ position: 'Senior Kotlin Engineer', company: 'Acme', location: 'Remote', date: '2026-10-01', url: 'https://remoteok.com/1' }
+	])
+};
+
+describe('agent tool loop', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('runs read_cv -> search_jobs -> answer with linked tool messages', async () => {
+		const calls = stubFetch({
+			routes: ROUTES,
+			openai: [
+				toolCalls(['read_cv', { file_url: CV_URL }]),
+				toolCalls(['search_jobs', { query: 'kotlin' }]),
+				{ role: 'assistant', content: 'Acme is hiring a Senior Kotlin Engineer!' }
+			]
+		});
+
+		await send(`Find me jobs that fit my CV: ${CV_URL}`);
+
+		expect(calls.openai).toHaveLength(3);
+
+		const second = calls.openai[1].messages;
+		expect(second.at(-2).tool_calls[0].function.name).toBe('read_cv');
+		expect(second.at(-1)).toMatchObject({ role: 'tool', tool_call_id: 'call_read_cv_0' });
+		expect(second.at(-1).content).toContain('Senior Kotlin and Flutter engineer');
+
+		const third = calls.openai[2].messages;
+		expect(third.at(-1)).toMatchObject({ role: 'tool', tool_call_id: 'call_search_jobs_0' });
+		expect(third.at(-1).content).toContain('Senior Kotlin Engineer');
+		// The original request stays a real user message instead of being re-prompted
+		expect(third.filter(m => m.role === 'user').map(m => m.content)).toEqual([`Find me jobs that fit my CV: ${CV_URL}`]);
+
+		expect(replies(calls)).toEqual(['Acme is hiring a Senior Kotlin Engineer!']);
+	});
+
+	it('answers parallel tool calls before the next model turn', async () => {
+		const calls = stubFetch({
+			routes: ROUTES,
+			openai: [
+				toolCalls(['read_cv', { file_url: CV_URL }], ['search_jobs', { query: 'kotlin' }]),
+				{ role: 'assistant', content: 'Done.' }
+			]
+		});
+
+		await send('Read my CV and search kotlin jobs');
+
+		const toolMessages = calls.openai[1].messages.filter(m => m.role === 'tool');
+		expect(toolMessages.map(m => m.tool_call_id)).toEqual(['call_read_cv_0', 'call_search_jobs_1']);
+		expect(calls.openai[0].parallel_tool_calls).toBe(true);
+	});
+
+	it('forces a text answer on the last allowed turn', async () => {
+		const calls = stubFetch({
+			routes: ROUTES,
+			openai: [
+				toolCalls(['search_jobs', { query: 'kotlin' }]),
+				{ role: 'assistant', content: 'Here is what I found.' }
+			]
+		});
+
+		await send('Search kotlin jobs', { MAX_TURNS: '2' });
+
+		expect(calls.openai[0].tool_choice).toBe('auto');
+		expect(calls.openai[1].tool_choice).toBe('none');
+		expect(replies(calls)).toEqual(['Here is what I found.']);
+	});
+});
@@ -0,0 +1,100 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { saveJob, updateApplication, listApplications } from '../src/applications.js';
+import { listTasks } from '../src/tasks.js';
+import { jobId } from '../src/jobs/job.js';
+import { stubFetch, toolCalls, send, replies, tick } from './helpers.js';
+import remoteok from './fixtures/jobs/remoteok.json';
+
+const ACME_JOB = jobId('https://remoteok.com/remote-jobs/1001');
+
+describe('application tracker', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('saves a job from a search, tracks it to applied and reminds to follow up', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		const calls = stubFetch({
+			routes: { 'https://remoteok.com/api': () => Response.json(remoteok) },
+			openai: [
+				toolCalls(['search_jobs', { query: 'frontend', seniority: 'senior' }]),
+				(body) => {
+					expect(body.messages.at(-1).content).toContain(`1. **Senior Frontend Engineer** at Acme (match 100/100) [job ${ACME_JOB}]`);
+					return { role: 'assistant', content: 'Acme is hiring.' };
+				},
+				toolCalls(['save_job', { job_id: ACME_JOB, note: 'Referral from Sam' }]),
+				(body) => {
+					expect(body.messages.at(-1).content).toMatch(/^Saved application \w{8}: \[Senior Frontend Engineer\]\(https:\/\/remoteok\.com\/remote-jobs\/1001\) at Acme/);
+					return toolCalls(['update_application', { id: ACME_JOB, stage: 'applied', follow_up: '2026-10-26' }]);
+				},
+				(body) => {
+					expect(body.messages.at(-1).content).toMatch(/^Application \w{8} is now applied: .* · follow up 2026-10-26\. A reminder to follow up comes on 2026-10-26 at 9:00 \(Europe\/Berlin\)\./);
+					return { role: 'assistant', content: 'Saved, I\'ll remind you next Monday.' };
+				}
+			]
+		});
+
+		await send('/timezone Europe/Berlin');
+		await send('Find senior frontend jobs');
+		await send('I applied to the Acme one, remind me to follow up next Monday');
+		const [application] = await listApplications(123, env);
+		expect(application).toMatchObject({ jobId: ACME_JOB, company: 'Acme', stage: 'applied', notes: [{ text: 'Referral from Sam' }], followUp: '2026-10-26' });
+		expect(application.history.map(h => h.stage)).toEqual(['saved', 'applied']);
+
+		await send('/pipeline');
+		expect(replies(calls).slice(-3)).toEqual([
+			'Acme is hiring.',
+			'Saved, I\'ll remind you next Monday.',
+			`📋 Pipeline · 1 job\n\n🔖 Saved (0)\n\n📨 Applied (1)\n• Senior Frontend Engineer at Acme (${application.id}) · follow up 2026-10-26\n\n🎤 Interviewing (0)\n\n🎉 Offer (0)\n\n❌ Rejected (0)`
+		]);
+
+		// 09:00 in Berlin
+		await tick('2026-10-26T07:55:00Z');
+		expect(replies(calls)).toHaveLength(4);
+		await tick('2026-10-26T08:00:00Z');
+		expect(replies(calls).at(-1)).toBe(`⏰ Reminder: Follow up on your application: Senior Frontend Engineer at Acme (applied). See /pipeline ${application.id}`);
+	});
+
+	it('cancels the follow-up of a rejected application and shows its history', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		await expect(saveJob(123, { jobId: 'deadbeef' }, null, env)).rejects.toThrow('No job deadbeef in this chat\'s recent searches');
+		const { application } = await saveJob(123, { title: 'Backend Engineer', company: 'Initech' }, null, env);
+		expect((await saveJob(123, { title: 'Backend Engineer', company: 'Initech' }, null, env)).created).toBe(false);
+		await updateApplication(application, { stage: 'interviewing', followUp: '2026-10-23' }, { userId: 123, timezone: 'UTC' }, env);
+		const [followUp] = await listTasks(123, env);
+
+		// A follow-up that can't be set changes nothing: not the stage, the notes or the old reminder
+		await expect(updateApplication(structuredClone(application), { stage: 'offer', note: 'Offer call', followUp: '2026-10-30' }, { userId: 123, timezone: 'UTC' }, env))
+			.rejects.toThrow('The application is closed (offer)');
+		await expect(updateApplication(structuredClone(application), { note: 'Sent a thank-you note', followUp: '2026-10-18' }, { userId: 123, timezone: 'UTC' }, env))
+			.rejects.toThrow('2026-10-18T09:00 (UTC) is in the past');
+		expect(await listTasks(123, env)).toEqual([followUp]);
+		expect((await listApplications(123, env))[0]).toMatchObject({ stage: 'interviewing', notes: [], followUp: '2026-10-23', followUpTask: followUp.id });
+
+		const calls = stubFetch({
+			openai: [
+				toolCalls(['update_application', { id: application.id, stage: 'rejected', note: 'They hired internally' }]),
+				(body) => {
+					expect(body.messages.at(-1).content).toBe(`Application ${application.id} is now rejected: Backend Engineer at Initech (${application.id}).`);
+					return { role: 'assistant', content: 'Sorry to hear that.' };
+				}
+			]
+		});
+		vi.setSystemTime(new Date('2026-10-21T10:00:00Z'));
+		await send('Initech turned me down, they hired internally');
+		expect(await listTasks(123, env)).toEqual([]);
+
+		await send(`/pipeline ${application.id}`);
+		await send(`/pipeline delete ${application.id}`);
+		expect(replies(calls)).toEqual([
+			'Sorry to hear that.',
+			`❌ Backend Engineer at Initech (${application.id})\nStage: rejected · saved 2026-10-19 → interviewing 2026-10-19 → rejected 2026-10-21\n\nNotes\n• 2026-10-21: They hired internally`,
+			'🗑 Deleted Backend Engineer at Initech.'
+		]);
+		expect(await listApplications(123, env)).toEqual([]);
+	});
+});
@@ -0,0 +1,162 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../src';
+import { parseFeed } from '../src/feeds.js';
+import { getBriefing, newBriefing, saveBriefing } from '../src/briefing.js';
+import { stubFetch, send, replies, tick } from './helpers.js';
+
+const rss = `<?xml version="1.0"?>
+<rss version="2.0"><channel>
+	<title>Acme Blog</title>
+	<item><title><![CDATA[Release 3.0 &amp; more]]></title><link>https://acme.dev/blog/3-0</link><guid>acme-3</guid><pubDate>Mon, 19 Oct 2026 06:00:00 GMT</pubDate><description>&lt;p&gt;Faster &lt;b&gt;builds&lt;/b&gt;.&lt;/p&gt;</description></item>
+	<item><title>Release 2.9</title><link>https://acme.dev/blog/2-9</link><guid>acme-2.9</guid></item>
+	<item><title>Release 2.8</title><link>https://acme.dev/blog/2-8</link><guid>acme-2.8</guid></item>
+	<item><title>Release 2.7</title><link>https://acme.dev/blog/2-7</link><guid>acme-2.7</guid></item>
+</channel></rss>`;
+
+const atom = `<feed xmlns="http://www.w3.org/2005/Atom">
+	<title>Changelog</title>
+	<entry><title>Dark mode</title><link rel="alternate" href="https://acme.dev/changelog/dark-mode"/><id>tag:acme.dev,2026:42</id><updated>2026-10-18T12:00:00Z</updated><summary>Finally.</summary></entry>
+</feed>`;
+
+describe('briefings', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('parses RSS items and Atom entries', () => {
+		const feed = parseFeed(rss);
+		expect(feed.title).toBe('Acme Blog');
+		expect(feed.items).toHaveLength(4);
+		expect(feed.items[0]).toEqual({
+			id: 'acme-3',
+			title: 'Release 3.0 & more',
+			link: 'https://acme.dev/blog/3-0',
+			published: '2026-10-19T06:00:00.000Z',
+			summary: 'Faster builds.'
+		});
+		expect(parseFeed(atom).items).toEqual([{
+			id: 'tag:acme.dev,2026:42',
+			title: 'Dark mode',
+			link: 'https://acme.dev/changelog/dark-mode',
+			published: '2026-10-18T12:00:00.000Z',
+			summary: 'Finally.'
+		}]);
+	});
+
+	it('/briefing composes sections and only shows what is new', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		const calls = stubFetch({
+			routes: { 'https://acme.dev/feed.xml': () => new Response(rss, { headers: { 'content-type': 'application/rss+xml' } }) }
+		});
+		await env.CHAT_HISTORY.put('watch:123:w1', JSON.stringify({
+			id: 'w1', chatId: '123', label: 'Acme Pricing', url: 'https://acme.dev/pricing', paused: false, lastChanged: '2026-10-19T07:30:00.000Z', lastError: null
+		}));
+
+		await send('/briefing add rss');
+		expect(replies(calls).at(-1)).toBe('⚠️ The rss section needs feed URLs, space separated.');
+		await send('/briefing add weather');
+		expect(replies(calls).at(-1)).toMatch(/^⚠️ Unknown section "weather"\. Sections: pull_requests, watches, rss, jobs\.$/);
+
+		await send('/timezone Europe/Berlin');
+		await send('/briefing add rss https://acme.dev/feed.xml');
+		await send('/briefing add watches');
+		await send('/briefing time 7:30 mon-fri');
+		expect(replies(calls).at(-1)).toBe(`✅ Saved.
+
+☀️ Briefing
+07:30 on mon-fri (Europe/Berlin)
+• 📰 Feeds (rss): https://acme.dev/feed.xml
+• 🔔 Watched pages (watches)
+Next: Tue 2026-10-20 07:30`);
+
+		// A briefing Telegram refused shows the same items next time
+		const stub = globalThis.fetch.getMockImplementation();
+		globalThis.fetch.mockImplementation(async (input, init) => String(input).endsWith('/sendMessage')
+			? Response.json({ ok: false, description: 'Bad Request: chat not found' })
+			: stub(input, init));
+		await send('/briefing now');
+		globalThis.fetch.mockImplementation(stub);
+		expect((await getBriefing(123, env)).lastSent).toBeNull();
+
+		await send('/briefing now');
+		expect(replies(calls).at(-1)).toBe(`☀️ Your briefing · Mon 2026-10-19
+
+📰 Feeds
+Acme Blog
+• Release 3.0 & more
+• Release 2.9
+• Release 2.8
+
+🔔 Watched pages
+• Acme Pricing changed 2026-10-19 07:30 UTC`);
+
+		vi.setSystemTime(new Date('2026-10-19T09:00:00Z'));
+		await send('/briefing now');
+		expect(replies(calls).at(-1)).toBe('☀️ Your briefing · Mon 2026-10-19\n\nNothing new since the last one.');
+	});
+
+	it('sends due briefings and keeps one failure from stopping the others', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T07:00:00Z'));
+		const calls = stubFetch({
+			routes: {
+				'https://api.github.com/notifications': () => Response.json([
+					{ repository: { full_name: 'octocat/hello-world' }, subject: { title: 'Fix the build' }, reason: 'review_requested' }
+				])
+			}
+		});
+		// The owner's briefing: one section works, the other's feed is gone
+		await saveBriefing({ ...newBriefing({ chatId: 1, userId: 1, timezone: 'UTC' }), sections: [
+			{ name: 'notifications', option: null },
+			{ name: 'rss', option: 'https://gone.example/feed.xml' }
+		] }, env);
+		// Someone who lost access since setting theirs up
+		await saveBriefing({ ...newBriefing({ chatId: 555, userId: 555, timezone: 'UTC' }), sections: [{ name: 'watches', option: null }] }, env);
+
+		await tick('2026-10-19T07:55:00Z', { OWNER_IDS: '1' });
+		expect(calls.telegram).toEqual([]);
+
+		await tick('2026-10-19T08:00:00Z', { OWNER_IDS: '1' });
+		const sent = calls.telegram.filter(c => c.method === 'sendMessage');
+		expect(sent.map(c => c.body.chat_id)).toEqual([1]);
+		expect(replies(calls)[0]).toBe(`☀️ Your briefing · Mon 2026-10-19
+
+🔔 GitHub notifications
+• octocat/hello-world: Fix the build (review requested)
+
+📰 Feeds
+⚠️ Couldn't load this section: Feed https://gone.example/feed.xml returned 404`);
+
+		const failed = await getBriefing(555, env);
+		expect(failed.lastError).toBe('Its owner no longer has access to the bot.');
+		expect(new Date(failed.nextRun).toISOString()).toBe('2026-10-20T08:00:00.000Z');
+		expect((await getBriefing(1, env)).lastSent).toBe('2026-10-19T08:00:00.000Z');
+	});
+
+	it('gives chats with saved job preferences a jobs briefing', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-20T08:00:00Z'));
+		stubFetch();
+		await env.USER_PREFS.put('prefs:777', JSON.stringify({ role: 'Frontend Developer', keywords: ['react'], location: 'Remote' }));
+
+		const ctx = createExecutionContext();
+		await worker.scheduled({ scheduledTime: Date.now(), cron: '0 8 * * *' }, env, ctx);
+		await waitOnExecutionContext(ctx);
+
+		const briefing = await getBriefing(777, env);
+		expect(briefing.sections).toEqual([{ name: 'jobs', option: null }]);
+		expect(new Date(briefing.nextRun).toISOString()).toBe('2026-10-21T08:00:00.000Z');
+
+		// It runs once: later days don't go through the preferences again
+		const list = vi.spyOn(env.USER_PREFS, 'list');
+		await env.USER_PREFS.put('prefs:778', JSON.stringify({ role: 'Backend Developer', keywords: ['go'] }));
+		const next = createExecutionContext();
+		await worker.scheduled({ scheduledTime: Date.now(), cron: '0 8 * * *' }, env, next);
+		await waitOnExecutionContext(next);
+		expect(list).not.toHaveBeenCalled();
+		expect(await getBriefing(778, env)).toBeNull();
+	});
+});
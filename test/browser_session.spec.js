@@ -0,0 +1,119 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import puppeteer from '@cloudflare/puppeteer';
+import { stubFetch, toolCalls, send, dispatch, replies } from './helpers.js';
+
+const SEARCH = '<html><head><title>Acme Jobs</title></head><body><main><h1>Acme Jobs</h1><p>Find your next role at Acme. We hire engineers, designers and writers who care about the craft, all over Europe.</p></main></body></html>';
+const RESULTS = '<html><head><title>Results for rust</title></head><body><main><h1>Results for rust</h1><p>Rust Engineer, Berlin. Build the edge runtime that serves billions of requests, together with a small team.</p></main></body></html>';
+
+// A Browser Rendering session: one tab whose URL and HTML change as the model acts on it
+const browser = vi.hoisted(() => {
+	const state = { url: 'about:blank', html: '', typed: [], closed: false };
+	const page = {
+		goto: async (url) => { state.url = url; },
+		url: () => state.url,
+		title: async () => '',
+		content: async () => state.html,
+		evaluate: async () => [{ kind: 'input (search)', label: 'Search jobs', selector: '#q' }],
+		click: async () => {},
+		type: async (selector, text) => { state.typed.push([selector, text]); },
+		keyboard: { press: async () => { state.url = 'https://jobs.acme.dev/search?q=rust'; state.html = state.results; } },
+		waitForNavigation: async () => null
+	};
+	const instance = {
+		sessionId: () => 'session-1',
+		pages: async () => [page],
+		disconnect: async () => {},
+		close: async () => { state.closed = true; }
+	};
+	return { state, page, instance };
+});
+
+vi.mock('@cloudflare/puppeteer', () => ({
+	default: {
+		launch: vi.fn(async () => browser.instance),
+		connect: vi.fn(async () => browser.instance)
+	}
+}));
+
+// Presses Approve on the latest approval prompt (click and type are high risk)
+async function approve(calls) {
+	const prompt = calls.telegram.filter(c => c.body.reply_markup).at(-1);
+	await dispatch({
+		callback_query: { id: 'cb1', data: prompt.body.reply_markup.inline_keyboard[0][0].callback_data, message: { message_id: prompt.messageId, chat: { id: 123 }, text: prompt.body.text } }
+	});
+}
+
+describe('interactive browser sessions', () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+		vi.restoreAllMocks();
+	});
+
+	it('keeps one session per chat across tool calls', async () => {
+		browser.state.html = SEARCH;
+		browser.state.results = RESULTS;
+		const calls = stubFetch({
+			openai: [
+				toolCalls(['open_page', { url: 'https://jobs.acme.dev' }]),
+				(body) => {
+					const page = body.messages.at(-1).content;
+					expect(page).toContain('Page: Acme Jobs\nURL: https://jobs.acme.dev\n\nControls:\n- input (search) "Search jobs": #q');
+					expect(page).toContain('Find your next role at Acme.');
+					return toolCalls(['type', { selector: '#q', text: 'rust', submit: true }]);
+				},
+				(body) => {
+					expect(body.messages.at(-1).content).toContain('URL: https://jobs.acme.dev/search?q=rust');
+					expect(body.messages.at(-1).content).toContain('Rust Engineer, Berlin.');
+					return { role: 'assistant', content: 'Acme has a Rust Engineer role in Berlin.' };
+				}
+			]
+		});
+
+		await send('search acme jobs for rust');
+		expect(browser.state.typed).toEqual([]);
+		await approve(calls);
+
+		expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+		expect(puppeteer.connect).toHaveBeenCalledWith(expect.anything(), 'session-1');
+		expect(browser.state.typed).toEqual([['#q', 'rust']]);
+		expect(await env.CHAT_HISTORY.get('browser:123', { type: 'json' })).toEqual({ sessionId: 'session-1', url: 'https://jobs.acme.dev/search?q=rust' });
+		expect(replies(calls).at(-1)).toBe('Acme has a Rust Engineer role in Berlin.');
+	});
+
+	it('asks the model to open the page again when there is no session', async () => {
+		const calls = stubFetch({
+			openai: [
+				toolCalls(['click', { text: 'Load more' }]),
+				(body) => {
+					expect(body.messages.at(-1).content).toContain('No open browser session');
+					return { role: 'assistant', content: 'Let me open it again.' };
+				}
+			]
+		});
+
+		await send('load more results');
+		await approve(calls);
+
+		expect(puppeteer.launch).not.toHaveBeenCalled();
+		expect(replies(calls).at(-1)).toBe('Let me open it again.');
+	});
+
+	it('close_session closes the browser and forgets it', async () => {
+		await env.CHAT_HISTORY.put('browser:123', JSON.stringify({ sessionId: 'session-1', url: 'https://jobs.acme.dev' }));
+		stubFetch({
+			openai: [
+				toolCalls(['close_session', {}]),
+				(body) => {
+					expect(body.messages.at(-1).content).toBe('Closed the browser session.');
+					return { role: 'assistant', content: 'Done.' };
+				}
+			]
+		});
+
+		await send('close the browser');
+
+		expect(browser.state.closed).toBe(true);
+		expect(await env.CHAT_HISTORY.get('browser:123')).toBeNull();
+	});
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { screenshotPage, pageToPdf } from '../src/browser.js';
+import { stubFetch, toolCalls, send, replies } from './helpers.js';
+
+// Puppeteer needs the Browser Rendering service; the captures are stubbed
+vi.mock('../src/browser.js', () => ({
+	browsePage: vi.fn(),
+	screenshotPage: vi.fn(async () => ({ image: new Uint8Array([137, 80, 78, 71]), title: 'Acme Pricing' })),
+	pageToPdf: vi.fn(async () => ({ pdf: new Uint8Array([37, 80, 68, 70]), title: 'Acme Pricing' }))
+}));
+
+describe('page captures', () => {
+	afterEach(() => {
+		vi.clearAllMocks();
+		vi.restoreAllMocks();
+	});
+
+	it('/shot sends a photo of the page or of one element', async () => {
+		const calls = stubFetch();
+
+		await send('/shot https://acme.dev/pricing #plans .card');
+
+		expect(screenshotPage).toHaveBeenCalledWith('https://acme.dev/pricing', expect.anything(), { selector: '#plans .card' });
+		const photo = calls.telegram.find(c => c.method === 'sendPhoto');
+		expect(photo.body).toMatchObject({ chat_id: '123', caption: '📸 Acme Pricing' });
+		expect(photo.body.photo.name).toBe('acme.dev-pricing.png');
+		expect(replies(calls)).toEqual(['📸 Sent a screenshot of #plans .card on https://acme.dev/pricing.']);
+	});
+
+	it('falls back to a document when Telegram refuses the photo', async () => {
+		const calls = stubFetch();
+		const fetch = globalThis.fetch;
+		vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init) => input.endsWith('/sendPhoto')
+			? Response.json({ ok: false, description: 'Bad Request: PHOTO_INVALID_DIMENSIONS' })
+			: fetch(input, init));
+
+		await send('/shot https://acme.dev/pricing full');
+
+		expect(screenshotPage).toHaveBeenCalledWith('https://acme.dev/pricing', expect.anything(), { fullPage: true });
+		const document = calls.telegram.find(c => c.method === 'sendDocument');
+		expect(document.body.document.name).toBe('acme.dev-pricing.png');
+		expect(replies(calls)).toEqual(['📸 Sent a full-page screenshot of https://acme.dev/pricing.']);
+	});
+
+	it('lets the model look at a screenshot and send a PDF', async () => {
+		const calls = stubFetch({
+			openai: [
+				toolCalls(
+					['screenshot_page', { url: 'https://acme.dev', question: 'Is the page dark themed?' }],
+					['page_to_pdf', { url: 'https://acme.dev', landscape: true }]
+				),
+				(body) => {
+					const [text, image] = body.messages[0].content;
+					expect(text.text).toContain('Is the page dark themed?');
+					expect(image.image_url.url).toBe('data:image/png;base64,iVBORw==');
+					return { role: 'assistant', content: 'Yes, white text on black.' };
+				},
+				(body) => {
+					const [shot, pdf] = body.messages.slice(-2).map(m => m.content);
+					expect(shot).toBe('Sent the user a screenshot of https://acme.dev.\n\nWhat the screenshot shows: Yes, white text on black.');
+					expect(pdf).toBe('Sent the user a PDF of https://acme.dev.');
+					return { role: 'assistant', content: 'Here you go: it is dark themed.' };
+				}
+			]
+		});
+
+		await send('how does acme.dev look? also save it as a pdf');
+
+		expect(pageToPdf).toHaveBeenCalledWith('https://acme.dev', expect.anything(), { landscape: true });
+		expect(calls.telegram.filter(c => ['sendPhoto', 'sendDocument'].includes(c.method)).map(c => c.method)).toEqual(['sendPhoto', 'sendDocument']);
+		expect(calls.telegram.find(c => c.method === 'sendDocument').body.document.name).toBe('acme.dev.pdf');
+		expect(replies(calls).at(-1)).toBe('Here you go: it is dark themed.');
+	});
+});
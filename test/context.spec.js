@@ -0,0 +1,71 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { contextBudget, truncateToTokens, fitHistory, buildMessages } from '../src/ai.js';
+import { stubFetch, toolCalls, send, replies } from './helpers.js';
+
+describe('context window budget', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('splits the window of the chosen model into capped sections', () => {
+		expect(contextBudget(env, { model: 'gpt-4o-mini' })).toEqual({
+			window: 128000, output: 4096, system: 30976, input: 4000, history: 43366, toolResults: 6000
+		});
+		expect(contextBudget({ ...env, LLM_CONTEXT_WINDOW: '8000' }, { provider: 'openai' })).toMatchObject({
+			window: 8000, output: 2000, input: 600, toolResults: 1800
+		});
+	});
+
+	it('cuts at a sentence end and says how much was left out', () => {
+		const text = 'First sentence here. '.repeat(40);
+		const cut = truncateToTokens(text, 50);
+
+		expect(cut).toMatch(/^(First sentence here\. )+First sentence here\.\n\n\[… truncated: \d+ of 840 characters left out\]$/);
+		expect(cut.length).toBeLessThanOrEqual(50 * 4);
+		expect(truncateToTokens('short', 50)).toBe('short');
+	});
+
+	it('keeps the newest history that fits and shortens oversized input', async () => {
+		const history = [
+			{ role: 'user', content: 'a'.repeat(4000) },
+			{ role: 'assistant', content: 'b'.repeat(400) },
+			{ role: 'user', content: 'c'.repeat(400) }
+		];
+		expect(fitHistory(history, 300).map(m => m.content[0])).toEqual(['b', 'c']);
+
+		const small = { ...env, LLM_CONTEXT_WINDOW: '8000' };
+		const messages = await buildMessages('x'.repeat(5000), {}, history, small);
+		expect(messages.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user', 'user']);
+		expect(messages.at(-1).content).toMatch(/\[… truncated: \d+ of 5000 characters left out\]$/);
+		expect(messages.at(-1).content.length).toBeLessThanOrEqual(600 * 4);
+	});
+
+	it('summarizes tool results that do not fit instead of cutting them', async () => {
+		const readme = 'ClawBot is a Telegram assistant. It reviews pull requests and searches jobs. '.repeat(130);
+		const calls = stubFetch({
+			routes: {
+				'https://api.github.com/repos/o/r/contents/README.md': () => Response.json({ content: readme })
+			},
+			openai: [
+				toolCalls(['get_repo_readme', { owner: 'o', repo: 'r' }]),
+				(body) => {
+					expect(body.messages[0].content).toContain('Summarize part 1 of 1 of the output of get_repo_readme');
+					expect(body.messages[1].content).toContain('ClawBot is a Telegram assistant.');
+					return { role: 'assistant', content: 'A Telegram bot that reviews PRs and finds jobs.' };
+				},
+				(body) => {
+					const result = body.messages.at(-1);
+					expect(result.role).toBe('tool');
+					expect(result.content).toMatch(/^\[Summarized from \d+ characters\]\n\nA Telegram bot that reviews PRs and finds jobs\.$/);
+					return { role: 'assistant', content: 'It is a Telegram bot.' };
+				}
+			]
+		});
+
+		await send('what does o/r do?', { LLM_CONTEXT_WINDOW: '8000' });
+
+		expect(calls.openai).toHaveLength(3);
+		expect(replies(calls).at(-1)).toBe('It is a Telegram bot.');
+	});
+});
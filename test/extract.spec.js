@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { extractArticle, decodeEntities } from '../src/extract.js';
+import { fetchArticle } from '../src/article.js';
+import { stubFetch } from './helpers.js';
+
+const PAGE = `<!doctype html>
+<html>
+<head>
+	<title>Edge caching, explained | Acme Blog</title>
+	<meta property="og:site_name" content="Acme Blog">
+	<meta property="og:image" content="/img/cover.png">
+	<meta property="article:published_time" content="2026-09-30T08:00:00Z">
+	<script type="application/ld+json">{"@context":"https://schema.org","@type":"BlogPosting","headline":"Edge caching, explained","author":{"@type":"Person","name":"Ada Lovelace"}}</script>
+	<style>body { color: red; }</style>
+</head>
+<body>
+	<div id="cookie-banner">We use cookies. <button>Accept all</button></div>
+	<nav><ul><li><a href="/">Home</a></li><li><a href="/blog">Blog</a></li><li><a href="/about">About</a></li></ul></nav>
+	<script>window.analytics = { track: function () {} };</script>
+	<div class="layout">
+		<article class="post">
+			<h1>Edge caching, explained</h1>
+			<p class="byline">By Ada Lovelace</p>
+			<p>Caching at the edge keeps responses close to your users, which cuts latency, saves origin bandwidth, and smooths traffic spikes &mdash; if you get the keys right.</p>
+			<h2>What to cache</h2>
+			<p>Static assets are the easy part. Personalised pages &amp; API responses need care, because a shared cache must never mix up one user&#39;s data with another&#x27;s.
+			<ul>
+				<li>Hashed assets: cache for a year</li>
+				<li>HTML: revalidate with <code>stale-while-revalidate</code></li>
+			</ul>
+			<p>Read the <a href="/docs/cache">cache docs</a> for the details, and measure the hit ratio before and after every change you make.</p>
+		</article>
+		<div class="sidebar"><h3>Related</h3><a href="/a">Post A</a> <a href="/b">Post B</a></div>
+	</div>
+	<footer>© 2026 Acme. All rights reserved.</footer>
+</body>
+</html>`;
+
+describe('article extraction', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('keeps the article as Markdown and drops the boilerplate', async () => {
+		const article = await extractArticle(PAGE, 'https://blog.acme.dev/posts/edge-caching');
+
+		expect(article).toMatchObject({
+			title: 'Edge caching, explained',
+			byline: 'Ada Lovelace',
+			published: '2026-09-30T08:00:00Z',
+			image: 'https://blog.acme.dev/img/cover.png',
+			siteName: 'Acme Blog'
+		});
+		expect(article.markdown).toBe([
+			'Caching at the edge keeps responses close to your users, which cuts latency, saves origin bandwidth, and smooths traffic spikes — if you get the keys right.',
+			'## What to cache',
+			"Static assets are the easy part. Personalised pages & API responses need care, because a shared cache must never mix up one user's data with another's.",
+			'- Hashed assets: cache for a year\n- HTML: revalidate with `stale-while-revalidate`',
+			'Read the [cache docs](https://blog.acme.dev/docs/cache) for the details, and measure the hit ratio before and after every change you make.'
+		].join('\n\n'));
+		for (const boilerplate of ['cookies', 'analytics', 'Home', 'Post A', 'rights reserved', 'color: red']) {
+			expect(article.markdown).not.toContain(boilerplate);
+		}
+	});
+
+	it('fetchArticle heads the content with its metadata', async () => {
+		stubFetch({ routes: { 'https://blog.acme.dev/': () => new Response(PAGE, { headers: { 'content-type': 'text/html' } }) } });
+
+		const text = await fetchArticle('https://blog.acme.dev/posts/edge-caching');
+
+		expect(text.split('\n\n').slice(0, 4)).toEqual([
+			'# Edge caching, explained',
+			'By Ada Lovelace · Published 2026-09-30T08:00:00Z · Acme Blog',
+			'Image: https://blog.acme.dev/img/cover.png',
+			'Caching at the edge keeps responses close to your users, which cuts latency, saves origin bandwidth, and smooths traffic spikes — if you get the keys right.'
+		]);
+		expect(text).toContain('## What to cache');
+	});
+
+	it('decodes named and numeric entities', () => {
+		expect(decodeEntities('Tom &amp; Jerry&nbsp;&hellip; &#8364;5 &#x1F600; &unknown;')).toBe('Tom & Jerry … €5 😀 &unknown;');
+	});
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { toTelegramHtml, splitMarkdown, renderMessages, TELEGRAM_LIMIT } from '../src/format.js';
+import { stubFetch, toolCalls, send, replies } from './helpers.js';
+
+describe('Telegram formatting', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('converts model Markdown to escaped Telegram HTML', () => {
+		const markdown = [
+			'## Results for <Kotlin & Go>',
+			'**Acme** is *hiring*, see [the post](https://acme.dev/jobs?a=1&b=2) and keep `snake_case_name` as is.',
+			'- first_item\n* second ~~item~~ _really_',
+			'> quoted\n> twice',
+			'```js\nif (a < b && c) {}\n```'
+		].join('\n\n');
+
+		expect(toTelegramHtml(markdown)).toBe([
+			'<b>Results for &lt;Kotlin &amp; Go&gt;</b>',
+			'<b>Acme</b> is <b>hiring</b>, see <a href="https://acme.dev/jobs?a=1&amp;b=2">the post</a> and keep <code>snake_case_name</code> as is.',
+			'• first_item\n• second <s>item</s> <i>really</i>',
+			'<blockquote>quoted\ntwice</blockquote>',
+			'<pre><code class="language-js">if (a &lt; b &amp;&amp; c) {}</code></pre>'
+		].join('\n\n'));
+	});
+
+	it('splits at paragraphs and re-fences long code blocks', () => {
+		const prose = Array.from({ length: 12 }, (_, i) => `Paragraph ${i} ${'lorem ipsum '.repeat(30)}`).join('\n\n');
+		const code = '```py\n' + Array.from({ length: 200 }, (_, i) => `print(${i})  # line ${i}`).join('\n') + '\n```';
+
+		const chunks = splitMarkdown(`${prose}\n\n${code}`, 1500);
+
+		expect(chunks.every(c => c.length <= 1500)).toBe(true);
+		expect(chunks.filter(c => c.startsWith('Paragraph')).every(c => c.endsWith(' '))).toBe(true);
+		const codeChunks = chunks.filter(c => c.includes('print('));
+		expect(codeChunks.length).toBeGreaterThan(1);
+		expect(codeChunks.every(c => c.startsWith('```py\n') && c.endsWith('\n```'))).toBe(true);
+		expect(codeChunks.join('\n')).toContain('print(199)');
+	});
+
+	it('keeps every rendered part under the Telegram limit', () => {
+		const parts = renderMessages('<&> '.repeat(3000));
+		expect(parts.length).toBeGreaterThan(1);
+		expect(parts.every(p => p.html.length <= TELEGRAM_LIMIT)).toBe(true);
+	});
+
+	it('sends long replies in several messages and very long ones as a document', async () => {
+		const long = Array.from({ length: 3 }, (_, i) => `Section ${i}\n\n${'word '.repeat(700)}`).join('\n\n');
+		const huge = 'line of text\n'.repeat(2000);
+		const calls = stubFetch({
+			openai: [
+				{ role: 'assistant', content: long },
+				{ role: 'assistant', content: huge }
+			]
+		});
+
+		await send('tell me a lot');
+		const first = replies(calls);
+		// The placeholder holds part one, the rest follow as new messages
+		expect(first.length).toBeGreaterThan(1);
+		expect(first.join('\n\n').replace(/\s+/g, ' ')).toBe(long.replace(/\s+/g, ' '));
+
+		await send('tell me even more');
+		const upload = calls.telegram.find(c => c.method === 'sendDocument');
+		expect(upload.body.document.name).toBe('reply.md');
+		expect(await upload.body.document.text()).toBe(huge);
+		expect(upload.body.caption).toContain('as a file');
+	});
+});
@@ -0,0 +1,136 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { conversationKey, isAddressedToBot, stripMention } from '../src/groups.js';
+import { stubFetch, toolCalls, dispatch, replies, BOT } from './helpers.js';
+
+const GROUP = { id: -100500, type: 'supergroup', title: 'Team' };
+const ADA = { id: 7, first_name: 'Ada', username: 'ada' };
+const BEN = { id: 8, first_name: 'Ben' };
+
+let nextId = 1;
+
+/**
+ * Sends a group message; `extra` adds fields such as entities or message_thread_id.
+ */
+function sendGroup(text, from, extra = {}, vars = {}) {
+	const id = nextId++;
+	return dispatch({
+		update_id: 10_000 + id,
+		message: { message_id: id, chat: GROUP, from, text, ...extra }
+	}, vars);
+}
+
+function mention(text) {
+	return { entities: [{ type: 'mention', offset: text.indexOf('@clawbot'), length: 8 }] };
+}
+
+describe('group chats', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('recognizes commands, mentions and replies meant for the bot', () => {
+		const base = { chat: GROUP, from: ADA };
+		expect(isAddressedToBot({ ...base, text: 'lunch anyone?' }, BOT)).toBe(false);
+		expect(isAddressedToBot({ ...base, text: '/help' }, BOT)).toBe(true);
+		expect(isAddressedToBot({ ...base, text: '/help@ClawBot' }, BOT)).toBe(true);
+		expect(isAddressedToBot({ ...base, text: '/help@otherbot' }, BOT)).toBe(false);
+		expect(isAddressedToBot({ ...base, text: 'hey @clawbot', ...mention('hey @clawbot') }, BOT)).toBe(true);
+		expect(isAddressedToBot({ ...base, text: 'thanks', reply_to_message: { from: BOT } }, BOT)).toBe(true);
+		expect(isAddressedToBot({ ...base, text: 'hi', reply_to_message: { from: BOT, forum_topic_created: {} } }, BOT)).toBe(false);
+		expect(isAddressedToBot({ chat: { id: 7, type: 'private' }, text: 'hi' }, BOT)).toBe(true);
+
+		expect(stripMention('@clawbot, what is new?', 'clawbot')).toBe('what is new?');
+		expect(conversationKey({ chat: GROUP, is_topic_message: true, message_thread_id: 3 })).toBe('-100500:3');
+		expect(conversationKey({ chat: GROUP, message_thread_id: 3 })).toBe(-100500);
+	});
+
+	it('answers only when addressed, as a threaded reply, and remembers who said what', async () => {
+		const calls = stubFetch({
+			openai: [
+				(body) => {
+					expect(body.messages.at(-1).content).toBe('Ada (@ada): what is the capital of Kenya?');
+					expect(body.messages[0].content).toContain('group chat "Team"');
+					return { role: 'assistant', content: 'Nairobi.' };
+				},
+				(body) => {
+					expect(body.messages.slice(-3).map(m => m.content)).toEqual([
+						'Ada (@ada): what is the capital of Kenya?',
+						'Nairobi.',
+						'Ben: and of Ghana?'
+					]);
+					return { role: 'assistant', content: 'Accra, Ben.' };
+				}
+			]
+		});
+
+		await sendGroup('lunch anyone?', BEN);
+		expect(calls.openai).toHaveLength(0);
+		expect(calls.telegram.filter(c => c.method === 'sendMessage')).toHaveLength(0);
+
+		const question = '@clawbot what is the capital of Kenya?';
+		await sendGroup(question, ADA, mention(question));
+		const placeholder = calls.telegram.find(c => c.method === 'sendMessage');
+		expect(placeholder.body).toMatchObject({ chat_id: GROUP.id, reply_to_message_id: nextId - 1 });
+
+		const answer = calls.telegram.find(c => c.method === 'sendMessage').messageId;
+		await sendGroup('and of Ghana?', BEN, { reply_to_message: { message_id: answer, from: BOT } });
+
+		expect(replies(calls)).toEqual(['Nairobi.', 'Accra, Ben.']);
+	});
+
+	it('keeps forum topics as separate conversations', async () => {
+		const topic = (thread) => ({ is_topic_message: true, message_thread_id: thread });
+		const calls = stubFetch();
+
+		await sendGroup('/setrepo acme/api', ADA, topic(11));
+		await sendGroup('/setrepo acme/web', ADA, topic(12));
+
+		expect(await env.CHAT_HISTORY.get('repo:-100500:11')).toBe('acme/api');
+		expect(await env.CHAT_HISTORY.get('repo:-100500:12')).toBe('acme/web');
+		const sent = calls.telegram.filter(c => c.method === 'sendMessage');
+		expect(sent.map(c => c.body.message_thread_id)).toEqual([11, 12]);
+	});
+
+	it('applies the allowlist per group and per user', async () => {
+		const vars = { ALLOWED_CHAT_IDS: '123', ALLOWED_USER_IDS: '7' };
+		const calls = stubFetch();
+
+		await sendGroup('/setrepo acme/api', ADA, {}, vars);
+		await sendGroup('/setrepo acme/evil', BEN, {}, vars);
+
+		expect(replies(calls)[0]).toContain('acme/api');
+		expect(replies(calls)[1]).toContain('Unauthorized');
+		expect(await env.CHAT_HISTORY.get('repo:-100500')).toBe('acme/api');
+	});
+
+	it('lets only the requester or an admin answer an approval prompt', async () => {
+		const vars = { ALLOWED_CHAT_IDS: String(GROUP.id) };
+		const calls = stubFetch({
+			openai: [
+				toolCalls(['set_repo', { repo: 'acme/api' }]),
+				{ role: 'assistant', content: 'Default repo set to acme/api.' }
+			]
+		});
+		const text = '@clawbot use acme/api as our repo';
+		await sendGroup(text, ADA, mention(text), vars);
+		const prompt = calls.telegram.find(c => c.body.reply_markup);
+		const press = (from) => dispatch({
+			update_id: 20_000 + nextId++,
+			callback_query: {
+				id: `cb${from.id}`,
+				from,
+				data: prompt.body.reply_markup.inline_keyboard[0][0].callback_data,
+				message: { message_id: prompt.messageId, chat: GROUP, text: prompt.body.text }
+			}
+		}, vars);
+
+		await press(BEN);
+		expect(replies(calls).at(-1)).toBe('🔒 Only the person who asked, or an admin, can answer the set_repo request.');
+		expect(await env.CHAT_HISTORY.get('repo:-100500')).toBeNull();
+
+		await press(ADA);
+		expect(replies(calls).at(-1)).toBe('Default repo set to acme/api.');
+		expect(await env.CHAT_HISTORY.get('repo:-100500')).toBe('acme/api');
+	});
+});
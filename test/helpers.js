@@ -0,0 +1,161 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { vi } from 'vitest';
+import worker from '../src';
+import { createMemoryLimiter } from '../src/ratelimit.js';
+
+// Rate limiter shared by the requests of one test (see stubFetch)
+let limiter = createMemoryLimiter();
+
+// The bot's own user, as returned by getMe
+export const BOT = { id: 42, is_bot: true, first_name: 'ClawBot', username: 'clawbot' };
+
+/**
+ * Stubs outbound fetch for the worker under test.
+ *
+ * - Telegram calls are recorded and answered with `ok: true` (getMe as the bot @clawbot, id 42).
+ * - OpenAI chat completions are answered from the `openai` queue (in order). Each entry is an
+ *   assistant message, or a function `(requestBody) => message` for assertions on the request.
+ * - `routes` maps a URL prefix to a handler `(url, init) => Response` (GitHub, job boards, ...).
+ *
+ * Also starts a fresh in-memory rate limiter, so every test begins with unused limits and budgets.
+ * @returns {{telegram: Array, openai: Array, requests: Array}} Recorded calls
+ */
+export function stubFetch({ openai = [], routes = {} } = {}) {
+	const calls = { telegram: [], openai: [], requests: [] };
+	limiter = createMemoryLimiter();
+
+	vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init = {}) => {
+		const url = typeof input === 'string' ? input : input.url;
+
+		if (url.startsWith('https://api.telegram.org/')) {
+			const method = url.split('/').pop();
+			const messageId = 1000 + calls.telegram.length;
+			// File uploads (sendDocument, sendPhoto) are multipart; their files are recorded as File objects
+			const body = init.body instanceof FormData ? Object.fromEntries(init.body) : JSON.parse(init.body);
+			calls.telegram.push({ method, body, messageId });
+			if (method === 'getMe') {
+				return Response.json({ ok: true, result: BOT });
+			}
+			return Response.json({ ok: true, result: { message_id: messageId } });
+		}
+
+		if (url === 'https://api.openai.com/v1/chat/completions') {
+			const body = JSON.parse(init.body);
+			calls.openai.push(body);
+			const next = openai.shift();
+			if (!next) {
+				throw new Error('Unexpected OpenAI call: the stub queue is empty');
+			}
+			const message = typeof next === 'function' ? next(body) : next;
+			return body.stream ? streamResponse(message) : Response.json({ choices: [{ message }] });
+		}
+
+		calls.requests.push({ method: init.method || 'GET', url });
+		const prefix = Object.keys(routes).find(p => url.startsWith(p));
+		if (prefix) {
+			return await routes[prefix](url, init);
+		}
+		return new Response('Not stubbed', { status: 404 });
+	});
+
+	return calls;
+}
+
+/**
+ * Replays an assistant message as a Chat Completions event stream (content in small deltas).
+ */
+function streamResponse(message) {
+	const chunks = (message.content || '').match(/.{1,8}/gs) || [];
+	const events = chunks.map(content => ({ choices: [{ delta: { content } }] }));
+	(message.tool_calls || []).forEach((call, index) => {
+		events.push({ choices: [{ delta: { tool_calls: [{ index, ...call }] } }] });
+	});
+	events.push({ choices: [], usage: { prompt_tokens: 10, completion_tokens: chunks.length } });
+
+	const body = events.map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n';
+	return new Response(body, { headers: { 'content-type': 'text/event-stream' } });
+}
+
+/**
+ * Builds an assistant message that calls the given tools (in parallel when more than one).
+ * @param {...[string, object]} calls - [toolName, args] pairs
+ */
+export function toolCalls(...calls) {
+	return {
+		role: 'assistant',
+		content: null,
+		tool_calls: calls.map(([name, args], i) => ({
+			id: `call_${name}_${i}`,
+			type: 'function',
+			function: { name, arguments: JSON.stringify(args) }
+		}))
+	};
+}
+
+/**
+ * Sends a Telegram update to the worker and waits for all background work.
+ * @param {object} update - Telegram update (message or callback_query)
+ * @param {object} vars - (Optional) Env vars to override for this request
+ */
+export async function dispatch(update, vars = {}) {
+	const request = new Request('http://example.com', {
+		method: 'POST',
+		body: JSON.stringify(update)
+	});
+	const ctx = createExecutionContext();
+	// Updates are processed in-process, so the test can wait for them (see src/queue.js)
+	const response = await worker.fetch(request, { ...env, RATE_LIMITER: limiter, UPDATES_QUEUE: undefined, IN_PROCESS_UPDATES: 'true', ...vars }, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+/**
+ * Runs the 5-minute cron tick (tasks, page watches, briefings) at `time`.
+ * @param {string} time - ISO date; fake timers must be on ({ toFake: ['Date'] })
+ * @param {object} vars - (Optional) Env vars to override for this run
+ */
+export async function tick(time, vars = {}) {
+	vi.setSystemTime(new Date(time));
+	const ctx = createExecutionContext();
+	await worker.scheduled({ scheduledTime: Date.parse(time), cron: '*/5 * * * *' }, { ...env, ...vars }, ctx);
+	await waitOnExecutionContext(ctx);
+}
+
+let nextUpdateId = 1;
+
+/**
+ * Sends a plain text message from chat 123 (each call is a new update_id).
+ * @param {string} text
+ * @param {object} vars - (Optional) Env vars to override for this request
+ */
+export function send(text, vars = {}) {
+	return dispatch({ update_id: nextUpdateId++, message: { chat: { id: 123 }, text } }, vars);
+}
+
+/**
+ * Texts of the messages the bot sent, as the user ends up seeing them: HTML formatting is
+ * stripped, and a message that was edited later (placeholders, streamed replies) shows its last edit.
+ * @param {{telegram: Array}} calls
+ */
+export function replies(calls) {
+	const sent = calls.telegram.filter(c => c.method === 'sendMessage');
+	const texts = new Map(sent.map(c => [c.messageId, visibleText(c.body)]));
+	for (const edit of calls.telegram.filter(c => c.method === 'editMessageText')) {
+		if (texts.has(edit.body.message_id)) {
+			texts.set(edit.body.message_id, visibleText(edit.body));
+		}
+	}
+	return [...texts.values()];
+}
+
+function visibleText({ text, parse_mode }) {
+	if (parse_mode !== 'HTML') {
+		return text;
+	}
+	return text
+		.replace(/<[^>]+>/g, '')
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&amp;/g, '&');
+}
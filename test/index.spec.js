@@ -1,23 +1,23 @@
-
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import worker from '../src';
+import { stubFetch, toolCalls, dispatch, send, replies } from './helpers.js';
+
+const GITHUB = {
+	'https://api.github.com/user/repos': () => Response.json([{ full_name: 'codesait/clawbot-telegram', private: false }]),
+	'https://api.github.com/': () => Response.json({})
+};
 
 describe('ClawBot worker', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
 	it('responds with OK to valid Telegram POST', async () => {
-		const request = new Request('http://example.com', {
-			method: 'POST',
-			body: JSON.stringify({
-				message: {
-					chat: { id: 123 },
-					text: '/start'
-				}
-			})
-		});
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		await waitOnExecutionContext(ctx);
+		const calls = stubFetch();
+		const response = await send('/start');
 		expect(await response.text()).toMatchInlineSnapshot(`"OK"`);
+		expect(replies(calls)[0]).toContain('/browse <url>');
 	});
 
 
@@ -30,18 +30,102 @@ describe('ClawBot worker', () => {
 	});
 
 	it('responds to /myrepos', async () => {
-		const request = new Request('http://example.com', {
-			method: 'POST',
-			body: JSON.stringify({
-				message: {
-					chat: { id: 123 },
-					text: '/myrepos'
-				}
-			})
-		});
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		await waitOnExecutionContext(ctx);
+		const calls = stubFetch({ routes: GITHUB });
+		const response = await send('/myrepos');
 		expect(await response.text()).toMatchInlineSnapshot(`"OK"`);
+		expect(replies(calls)[0]).toContain('codesait/clawbot-telegram');
+	});
+
+	it('rejects unknown commands with a suggestion', async () => {
+		const calls = stubFetch();
+		await send('/brwose https://example.com');
+		expect(replies(calls)[0]).toContain('Unknown command /brwose');
+		expect(replies(calls)[0]).toContain('/browse <url>');
+	});
+
+	it('explains missing command arguments', async () => {
+		const calls = stubFetch();
+		await send('/setrepo');
+		expect(replies(calls)[0]).toContain('Usage: /setrepo <owner/repo>');
+	});
+
+	it('pushes the command list to Telegram', async () => {
+		const calls = stubFetch();
+		await send('/help');
+		const sync = calls.telegram.find(c => c.method === 'setMyCommands');
+		expect(sync.body.commands.map(c => c.command)).toEqual(expect.arrayContaining(['browse', 'review', 'pr', 'setrepo']));
+		expect(sync.body.commands.map(c => c.command)).not.toContain('test_cron');
+	});
+
+	it('asks for approval before running a risky tool', async () => {
+		const calls = stubFetch({
+			routes: GITHUB,
+			openai: [
+				toolCalls(['close_issue', { issue_number: 42, owner: 'o', repo: 'r' }]),
+				{ role: 'assistant', content: 'Closed #42 for you.' }
+			]
+		});
+
+		await send('close issue 42 in o/r');
+		const prompt = calls.telegram.find(c => c.body.reply_markup);
+		expect(prompt.body.text).toContain('close_issue');
+		expect(calls.requests).toEqual([]);
+
+		// A double tap runs the tool once
+		const approve = prompt.body.reply_markup.inline_keyboard[0][0];
+		const tap = (updateId) => dispatch({
+			update_id: updateId,
+			callback_query: { id: `cb${updateId}`, data: approve.callback_data, message: { message_id: 7, chat: { id: 123 }, text: prompt.body.text } }
+		});
+		await Promise.all([tap(701), tap(702)]);
+
+		expect(calls.requests).toEqual([{ method: 'PATCH', url: 'https://api.github.com/repos/o/r/issues/42' }]);
+		expect(calls.telegram.find(c => c.method === 'editMessageText' && c.body.message_id === 7).body.text).toContain('✅ Approved');
+		expect(replies(calls).at(-1)).toBe('Closed #42 for you.');
+	});
+
+	it('streams tool progress and the reply into one placeholder message', async () => {
+		const calls = stubFetch({
+			routes: GITHUB,
+			openai: [
+				toolCalls(['get_issues', { owner: 'o', repo: 'r' }], ['get_repo_readme', { owner: 'o', repo: 'r' }]),
+				{ role: 'assistant', content: 'No open issues, and the README looks tidy.' }
+			]
+		});
+
+		await send('how is o/r doing?');
+
+		const sent = calls.telegram.filter(c => c.method === 'sendMessage');
+		expect(sent).toHaveLength(1);
+		expect(sent[0].body.text).toBe('⏳ Thinking…');
+		expect(calls.telegram.find(c => c.method === 'sendChatAction').body.action).toBe('typing');
+
+		const edits = calls.telegram.filter(c => c.method === 'editMessageText').map(c => c.body);
+		expect(edits.every(e => e.message_id === sent[0].messageId)).toBe(true);
+		expect(edits[0].text).toBe('🐙 Fetching issues…\n🐙 Reading the README…');
+		expect(edits.at(-1)).toMatchObject({ text: 'No open issues, and the README looks tidy.', parse_mode: 'HTML' });
+		expect(calls.openai.every(body => body.stream)).toBe(true);
+	});
+
+	it('applies per-chat settings to the model call', async () => {
+		const calls = stubFetch({ openai: [{ role: 'assistant', content: 'Bonjour !' }] });
+
+		await send('/settings');
+		const menu = calls.telegram.find(c => c.body.reply_markup);
+		expect(menu.body.text).toContain('Settings for this chat');
+
+		await dispatch({
+			callback_query: { id: 'cb1', data: 'settings:set:verbosity:brief', message: { message_id: 9, chat: { id: 123 } } }
+		});
+		expect(calls.telegram.find(c => c.method === 'editMessageText').body.text).toContain('📏 Verbosity: brief');
+
+		await send('/settings temperature 0.3');
+		await send('/settings language French');
+		await send('hello');
+
+		expect(calls.openai[0].temperature).toBe(0.3);
+		expect(calls.openai[0].messages[0].content).toContain('Always reply in French');
+		expect(calls.openai[0].messages[0].content).toContain('Keep replies short');
+		expect(replies(calls).at(-1)).toBe('Bonjour !');
 	});
 });
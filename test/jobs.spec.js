@@ -0,0 +1,132 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { searchJobs, rankJobs, JOB_SOURCES } from '../src/jobs/index.js';
+import { extractSkills } from '../src/jobs/skills.js';
+import { jobId } from '../src/jobs/job.js';
+import { stubFetch, toolCalls, send, replies } from './helpers.js';
+import remoteok from './fixtures/jobs/remoteok.json';
+import arbeitnow from './fixtures/jobs/arbeitnow.json';
+import greenhouse from './fixtures/jobs/greenhouse.json';
+import lever from './fixtures/jobs/lever.json';
+import weworkremotely from './fixtures/jobs/weworkremotely.rss?raw';
+
+// Recorded responses of every board
+const ROUTES = {
+	'https://remoteok.com/api': () => Response.json(remoteok),
+	'https://www.arbeitnow.com/api/job-board-api': () => Response.json(arbeitnow),
+	'https://weworkremotely.com/remote-jobs.rss': () => new Response(weworkremotely, { headers: { 'content-type': 'application/rss+xml' } }),
+	'https://boards-api.greenhouse.io/v1/boards/stripe/jobs': () => Response.json(greenhouse),
+	'https://api.lever.co/v0/postings/acme-labs': () => Response.json(lever)
+};
+const BOARDS = { GREENHOUSE_BOARDS: 'stripe', LEVER_COMPANIES: 'acme-labs' };
+const CV_URL = 'https://example.com/cv.txt';
+
+describe('job search', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('reads every board into the same job shape', async () => {
+		stubFetch({ routes: ROUTES });
+		const [remoteOk, arbeitnowJobs, wwr, greenhouseJobs, leverJobs] = await Promise.all(
+			JOB_SOURCES.map(source => source.search({ text: 'frontend', terms: ['frontend'] }, { ...env, ...BOARDS }))
+		);
+
+		expect(remoteOk[0]).toEqual({
+			id: jobId('https://remoteok.com/remote-jobs/1001'),
+			source: 'remoteok',
+			title: 'Senior Frontend Engineer',
+			company: 'Acme',
+			url: 'https://remoteok.com/remote-jobs/1001',
+			location: 'Worldwide',
+			remote: true,
+			salary: { min: 120000, max: 150000, currency: 'USD' },
+			tags: ['react', 'typescript', 'javascript'],
+			description: 'Build our React dashboard with TypeScript & GraphQL.',
+			postedAt: '2026-10-18T08:00:00.000Z',
+			seniority: 'senior'
+		});
+		expect(remoteOk[1]).toMatchObject({ location: 'Remote', salary: null });
+		expect(arbeitnowJobs.map(j => [j.company, j.location, j.remote, j.seniority, j.postedAt])).toEqual([
+			['Acme GmbH', 'Berlin', true, 'senior', '2026-10-18T08:00:00.000Z'],
+			['Initech', 'Munich', false, 'junior', '2026-10-16T08:00:00.000Z'],
+			['Initech', 'Munich', false, 'mid', '2026-10-16T08:00:00.000Z']
+		]);
+		expect(wwr[0]).toMatchObject({ title: 'Frontend Engineer', company: 'Hooli', remote: true, description: 'Hooli is looking for a frontend engineer who knows React and TypeScript.' });
+		expect(greenhouseJobs.errors).toEqual([]);
+		expect(greenhouseJobs.jobs[0]).toMatchObject({ company: 'Stripe', location: 'Remote - US', remote: true, seniority: 'lead', tags: ['engineering'], description: 'Lead the React and GraphQL work of the Dashboard team.' });
+		expect(leverJobs.jobs[0]).toMatchObject({ company: 'acme-labs', remote: false, salary: { min: 70000, max: 90000, currency: 'GBP' }, tags: ['web', 'full-time'] });
+	});
+
+	it('merges the boards, drops duplicates, filters and ranks against the skills', async () => {
+		const calls = stubFetch({ routes: { ...ROUTES, 'https://www.arbeitnow.com/api/job-board-api': () => new Response('Bad gateway', { status: 502 }) } });
+
+		const { jobs, errors } = await searchJobs({ query: 'Frontend jobs' }, { ...env, ...BOARDS });
+		expect(errors).toEqual(['Arbeitnow: Arbeitnow returned 502']);
+		expect(calls.requests.map(r => r.url)).toContain('https://remoteok.com/api?tag=frontend');
+		expect(jobs.map(j => `${j.company}: ${j.title}`)).toEqual([
+			'Acme: Senior Frontend Engineer',
+			'Hooli: Frontend Engineer',
+			'acme-labs: Frontend Engineer',
+			'Stripe: Staff Frontend Engineer',
+			'Globex: Frontend Platform Engineer'
+		]);
+
+		stubFetch({ routes: ROUTES });
+		const all = await searchJobs({ query: 'frontend' }, { ...env, ...BOARDS });
+		const acme = all.jobs.find(j => j.company === 'Acme');
+		expect(acme.sources).toEqual(['remoteok', 'arbeitnow']);
+		expect(all.jobs).toHaveLength(6);
+
+		// A misspelled board is reported; the other boards of its source still count
+		const typo = await searchJobs({ query: 'frontend' }, { ...env, GREENHOUSE_BOARDS: 'strpie, stripe', LEVER_COMPANIES: 'acme-labs' });
+		expect(typo.errors).toEqual(['Greenhouse: Greenhouse board strpie returned 404']);
+		expect(typo.jobs.map(j => j.company)).toEqual(all.jobs.map(j => j.company));
+
+		const filtered = async (criteria) => (await searchJobs({ query: 'frontend', ...criteria }, { ...env, ...BOARDS })).jobs.map(j => j.company);
+		expect(await filtered({ location: 'remote' })).toEqual(['Acme', 'Hooli', 'Stripe', 'Globex']);
+		expect(await filtered({ location: 'munich' })).toEqual(['Initech']);
+		expect(await filtered({ seniority: 'lead' })).toEqual(['Stripe']);
+		// Without a salary a job is kept; below the minimum it isn't
+		expect(await filtered({ minSalary: 100000 })).not.toContain('acme-labs');
+
+		const ranked = rankJobs(all.jobs, { skills: ['react', 'typescript', 'graphql'], query: 'frontend' }, Date.parse('2026-10-19T08:00:00Z'));
+		expect(ranked.map(j => [j.company, j.score])).toEqual([
+			['Acme', 100], ['Hooli', 80], ['acme-labs', 75], ['Stripe', 70], ['Initech', 40], ['Globex', 25]
+		]);
+		expect(ranked[0].reasons).toEqual(['your skills react, typescript, graphql', '"frontend" in the title', 'posted 1 day ago', 'pays $120k–$150k']);
+	});
+
+	it('ranks search_jobs results against the skills of the CV', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		expect(extractSkills('Senior engineer: React.js, Node.js, C++ and Go developer; reactive programming since 2019')).toEqual(['go', 'c++', 'react', 'node.js']);
+
+		const calls = stubFetch({
+			routes: {
+				...ROUTES,
+				[CV_URL]: () => new Response('Ada Lovelace, frontend engineer. Seven years of React and TypeScript, GraphQL APIs, some Python. Looking for a remote role in a product team.')
+			},
+			openai: [
+				toolCalls(['read_cv', { file_url: CV_URL }]),
+				(body) => {
+					expect(body.messages.at(-1).content).toContain('Skills found for job matching: typescript, python, react, graphql.');
+					return toolCalls(['search_jobs', { query: 'frontend', location: 'remote', seniority: 'senior' }]);
+				},
+				(body) => {
+					const result = body.messages.at(-1).content;
+					expect(result).toMatch(/^\[System\] Found 1 jobs, ranked against the user's skills \(typescript, python, react, graphql\)\./);
+					expect(result).toContain('1. **Senior Frontend Engineer** at Acme (match 85/100)');
+					expect(result).toContain('💰 $120k–$150k');
+					expect(result).toContain('via remoteok, arbeitnow');
+					expect(result).toContain('✅ Why: your skills typescript, react, graphql, "frontend" in the title, posted 1 day ago, pays $120k–$150k');
+					return { role: 'assistant', content: 'Acme looks like a great fit.' };
+				}
+			]
+		});
+
+		await send(`Find senior remote frontend jobs that fit my CV: ${CV_URL}`, BOARDS);
+		expect(replies(calls)).toEqual(['Acme looks like a great fit.']);
+	});
+});
@@ -0,0 +1,71 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { saveChatHistory, getChatHistory, getMemory, addFacts } from '../src/memory.js';
+import { stubFetch, send, replies } from './helpers.js';
+
+function conversation(exchanges) {
+	return Array.from({ length: exchanges }, (_, i) => [
+		{ role: 'user', content: `question ${i}` },
+		{ role: 'assistant', content: `answer ${i}` }
+	]).flat();
+}
+
+describe('long-term memory', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('folds older turns into a summary and extracts facts', async () => {
+		const calls = stubFetch({
+			openai: [
+				{ role: 'assistant', content: '{"summary": "Talked about Kotlin jobs.", "facts": ["Prefers Kotlin", "Lives in Lagos"]}' },
+				(body) => ({ role: 'assistant', content: body.messages[0].content.includes('- Prefers Kotlin') ? 'You like Kotlin.' : '?' })
+			]
+		});
+
+		await saveChatHistory(123, conversation(11), env);
+
+		const history = await getChatHistory(123, env);
+		expect(history).toHaveLength(10);
+		expect(history[0].content).toBe('question 6');
+		expect(calls.openai[0].messages[1].content).toContain('user: question 0');
+		expect(calls.openai[0].messages[1].content).not.toContain('question 6');
+
+		const memory = await getMemory(123, env);
+		expect(memory.summary).toBe('Talked about Kotlin jobs.');
+		expect(memory.facts.map(f => f.text)).toEqual(['Prefers Kotlin', 'Lives in Lagos']);
+
+		await send('what do I like?');
+		expect(calls.openai[1].messages[0].content).toContain('Talked about Kotlin jobs.');
+		expect(replies(calls).at(-1)).toBe('You like Kotlin.');
+	});
+
+	it('keeps the messages when the summarizer fails', async () => {
+		stubFetch({ openai: [{ role: 'assistant', content: 'Sorry, no JSON today.' }] });
+
+		await saveChatHistory(123, conversation(11), env);
+
+		expect(await getChatHistory(123, env)).toHaveLength(22);
+		expect((await getMemory(123, env)).summary).toBeNull();
+	});
+
+	it('lists and forgets facts with /memory and /forget', async () => {
+		const calls = stubFetch();
+		await addFacts(123, ['Prefers Kotlin', 'Lives in Lagos', 'Learning Kotlin Multiplatform', 'prefers kotlin'], env);
+
+		await send('/memory');
+		expect(replies(calls)[0]).toContain('1. Prefers Kotlin\n2. Lives in Lagos\n3. Learning Kotlin Multiplatform');
+
+		await send('/forget kotlin');
+		expect(replies(calls)[1]).toContain('Several facts match');
+
+		await send('/forget lagos');
+		expect(replies(calls)[2]).toBe('🗑 Forgot: Lives in Lagos');
+
+		await send('/forget 2');
+		expect(replies(calls)[3]).toBe('🗑 Forgot: Learning Kotlin Multiplatform');
+
+		await send('/clear');
+		expect((await getMemory(123, env)).facts.map(f => f.text)).toEqual(['Prefers Kotlin']);
+	});
+});
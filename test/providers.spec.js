@@ -0,0 +1,105 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { toAnthropicMessages, toAnthropicTools, fromAnthropicResponse } from '../src/providers/anthropic.js';
+import { readChatStream } from '../src/providers/openai.js';
+import { saveChatSettings } from '../src/settings.js';
+import { stubFetch, send, replies } from './helpers.js';
+
+describe('LLM providers', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('translates OpenAI tool calls and results to Anthropic messages', () => {
+		const { system, messages } = toAnthropicMessages([
+			{ role: 'system', content: 'You are ClawBot.' },
+			{ role: 'user', content: 'Issues?' },
+			{
+				role: 'assistant',
+				content: null,
+				tool_calls: [
+					{ id: 'a', type: 'function', function: { name: 'get_issues', arguments: '{"owner":"o","repo":"r"}' } },
+					{ id: 'b', type: 'function', function: { name: 'get_repos', arguments: '{}' } }
+				]
+			},
+			{ role: 'tool', tool_call_id: 'a', content: '#1 bug' },
+			{ role: 'tool', tool_call_id: 'b', content: 'o/r' }
+		]);
+
+		expect(system).toBe('You are ClawBot.');
+		expect(messages[1].content[0]).toEqual({ type: 'tool_use', id: 'a', name: 'get_issues', input: { owner: 'o', repo: 'r' } });
+		// Both tool results are merged into a single user turn
+		expect(messages).toHaveLength(3);
+		expect(messages[2].content.map(b => b.tool_use_id)).toEqual(['a', 'b']);
+	});
+
+	it('translates tool schemas and replies back to OpenAI format', () => {
+		expect(toAnthropicTools([{ type: 'function', function: { name: 'get_repos', description: 'List', parameters: { type: 'object', properties: {} } } }]))
+			.toEqual([{ name: 'get_repos', description: 'List', input_schema: { type: 'object', properties: {} } }]);
+
+		const result = fromAnthropicResponse({
+			content: [{ type: 'tool_use', id: 'x', name: 'get_repos', input: {} }],
+			usage: { input_tokens: 10, output_tokens: 2 }
+		});
+		expect(result.tool_calls[0]).toEqual({ id: 'x', type: 'function', function: { name: 'get_repos', arguments: '{}' } });
+		expect(result.usage).toEqual({ prompt_tokens: 10, completion_tokens: 2 });
+	});
+
+	it('runs the agent loop offline with the mock provider', async () => {
+		const calls = stubFetch();
+		await send('call get_help', { LLM_PROVIDER: 'mock' });
+		expect(replies(calls)[0]).toContain('Mock reply based on 1 tool result(s)');
+		expect(replies(calls)[0]).toContain('I am Clawbot!');
+	});
+
+	it('lets a chat switch to the mock provider only where ALLOW_MOCK_PROVIDER is set', async () => {
+		const calls = stubFetch();
+		await send('/provider mock');
+		expect(replies(calls).at(-1)).toBe('⚠️ Unknown provider "mock". Available: openai, openai-compatible, workers-ai, anthropic');
+		await expect(saveChatSettings(123, { provider: 'mock' }, env)).rejects.toThrow('Unknown provider "mock"');
+
+		await send('/provider mock', { ALLOW_MOCK_PROVIDER: 'true' });
+		expect(replies(calls).at(-1)).toBe('✅ This chat now uses mock (mock-1).');
+	});
+
+	it('talks to any OpenAI-compatible base URL', async () => {
+		const calls = stubFetch({
+			routes: {
+				'http://localhost:11434/v1/chat/completions': () => Response.json({ choices: [{ message: { role: 'assistant', content: 'Hello from local' } }] })
+			}
+		});
+		await send('hi', { LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://localhost:11434/v1', LLM_MODEL: 'llama3' });
+		expect(calls.openai).toEqual([]);
+		expect(replies(calls)).toEqual(['Hello from local']);
+	});
+
+	it('reads a streamed reply, merging content and tool call deltas', async () => {
+		const events = [
+			{ choices: [{ delta: { role: 'assistant', content: 'Let me ' } }] },
+			{ choices: [{ delta: { content: 'check.' } }] },
+			{ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_issues', arguments: '{"owner":' } }] } }] },
+			{ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"o","repo":"r"}' } }] } }] },
+			{ choices: [], usage: { prompt_tokens: 12, completion_tokens: 9 } }
+		];
+		const sse = events.map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n';
+		// Split mid-line to check that partial lines are buffered
+		const bytes = new TextEncoder().encode(sse);
+		const body = new ReadableStream({
+			start(controller) {
+				controller.enqueue(bytes.slice(0, 50));
+				controller.enqueue(bytes.slice(50));
+				controller.close();
+			}
+		});
+
+		const partials = [];
+		const result = await readChatStream(new Response(body), text => partials.push(text));
+
+		expect(partials).toEqual(['Let me ', 'Let me check.']);
+		expect(result.content).toBe('Let me check.');
+		expect(result.tool_calls).toEqual([
+			{ id: 'call_1', type: 'function', function: { name: 'get_issues', arguments: '{"owner":"o","repo":"r"}' } }
+		]);
+		expect(result.usage).toEqual({ prompt_tokens: 12, completion_tokens: 9 });
+	});
+});
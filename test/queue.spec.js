@@ -0,0 +1,79 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { consumeUpdate } from '../src/queue.js';
+import { stubFetch, toolCalls, dispatch, replies } from './helpers.js';
+
+function queueMessage(body, attempts = 1) {
+	return { body, attempts, ack: vi.fn(), retry: vi.fn() };
+}
+
+describe('update queue', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('answers the webhook before the update is processed', async () => {
+		const sent = [];
+		const vars = { UPDATES_QUEUE: { send: async (update) => sent.push(update) } };
+		const calls = stubFetch();
+
+		const response = await dispatch({ update_id: 500, message: { chat: { id: 123 }, text: '/help' } }, vars);
+
+		expect(await response.text()).toBe('OK');
+		expect(sent).toEqual([{ update_id: 500, message: { chat: { id: 123 }, text: '/help' } }]);
+		expect(calls.telegram).toEqual([]);
+	});
+
+	it('drops redelivered updates so tools and replies run once', async () => {
+		const calls = stubFetch({
+			routes: { 'https://api.github.com/': () => Response.json([]) },
+			openai: [
+				toolCalls(['get_issues', { owner: 'o', repo: 'r' }]),
+				{ role: 'assistant', content: 'No open issues.' }
+			]
+		});
+		const update = { update_id: 600, message: { chat: { id: 123 }, text: 'issues in o/r?' } };
+
+		await dispatch(update);
+		await dispatch(update);
+
+		expect(calls.openai).toHaveLength(2);
+		expect(calls.requests.filter(r => r.url.includes('/issues'))).toHaveLength(1);
+		expect(replies(calls)).toEqual(['No open issues.']);
+	});
+
+	it('retries transient failures with backoff', async () => {
+		const processUpdate = vi.fn()
+			.mockRejectedValueOnce(new Error('Network connection lost'))
+			.mockResolvedValueOnce();
+		const update = { update_id: 700, message: { chat: { id: 123 }, text: 'hi' } };
+
+		const first = queueMessage(update, 1);
+		await consumeUpdate(first, env, null, processUpdate);
+		expect(first.retry).toHaveBeenCalledWith({ delaySeconds: 5 });
+		expect(first.ack).not.toHaveBeenCalled();
+
+		const second = queueMessage(update, 2);
+		await consumeUpdate(second, env, null, processUpdate);
+		expect(second.ack).toHaveBeenCalled();
+		expect(processUpdate).toHaveBeenCalledTimes(2);
+
+		// A late Telegram redelivery of the same update is now a duplicate
+		const redelivery = queueMessage(update, 1);
+		await consumeUpdate(redelivery, env, null, processUpdate);
+		expect(redelivery.ack).toHaveBeenCalled();
+		expect(processUpdate).toHaveBeenCalledTimes(2);
+	});
+
+	it('tells the user when an update keeps failing', async () => {
+		const calls = stubFetch();
+		const processUpdate = vi.fn().mockRejectedValue(new Error('KV unavailable'));
+		const message = queueMessage({ update_id: 800, message: { chat: { id: 123 }, text: 'hi' } }, 4);
+
+		await consumeUpdate(message, env, null, processUpdate);
+
+		expect(message.retry).not.toHaveBeenCalled();
+		expect(message.ack).toHaveBeenCalled();
+		expect(replies(calls)).toEqual(["⚠️ I couldn't process that message. Please try again in a moment."]);
+	});
+});
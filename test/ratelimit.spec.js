@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMemoryLimiter } from '../src/ratelimit.js';
+import { estimateCost } from '../src/usage.js';
+import { stubFetch, toolCalls, send, replies } from './helpers.js';
+
+describe('rate limits and budgets', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('slides the window instead of resetting it', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T12:00:00Z'));
+		const limiter = createMemoryLimiter();
+		const options = { limit: 3, window: 60 };
+
+		for (let i = 0; i < 3; i++) {
+			expect((await limiter.hit('k', options)).allowed).toBe(true);
+			vi.advanceTimersByTime(10_000);
+		}
+		expect(await limiter.hit('k', options)).toMatchObject({ allowed: false, retryAfter: 30 });
+
+		// The first hit leaves the window after 60s; the other two are still in it
+		vi.advanceTimersByTime(30_000);
+		expect(await limiter.hit('k', options)).toMatchObject({ allowed: true, remaining: 0 });
+		expect(await limiter.count('k', options)).toBe(3);
+	});
+
+	it('limits messages per person', async () => {
+		const calls = stubFetch();
+		const vars = { RATE_LIMIT_PER_MINUTE: '2' };
+
+		await send('/help', vars);
+		await send('/help', vars);
+		await send('/help', vars);
+
+		expect(replies(calls)).toHaveLength(3);
+		expect(replies(calls)[2]).toMatch(/^⏱ Rate limit exceeded\. Please wait \d+s before trying again\.$/);
+	});
+
+	it('enforces per-tool quotas', async () => {
+		const limiter = createMemoryLimiter();
+		for (let i = 0; i < 20; i++) {
+			await limiter.hit('tool:browse_page:123', { limit: 20, window: 3600 });
+		}
+		const calls = stubFetch({
+			openai: [
+				toolCalls(['browse_page', { url: 'https://example.com' }]),
+				(body) => {
+					expect(body.messages.at(-1).content).toContain('The browse_page quota is used up (20 per 1 h)');
+					return { role: 'assistant', content: "I can't browse right now." };
+				}
+			]
+		});
+
+		await send('read https://example.com', { RATE_LIMITER: limiter });
+
+		expect(calls.requests).toEqual([]);
+		expect(replies(calls).at(-1)).toBe("I can't browse right now.");
+	});
+
+	it('stops AI replies once the daily budget is spent and reports it in /usage', async () => {
+		const calls = stubFetch({ openai: [{ role: 'assistant', content: 'Here is a long and thoughtful answer.' }] });
+		const vars = { DAILY_TOKEN_BUDGET: '10' };
+
+		await send('hello', vars);
+		await send('hello again', vars);
+		await send('/usage', vars);
+
+		const [first, second, usage] = replies(calls);
+		expect(first).toBe('Here is a long and thoughtful answer.');
+		expect(second).toContain("You've used today's AI budget");
+		expect(calls.openai).toHaveLength(1);
+		expect(usage).toMatch(/AI today: 1\d of 10 tokens, \$0\.00 of \$1\.00/);
+		expect(usage).toContain('browse_page: 0 of 20 per 1 h');
+		expect(usage).toContain('search_jobs: 0 of 30 per 1 day');
+	});
+
+	it('prices calls by model', () => {
+		expect(estimateCost('gpt-4o', { prompt_tokens: 1_000_000, completion_tokens: 100_000 })).toBeCloseTo(3.5);
+		expect(estimateCost('gpt-4o-mini-2024-07-18', { prompt_tokens: 1_000_000 })).toBeCloseTo(0.15);
+		expect(estimateCost('llama3', { prompt_tokens: 1_000_000 })).toBe(0);
+	});
+});
@@ -0,0 +1,57 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { chunkText, createMemoryIndex, rememberDocument, recall } from '../src/recall.js';
+import { stubFetch, toolCalls, send, replies } from './helpers.js';
+
+const CV_URL = 'https://example.com/cv.html';
+const CV_HTML = `<html><body><h1>Ada Obi</h1><p>Senior Kotlin and Flutter engineer with eight years of mobile experience, based in Lagos, Nigeria.</p></body></html>`;
+
+describe('semantic recall', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('chunks long text with overlap at sentence ends', () => {
+		const text = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} talks about rate limits.`).join(' ');
+		const chunks = chunkText(text, 300, 50);
+
+		expect(chunks.length).toBeGreaterThan(5);
+		expect(chunks.every(c => c.length <= 300)).toBe(true);
+		expect(chunks[0].endsWith('.')).toBe(true);
+		expect(chunks[1].slice(0, 20)).not.toBe(chunks[0].slice(0, 20));
+	});
+
+	it('keeps each chat in its own namespace', async () => {
+		const vars = { ...env, VECTORIZE: createMemoryIndex() };
+		await rememberDocument(1, { source: 'page', url: 'https://a.dev/limits', title: 'Limits', text: 'Workers rate limits are 1000 requests per minute.' }, vars);
+		await rememberDocument(2, { source: 'page', url: 'https://b.dev/other', title: 'Other', text: 'Workers rate limits differ on the free plan.' }, vars);
+
+		const results = await recall(1, 'workers rate limits', vars);
+		expect(results.map(r => r.url)).toEqual(['https://a.dev/limits']);
+		expect(await recall(1, 'workers rate limits', vars, { source: 'cv' })).toEqual([]);
+	});
+
+	it('answers from a document read in an earlier message, with its link', async () => {
+		const vars = { VECTORIZE: createMemoryIndex() };
+		const calls = stubFetch({
+			routes: { [CV_URL]: () => new Response(CV_HTML, { headers: { 'content-type': 'text/html' } }) },
+			openai: [
+				toolCalls(['read_cv', { file_url: CV_URL }]),
+				{ role: 'assistant', content: 'Nice CV!' },
+				toolCalls(['recall', { query: 'Kotlin engineer based in which city', source: 'cv' }]),
+				(body) => {
+					const result = body.messages.at(-1).content;
+					expect(result).toContain('based in Lagos');
+					expect(result).toContain(`(${CV_URL})`);
+					return { role: 'assistant', content: 'Your CV says you are based in Lagos.' };
+				}
+			]
+		});
+
+		await send(`Read my CV: ${CV_URL}`, vars);
+		await send('Where did my CV say I live?', vars);
+
+		expect(vars.VECTORIZE.size).toBe(1);
+		expect(replies(calls).at(-1)).toBe('Your CV says you are based in Lagos.');
+	});
+});
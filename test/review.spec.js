@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { annotatePatch, chunkFiles, toGitHubReview } from '../src/review.js';
+
+const PATCH = `@@ -10,3 +10,4 @@ export function add(a, b) {
+ const x = 1;
+-const y = 2;
++const y = 3;
++const z = 4;
+ return x;`;
+
+describe('PR review helpers', () => {
+	it('numbers new-file lines and collects commentable lines', () => {
+		const { text, lines } = annotatePatch(PATCH);
+		expect([...lines]).toEqual([10, 11, 12, 13]);
+		expect(text).toContain('  11 +const y = 3;');
+		expect(text).toContain('     -const y = 2;');
+	});
+
+	it('splits files into chunks that fit the budget', () => {
+		const files = [
+			{ filename: 'a.js', status: 'modified', patch: PATCH },
+			{ filename: 'b.js', status: 'modified', patch: PATCH },
+			{ filename: 'logo.png', status: 'added' }
+		];
+		const chunks = chunkFiles(files, 200);
+		expect(chunks.length).toBeGreaterThan(1);
+		expect(chunks.flat().map(f => f.path)).toEqual(['a.js', 'b.js', 'logo.png']);
+	});
+
+	it('builds line-anchored GitHub review comments', () => {
+		const payload = toGitHubReview(
+			{ head: { sha: 'abc123' } },
+			{ summary: 'Bumps y.', risks: [], files: [{ path: 'a.js', notes: 'ok', comments: [{ line: 11, body: 'Why 3?' }] }] }
+		);
+		expect(payload.commit_id).toBe('abc123');
+		expect(payload.comments).toEqual([{ path: 'a.js', line: 11, side: 'RIGHT', body: 'Why 3?' }]);
+	});
+});
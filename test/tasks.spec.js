@@ -0,0 +1,104 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { parseCron, nextCronRun, localTimeToUtc } from '../src/cron.js';
+import { createTask, listTasks } from '../src/tasks.js';
+import { stubFetch, toolCalls, send, dispatch, replies, tick } from './helpers.js';
+
+describe('scheduled tasks', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('finds the next run of a cron expression in the user\'s time zone', () => {
+		// Monday 19 October 2026, 10:00 in Berlin (summer time ends on the 25th)
+		const now = Date.parse('2026-10-19T08:00:00Z');
+		expect(new Date(nextCronRun('0 9 * * mon', now, 'Europe/Berlin')).toISOString()).toBe('2026-10-26T08:00:00.000Z');
+		expect(new Date(nextCronRun('*/20 9-17 * * 1-5', now, 'Europe/Berlin')).toISOString()).toBe('2026-10-19T08:20:00.000Z');
+		// Either day field may match when both are restricted
+		expect(new Date(nextCronRun('0 12 1 * fri', now, 'UTC')).toISOString()).toBe('2026-10-23T12:00:00.000Z');
+		expect(nextCronRun('0 9 30 feb *', now, 'UTC')).toBeNull();
+		expect(localTimeToUtc('2026-10-20 09:00', 'America/New_York')).toBe(Date.parse('2026-10-20T13:00:00Z'));
+		expect(() => parseCron('0 9 * *')).toThrow('needs five fields');
+		expect(() => parseCron('0 25 * * *')).toThrow('"25" is not a valid hour');
+	});
+
+	it('turns a request into a weekly reminder in the user\'s time zone', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		const calls = stubFetch({
+			openai: [
+				(body) => {
+					expect(body.messages[0].content).toContain('"now": "Mon 2026-10-19 10:00"');
+					expect(body.messages[0].content).toContain('"timezone": "Europe/Berlin"');
+					return toolCalls(['schedule_task', { text: 'Triage issues in octocat/hello-world', cron: '0 9 * * mon' }]);
+				},
+				(body) => {
+					expect(body.messages.at(-1).content).toMatch(/^Reminder \w{8} scheduled, every 0 9 \* \* mon · next: Mon 2026-10-26 09:00 \(Europe\/Berlin\)\./);
+					return { role: 'assistant', content: 'Done: every Monday at 9.' };
+				}
+			]
+		});
+
+		await send('/timezone Europe/Berlin');
+		await send('remind me every Monday at 9 to triage issues in my repo');
+
+		await tick('2026-10-26T07:55:00Z');
+		expect(replies(calls).at(-1)).toBe('Done: every Monday at 9.');
+
+		await tick('2026-10-26T08:00:00Z');
+		expect(replies(calls).at(-1)).toBe('⏰ Reminder: Triage issues in octocat/hello-world');
+		const [task] = await listTasks(123, env);
+		expect(new Date(task.nextRun).toISOString()).toBe('2026-11-02T08:00:00.000Z');
+	});
+
+	it('runs agent tasks through the tools once and then forgets them', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		const calls = stubFetch({
+			routes: {
+				'https://api.github.com/repos/octocat/hello-world/issues': () => Response.json([{ number: 7, title: 'Crash on start', user: { login: 'ada' }, html_url: 'https://github.com/octocat/hello-world/issues/7' }])
+			},
+			openai: [
+				(body) => {
+					expect(body.messages.at(-1).content).toContain('Scheduled task set by the user: "Summarize the open issues of octocat/hello-world"');
+					return toolCalls(['get_issues', { owner: 'octocat', repo: 'hello-world' }]);
+				},
+				{ role: 'assistant', content: 'One open issue: #7 Crash on start.' }
+			]
+		});
+		await createTask({ chatId: 123, userId: 123, text: 'Summarize the open issues of octocat/hello-world', mode: 'agent', inMinutes: 30, timezone: 'UTC' }, env);
+
+		await tick('2026-10-19T08:30:00Z');
+		await tick('2026-10-19T08:35:00Z');
+
+		expect(calls.openai).toHaveLength(2);
+		expect(replies(calls)).toEqual(['🤖 Summarize the open issues of octocat/hello-world\n\nOne open issue: #7 Crash on start.']);
+		expect(await listTasks(123, env)).toEqual([]);
+	});
+
+	it('/tasks cancels tasks with its buttons', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		const calls = stubFetch();
+		const task = await createTask({ chatId: 123, userId: 123, text: 'Stretch', at: '2026-10-19T17:30', timezone: 'Europe/Berlin' }, env);
+		await expect(createTask({ chatId: 123, userId: 123, text: 'Too late', at: '2026-10-19T09:00', timezone: 'Europe/Berlin' }, env))
+			.rejects.toThrow('is in the past. It is Mon 2026-10-19 10:00 there now.');
+
+		await send('/tasks');
+		expect(replies(calls).at(-1)).toContain(`Stretch (${task.id})\nonce: Mon 2026-10-19 17:30 (Europe/Berlin)`);
+		expect(calls.telegram.at(-1).body.reply_markup.inline_keyboard).toEqual([[{ text: `🗑 Cancel ${task.id}`, callback_data: `task:cancel:${task.id}` }]]);
+
+		const other = await createTask({ chatId: 123, userId: 123, text: 'Water the plants', at: '2026-10-19T18:00', timezone: 'Europe/Berlin' }, env);
+		await dispatch({ update_id: 950, callback_query: { id: 'cb1', data: `task:cancel:${task.id}`, message: { message_id: 9, chat: { id: 123 } } } });
+		let edited = calls.telegram.filter(c => c.method === 'editMessageText').at(-1).body;
+		// Formatted like the /tasks reply it replaces
+		expect(edited).toMatchObject({ message_id: 9, parse_mode: 'HTML' });
+		expect(edited.text).toContain(`⏰ <b>Scheduled tasks</b>\n\n⏰ <b>Water the plants</b> (${other.id})\n`);
+
+		await dispatch({ update_id: 951, callback_query: { id: 'cb2', data: `task:cancel:${other.id}`, message: { message_id: 9, chat: { id: 123 } } } });
+		edited = calls.telegram.filter(c => c.method === 'editMessageText').at(-1).body;
+		expect(edited.text).toMatch(/^🗑 Cancelled &quot;Water the plants&quot;\.\n\n⏰ No reminders or scheduled tasks\./);
+		expect(await listTasks(123, env)).toEqual([]);
+	});
+});
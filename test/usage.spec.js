@@ -0,0 +1,80 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../src';
+import { recordUsage, estimateCost } from '../src/usage.js';
+import { stubFetch, toolCalls, send, replies } from './helpers.js';
+
+describe('usage accounting', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('records every call per chat and feature and reports it in /usage', async () => {
+		const calls = stubFetch({
+			routes: { 'https://api.github.com/': () => Response.json([]) },
+			openai: [
+				toolCalls(['get_issues', { owner: 'o', repo: 'r' }]),
+				{ role: 'assistant', content: 'No open issues.' }
+			]
+		});
+
+		await send('issues in o/r?');
+		await send('/usage');
+
+		const date = new Date().toISOString().slice(0, 10);
+		const day = await env.CHAT_HISTORY.get(`usage:${date}:123`, { type: 'json' });
+		// The streamed stub reports 10 prompt tokens and one completion token per 8 characters
+		expect(day.features.chat).toMatchObject({ calls: 1, prompt_tokens: 10, completion_tokens: 0 });
+		expect(day.features.tool_turn).toMatchObject({ calls: 1, prompt_tokens: 10, completion_tokens: 2 });
+		expect(Object.values(day.models)[0].calls).toBe(2);
+
+		const usage = replies(calls).at(-1);
+		expect(usage).toContain('This chat today');
+		expect(usage).toMatch(/• tool_turn: 1 call, 12 tokens, \$0\.\d{4}/);
+		expect(usage).toMatch(/• chat: 1 call, 10 tokens/);
+		expect(usage).toMatch(/This chat, last 7 days: 2 calls, 22 tokens/);
+	});
+
+	it('only shows usage across chats to owners', async () => {
+		const calls = stubFetch();
+		await recordUsage({ chatId: 456, feature: 'briefing', model: 'gpt-4o', usage: { prompt_tokens: 1000, completion_tokens: 100 } }, env);
+
+		await send('/usage all');
+		await send('/usage all', { OWNER_IDS: '123' });
+
+		const [denied, report] = replies(calls);
+		expect(denied).toBe('🔒 /usage all needs the owner role.');
+		expect(report).toContain('Today: 1 call, 1,100 tokens, $0.0035');
+		expect(report).toContain('• 456: 1 call, 1,100 tokens, $0.0035');
+	});
+
+	it('sends the owners a weekly summary on Mondays', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		const calls = stubFetch();
+		await recordUsage({ chatId: 123, feature: 'chat', model: 'gpt-4o-mini', usage: { prompt_tokens: 2000, completion_tokens: 500 } }, env);
+		await recordUsage({ chatId: 123, feature: 'transcription', model: 'whisper-1', usage: { audio_seconds: 30 } }, env);
+
+		const run = async (scheduledTime) => {
+			const ctx = createExecutionContext();
+			await worker.scheduled({ scheduledTime, cron: '0 8 * * *' }, { ...env, OWNER_IDS: '7,8' }, ctx);
+			await waitOnExecutionContext(ctx);
+		};
+		await run(Date.parse('2026-10-18T08:00:00Z'));
+		expect(calls.telegram.filter(c => c.method === 'sendMessage')).toEqual([]);
+
+		await run(Date.parse('2026-10-19T08:00:00Z'));
+		const sent = calls.telegram.filter(c => c.method === 'sendMessage');
+		expect(sent.map(c => c.body.chat_id)).toEqual([7, 8]);
+		const summary = replies(calls)[0];
+		expect(summary).toContain('Weekly usage');
+		expect(summary).toContain('• transcription: 1 call, 30s audio, $0.0030');
+		expect(summary).toContain('• gpt-4o-mini: 1 call, 2,500 tokens, $0.0006');
+	});
+
+	it('prices transcriptions by the minute', () => {
+		expect(estimateCost('whisper-1', { audio_seconds: 90 })).toBeCloseTo(0.009);
+		expect(estimateCost('@cf/openai/whisper', { audio_seconds: 90 })).toBe(0);
+	});
+});
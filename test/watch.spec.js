@@ -0,0 +1,147 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createWatch, diffLines } from '../src/watch.js';
+import { stubFetch, toolCalls, send, dispatch, replies, tick } from './helpers.js';
+
+const pricing = (pro) => `<html><head><title>Acme Pricing</title></head><body>
+	<nav><a href="/">Home</a></nav>
+	<main>
+		<h1>Pricing</h1>
+		<p>Simple plans for teams of every size. Every plan includes unlimited projects, SSO and email support.</p>
+		<div id="plans"><div class="plan"><h2>Starter</h2><p>$0 per month</p></div><div class="plan"><h2>Pro</h2><p>${pro}</p></div></div>
+		<p>Prices exclude VAT. Annual billing saves two months, and you can cancel any time from the dashboard.</p>
+	</main>
+</body></html>`;
+
+describe('page watches', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('alerts with a summary when the watched part of a page changes', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		let page = pricing('$20 per month');
+		const calls = stubFetch({
+			routes: { 'https://acme.dev/pricing': () => new Response(page, { headers: { 'content-type': 'text/html' } }) },
+			openai: [
+				toolCalls(['watch_page', { url: 'https://acme.dev/pricing', selector: '#plans', interval_minutes: 30 }]),
+				(body) => {
+					expect(body.messages.at(-1).content).toMatch(/^Watching https:\/\/acme\.dev\/pricing as "Acme Pricing" \(id \w{8}\), checked every 30 min\./);
+					return { role: 'assistant', content: "I'll tell you when the plans change." };
+				},
+				(body) => {
+					expect(body.messages[0].content).toContain('- $20 per month\n+ $25 per month');
+					expect(body.messages[0].content).not.toContain('Starter');
+					return { role: 'assistant', content: 'Pro went from $20 to $25 per month.' };
+				}
+			]
+		});
+
+		await send('tell me when the plans on https://acme.dev/pricing change');
+
+		// Not due yet, then due but unchanged
+		await tick('2026-10-19T08:15:00Z');
+		await tick('2026-10-19T08:30:00Z');
+		expect(calls.requests).toHaveLength(2);
+		expect(calls.openai).toHaveLength(2);
+
+		page = pricing('$25 per month');
+		await tick('2026-10-19T09:00:00Z');
+
+		expect(replies(calls).at(-1)).toBe('🔔 Acme Pricing changed\nhttps://acme.dev/pricing\n\nPro went from $20 to $25 per month.');
+		await send('/watches');
+		expect(replies(calls).at(-1)).toContain('Last change: 2026-10-19 09:00 UTC');
+
+		// Without a summary from the model (its stub queue is empty) the alert quotes the lines
+		page = pricing('$30 per month');
+		await tick('2026-10-19T09:30:00Z');
+		expect(replies(calls).at(-1)).toBe('🔔 Acme Pricing changed\nhttps://acme.dev/pricing\n\n➕ $30 per month\n➖ $25 per month');
+	});
+
+	it('alerts once when a keyword shows up', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		let page = pricing('$20 per month');
+		const calls = stubFetch({
+			routes: { 'https://acme.dev/pricing': () => new Response(page, { headers: { 'content-type': 'text/html' } }) }
+		});
+		await createWatch({ chatId: 123, url: 'https://acme.dev/pricing', keyword: 'enterprise', interval: 15 }, env);
+
+		page = pricing('$20 per month, or talk to us about Enterprise');
+		await tick('2026-10-19T08:15:00Z');
+		await tick('2026-10-19T08:30:00Z');
+
+		expect(replies(calls)).toEqual([
+			'🔔 Acme Pricing now mentions "enterprise"\nhttps://acme.dev/pricing\n\n$20 per month, or talk to us about Enterprise'
+		]);
+	});
+
+	it('checks each watch as its owner and keeps going when one fails', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		let page = pricing('$20 per month');
+		const calls = stubFetch({
+			routes: { 'https://acme.dev/pricing': () => new Response(page, { headers: { 'content-type': 'text/html' } }) }
+		});
+		const stubbed = globalThis.fetch;
+		vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init) => {
+			if (String(input).endsWith('/sendMessage') && JSON.parse(init.body).chat_id === 111) {
+				throw new Error('Network connection lost');
+			}
+			return await stubbed(input, init);
+		});
+		const revoked = await createWatch({ chatId: 555, userId: 555, url: 'https://acme.dev/pricing', keyword: 'enterprise', interval: 15 }, env);
+		await createWatch({ chatId: 111, userId: 111, url: 'https://acme.dev/pricing', keyword: 'enterprise', interval: 15 }, env);
+		await createWatch({ chatId: 123, userId: 123, url: 'https://acme.dev/pricing', keyword: 'enterprise', interval: 15 }, env);
+		expect(calls.requests).toHaveLength(3);
+
+		page = pricing('$20 per month, or talk to us about Enterprise');
+		await tick('2026-10-19T08:15:00Z', { OWNER_IDS: '111,123' });
+
+		// Only the watches of users with access read the page; 111's alert fails first, 123's still goes out
+		expect(calls.requests).toHaveLength(5);
+		expect(calls.telegram.filter(c => c.method === 'sendMessage').map(c => c.body.chat_id)).toEqual([123]);
+		const stored = await env.CHAT_HISTORY.get(`watch:555:${revoked.id}`, { type: 'json' });
+		expect(stored).toMatchObject({ lastError: 'Its owner no longer has access to the bot.', lastChecked: '2026-10-19T08:15:00.000Z' });
+	});
+
+	it('/watches pauses and deletes watches with its buttons', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		const calls = stubFetch({
+			routes: { 'https://acme.dev/pricing': () => new Response(pricing('$20 per month')) }
+		});
+		const watch = await createWatch({ chatId: 123, url: 'https://acme.dev/pricing', label: 'Acme plans' }, env);
+
+		await send('/watches');
+		const list = calls.telegram.at(-1).body;
+		expect(list.reply_markup.inline_keyboard).toEqual([[
+			{ text: `⏸ Pause ${watch.id}`, callback_data: `watch:pause:${watch.id}` },
+			{ text: `🗑 Delete ${watch.id}`, callback_data: `watch:delete:${watch.id}` }
+		]]);
+
+		let updateId = 900;
+		const press = (data) => dispatch({
+			update_id: updateId++,
+			callback_query: { id: 'cb1', data, message: { message_id: 9, chat: { id: 123 } } }
+		});
+		// The buttons edit the list in place
+		const edited = () => calls.telegram.filter(c => c.method === 'editMessageText').at(-1).body;
+		await press(`watch:pause:${watch.id}`);
+		// Formatted like the /watches reply it replaces
+		expect(edited()).toMatchObject({ message_id: 9, parse_mode: 'HTML' });
+		expect(edited().text).toBe(`⏸ Paused Acme plans.\n\n🔔 <b>Page watches</b>\n\n⏸ <b>Acme plans</b> (${watch.id})\nhttps://acme.dev/pricing\n⏸ paused`);
+
+		await tick('2026-10-19T10:00:00Z');
+		expect(calls.requests).toHaveLength(1);
+
+		await press(`watch:delete:${watch.id}`);
+		expect(edited().text).toBe(`🗑 Deleted watch ${watch.id}.\n\n🔔 No page watches yet. Ask me to watch a page, e.g. &quot;tell me when example.com/pricing changes&quot;.`);
+	});
+
+	it('diffs snapshots line by line', () => {
+		expect(diffLines('a\nb\nb\nc', 'b\nc\nd')).toEqual({ added: ['d'], removed: ['a', 'b'] });
+	});
+});
@@ -5,6 +5,8 @@ export default defineWorkersConfig({
 		poolOptions: {
 			workers: {
 				wrangler: { configPath: './wrangler.jsonc' },
+				// Offline embeddings for recall (hashed bag of words, see src/providers/mock.js)
+				miniflare: { bindings: { EMBEDDING_PROVIDER: 'mock' } },
 			},
 		},
 	},